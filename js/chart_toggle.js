@@ -0,0 +1,44 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Chart Toggle Module - the collapse/expand buttons (node.chart-toggle) of the
+ * pedigree and descendant charts, and redrawing a chart after a tap
+ */
+
+import { startDraw, fitToScreen } from './diagram.js';
+
+/**
+ * Redraw the active chart and fit it to the screen
+ */
+function redrawChart() {
+  // let Cytoscape finish the current tap event before the instance is replaced
+  setTimeout(() => {
+    startDraw();
+    fitToScreen();
+  }, 0);
+}
+
+/**
+ * Collapse or expand what a toggle button stands for, then redraw
+ * @param {Object} node - Tapped Cytoscape node
+ * @param {Set} collapsed - The chart's collapsed ids (the buttons' toggleFor data)
+ * @returns {boolean} true if the node was a toggle button
+ */
+function handleChartToggle(node, collapsed) {
+  if (!node.hasClass('chart-toggle')) return false;
+  const target = node.data('toggleFor');
+  if (collapsed.has(target)) {
+    collapsed.delete(target);
+  } else {
+    collapsed.add(target);
+  }
+  redrawChart();
+  return true;
+}
+
+export {
+  redrawChart,
+  handleChartToggle
+};
@@ -0,0 +1,276 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Descendant Chart Module - top-down tree of everyone descended from one
+ * ancestor, spouses shown inline, drawn into the main Cytoscape instance
+ */
+
+import { extractLabel, extractDates } from './diagram.js';
+import { handleChartToggle } from './chart_toggle.js';
+
+// Layout spacing (person nodes are 100 x 85, see diagram.js)
+const COLUMN_WIDTH = 130;
+const ROW_HEIGHT = 170;
+
+let rootId = null;
+let generations = 4;
+// Person ids whose descendants are hidden (every appearance of the person)
+const collapsed = new Set();
+
+/**
+ * Set the ancestor the chart starts from
+ * @param {string} personId - INDI id
+ */
+function setDescendantRoot(personId) {
+  if (personId !== rootId) {
+    collapsed.clear();
+  }
+  rootId = personId;
+}
+
+/**
+ * Set how many generations to show (root = generation 1)
+ * @param {number} count - Number of generations
+ */
+function setDescendantGenerations(count) {
+  generations = Math.max(1, Math.min(count || 4, 12));
+}
+
+/**
+ * Build Cytoscape elements for the descendants of rootId
+ * @param {Object} gedcomData - Parsed tree (document.dataParsed)
+ * @returns {Array} Nodes and edges with preset positions
+ */
+function buildDescendantElements(gedcomData) {
+  if (!gedcomData || !gedcomData.indviduals) return [];
+  if (!rootId || !gedcomData.indviduals.has(rootId)) {
+    rootId = gedcomData.indviduals.keys().next().value || null;
+  }
+  if (!rootId) return [];
+
+  const context = {
+    gedcomData: gedcomData,
+    elements: [],
+    usedIds: new Set()
+  };
+  addDescendant(rootId, 1, 0, context);
+  return context.elements;
+}
+
+// Width of a person's subtree in columns: their spouse block or their children, whichever is wider
+function measureSubtree(personId, generation, gedcomData) {
+  const families = getFamilies(gedcomData.indviduals.get(personId), gedcomData);
+  const blockColumns = 1 + families.filter(f => f.spouse).length;
+  if (!showsChildren(personId, families, generation)) return blockColumns;
+  return Math.max(blockColumns, measureChildren(families, generation, gedcomData));
+}
+
+function measureChildren(families, generation, gedcomData) {
+  let columns = 0;
+  families.forEach(f => {
+    f.children.forEach(child => {
+      columns += measureSubtree(child.id, generation + 1, gedcomData);
+    });
+  });
+  return columns;
+}
+
+function showsChildren(personId, families, generation) {
+  return generation < generations && !collapsed.has(personId) && hasChildren(families);
+}
+
+function hasChildren(families) {
+  return families.some(f => f.children.length > 0);
+}
+
+// Place a person, their spouses and (recursively) their children in the
+// columns starting at leftColumn
+function addDescendant(personId, generation, leftColumn, context) {
+  const gedcomData = context.gedcomData;
+  const person = gedcomData.indviduals.get(personId);
+  const families = getFamilies(person, gedcomData);
+  const expanded = showsChildren(personId, families, generation);
+
+  // Spouses alternate right and left of the descendant so most couples sit side by side
+  const spouseCount = families.filter(f => f.spouse).length;
+  const leftSpouses = Math.floor(spouseCount / 2);
+  const width = measureSubtree(personId, generation, gedcomData);
+  const blockLeft = leftColumn + (width - (1 + spouseCount)) / 2;
+  const personColumn = blockLeft + leftSpouses;
+  const x = (personColumn + 0.5) * COLUMN_WIDTH;
+  const y = (generation - 1) * ROW_HEIGHT;
+
+  const node = addPersonNode(person, x, y, ['descendant'], context);
+  const nodeId = node.data.id;
+  node.data.generation = generation;
+  if (generation === 1) node.classes.push('chart-root');
+  // more descendants exist beyond the last generation or a collapsed branch
+  if (!expanded && hasChildren(families)) node.classes.push('has-hidden');
+
+  if (hasChildren(families) && generation < generations) {
+    context.elements.push({
+      group: 'nodes',
+      classes: ['chart-toggle'],
+      data: { id: 'toggle_' + nodeId, toggleFor: personId, label: expanded ? '−' : '+' },
+      // bottom-left corner of the person node
+      position: { x: x - 50, y: y + 42 }
+    });
+  }
+
+  // a family node between the descendant and the spouse carries the child edges
+  let spouseIndex = 0;
+  const parentNodes = families.map(f => {
+    if (!f.spouse) return { family: f, nodeId: nodeId, x: x };
+    const onRight = spouseIndex % 2 === 0;
+    const distance = Math.floor(spouseIndex / 2) + 1;
+    const spouseX = x + (onRight ? distance : -distance) * COLUMN_WIDTH;
+    const familyX = spouseX + (onRight ? -1 : 1) * COLUMN_WIDTH / 2;
+    spouseIndex++;
+
+    const spouseNodeId = addPersonNode(f.spouse, spouseX, y, ['descendant-spouse'], context).data.id;
+    const familyNodeId = 'family_' + nodeId + '_' + f.family.id;
+    context.elements.push({
+      group: 'nodes',
+      classes: ['family'],
+      data: { id: familyNodeId, familyRow: f.family },
+      position: { x: familyX, y: y }
+    });
+    addEdge(nodeId, familyNodeId, ['descendant-spouse-edge', genderEdgeClass(person)], context);
+    addEdge(spouseNodeId, familyNodeId, ['descendant-spouse-edge', genderEdgeClass(f.spouse)], context);
+    return { family: f, nodeId: familyNodeId, x: familyX };
+  });
+  if (!expanded) return nodeId;
+
+  // children go below in the same left-to-right order as their parents' family nodes
+  let childColumn = leftColumn + (width - measureChildren(families, generation, gedcomData)) / 2;
+  parentNodes.sort((a, b) => a.x - b.x).forEach(parentNode => {
+    parentNode.family.children.forEach(child => {
+      const childNodeId = addDescendant(child.id, generation + 1, childColumn, context);
+      childColumn += measureSubtree(child.id, generation + 1, gedcomData);
+      const classes = ['descendant-edge', 'edge_child'];
+      if (parentNode.nodeId === nodeId) classes.push('from-person');
+      addEdge(parentNode.nodeId, childNodeId, classes, context);
+    });
+  });
+
+  return nodeId;
+}
+
+function addPersonNode(person, x, y, extraClasses, context) {
+  // The same person can appear twice (descendants who married each other)
+  let nodeId = person.id;
+  if (context.usedIds.has(nodeId)) {
+    let repeat = 2;
+    while (context.usedIds.has(person.id + '#' + repeat)) repeat++;
+    nodeId = person.id + '#' + repeat;
+  }
+  context.usedIds.add(nodeId);
+
+  const node = {
+    group: 'nodes',
+    classes: ['nodes'].concat(extraClasses),
+    data: {
+      id: nodeId,
+      label: extractLabel(person),
+      dates: extractDates(person),
+      familyRow: person,
+      gender: person.SEX ? (person.SEX.value === 'M' ? 'M' : (person.SEX.value === 'F' ? 'F' : 'U')) : 'U',
+      alive: (person.DEAT != null || person.DEATH != null)
+    },
+    position: { x: x, y: y }
+  };
+  context.elements.push(node);
+  return node;
+}
+
+function addEdge(source, target, classes, context) {
+  context.elements.push({
+    group: 'edges',
+    classes: classes,
+    data: { id: 'edge_' + source + '_' + target, source: source, target: target, label: '' }
+  });
+}
+
+function genderEdgeClass(person) {
+  return person.SEX && person.SEX.value === 'F' ? 'edge_wife' : 'edge_husb';
+}
+
+// Families where the person is a spouse (FAMS), with the other spouse and the children
+function getFamilies(person, gedcomData) {
+  const result = [];
+  if (!person || !person.FAMS) return result;
+  const famsList = Array.isArray(person.FAMS) ? person.FAMS : [person.FAMS];
+  famsList.forEach(link => {
+    const family = gedcomData.families.get(link.id);
+    if (!family) return;
+
+    let spouse = null;
+    ['HUSB', 'WIFE'].forEach(role => {
+      const list = family[role] ? (Array.isArray(family[role]) ? family[role] : [family[role]]) : [];
+      list.forEach(p => {
+        if (!spouse && p.id !== person.id && gedcomData.indviduals.has(p.id)) {
+          spouse = gedcomData.indviduals.get(p.id);
+        }
+      });
+    });
+
+    const childList = family.CHIL ? (Array.isArray(family.CHIL) ? family.CHIL : [family.CHIL]) : [];
+    const children = childList.map(c => gedcomData.indviduals.get(c.id)).filter(c => c);
+    result.push({ family: family, spouse: spouse, children: children });
+  });
+  return result;
+}
+
+/**
+ * Tap handling: collapse/expand buttons. Person taps open the editor as usual.
+ */
+function onDescendantTap(node) {
+  return handleChartToggle(node, collapsed);
+}
+
+const descendantChart = {
+  name: 'descendants',
+  buildElements: buildDescendantElements,
+  onTap: onDescendantTap,
+  setRoot: setDescendantRoot,
+  setGenerations: setDescendantGenerations,
+  style: [
+    {
+      // generation number under the name
+      selector: 'node.descendant',
+      style: {
+        'label': function(ele) {
+          const label = (ele.data('label') || '').replace(/\//g, '').trim();
+          return label + '\nGen ' + ele.data('generation');
+        }
+      }
+    },
+    {
+      selector: 'edge.descendant-spouse-edge',
+      style: {
+        'curve-style': 'straight',
+        'source-endpoint': 'outside-to-node',
+        'target-endpoint': '0 0'
+      }
+    },
+    {
+      selector: 'edge.descendant-edge',
+      style: {
+        'curve-style': 'taxi',
+        'taxi-direction': 'downward',
+        'source-endpoint': '0 0',     // family node center
+        'target-endpoint': '0 -50%'   // top of the child
+      }
+    },
+    {
+      selector: 'edge.descendant-edge.from-person',
+      style: {
+        'source-endpoint': '0 50%'    // bottom of a parent without a spouse
+      }
+    }
+  ]
+};
+
+export { descendantChart };
@@ -7,6 +7,7 @@
 import cytoscape from "./cytoscape.esm.mjs";
 import display from './gedcom.js';
 import {displayFileContent} from "./gedcom_edit.js";
+import {getGregorianYear, getDateBounds, calculateYearsBetween} from "./gedcom_date.js";
 
 let positionMap = new Map();
 let elements = [];
@@ -41,6 +42,22 @@ let node_color_F = '#cfC';
 let node_color_M_alive = '#cff';
 let node_color_F_alive = '#FfC';
 
+// Alternative chart drawn into the same Cytoscape instance (pedigree, descendants).
+// null = the default family graph. A chart is an object with
+//   buildElements(gedcomData) -> elements with preset positions
+//   style -> extra stylesheet entries
+//   onTap(node) -> true if the tap was handled by the chart (e.g. collapse toggle)
+//   setRoot(personId), setGenerations(count) -> who the chart starts from and how deep it goes
+let activeChart = null;
+
+function setActiveChart(chart) {
+  activeChart = chart || null;
+}
+
+function getActiveChart() {
+  return activeChart;
+}
+
 // Generation filter settings
 let focusPersonId = null;
 let maxGenerations = 100; // Show all by default
@@ -176,7 +193,7 @@ function addEdges(row, gedcomData) {
       husbands = [husbands];
     }
     husbands.forEach((husband) => {
-      if (husband && husband.id && isNodeVisible(husband.id, gedcomData) && isNodeVisible(row.id, gedcomData)) {
+      if (husband && husband.id && personExists(husband.id, gedcomData) && isNodeVisible(husband.id, gedcomData) && isNodeVisible(row.id, gedcomData)) {
       elements.push({
         group: 'edges',
           classes: ['edges_v', 'edge_husb'],
@@ -192,7 +209,7 @@ function addEdges(row, gedcomData) {
       wives = [wives];
     }
     wives.forEach((wife) => {
-      if (wife && wife.id && isNodeVisible(wife.id, gedcomData) && isNodeVisible(row.id, gedcomData)) {
+      if (wife && wife.id && personExists(wife.id, gedcomData) && isNodeVisible(wife.id, gedcomData) && isNodeVisible(row.id, gedcomData)) {
       elements.push({
         group: 'edges',
           classes: ['edges_v', 'edge_wife'],
@@ -207,7 +224,7 @@ function addEdges(row, gedcomData) {
       children = [children];
     }
     children.forEach((child) => {
-      if (child && child.id && isNodeVisible(child.id, gedcomData) && isNodeVisible(row.id, gedcomData)) {
+      if (child && child.id && personExists(child.id, gedcomData) && isNodeVisible(child.id, gedcomData) && isNodeVisible(row.id, gedcomData)) {
       elements.push({
         group: 'edges',
           classes: ['edges_h', 'edge_child'],
@@ -218,6 +235,12 @@ function addEdges(row, gedcomData) {
   }
 }
 
+// Dangling HUSB/WIFE/CHIL pointers would make Cytoscape throw on the edge;
+// they are listed in the Problems panel instead
+function personExists(id, gedcomData) {
+  return !gedcomData || !gedcomData.indviduals || gedcomData.indviduals.has(id);
+}
+
 function extractLabel(rowForLabel) {
   if(rowForLabel.NAME && rowForLabel.NAME.value && rowForLabel.NAME.value.length > 0) {
     return rowForLabel.NAME.value;
@@ -295,14 +318,24 @@ function parseAndConvertIntoElements() {
   return elements;
 }
 
+// Parse the data (same as the family graph) and let the active chart build its elements
+function parseAndConvertIntoChartElements() {
+  display();
+  positionMap = new Map();
+  elements = activeChart.buildElements(document.dataParsed) || [];
+  return elements;
+}
+
 let cy;
+// Records highlighted by Compare versions, see setDiffHighlight()
+let diffHighlight = null;
 
 function startDraw() {
   cy = cytoscape({
 
     container: document.getElementById('cy'), // container to render in
 
-    elements: parseAndConvertIntoElements(),
+    elements: activeChart ? parseAndConvertIntoChartElements() : parseAndConvertIntoElements(),
 
     style: [ // the stylesheet for the graph
       // Individual person nodes
@@ -425,6 +458,31 @@ function startDraw() {
           'background-opacity': 1
         }
       },
+      // Compare versions: added / changed / removed records
+      {
+        selector: 'node.diff-added',
+        style: {
+          'border-width': 4,
+          'border-color': '#10b981',
+          'border-style': 'solid'
+        }
+      },
+      {
+        selector: 'node.diff-changed',
+        style: {
+          'border-width': 4,
+          'border-color': '#8b5cf6',
+          'border-style': 'solid'
+        }
+      },
+      {
+        selector: 'node.diff-removed',
+        style: {
+          'border-width': 4,
+          'border-color': '#ef4444',
+          'border-style': 'dashed'
+        }
+      },
       // Edges - base style
       {
         selector: 'edge',
@@ -486,9 +544,32 @@ function startDraw() {
           'target-endpoint': '0 0'       // Center of family node
         }
       },
-    ],
+      // Chart views: starting person and collapse/expand buttons
+      {
+        selector: 'node.chart-root',
+        style: {
+          'border-width': 2,
+          'border-color': function() { return getThemeColors().primary; }
+        }
+      },
+      {
+        selector: 'node.chart-toggle',
+        style: {
+          'width': 16,
+          'height': 16,
+          'shape': 'ellipse',
+          'background-color': function() { return getThemeColors().primary; },
+          'label': 'data(label)',
+          'color': '#fff',
+          'font-size': '12px',
+          'font-weight': 'bold',
+          'text-valign': 'center',
+          'text-halign': 'center'
+        }
+      },
+    ].concat(activeChart && activeChart.style ? activeChart.style : []),
 
-    layout: {
+    layout: activeChart ? { name: 'preset', padding: 30 } : {
       name: 'grid',
       spacingFactor: 1.5,
       padding: 30,
@@ -511,6 +592,7 @@ function startDraw() {
 
   // Mark nodes that have hidden connections (for visual indicator)
   markNodesWithHiddenConnections();
+  applyDiffHighlight();
 
   /*
   Actions on nodes
@@ -518,8 +600,9 @@ function startDraw() {
 
   cy.on('tap', 'node', function (evt) {
     let node = evt.target;
+    if (activeChart && activeChart.onTap && activeChart.onTap(node)) return;
     let familyRow = node.data('familyRow');
-    displayFileContent(familyRow);
+    showNodeDetails(familyRow);
 
     if (lastTappedNode) {
       lastTappedNode.removeClass('selectedNode');
@@ -541,7 +624,7 @@ function startDraw() {
     }
 
     // If filtering is active and clicked on a person node, offer to refocus
-    if (focusPersonId && familyRow && familyRow.tag === 'INDI' && familyRow.id !== focusPersonId) {
+    if (!activeChart && focusPersonId && familyRow && familyRow.tag === 'INDI' && familyRow.id !== focusPersonId) {
       // Trigger callback to update focus if set
       if (onNodeClickedWhileFiltering) {
         onNodeClickedWhileFiltering(familyRow.id, extractLabel(familyRow));
@@ -557,6 +640,13 @@ function setNodeClickCallback(callback) {
   onNodeClickedWhileFiltering = callback;
 }
 
+// Shows the tapped record: the edit form, or read-only details in the offline viewer
+let showNodeDetails = displayFileContent;
+
+function setNodeDetailsCallback(callback) {
+  showNodeDetails = callback || displayFileContent;
+}
+
 // Drag & drop state
 let dragEnabled = true;
 
@@ -593,13 +683,18 @@ function unlockNodes() {
   }
 }
 
+// Focus filter as set by setFocusPerson/setMaxGenerations, e.g. to keep it per tree tab
+function getFocusFilter() {
+  return { personId: focusPersonId, generations: maxGenerations };
+}
+
 function isFilterActive() {
   return focusPersonId !== null && maxGenerations < 100;
 }
 
 // Check and mark nodes that have hidden (filtered out) connections
 function markNodesWithHiddenConnections() {
-  if (!cy || !isFilterActive()) return;
+  if (!cy || activeChart || !isFilterActive()) return;
   
   const gedcomData = document.dataParsed;
   if (!gedcomData) return;
@@ -853,6 +948,7 @@ function expandFromPerson(personId) {
     
     // Refresh hidden connection indicators
     markNodesWithHiddenConnections();
+    applyDiffHighlight();
     
     // Animate to fit new nodes
     cy.animate({
@@ -879,7 +975,8 @@ function fitToScreen() {
 
 // Re-layout current visible nodes to fix overlapping
 function relayoutNodes() {
-  if (!cy) return;
+  // charts are laid out by their own builder
+  if (!cy || activeChart) return;
   
   const gedcomData = document.dataParsed;
   const nodePositions = new Map();
@@ -1173,6 +1270,31 @@ function searchPersons(query) {
   return results;
 }
 
+/**
+ * Highlight records that differ between two versions of the tree.
+ * Kept across redraws until cleared.
+ * @param {Object|null} highlight - { added: [ids], changed: [ids], removed: [ids] }, null to clear
+ */
+function setDiffHighlight(highlight) {
+  diffHighlight = highlight;
+  applyDiffHighlight();
+}
+
+function applyDiffHighlight() {
+  if (!cy) return;
+  cy.nodes().removeClass('diff-added diff-changed diff-removed');
+  if (!diffHighlight) return;
+  const kinds = new Map();
+  ['added', 'changed', 'removed'].forEach(kind => {
+    (diffHighlight[kind] || []).forEach(id => kinds.set(id, kind));
+  });
+  // charts can show a person more than once (id#2), so match on the record
+  cy.nodes().forEach(node => {
+    const row = node.data('familyRow');
+    if (row && kinds.has(row.id)) node.addClass('diff-' + kinds.get(row.id));
+  });
+}
+
 // Center on search result
 function centerOnSearchResult(nodeId) {
   if (!cy) return;
@@ -1200,34 +1322,74 @@ function clearSearch() {
 }
 
 // Export graph as PNG
-function exportAsPng(scale = 2) {
+// exportTree: filtered copy from the export profile, drawn instead of the tree (optional)
+function exportAsPng(scale = 2, exportTree = null) {
   if (!cy) return null;
   
+  const restore = showExportTree(exportTree);
   const png = cy.png({
     output: 'blob',
     bg: document.documentElement.getAttribute('data-theme') === 'dark' ? '#0f172a' : '#f5f7fa',
     full: true,
     scale: scale
   });
+  restore();
   
   return png;
 }
 
 // Export graph as SVG
-function exportAsSvg() {
+function exportAsSvg(exportTree = null) {
   if (!cy) return null;
   
+  const restore = showExportTree(exportTree);
   const svg = cy.svg({
     full: true,
     bg: document.documentElement.getAttribute('data-theme') === 'dark' ? '#0f172a' : '#f5f7fa'
   });
+  restore();
   
   return svg;
 }
 
+// Show the export profile's copy of the tree in the graph for the moment of an image export:
+// persons and families it leaves out are removed, the others show its (redacted) data.
+// Returns the function that puts the graph back.
+function showExportTree(exportTree) {
+  if (!exportTree) return () => {};
+  
+  const changed = [];
+  let removed = cy.collection();
+  cy.batch(() => {
+    cy.nodes().forEach(node => {
+      const row = node.data('familyRow');
+      if (!row) {
+        // the +/- buttons of the pedigree and descendant charts
+        if (node.hasClass('chart-toggle')) removed = removed.union(node);
+        return;
+      }
+      const copy = row.tag === 'FAM' ? exportTree.families.get(row.id) : exportTree.indviduals.get(row.id);
+      if (!copy) {
+        removed = removed.union(node);
+        return;
+      }
+      changed.push({ node: node, label: node.data('label'), dates: node.data('dates'), familyRow: row });
+      node.data({ familyRow: copy, label: row.tag === 'FAM' ? node.data('label') : extractLabel(copy), dates: extractDates(copy) });
+    });
+    removed = removed.union(removed.connectedEdges()).remove();
+  });
+  
+  return function restore() {
+    cy.batch(() => {
+      removed.restore();
+      changed.forEach(entry => entry.node.data({ familyRow: entry.familyRow, label: entry.label, dates: entry.dates }));
+    });
+  };
+}
+
 // Download PNG
-function downloadPng(filename = 'family-tree.png', scale = 2) {
-  const blob = exportAsPng(scale);
+function downloadPng(filename = 'family-tree.png', scale = 2, exportTree = null) {
+  const blob = exportAsPng(scale, exportTree);
   if (blob) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -1241,8 +1403,8 @@ function downloadPng(filename = 'family-tree.png', scale = 2) {
 }
 
 // Download SVG
-function downloadSvg(filename = 'family-tree.svg') {
-  const svg = exportAsSvg();
+function downloadSvg(filename = 'family-tree.svg', exportTree = null) {
+  const svg = exportAsSvg(exportTree);
   if (svg) {
     const blob = new Blob([svg], { type: 'image/svg+xml' });
     const url = URL.createObjectURL(blob);
@@ -1301,10 +1463,8 @@ function calculateStatistics() {
       
       // Parse dates for lifespan calculation
       if (person.BIRT?.DATE?.value && person.DEAT?.DATE?.value) {
-        const birthYear = extractYear(person.BIRT.DATE.value);
-        const deathYear = extractYear(person.DEAT.DATE.value);
-        if (birthYear && deathYear) {
-          const lifespan = deathYear - birthYear;
+        const lifespan = calculateYearsBetween(person.BIRT.DATE.value, person.DEAT.DATE.value);
+        if (lifespan !== null) {
           if (lifespan > 0 && lifespan < 120) {
             lifespans.push(lifespan);
             if (!stats.oldestPerson || lifespan > stats.oldestPerson.age) {
@@ -1323,7 +1483,7 @@ function calculateStatistics() {
       
       // Track births by decade
       if (person.BIRT?.DATE?.value) {
-        const year = extractYear(person.BIRT.DATE.value);
+        const year = getGregorianYear(person.BIRT.DATE.value);
         if (year) {
           const decade = Math.floor(year / 10) * 10;
           stats.birthsByDecade[decade] = (stats.birthsByDecade[decade] || 0) + 1;
@@ -1406,13 +1566,6 @@ function calculateStatistics() {
   return stats;
 }
 
-// Helper to extract year from GEDCOM date
-function extractYear(dateStr) {
-  if (!dateStr) return null;
-  const match = dateStr.match(/\b(\d{4})\b/);
-  return match ? parseInt(match[1]) : null;
-}
-
 // Helper to get label by ID
 function extractLabelById(id, gedcomData) {
   if (!id || !gedcomData?.indviduals) return 'Unknown';
@@ -1504,28 +1657,16 @@ function calculateSimilarity(p1, p2) {
   }
   
   // Birth date
-  const birth1 = extractYear(p1.BIRT?.DATE?.value);
-  const birth2 = extractYear(p2.BIRT?.DATE?.value);
-  
-  if (birth1 && birth2) {
-    if (birth1 === birth2) {
-      score += 1;
-    } else if (Math.abs(birth1 - birth2) <= 2) {
-      score += 0.5;
-    }
+  const birthScore = dateSimilarity(p1.BIRT?.DATE?.value, p2.BIRT?.DATE?.value);
+  if (birthScore !== null) {
+    score += birthScore;
     factors += 1;
   }
   
   // Death date
-  const death1 = extractYear(p1.DEAT?.DATE?.value);
-  const death2 = extractYear(p2.DEAT?.DATE?.value);
-  
-  if (death1 && death2) {
-    if (death1 === death2) {
-      score += 1;
-    } else if (Math.abs(death1 - death2) <= 2) {
-      score += 0.5;
-    }
+  const deathScore = dateSimilarity(p1.DEAT?.DATE?.value, p2.DEAT?.DATE?.value);
+  if (deathScore !== null) {
+    score += deathScore;
     factors += 1;
   }
   
@@ -1545,6 +1686,26 @@ function calculateSimilarity(p1, p2) {
   return factors > 0 ? score / factors : 0;
 }
 
+/**
+ * Score how well two GEDCOM dates agree
+ * @param {string} date1 - First date value
+ * @param {string} date2 - Second date value
+ * @returns {number|null} 1 if they can be the same day ("ABT 1850" vs "12 MAR 1851"),
+ *   0.5 if within two years, 0 otherwise, null if either is missing
+ */
+function dateSimilarity(date1, date2) {
+  const bounds1 = getDateBounds(date1);
+  const bounds2 = getDateBounds(date2);
+  if (!bounds1 || !bounds2) return null;
+  
+  if (bounds1.earliest <= bounds2.latest && bounds2.earliest <= bounds1.latest) {
+    return 1;
+  }
+  const year1 = getGregorianYear(date1);
+  const year2 = getGregorianYear(date2);
+  return Math.abs(year1 - year2) <= 2 ? 0.5 : 0;
+}
+
 /**
  * Calculate Levenshtein distance similarity
  * @param {string} s1 - First string
@@ -1847,6 +2008,11 @@ function levenshteinSimilarity(s1, s2) {
 
 export { 
   startDraw, 
+  setActiveChart,
+  getActiveChart,
+  getThemeColors,
+  extractLabel,
+  extractDates,
   zoomIn, 
   zoomOut, 
   fitToScreen, 
@@ -1855,8 +2021,10 @@ export {
   setFocusPerson, 
   setMaxGenerations, 
   clearFilter,
+  getFocusFilter,
   getAllIndividuals,
   setNodeClickCallback,
+  setNodeDetailsCallback,
   isFilterActive,
   expandFromPerson,
   updateNodeData,
@@ -1865,15 +2033,18 @@ export {
   searchPersons,
   centerOnSearchResult,
   clearSearch,
+  setDiffHighlight,
   downloadPng,
   downloadSvg,
   calculateStatistics,
   findDuplicates,
+  calculateSimilarity,
   toggleDragMode,
   isDragEnabled,
   lockNodes,
   unlockNodes,
   calculateRelationship,
+  levenshteinSimilarity,
   formatDisplayName,
   getShowNicknameSetting,
   setShowNicknameSetting
@@ -0,0 +1,263 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Encryption Module - passphrase based encryption with WebCrypto:
+ * PBKDF2 (SHA-256) derives an AES-GCM key from the passphrase
+ */
+
+// OWASP recommendation for PBKDF2-HMAC-SHA256
+const KDF_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+// Marks a stored value as encrypted: "ENC1:<iv>:<ciphertext>" (base64)
+const SEALED_PREFIX = 'ENC1:';
+// Encrypted with the key so a wrong passphrase is detected before any data is read
+const KEY_CHECK_TEXT = 'gedcom-editor-key-check';
+// Password-protected export file (.gedenc): a JSON header with the ciphertext
+const CONTAINER_FORMAT = 'gedcom-editor-encrypted';
+const CONTAINER_VERSION = 1;
+const CONTAINER_EXTENSION = '.gedenc';
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations = KDF_ITERATIONS) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']);
+}
+
+/**
+ * Get cryptographically random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array}
+ */
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Encrypt bytes with a fresh IV
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Uint8Array} bytes - Plain bytes
+ * @returns {Promise<Object>} { iv, ciphertext } as Uint8Arrays
+ */
+async function encryptBytes(key, bytes) {
+  const iv = randomBytes(IV_BYTES);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, bytes);
+  return { iv: iv, ciphertext: new Uint8Array(ciphertext) };
+}
+
+/**
+ * Decrypt bytes. AES-GCM authenticates the data, so a wrong key or
+ * tampered data throws instead of returning garbage.
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Uint8Array} iv - IV used for encryption
+ * @param {Uint8Array} ciphertext - Encrypted bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function decryptBytes(key, iv, ciphertext) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, key, ciphertext);
+  return new Uint8Array(plain);
+}
+
+/**
+ * Encrypt text into a string that can be stored anywhere text can
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} text - Plain text
+ * @returns {Promise<string>} "ENC1:..." string
+ */
+async function sealText(key, text) {
+  const { iv, ciphertext } = await encryptBytes(key, new TextEncoder().encode(text));
+  return SEALED_PREFIX + toBase64(iv) + ':' + toBase64(ciphertext);
+}
+
+/**
+ * Decrypt a string from sealText(); other values are returned unchanged
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} value - Stored value
+ * @returns {Promise<string>}
+ */
+async function openText(key, value) {
+  if (!isSealed(value)) return value;
+  const [iv, ciphertext] = value.substring(SEALED_PREFIX.length).split(':');
+  const plain = await decryptBytes(key, fromBase64(iv), fromBase64(ciphertext));
+  return new TextDecoder().decode(plain);
+}
+
+/**
+ * Check whether a stored value was encrypted with sealText()
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+}
+
+/**
+ * Create the key for a new passphrase and the settings needed to derive it again
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<Object>} { config: { version, kdf, iterations, salt, check }, key }
+ */
+async function createKeyConfig(passphrase) {
+  const salt = randomBytes(SALT_BYTES);
+  const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+  return {
+    config: {
+      version: 1,
+      kdf: 'PBKDF2-SHA256',
+      iterations: KDF_ITERATIONS,
+      salt: toBase64(salt),
+      check: await sealText(key, KEY_CHECK_TEXT)
+    },
+    key: key
+  };
+}
+
+/**
+ * Derive the key for a passphrase and check it against a config
+ * @param {string} passphrase - Passphrase
+ * @param {Object} config - From createKeyConfig()
+ * @returns {Promise<CryptoKey|null>} null if the passphrase is wrong
+ */
+async function unlockKeyConfig(passphrase, config) {
+  const key = await deriveKey(passphrase, fromBase64(config.salt), config.iterations);
+  try {
+    return (await openText(key, config.check)) === KEY_CHECK_TEXT ? key : null;
+  } catch (e) {
+    return null; // AES-GCM authentication failed: wrong passphrase
+  }
+}
+
+/**
+ * Encrypt GEDCOM text into a password-protected container file
+ * @param {string} text - GEDCOM text
+ * @param {string} password - Password
+ * @returns {Promise<string>} Container file content (JSON)
+ */
+async function encryptContainer(text, password) {
+  const salt = randomBytes(SALT_BYTES);
+  const key = await deriveKey(password, salt, KDF_ITERATIONS);
+  const { iv, ciphertext } = await encryptBytes(key, new TextEncoder().encode(text));
+  return JSON.stringify({
+    format: CONTAINER_FORMAT,
+    version: CONTAINER_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    created: new Date().toISOString(),
+    data: toBase64(ciphertext)
+  }, null, 2);
+}
+
+/**
+ * Decrypt a container file from encryptContainer()
+ * @param {string} content - Container file content
+ * @param {string} password - Password
+ * @returns {Promise<string|null>} GEDCOM text, null if the password is wrong
+ * @throws {Error} If the content is not a container this version can read
+ */
+async function decryptContainer(content, password) {
+  const container = readContainerHeader(content);
+  const key = await deriveKey(password, fromBase64(container.kdf.salt), container.kdf.iterations);
+  let plain;
+  try {
+    plain = await decryptBytes(key, fromBase64(container.cipher.iv), fromBase64(container.data));
+  } catch (e) {
+    return null; // AES-GCM authentication failed: wrong password (or a damaged file)
+  }
+  return new TextDecoder().decode(plain);
+}
+
+/**
+ * Check whether a file name is a password-protected container
+ * @param {string} fileName - File name
+ * @returns {boolean}
+ */
+function isEncryptedFileName(fileName) {
+  return String(fileName || '').toLowerCase().endsWith(CONTAINER_EXTENSION);
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  // in chunks: String.fromCharCode cannot take a whole tree with photos at once
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+// Parse and check the header, so a broken file is not reported as a wrong password
+function readContainerHeader(content) {
+  let container;
+  try {
+    container = JSON.parse(content);
+  } catch (e) {
+    throw new Error('This is not an encrypted family tree file');
+  }
+  if (!container || container.format !== CONTAINER_FORMAT) {
+    throw new Error('This is not an encrypted family tree file');
+  }
+  if (container.version > CONTAINER_VERSION) {
+    throw new Error('This encrypted file was made by a newer version of the editor');
+  }
+  const kdf = container.kdf || {};
+  const cipher = container.cipher || {};
+  if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !(kdf.iterations > 0) || !kdf.salt ||
+      cipher.name !== 'AES-GCM' || !cipher.iv || typeof container.data !== 'string') {
+    throw new Error('The encrypted file is damaged or uses an unknown encryption method');
+  }
+  return container;
+}
+
+export {
+  KDF_ITERATIONS,
+  CONTAINER_EXTENSION,
+  deriveKey,
+  randomBytes,
+  encryptBytes,
+  decryptBytes,
+  sealText,
+  openText,
+  isSealed,
+  createKeyConfig,
+  unlockKeyConfig,
+  encryptContainer,
+  decryptContainer,
+  isEncryptedFileName,
+  toBase64,
+  fromBase64
+};
@@ -0,0 +1,321 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Export Profile Module - privacy filter applied to a copy of the tree before
+ * it leaves the editor (GEDCOM, JSON, PNG, SVG and the share link)
+ */
+
+import { FamilyRow, parseGedcomText } from './gedcom.js';
+import { createFileContent } from './gedcom_export.js';
+import { getGregorianYear } from './gedcom_date.js';
+
+const PROFILE_SETTING = 'exportProfile';
+const DEFAULT_PROFILE = {
+  enabled: false,
+  living: 'include',      // 'include' | 'anonymize' | 'exclude'
+  livingYears: 100,       // no death recorded and born within this many years
+  stripContacts: false,
+  dropPhotos: false,
+  dropNotes: false,
+  scope: 'all',           // 'all' | 'ancestors' | 'descendants'
+  personId: null          // person the scope starts from
+};
+const LIVING_NAME = 'Living';
+// Same contact and social tags the person merge groups as "Contacts"
+const CONTACT_TAGS = ['PHON', '_PHON2', 'EMAIL', 'FAX', 'ADDR', 'WWW', '_WWW', '_FACEBOOK', '_INSTAGRAM',
+  '_LINKEDIN', '_TWITTER', '_WHATSAPP', '_YOUTUBE'];
+const PHOTO_TAGS = ['IMG', 'OBJE'];
+const NOTE_TAGS = ['NOTE'];
+// Kept on an anonymized person: the links, so the tree keeps its shape, and SEX for the diagram colors
+const ANONYMIZED_KEPT_TAGS = ['FAMS', 'FAMC', 'SEX'];
+const ROW_KEYS = ['id', 'tag', 'level', 'value', 'order', 'parent', 'indviduals', 'families', 'visited', 'rowLevel'];
+const LINK_TAGS = ['HUSB', 'WIFE', 'CHIL'];
+// Tags that show a person has died
+const DEATH_TAGS = ['DEAT', 'DEATH', 'BURI', 'CREM'];
+// Used to tell from a relative's birth that someone without a birth date was born long ago
+const MIN_PARENT_AGE = 12;
+const MAX_PARENT_AGE = 60;
+
+/**
+ * Get the saved export profile
+ * @returns {Object} { enabled, living, livingYears, stripContacts, dropPhotos, dropNotes, scope, personId }
+ */
+function getExportProfile() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(PROFILE_SETTING));
+  } catch (e) {
+    console.error('Could not read the export profile:', e);
+  }
+  return Object.assign({}, DEFAULT_PROFILE, saved || {});
+}
+
+/**
+ * Save the export profile; it is used by every export until it is turned off
+ * @param {Object} profile - Profile fields to change
+ * @returns {Object} The saved profile
+ */
+function setExportProfile(profile) {
+  const saved = Object.assign({}, DEFAULT_PROFILE, profile);
+  saved.livingYears = Math.max(1, parseInt(saved.livingYears) || DEFAULT_PROFILE.livingYears);
+  localStorage.setItem(PROFILE_SETTING, JSON.stringify(saved));
+  return saved;
+}
+
+/**
+ * Check whether a person counts as living: no death, burial or cremation recorded and born
+ * within the given number of years. Without a birth year a person counts as living (often
+ * the case for living spouses and children), unless a parent's or child's birth year shows
+ * they were born before that.
+ * @param {Object} person - INDI row
+ * @param {number} years - Years
+ * @param {FamilyRow} tree - Parsed tree, to look at the parents and children
+ * @returns {boolean}
+ */
+function isLivingPerson(person, years, tree) {
+  if (DEATH_TAGS.some(tag => person[tag])) return false;
+  const cutoff = new Date().getFullYear() - years;
+  const birthYear = getBirthYear(person);
+  if (birthYear !== null) return birthYear > cutoff;
+  if (!tree) return true;
+
+  // latest year the person can have been born in, by the relatives' births
+  let bornBy = Infinity;
+  toArray(person.FAMS).forEach(link => {
+    const family = tree.families.get(link.id);
+    toArray(family?.CHIL).forEach(child => {
+      const year = getBirthYear(tree.indviduals.get(child.id));
+      if (year !== null) bornBy = Math.min(bornBy, year - MIN_PARENT_AGE);
+    });
+  });
+  toArray(person.FAMC).forEach(link => {
+    const family = tree.families.get(link.id);
+    toArray(family?.HUSB).concat(toArray(family?.WIFE)).forEach(parent => {
+      const year = getBirthYear(tree.indviduals.get(parent.id));
+      if (year !== null) bornBy = Math.min(bornBy, year + MAX_PARENT_AGE);
+    });
+  });
+  return bornBy > cutoff;
+}
+
+/**
+ * Make the filtered copy of a tree that an export should contain.
+ * The tree itself is not changed.
+ * @param {FamilyRow} source - Parsed tree, e.g. document.dataParsed
+ * @param {Object} profile - From getExportProfile()
+ * @returns {FamilyRow} Filtered copy with its indviduals/families maps
+ * @throws {Error} If the scope person is not in the tree
+ */
+function applyExportProfile(source, profile) {
+  const tree = parseGedcomText(createFileContent(source));
+  const removed = new Set();
+
+  if (profile.scope === 'ancestors' || profile.scope === 'descendants') {
+    if (!tree.indviduals.has(profile.personId)) {
+      throw new Error('Choose the person whose ' + profile.scope + ' should be exported');
+    }
+    const kept = profile.scope === 'ancestors'
+      ? collectAncestors(tree, profile.personId)
+      : collectDescendants(tree, profile.personId);
+    tree.indviduals.forEach((person, id) => {
+      if (!kept.has(id)) removed.add(id);
+    });
+  }
+
+  if (profile.living !== 'include') {
+    // decided for everyone first: anonymizing removes the birth dates the others are judged by
+    const living = new Set();
+    tree.indviduals.forEach((person, id) => {
+      if (!removed.has(id) && isLivingPerson(person, profile.livingYears, tree)) living.add(id);
+    });
+    tree.indviduals.forEach((person, id) => {
+      if (!living.has(id)) return;
+      if (profile.living === 'exclude') {
+        removed.add(id);
+      } else {
+        anonymizePerson(person, tree);
+      }
+    });
+  }
+  removePersons(tree, removed);
+
+  const removedTags = []
+    .concat(profile.stripContacts ? CONTACT_TAGS : [])
+    .concat(profile.dropPhotos ? PHOTO_TAGS : [])
+    .concat(profile.dropNotes ? NOTE_TAGS : []);
+  if (removedTags.length > 0) {
+    Object.keys(tree).forEach(key => {
+      if (key === 'parent' || key === 'HEAD' || key === 'TRLR') return;
+      if (removedTags.includes(key)) {
+        // level 0 records: shared notes and media objects
+        delete tree[key];
+        return;
+      }
+      toArray(tree[key]).filter(isRow).forEach(record => removeTags(record, removedTags));
+    });
+  }
+  return tree;
+}
+
+/**
+ * Describe what a profile does, for the export menu and dialogs
+ * @param {Object} profile - From getExportProfile()
+ * @returns {string} e.g. "living people anonymized, no contacts"
+ */
+function describeExportProfile(profile) {
+  if (!profile.enabled) return 'off';
+  const parts = [];
+  if (profile.scope === 'ancestors') parts.push('ancestors only');
+  if (profile.scope === 'descendants') parts.push('descendants only');
+  if (profile.living === 'anonymize') parts.push('living people anonymized');
+  if (profile.living === 'exclude') parts.push('living people left out');
+  if (profile.stripContacts) parts.push('no contacts');
+  if (profile.dropPhotos) parts.push('no photos');
+  if (profile.dropNotes) parts.push('no notes');
+  return parts.length > 0 ? parts.join(', ') : 'nothing filtered';
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+function getBirthYear(person) {
+  const date = person?.BIRT?.DATE?.value || person?.CHR?.DATE?.value;
+  return date ? getGregorianYear(date) : null;
+}
+
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isRow(value) {
+  return value && typeof value === 'object' && value.constructor.name === 'FamilyRow';
+}
+
+function parentsOf(tree, person) {
+  const parents = [];
+  toArray(person.FAMC).forEach(link => {
+    const family = tree.families.get(link.id);
+    if (!family) return;
+    toArray(family.HUSB).concat(toArray(family.WIFE)).forEach(parent => parents.push(parent.id));
+  });
+  return parents;
+}
+
+function collectAncestors(tree, personId) {
+  const kept = new Set();
+  const queue = [personId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const person = tree.indviduals.get(id);
+    if (!person || kept.has(id)) continue;
+    kept.add(id);
+    queue.push(...parentsOf(tree, person));
+  }
+  return kept;
+}
+
+// Descendants together with their spouses, so every family keeps both parents
+function collectDescendants(tree, personId) {
+  const kept = new Set();
+  const queue = [personId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const person = tree.indviduals.get(id);
+    if (!person || kept.has(id)) continue;
+    kept.add(id);
+    toArray(person.FAMS).forEach(link => {
+      const family = tree.families.get(link.id);
+      if (!family) return;
+      toArray(family.HUSB).concat(toArray(family.WIFE)).forEach(spouse => {
+        if (tree.indviduals.has(spouse.id)) kept.add(spouse.id);
+      });
+      toArray(family.CHIL).forEach(child => queue.push(child.id));
+    });
+  }
+  return kept;
+}
+
+function anonymizePerson(person, tree) {
+  const kept = {};
+  Object.keys(person).forEach(key => {
+    if (ROW_KEYS.includes(key)) return;
+    if (ANONYMIZED_KEPT_TAGS.includes(key)) kept[key] = person[key];
+    delete person[key];
+  });
+  // NAME first, as in any other record
+  const name = new FamilyRow(1, null, 'NAME', LIVING_NAME);
+  name.parent = person;
+  person.NAME = name;
+  Object.assign(person, kept);
+
+  // a marriage date or place tells as much as a birth date
+  toArray(person.FAMS).forEach(link => {
+    const family = tree.families.get(link.id);
+    if (!family) return;
+    Object.keys(family).forEach(key => {
+      if (!ROW_KEYS.includes(key) && !LINK_TAGS.includes(key)) delete family[key];
+    });
+  });
+}
+
+// Drop the persons and every link to them, then the families nobody is left in
+function removePersons(tree, removed) {
+  if (removed.size === 0) return;
+  removed.forEach(id => tree.indviduals.delete(id));
+  setRecords(tree, 'INDI', toArray(tree.INDI).filter(person => !removed.has(person.id)));
+
+  const keptFamilies = toArray(tree.FAM).filter(family => {
+    LINK_TAGS.forEach(tag => setLinks(family, tag, toArray(family[tag]).filter(link => tree.indviduals.has(link.id))));
+    const spouses = toArray(family.HUSB).length + toArray(family.WIFE).length;
+    // a lone child is no family; several children are still siblings
+    if (spouses > 0 || toArray(family.CHIL).length > 1) return true;
+    tree.families.delete(family.id);
+    return false;
+  });
+  setRecords(tree, 'FAM', keptFamilies);
+
+  tree.indviduals.forEach(person => {
+    ['FAMS', 'FAMC'].forEach(tag => setLinks(person, tag, toArray(person[tag]).filter(link => tree.families.has(link.id))));
+  });
+}
+
+function setRecords(tree, tag, records) {
+  if (records.length > 0) {
+    tree[tag] = records;
+  } else {
+    delete tree[tag];
+  }
+}
+
+// Keeps a single link as a row, the way the parser stores it
+function setLinks(row, tag, links) {
+  if (links.length === toArray(row[tag]).length) return;
+  if (links.length === 0) {
+    delete row[tag];
+  } else {
+    row[tag] = Array.isArray(row[tag]) ? links : links[0];
+  }
+}
+
+function removeTags(row, tags) {
+  Object.keys(row).forEach(key => {
+    if (key === 'parent') return;
+    if (tags.includes(key)) {
+      delete row[key];
+      return;
+    }
+    toArray(row[key]).filter(isRow).forEach(child => removeTags(child, tags));
+  });
+}
+
+export {
+  getExportProfile,
+  setExportProfile,
+  isLivingPerson,
+  applyExportProfile,
+  describeExportProfile
+};
@@ -0,0 +1,234 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Fan Chart Module - radial ancestor chart rendered as standalone SVG
+ */
+
+import { getThemeColors } from './diagram.js';
+import { getGregorianYear } from './gedcom_date.js';
+import { escapeHtml } from './security.js';
+
+// Geometry in SVG units (1 unit = 1px at 100%)
+const CENTER_RADIUS = 70;
+const RING_WIDTH = 90;
+const MARGIN = 20;
+
+/**
+ * Generate a fan chart of a person's ancestors. Ring n holds generation n+1:
+ * parents, grandparents, ... with the father's side first (left / counter-clockwise).
+ * @param {string} rootId - INDI id in the middle of the fan
+ * @param {Object} options - { generations: 2-9, shape: 'half'|'full', colorBy: 'gender'|'surname' }
+ * @returns {string} SVG markup; person segments carry data-id for click handling
+ */
+function generateFanChartSVG(rootId, options = {}) {
+  const gedcomData = document.dataParsed;
+  const root = gedcomData?.indviduals?.get(rootId);
+  if (!root) return '';
+
+  const generations = Math.max(2, Math.min(options.generations || 5, 9));
+  const full = options.shape === 'full';
+  const colorBy = options.colorBy === 'surname' ? 'surname' : 'gender';
+  const colors = getThemeColors();
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+
+  const radius = CENTER_RADIUS + (generations - 1) * RING_WIDTH;
+  const width = 2 * (radius + MARGIN);
+  const height = full ? width : radius + 2 * MARGIN + CENTER_RADIUS / 2;
+  const cx = width / 2;
+  const cy = radius + MARGIN;
+  const span = full ? 2 * Math.PI : Math.PI;
+  // half: from the left (-180°) over the top to the right; full: from the bottom, clockwise
+  const startAngle = full ? -1.5 * Math.PI : -Math.PI;
+
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif" class="fan-chart">`;
+  svg += `<rect width="100%" height="100%" fill="${isDark ? '#0f172a' : '#ffffff'}"/>`;
+
+  // Ahnentafel numbering: person k has father 2k and mother 2k+1
+  let ring = [root];
+  svg += centerSegment(root, cx, cy, full, colorBy, colors, isDark);
+
+  for (let generation = 1; generation < generations; generation++) {
+    const nextRing = [];
+    ring.forEach(person => {
+      const parents = getParents(person, gedcomData);
+      nextRing.push(parents.father, parents.mother);
+    });
+    ring = nextRing;
+
+    const inner = CENTER_RADIUS + (generation - 1) * RING_WIDTH;
+    const outer = inner + RING_WIDTH;
+    const slotAngle = span / ring.length;
+    ring.forEach((person, index) => {
+      const a1 = startAngle + index * slotAngle;
+      const a2 = a1 + slotAngle;
+      const path = sectorPath(cx, cy, inner, outer, a1, a2);
+      if (!person) {
+        svg += `<path d="${path}" fill="none" stroke="${colors.unknownBorder}" stroke-dasharray="3,3" stroke-opacity="0.5"/>`;
+        return;
+      }
+      const fill = segmentColor(person, colorBy, colors, isDark);
+      svg += `<g class="fan-segment" data-id="${escapeHtml(person.id)}" style="cursor:pointer">`;
+      svg += `<title>${escapeHtml(displayName(person))}</title>`;
+      svg += `<path d="${path}" fill="${fill.fill}" stroke="${fill.stroke}" stroke-width="1"/>`;
+      svg += segmentText(person, cx, cy, inner, outer, a1, a2, generation, colors);
+      svg += '</g>';
+    });
+  }
+
+  return svg + '</svg>';
+}
+
+/**
+ * Download a fan chart SVG
+ * @param {string} svg - Markup from generateFanChartSVG()
+ * @param {string} filename - File name
+ */
+function downloadFanChartSvg(svg, filename = 'fan-chart.svg') {
+  if (!svg) return;
+  const blob = new Blob(['<?xml version="1.0" encoding="UTF-8"?>\n' + svg], { type: 'image/svg+xml' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+// Root person: a disc (full) or half disc (half) in the middle
+function centerSegment(person, cx, cy, full, colorBy, colors, isDark) {
+  const fill = segmentColor(person, colorBy, colors, isDark);
+  const r = CENTER_RADIUS;
+  const shape = full
+    ? `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${fill.fill}" stroke="${fill.stroke}" stroke-width="1.5"/>`
+    : `<path d="M ${cx - r} ${cy} A ${r} ${r} 0 0 1 ${cx + r} ${cy} Z" fill="${fill.fill}" stroke="${fill.stroke}" stroke-width="1.5"/>`;
+  const names = splitName(person);
+  const textY = full ? cy : cy - r / 3;
+
+  let svg = `<g class="fan-segment" data-id="${escapeHtml(person.id)}" style="cursor:pointer">`;
+  svg += `<title>${escapeHtml(displayName(person))}</title>` + shape;
+  svg += `<text x="${cx}" y="${textY}" text-anchor="middle" font-size="12" font-weight="bold" fill="${colors.text}">`;
+  svg += `<tspan x="${cx}" dy="-0.6em">${escapeHtml(truncate(names.given, 16))}</tspan>`;
+  svg += `<tspan x="${cx}" dy="1.2em">${escapeHtml(truncate(names.surname, 16))}</tspan>`;
+  svg += `<tspan x="${cx}" dy="1.2em" font-size="10" font-weight="normal">${escapeHtml(lifeYears(person))}</tspan>`;
+  return svg + '</text></g>';
+}
+
+// Inner rings have room for text along the arc, outer rings write along the radius
+function segmentText(person, cx, cy, inner, outer, a1, a2, generation, colors) {
+  const names = splitName(person);
+  const years = lifeYears(person);
+  const middle = (a1 + a2) / 2;
+  const r = (inner + outer) / 2;
+  const x = cx + r * Math.cos(middle);
+  const y = cy + r * Math.sin(middle);
+  const arcLength = r * (a2 - a1);
+  let degrees = middle * 180 / Math.PI;
+  let maxChars;
+  let fontSize;
+
+  if (arcLength > RING_WIDTH) {
+    // tangential: rotate so the text baseline follows the arc, keep it upright
+    degrees += 90;
+    if (Math.sin(middle) > 0.01) degrees += 180;
+    fontSize = generation <= 1 ? 12 : 11;
+    maxChars = Math.floor(arcLength / (fontSize * 0.6));
+  } else {
+    // radial: flip on the left side so it is not upside down
+    if (Math.cos(middle) < 0) degrees += 180;
+    fontSize = Math.max(7, Math.min(11, arcLength / 3.2));
+    maxChars = Math.floor((RING_WIDTH - 8) / (fontSize * 0.6));
+  }
+
+  let svg = `<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" transform="rotate(${degrees.toFixed(1)} ${x.toFixed(1)} ${y.toFixed(1)})" text-anchor="middle" font-size="${fontSize.toFixed(1)}" fill="${colors.text}">`;
+  svg += `<tspan x="${x.toFixed(1)}" dy="-0.5em" font-weight="bold">${escapeHtml(truncate(names.given, maxChars))}</tspan>`;
+  svg += `<tspan x="${x.toFixed(1)}" dy="1.1em">${escapeHtml(truncate(names.surname, maxChars))}</tspan>`;
+  if (years && arcLength > 30) {
+    svg += `<tspan x="${x.toFixed(1)}" dy="1.1em" font-size="${(fontSize * 0.85).toFixed(1)}">${escapeHtml(years)}</tspan>`;
+  }
+  return svg + '</text>';
+}
+
+// Annular sector between two angles (radians, 0 = right, clockwise as y grows down)
+function sectorPath(cx, cy, inner, outer, a1, a2) {
+  const largeArc = a2 - a1 > Math.PI ? 1 : 0;
+  const point = (r, a) => `${(cx + r * Math.cos(a)).toFixed(2)} ${(cy + r * Math.sin(a)).toFixed(2)}`;
+  return `M ${point(outer, a1)} A ${outer} ${outer} 0 ${largeArc} 1 ${point(outer, a2)} ` +
+    `L ${point(inner, a2)} A ${inner} ${inner} 0 ${largeArc} 0 ${point(inner, a1)} Z`;
+}
+
+function segmentColor(person, colorBy, colors, isDark) {
+  if (colorBy === 'surname') {
+    const surname = splitName(person).surname.toLowerCase();
+    if (surname) {
+      // same surname -> same hue
+      let hash = 0;
+      for (let i = 0; i < surname.length; i++) {
+        hash = (hash * 31 + surname.charCodeAt(i)) % 360;
+      }
+      return {
+        fill: `hsl(${hash}, 55%, ${isDark ? 28 : 82}%)`,
+        stroke: `hsl(${hash}, 45%, ${isDark ? 45 : 60}%)`
+      };
+    }
+    return { fill: colors.unknown, stroke: colors.unknownBorder };
+  }
+  const sex = person.SEX?.value;
+  if (sex === 'M') return { fill: colors.male, stroke: colors.maleBorder };
+  if (sex === 'F') return { fill: colors.female, stroke: colors.femaleBorder };
+  return { fill: colors.unknown, stroke: colors.unknownBorder };
+}
+
+// Father and mother from the first parent family (FAMC)
+function getParents(person, gedcomData) {
+  const parents = { father: null, mother: null };
+  if (!person || !person.FAMC) return parents;
+  const famcList = Array.isArray(person.FAMC) ? person.FAMC : [person.FAMC];
+  const family = famcList.map(f => gedcomData.families.get(f.id)).find(f => f);
+  if (!family) return parents;
+
+  const first = (links) => {
+    const list = links ? (Array.isArray(links) ? links : [links]) : [];
+    return list.map(l => gedcomData.indviduals.get(l.id)).find(p => p) || null;
+  };
+  parents.father = first(family.HUSB);
+  parents.mother = first(family.WIFE);
+  return parents;
+}
+
+// "John Henry /Smith/" -> { given: 'John Henry', surname: 'Smith' }
+function splitName(person) {
+  const name = person.NAME?.value || '';
+  const match = name.match(/^([^/]*)\/([^/]*)\/?(.*)$/);
+  if (match) {
+    return { given: (match[1] + ' ' + match[3]).trim(), surname: match[2].trim() };
+  }
+  return { given: name.trim() || person.id.replaceAll('@', ''), surname: '' };
+}
+
+function displayName(person) {
+  const names = splitName(person);
+  const years = lifeYears(person);
+  return (names.given + ' ' + names.surname).trim() + (years ? ' (' + years + ')' : '');
+}
+
+function lifeYears(person) {
+  const birth = getGregorianYear(person.BIRT?.DATE?.value);
+  const death = getGregorianYear(person.DEAT?.DATE?.value);
+  if (birth === null && death === null) return '';
+  return (birth !== null ? birth : '?') + '–' + (death !== null ? death : '');
+}
+
+function truncate(text, maxChars) {
+  if (!text || text.length <= maxChars) return text || '';
+  return text.substring(0, Math.max(1, maxChars - 1)) + '…';
+}
+
+export { generateFanChartSVG, downloadFanChartSvg };
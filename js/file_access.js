@@ -0,0 +1,133 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * File Access Module - edit a GEDCOM file in place with the File System
+ * Access API: the file handle is kept, so saving writes back to the same file
+ */
+
+const FILE_TYPES = [{
+  description: 'GEDCOM file',
+  accept: { 'text/plain': ['.ged', '.gedcom'] }
+}];
+
+/**
+ * Check whether the browser can write back to opened files (Chrome, Edge)
+ * @returns {boolean}
+ */
+function isFileAccessSupported() {
+  return typeof window !== 'undefined' && 'showOpenFilePicker' in window && 'showSaveFilePicker' in window;
+}
+
+/**
+ * Let the user pick a GEDCOM file to edit in place
+ * @returns {Promise<Object|null>} { link, file }, null if the picker was cancelled.
+ *   link = { handle, name, lastModified } is what the other functions take.
+ */
+async function openLinkedFile() {
+  let handle;
+  try {
+    [handle] = await window.showOpenFilePicker({ types: FILE_TYPES, excludeAcceptAllOption: false });
+  } catch (e) {
+    if (e.name === 'AbortError') return null;
+    throw e;
+  }
+  // ask now, while the click still counts as a user action; autosave cannot ask later
+  await requestWriteAccess(handle, true);
+  const file = await handle.getFile();
+  return { link: createLink(handle, file), file: file };
+}
+
+/**
+ * Open a file again from its handle, e.g. one kept in IndexedDB on an earlier visit.
+ * The browser asks for access again, so call this from a click.
+ * @param {FileSystemFileHandle} handle - File handle
+ * @returns {Promise<Object|null>} { link, file }, null if access was not allowed
+ */
+async function reopenLinkedFile(handle) {
+  if (!(await requestWriteAccess(handle, true))) return null;
+  const file = await handle.getFile();
+  return { link: createLink(handle, file), file: file };
+}
+
+/**
+ * Let the user choose where to save the tree, write it there and keep the handle
+ * @param {string} text - GEDCOM text
+ * @param {string} suggestedName - File name offered in the dialog
+ * @returns {Promise<Object|null>} link, null if the dialog was cancelled
+ */
+async function saveLinkedFileAs(text, suggestedName) {
+  let handle;
+  try {
+    handle = await window.showSaveFilePicker({ types: FILE_TYPES, suggestedName: suggestedName });
+  } catch (e) {
+    if (e.name === 'AbortError') return null;
+    throw e;
+  }
+  await writeHandle(handle, text);
+  return createLink(handle, await handle.getFile());
+}
+
+/**
+ * Write the tree back to its file
+ * @param {Object} link - From openLinkedFile() or saveLinkedFileAs(); updated after writing
+ * @param {string} text - GEDCOM text
+ * @param {boolean} overwriteChanged - Write even if the file was changed on disk by someone else
+ * @param {boolean} userAction - Called from a click or key press, so the browser may ask for access
+ * @returns {Promise<string>} 'saved', 'changed' (nothing written) or 'denied' (no write access)
+ */
+async function writeLinkedFile(link, text, overwriteChanged, userAction) {
+  if (!(await requestWriteAccess(link.handle, userAction))) return 'denied';
+  if (!overwriteChanged && await hasFileChanged(link)) return 'changed';
+  await writeHandle(link.handle, text);
+  link.lastModified = (await link.handle.getFile()).lastModified;
+  return 'saved';
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+// Changed by someone else since it was opened or last saved
+async function hasFileChanged(link) {
+  const file = await link.handle.getFile();
+  return file.lastModified !== link.lastModified;
+}
+
+function createLink(handle, file) {
+  return { handle: handle, name: file.name, lastModified: file.lastModified };
+}
+
+async function requestWriteAccess(handle, userAction) {
+  const options = { mode: 'readwrite' };
+  if ((await handle.queryPermission(options)) === 'granted') return true;
+  if (!userAction) return false;
+  try {
+    return (await handle.requestPermission(options)) === 'granted';
+  } catch (e) {
+    console.error('Could not ask for write access:', e);
+    return false;
+  }
+}
+
+async function writeHandle(handle, text) {
+  const writable = await handle.createWritable();
+  try {
+    // same encoding as the download, see "1 CHAR UTF-8" in the header
+    await writable.write(new Blob([text], { type: 'text/plain;charset=utf-8' }));
+  } catch (e) {
+    // the file on disk stays as it was
+    await writable.abort();
+    throw e;
+  }
+  await writable.close();
+}
+
+export {
+  isFileAccessSupported,
+  openLinkedFile,
+  reopenLinkedFile,
+  saveLinkedFileAs,
+  writeLinkedFile
+};
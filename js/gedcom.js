@@ -4,6 +4,8 @@
  * Licensed under MIT License - see LICENSE.txt
  */
 
+import { isGedcom7, isVoidPointer, normalizeFromGedcom7 } from './gedcom7.js';
+
 const NOT_SET = -1;
 const INIT_LEVEL = -10;
 
@@ -183,8 +185,9 @@ function resetRowLevel() {
 function getVisitedElement(elementList, top) {
     if (elementList && elementList.length > 0) {
         for (const elem of elementList) {
-            if (top.indviduals.get(elem.id).visited) {
-                return top.indviduals.get(elem.id);
+            const indi = top.indviduals.get(elem.id);
+            if (indi && indi.visited) {
+                return indi;
             }
         }
     }
@@ -243,9 +246,8 @@ function calculateDisplayPositions(top) {
                             if (nextElement || prevElement) break;
                         }
                     } else {
-                        let errorMsg = "Error in loaded data: No family node found in level 0 with id" + elem.id;
-                        console.log(errorMsg);
-                        alert(errorMsg);
+                        // Reported in the Problems panel (validator.js); just skip the broken link here
+                        console.warn("Error in loaded data: No family node found in level 0 with id " + elem.id);
                     }
                 }
             }
@@ -290,8 +292,6 @@ function updateMapsForDisplay (top) {
 }
 
 var parse = function () {
-    let element_top = formatLine("-1 TOP"),
-        lastElement = element_top;
     let lines = document.dataUnparsed;
     if (!lines || lines.length === 0) {
         // Default family tree: You, Your Father, Your Mother
@@ -329,42 +329,106 @@ var parse = function () {
         ];
         document.dataUnparsed = lines;
     }
+    return parseLines(lines);
+}
 
+/**
+ * Parse GEDCOM text into a separate tree (with its indviduals/families maps)
+ * without touching the tree that is open, e.g. a file to merge in
+ * @param {string} text - GEDCOM text
+ * @returns {FamilyRow} Top row of the parsed tree
+ */
+function parseGedcomText(text) {
+    return updateMapsForDisplay(parseLines(text.replace(/^\uFEFF/, '').split('\n')));
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+function parseLines(lines) {
+    let element_top = formatLine("-1 TOP"),
+        lastElement = element_top,
+        // the row whose value CONT/CONC lines may still continue
+        openElement = null;
     lines.map(String)
-        .map(line => line.trim())
-        .filter(line => line.length > 0)
+        // keep trailing spaces: they are significant inside CONC continuations
+        .map(line => line.replace(/^\s+/, '').replace(/[\r\n]+$/, ''))
+        .filter(line => line.trim().length > 0)
         .forEach(function (line) {
-            const element = formatLine(line.trim());
+            const element = formatLine(line);
+            if (!isContinuationTag(element.tag)) {
+                trimValue(openElement);
+                openElement = element;
+            }
             lastElement = parseLine(element, lastElement, element_top);
         });
+    trimValue(openElement);
+    if (isGedcom7(element_top)) {
+        normalizeFromGedcom7(element_top);
+    }
     return element_top;
 }
 
-/*************************************
-/* Private Functions
-/*************************************/
 function parseLine(element, lastElement) {
     var parent_elem = lastElement;
     while (parent_elem.level > element.level - 1) {
         parent_elem = parent_elem.parent;
     }
 
+    if (isContinuationTag(element.tag)) {
+        // CONT/CONC are not real children: fold them into the parent's value
+        // and keep the parent as the last element so following lines nest correctly
+        appendContinuation(parent_elem, element);
+        return parent_elem;
+    }
+
+    element.parent = parent_elem;
+    if (isLinkTag(element.tag) && isVoidPointer(element.id)) {
+        // GEDCOM 7.0 "no such person/family": keep it (and its PHRASE) out of the tree
+        return element;
+    }
+
     var tag = parent_elem[element.tag];
     if (tag instanceof Array) {
         tag.push(element);
     } else if (tag) {
         parent_elem[element.tag] = [tag, element];
-    } else if (element.tag === 'FAMS' || element.tag === 'FAMC' || element.tag === 'CHIL' || element.tag === 'HUSB' || element.tag === 'WIFE') {
+    } else if (isLinkTag(element.tag)) {
         parent_elem[element.tag] = [element];
     } else {
         parent_elem[element.tag] = element;
     }
     // parent_elem.children.push(element);
-    element.parent = parent_elem;
     return element;
 }
 
+function isLinkTag(tag) {
+    return tag === 'FAMS' || tag === 'FAMC' || tag === 'CHIL' || tag === 'HUSB' || tag === 'WIFE';
+}
+
+
+
+function isContinuationTag(tag) {
+    return tag === 'CONT' || tag === 'CONC';
+}
+
+// CONT starts a new line in the logical value, CONC glues text on directly
+function appendContinuation(parent_elem, element) {
+    const text = element.value !== undefined ? element.value : '';
+    const current = parent_elem.value !== undefined ? parent_elem.value : '';
+    parent_elem.value = element.tag === 'CONT' ? current + '\n' + text : current + text;
+}
 
+// Trailing spaces only go once the continuations are folded in: "long " + CONC "note"
+function trimValue(element) {
+    if (!element || typeof element.value !== 'string') return;
+    const value = element.value.replace(/[ \t]+$/, '');
+    if (value) {
+        element.value = value;
+    } else {
+        delete element.value;
+    }
+}
 
 function formatLine(line) {
     try {
@@ -384,11 +448,16 @@ function formatLine(line) {
         tag = tmp;
         if (split.length > 0) {
             value = split.join(' ');
-            if (value.match(/@[^@]+@/)) {
-                // contains a reference...
-                // Family Tree Legends seems to put id in value some times, other times it will put it in id location...
-                id = value;
-                value = null;
+            // continuation text is kept verbatim and is never a pointer
+            if (!isContinuationTag(tag)) {
+                // a pointer is the whole value; "@#D...@" is a calendar escape and
+                // "a@b.c x@y" is plain text
+                if (value.match(/^@[^@#][^@]*@$/)) {
+                    // contains a reference...
+                    // Family Tree Legends seems to put id in value some times, other times it will put it in id location...
+                    id = value;
+                    value = null;
+                }
             }
         }
     } catch (e) {
@@ -419,4 +488,4 @@ let printObj = function (obj, i) {
     return string;
 }
 
-export { display as default, FamilyRow };
+export { display as default, FamilyRow, parseGedcomText };
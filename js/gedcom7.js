@@ -0,0 +1,301 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * GEDCOM 7.0 support. The editor keeps the parsed tree in GEDCOM 5.5.1 form:
+ * 7.0 files are normalised right after parsing and converted back on export.
+ */
+
+const GEDCOM_551_VERSION = '5.5.1';
+const GEDCOM_7_VERSION = '7.0';
+
+// 7.0 null pointer, e.g. "1 HUSB @VOID@" for an unknown husband
+const VOID_POINTER = '@VOID@';
+
+// Base URI for the extension tags this editor declares in HEAD.SCHMA
+const EXTENSION_URI_BASE = 'https://amalamalpm.github.io/gedcom/';
+
+// Tags the editor writes that are in neither standard. 7.0 requires
+// extension tags to start with an underscore, so these are renamed on export
+const RENAMED_EXTENSION_TAGS = { IMG: '_IMG' };
+
+// Underscore tags created by the editor itself (declared in HEAD.SCHMA on 7.0 export)
+const EDITOR_EXTENSION_TAGS = [
+    '_IMG', '_NICK', '_BLOODGRP', '_COMPANY', '_CURRENT', '_PRIMARY', '_WWW',
+    '_WHATSAPP', '_FACEBOOK', '_INSTAGRAM', '_LINKEDIN', '_TWITTER', '_YOUTUBE'
+];
+
+// 5.5.1 calendar escape -> 7.0 calendar keyword (Gregorian is the default in 7.0)
+const CALENDAR_KEYWORDS = {
+    '@#DGREGORIAN@': '',
+    '@#DJULIAN@': 'JULIAN',
+    '@#DHEBREW@': 'HEBREW',
+    '@#DFRENCH R@': 'FRENCH_R'
+};
+
+/**
+ * Get the GEDCOM version declared in HEAD.GEDC.VERS
+ * @param {FamilyRow} top - Parsed tree
+ * @returns {string|null} Version string, e.g. "5.5.1" or "7.0"
+ */
+function getGedcomVersion(top) {
+    const vers = top && top.HEAD && top.HEAD.GEDC && top.HEAD.GEDC.VERS;
+    return vers && vers.value ? vers.value : null;
+}
+
+function isGedcom7(top) {
+    const version = getGedcomVersion(top);
+    return version !== null && version.startsWith('7');
+}
+
+function isVoidPointer(id) {
+    return id === VOID_POINTER;
+}
+
+/*************************************
+/* Import: 7.0 -> editor (5.5.1)
+/*************************************/
+
+/**
+ * Rewrite a freshly parsed GEDCOM 7.0 tree into the 5.5.1 form the editor works with:
+ * SNOTE becomes NOTE, _IMG becomes IMG, SEX X becomes O and dates get their
+ * calendar escapes and PHRASE back. HEAD.SCHMA and EXID are kept as is.
+ * @param {FamilyRow} top - Parsed tree, modified in place
+ */
+function normalizeFromGedcom7(top) {
+    normalizeRow(top);
+}
+
+function normalizeRow(row) {
+    renameChild(row, 'SNOTE', 'NOTE');
+    for (const tag in RENAMED_EXTENSION_TAGS) {
+        renameChild(row, RENAMED_EXTENSION_TAGS[tag], tag);
+    }
+    forEachChild(row, normalizeRow);
+
+    if (row.tag === 'SEX' && row.value === 'X') {
+        row.value = 'O';
+    } else if (row.tag === 'DATE') {
+        const phraseRow = row.PHRASE && !Array.isArray(row.PHRASE) ? row.PHRASE : null;
+        const converted = dateFromGedcom7(row.value, phraseRow ? phraseRow.value : null);
+        if (converted.value) {
+            row.value = converted.value;
+        } else {
+            delete row.value;
+        }
+        if (phraseRow && !converted.phrase) {
+            delete row.PHRASE;
+        }
+    }
+}
+
+/**
+ * Convert a 7.0 date (plus optional PHRASE) to 5.5.1 date grammar
+ * @param {string} value - 7.0 date, e.g. "BET JULIAN 1700 AND 1710"
+ * @param {string|null} phrase - PHRASE payload
+ * @returns {{value: string, phrase: (string|null)}} phrase is non-null when it could not be folded in
+ */
+function dateFromGedcom7(value, phrase) {
+    let date = (value || '').trim()
+        .replace(/\b(GREGORIAN|JULIAN|HEBREW|FRENCH_R)\s+/g, function (match, keyword) {
+            const escape = Object.keys(CALENDAR_KEYWORDS).find(key => CALENDAR_KEYWORDS[key] === keyword);
+            return escape && CALENDAR_KEYWORDS[escape] ? escape + ' ' : '';
+        })
+        .replace(/\s+BCE\b/g, ' B.C.');
+
+    if (!phrase) {
+        return { value: date, phrase: null };
+    }
+    // 7.0 has no dual years: converters keep the original "1731/32" in the phrase
+    if (/^([A-Z]+\s+|\d{1,2}\s+)*\d+\/\d{1,2}$/i.test(phrase.trim())) {
+        return { value: phrase.trim().toUpperCase(), phrase: null };
+    }
+    if (!date) {
+        return { value: '(' + phrase + ')', phrase: null };
+    }
+    // INT is only allowed in front of a single exact date
+    if (!/^(ABT|CAL|EST|BEF|AFT|BET|FROM|TO)\b/.test(date)) {
+        return { value: 'INT ' + date + ' (' + phrase + ')', phrase: null };
+    }
+    return { value: date, phrase: phrase };
+}
+
+/*************************************
+/* Export: editor (5.5.1) -> 7.0
+/*************************************/
+
+/**
+ * Map one row of the in-memory tree to its GEDCOM 7.0 form
+ * @param {FamilyRow} row - Row to convert (not modified)
+ * @returns {{tag: string, value: (string|undefined), phrase: (string|null)}}
+ */
+function rowToGedcom7(row) {
+    let tag = RENAMED_EXTENSION_TAGS[row.tag] || row.tag;
+    let value = row.value;
+    let phrase = null;
+
+    if (tag === 'NOTE' && row.id !== undefined && (row.level == 0 || value === undefined)) {
+        // shared note record or a pointer to one
+        tag = 'SNOTE';
+    } else if (tag === '_EXID') {
+        tag = 'EXID';
+    } else if (tag === 'SEX' && value === 'O') {
+        value = 'X';
+    } else if (tag === 'DATE' && value !== undefined) {
+        const converted = dateToGedcom7(value);
+        value = converted.value || undefined;
+        phrase = converted.phrase;
+    }
+    return { tag: tag, value: value, phrase: phrase };
+}
+
+/**
+ * Map one row of the in-memory tree to its GEDCOM 5.5.1 form
+ * @param {FamilyRow} row - Row to convert (not modified)
+ * @returns {{tag: string, value: (string|undefined), phrase: null}}
+ */
+function rowToGedcom551(row) {
+    // EXID only exists in 7.0; keep it as an extension tag
+    const tag = row.tag === 'EXID' ? '_EXID' : row.tag;
+    return { tag: tag, value: row.value, phrase: null };
+}
+
+/**
+ * Convert a 5.5.1 date to 7.0 date grammar. Date phrases, INT and dual
+ * years move into a PHRASE; calendar escapes become keywords.
+ * @param {string} value - 5.5.1 date, e.g. "INT 5 FEB 1731/32 (old style)"
+ * @returns {{value: string, phrase: (string|null)}}
+ */
+function dateToGedcom7(value) {
+    const original = value.trim();
+    let date = original;
+    let phrase = null;
+
+    const phraseOnly = date.match(/^\((.*)\)$/);
+    if (phraseOnly) {
+        return { value: '', phrase: phraseOnly[1] };
+    }
+    const interpreted = date.match(/^INT\s+(.*?)\s*\((.*)\)$/i);
+    if (interpreted) {
+        date = interpreted[1];
+        phrase = interpreted[2];
+    }
+
+    date = date.replace(/(\d+)\/(\d{1,2})\b/g, function (match, year, alternate) {
+        phrase = phrase || original;
+        return String(laterDualYear(year, alternate));
+    });
+
+    for (const escape in CALENDAR_KEYWORDS) {
+        const keyword = CALENDAR_KEYWORDS[escape];
+        date = date.split(escape).join(keyword).replace(/\s+/g, ' ').trim();
+    }
+    if (date.includes('@#D')) {
+        // calendar without a 7.0 equivalent (e.g. @#DROMAN@): keep it readable
+        return { value: '', phrase: phrase || original };
+    }
+
+    date = date.replace(/\s*\bB\.C\./gi, ' BCE');
+    return { value: date.toUpperCase(), phrase: phrase };
+}
+
+// "1731/32" -> 1732, "1799/00" -> 1800
+function laterDualYear(year, alternate) {
+    let later = parseInt(year.substring(0, year.length - alternate.length) + alternate);
+    if (later <= parseInt(year)) {
+        later += Math.pow(10, alternate.length);
+    }
+    return later;
+}
+
+/**
+ * Collect the HEAD.SCHMA declarations of the imported file
+ * @param {FamilyRow} head - HEAD row
+ * @returns {Map<string, string>} Extension tag -> URI
+ */
+function getDeclaredExtensions(head) {
+    const declared = new Map();
+    const schema = head && head.SCHMA;
+    toArray(schema && schema.TAG).forEach(function (tagRow) {
+        const parts = (tagRow.value || '').split(' ');
+        if (parts.length >= 2) {
+            declared.set(parts[0], parts[1]);
+        }
+    });
+    return declared;
+}
+
+/**
+ * Build the HEAD.SCHMA TAG lines for the extension tags used in an export
+ * @param {FamilyRow} head - HEAD row of the tree
+ * @param {Set<string>} usedTags - Tags written in the export
+ * @returns {string[]} "_TAG uri" payloads, sorted
+ */
+function getSchemaDeclarations(head, usedTags) {
+    const declared = getDeclaredExtensions(head);
+    const result = [];
+    usedTags.forEach(function (tag) {
+        if (declared.has(tag)) {
+            result.push(tag + ' ' + declared.get(tag));
+        } else if (EDITOR_EXTENSION_TAGS.includes(tag)) {
+            result.push(tag + ' ' + EXTENSION_URI_BASE + tag);
+        }
+    });
+    return result.sort();
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function forEachChild(row, callback) {
+    for (const key in row) {
+        if (key === 'parent') continue;
+        const value = row[key];
+        if (typeof value === 'object' && value !== null) {
+            const valueTypeName = value.constructor.name;
+            if (valueTypeName === 'FamilyRow') {
+                callback(value);
+            } else if (valueTypeName === 'Array') {
+                value.forEach(callback);
+            }
+        }
+    }
+}
+
+// Move row[from] to row[to], merging with rows already stored under the new tag
+function renameChild(row, from, to) {
+    if (!row[from]) return;
+    const moved = toArray(row[from]);
+    delete row[from];
+    moved.forEach(function (child) {
+        child.tag = to;
+        const existing = row[to];
+        if (existing === undefined) {
+            row[to] = child;
+        } else if (Array.isArray(existing)) {
+            existing.push(child);
+        } else {
+            row[to] = [existing, child];
+        }
+    });
+}
+
+export {
+    GEDCOM_551_VERSION,
+    GEDCOM_7_VERSION,
+    getGedcomVersion,
+    isGedcom7,
+    isVoidPointer,
+    normalizeFromGedcom7,
+    dateFromGedcom7,
+    dateToGedcom7,
+    rowToGedcom7,
+    rowToGedcom551,
+    getSchemaDeclarations
+};
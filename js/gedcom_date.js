@@ -0,0 +1,412 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * GEDCOM date model. Parses 5.5.1 date values (ABT, CAL, EST, BEF, AFT,
+ * BET...AND, FROM...TO, INT, date phrases, dual years and calendar escapes)
+ * and converts every date to a Julian Day Number so dates from different
+ * calendars can be sorted and compared.
+ */
+
+const GREGORIAN = 'GREGORIAN';
+const JULIAN = 'JULIAN';
+const HEBREW = 'HEBREW';
+const FRENCH = 'FRENCH_R';
+
+// Calendar escape (or GEDCOM 7.0 keyword) -> calendar
+const CALENDAR_ESCAPES = {
+    '@#DGREGORIAN@': GREGORIAN,
+    '@#DJULIAN@': JULIAN,
+    '@#DHEBREW@': HEBREW,
+    '@#DFRENCH_R@': FRENCH,
+    'GREGORIAN': GREGORIAN,
+    'JULIAN': JULIAN,
+    'HEBREW': HEBREW,
+    'FRENCH_R': FRENCH
+};
+
+const MONTHS = {
+    [GREGORIAN]: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+    [JULIAN]: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+    // civil order, starting at Tishri. ADS (Adar Sheni) only exists in leap years
+    [HEBREW]: ['TSH', 'CSH', 'KSL', 'TVT', 'SHV', 'ADR', 'ADS', 'NSN', 'IYR', 'SVN', 'TMZ', 'AAV', 'ELL'],
+    [FRENCH]: ['VEND', 'BRUM', 'FRIM', 'NIVO', 'PLUV', 'VENT', 'GERM', 'FLOR', 'PRAI', 'MESS', 'THER', 'FRUC', 'COMP']
+};
+
+// Julian Day Numbers of calendar epochs
+const HEBREW_EPOCH = 347998;      // 1 TSH 1 = 7 OCT 3761 B.C. (Julian)
+const FRENCH_EPOCH = 2375840;     // 1 VEND 1 = 22 SEP 1792
+
+// Years of the French Republican calendar that had a sixth complementary day
+const FRENCH_SEXTILE_YEARS = [3, 7, 11];
+
+const DAYS_PER_YEAR = 365.2425;
+
+/**
+ * Parse a GEDCOM date value
+ * @param {string} value - e.g. "BET @#DJULIAN@ 1700 AND 5 FEB 1731/32"
+ * @returns {Object|null} { original, qualifier, start, end, phrase, valid } or null for empty input.
+ *   start/end are date points { calendar, year, month, day, dualYear, earliest, latest }
+ *   where earliest/latest are Julian Day Numbers. Open ended ranges (BEF, AFT, TO, FROM)
+ *   have a null start or end.
+ */
+function parseGedcomDate(value) {
+    if (value === undefined || value === null) return null;
+    const original = String(value).trim();
+    if (!original) return null;
+
+    const result = { original: original, qualifier: null, start: null, end: null, phrase: null, valid: false };
+    let text = original.toUpperCase().replace(/@#DFRENCH R@/g, '@#DFRENCH_R@').replace(/\s+/g, ' ');
+
+    const phraseOnly = original.match(/^\((.*)\)$/);
+    if (phraseOnly) {
+        result.phrase = phraseOnly[1];
+        return withFallbackYear(result);
+    }
+
+    const interpreted = text.match(/^INT (.*?) ?\((.*)\)$/);
+    if (interpreted) {
+        result.qualifier = 'INT';
+        result.phrase = original.substring(original.indexOf('(') + 1, original.lastIndexOf(')'));
+        text = interpreted[1];
+    }
+
+    let match;
+    if ((match = text.match(/^BET (.+) AND (.+)$/))) {
+        result.qualifier = 'BET';
+        result.start = parseDatePoint(match[1]);
+        result.end = parseDatePoint(match[2]);
+        result.valid = !!(result.start && result.end);
+    } else if ((match = text.match(/^FROM (.+) TO (.+)$/))) {
+        result.qualifier = 'FROM';
+        result.start = parseDatePoint(match[1]);
+        result.end = parseDatePoint(match[2]);
+        result.valid = !!(result.start && result.end);
+    } else if ((match = text.match(/^(FROM|AFT) (.+)$/))) {
+        result.qualifier = match[1];
+        result.start = parseDatePoint(match[2]);
+        result.valid = !!result.start;
+    } else if ((match = text.match(/^(TO|BEF) (.+)$/))) {
+        result.qualifier = match[1];
+        result.end = parseDatePoint(match[2]);
+        result.valid = !!result.end;
+    } else {
+        if ((match = text.match(/^(ABT|CAL|EST) (.+)$/))) {
+            result.qualifier = match[1];
+            text = match[2];
+        }
+        result.start = parseDatePoint(text);
+        result.end = result.start;
+        result.valid = !!result.start;
+    }
+    return result.valid ? result : withFallbackYear(result);
+}
+
+/**
+ * Number used to sort dates chronologically (a Julian Day Number).
+ * "BEF X" sorts just before X, "AFT X" just after, a year alone before
+ * any full date in that year.
+ * @param {string|Object} date - Date value or parseGedcomDate() result
+ * @returns {number|null}
+ */
+function getDateSortKey(date) {
+    const parsed = typeof date === 'string' ? parseGedcomDate(date) : date;
+    if (!parsed) return null;
+    // the rest of "BEF ..." etc. may not be a date at all
+    if (parsed.qualifier === 'BEF') return parsed.end ? parsed.end.earliest - 1 : null;
+    if (parsed.qualifier === 'AFT') return parsed.start ? parsed.start.latest + 1 : null;
+    if (parsed.qualifier === 'TO') return parsed.end ? parsed.end.latest : null;
+    if (parsed.start) return parsed.start.earliest;
+    return null;
+}
+
+/**
+ * Compare two date values for Array.sort. Undated values go last.
+ * @param {string|Object} a - Date value or parsed date
+ * @param {string|Object} b - Date value or parsed date
+ * @returns {number}
+ */
+function compareGedcomDates(a, b) {
+    const keyA = getDateSortKey(a);
+    const keyB = getDateSortKey(b);
+    if (keyA === null && keyB === null) return 0;
+    if (keyA === null) return 1;
+    if (keyB === null) return -1;
+    return keyA - keyB;
+}
+
+/**
+ * Gregorian year of a date value, whatever calendar it is written in.
+ * Replaces the old "first four digits" extraction.
+ * @param {string|Object} date - Date value or parsed date
+ * @returns {number|null} Year (negative for B.C., astronomical numbering)
+ */
+function getGregorianYear(date) {
+    const jdn = getReferenceJdn(typeof date === 'string' ? parseGedcomDate(date) : date);
+    return jdn === null ? null : jdnToGregorian(jdn).year;
+}
+
+/**
+ * Earliest and latest Julian Day Number a date value can stand for.
+ * ABT/CAL/EST are taken as +/- 5 years; open ends are +/-Infinity.
+ * @param {string|Object} date - Date value or parsed date
+ * @returns {{earliest: number, latest: number}|null}
+ */
+function getDateBounds(date) {
+    const parsed = typeof date === 'string' ? parseGedcomDate(date) : date;
+    if (!parsed || (!parsed.start && !parsed.end)) return null;
+    let earliest = parsed.start ? parsed.start.earliest : -Infinity;
+    let latest = parsed.end ? parsed.end.latest : Infinity;
+    // (a year guessed from an unparseable date sets both ends: the open one is dropped)
+    if (parsed.qualifier === 'BEF' && parsed.end) {
+        earliest = -Infinity;
+        latest = parsed.end.earliest - 1;
+    }
+    if (parsed.qualifier === 'AFT' && parsed.start) {
+        earliest = parsed.start.latest + 1;
+        latest = Infinity;
+    }
+    if (parsed.qualifier === 'ABT' || parsed.qualifier === 'CAL' || parsed.qualifier === 'EST') {
+        earliest -= Math.round(5 * DAYS_PER_YEAR);
+        latest += Math.round(5 * DAYS_PER_YEAR);
+    }
+    return { earliest: earliest, latest: latest };
+}
+
+/**
+ * Age in whole years between two date values
+ * @param {string} birthDate - Birth date value
+ * @param {string} eventDate - Event date value
+ * @returns {number|null} Age or null if either date has no usable year
+ */
+function calculateYearsBetween(birthDate, eventDate) {
+    const birth = parseGedcomDate(birthDate);
+    const event = parseGedcomDate(eventDate);
+    const birthJdn = getReferenceJdn(birth);
+    const eventJdn = getReferenceJdn(event);
+    if (birthJdn === null || eventJdn === null) return null;
+
+    const from = jdnToGregorian(birthJdn);
+    const to = jdnToGregorian(eventJdn);
+    let years = to.year - from.year;
+    // Only trust month/day when both dates have them
+    if (hasFullDate(birth) && hasFullDate(event) &&
+        (to.month < from.month || (to.month === from.month && to.day < from.day))) {
+        years--;
+    }
+    return years;
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+// Parse "[calendar] [day] [month] year[/yy] [B.C.]" into a date point
+function parseDatePoint(text) {
+    const tokens = text.trim().split(' ').filter(token => token.length > 0);
+    let calendar = GREGORIAN;
+    if (tokens.length > 0 && CALENDAR_ESCAPES[tokens[0]]) {
+        calendar = CALENDAR_ESCAPES[tokens.shift()];
+    }
+    let bc = false;
+    if (tokens.length > 0 && /^(B\.C\.|BC|BCE)$/.test(tokens[tokens.length - 1])) {
+        tokens.pop();
+        bc = true;
+    }
+
+    const yearMatch = tokens.length > 0 ? tokens.pop().match(/^(\d+)(?:\/(\d{1,2}))?$/) : null;
+    if (!yearMatch) return null;
+    let year = parseInt(yearMatch[1]);
+    let dualYear = null;
+    if (yearMatch[2] !== undefined) {
+        // Old Style/New Style: "1731/32" is 1732 in today's numbering
+        dualYear = parseInt(yearMatch[1].substring(0, yearMatch[1].length - yearMatch[2].length) + yearMatch[2]);
+        if (dualYear <= year) dualYear += Math.pow(10, yearMatch[2].length);
+    }
+
+    let month = null;
+    if (tokens.length > 0 && /^[A-Z]+$/.test(tokens[tokens.length - 1])) {
+        const index = MONTHS[calendar].indexOf(tokens.pop());
+        if (index < 0) return null;
+        month = index + 1;
+    }
+    let day = null;
+    if (tokens.length > 0 && month !== null && /^\d{1,2}$/.test(tokens[tokens.length - 1])) {
+        day = parseInt(tokens.pop());
+    }
+    if (tokens.length > 0) return null;
+
+    // astronomical year numbering: 1 B.C. is year 0
+    const effectiveYear = bc ? 1 - year : (dualYear || year);
+    const range = toJdnRange(calendar, effectiveYear, month, day);
+    if (!range) return null;
+    return {
+        calendar: calendar,
+        year: year,
+        month: month,
+        day: day,
+        dualYear: dualYear,
+        bc: bc,
+        earliest: range.earliest,
+        latest: range.latest
+    };
+}
+
+// Free-form text we cannot parse: keep the old behaviour of using a bare year if one is there
+function withFallbackYear(result) {
+    const match = result.original.match(/\b(\d{3,4})\b/);
+    if (match) {
+        const year = parseInt(match[1]);
+        const range = toJdnRange(GREGORIAN, year, null, null);
+        result.start = result.end = {
+            calendar: GREGORIAN, year: year, month: null, day: null, dualYear: null, bc: false,
+            earliest: range.earliest, latest: range.latest
+        };
+    }
+    return result;
+}
+
+// The day a date value refers to: the date itself for BEF/AFT/TO, the start of ranges
+function getReferenceJdn(parsed) {
+    if (!parsed) return null;
+    if (parsed.start) return parsed.start.earliest;
+    if (parsed.end) return parsed.end.earliest;
+    return null;
+}
+
+function hasFullDate(parsed) {
+    const point = parsed && (parsed.start || parsed.end);
+    return !!(parsed && parsed.valid && point && point.day !== null);
+}
+
+// First and last day covered by a (possibly partial) date
+function toJdnRange(calendar, year, month, day) {
+    const firstMonth = month !== null ? month : 1;
+    const lastMonth = month !== null ? month : MONTHS[calendar].length;
+    const lastDay = daysInMonth(calendar, year, lastMonth);
+    // e.g. ADS in a Hebrew common year, or 30 FEB
+    if (lastDay === 0 || (day !== null && (day < 1 || day > lastDay))) return null;
+    return {
+        earliest: toJdn(calendar, year, firstMonth, day !== null ? day : 1),
+        latest: toJdn(calendar, year, lastMonth, day !== null ? day : lastDay)
+    };
+}
+
+function toJdn(calendar, year, month, day) {
+    switch (calendar) {
+        case JULIAN: return julianToJdn(year, month, day);
+        case HEBREW: return hebrewToJdn(year, month, day);
+        case FRENCH: return frenchToJdn(year, month, day);
+        default: return gregorianToJdn(year, month, day);
+    }
+}
+
+function daysInMonth(calendar, year, month) {
+    switch (calendar) {
+        case HEBREW: return hebrewMonthLength(year, month);
+        case FRENCH: return month === 13 ? (FRENCH_SEXTILE_YEARS.includes(year) ? 6 : 5) : 30;
+        case JULIAN:
+        case GREGORIAN: {
+            const lengths = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+            const leap = calendar === JULIAN
+                ? year % 4 === 0
+                : (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+            return month === 2 && leap ? 29 : lengths[month - 1];
+        }
+    }
+    return 30;
+}
+
+function gregorianToJdn(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) -
+        Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+}
+
+function julianToJdn(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+}
+
+function jdnToGregorian(jdn) {
+    const a = jdn + 32044;
+    const b = Math.floor((4 * a + 3) / 146097);
+    const c = a - Math.floor(146097 * b / 4);
+    const d = Math.floor((4 * c + 3) / 1461);
+    const e = c - Math.floor(1461 * d / 4);
+    const m = Math.floor((5 * e + 2) / 153);
+    return {
+        day: e - Math.floor((153 * m + 2) / 5) + 1,
+        month: m + 3 - 12 * Math.floor(m / 10),
+        year: 100 * b + d - 4800 + Math.floor(m / 10)
+    };
+}
+
+// Hebrew calendar arithmetic (molad based, with the four postponement rules)
+function hebrewIsLeapYear(year) {
+    return ((7 * year + 1) % 19) < 7;
+}
+
+function hebrewElapsedDays(year) {
+    const monthsElapsed = Math.floor((235 * year - 234) / 19);
+    const partsElapsed = 12084 + 13753 * monthsElapsed;
+    const day = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+    return (3 * (day + 1)) % 7 < 3 ? day + 1 : day;
+}
+
+function hebrewNewYear(year) {
+    const previous = hebrewElapsedDays(year - 1);
+    const current = hebrewElapsedDays(year);
+    const next = hebrewElapsedDays(year + 1);
+    let correction = 0;
+    if (next - current === 356) {
+        correction = 2;
+    } else if (current - previous === 382) {
+        correction = 1;
+    }
+    return HEBREW_EPOCH + current + correction;
+}
+
+function hebrewYearLength(year) {
+    return hebrewNewYear(year + 1) - hebrewNewYear(year);
+}
+
+// month is the GEDCOM index: 1 = TSH ... 6 = ADR, 7 = ADS ... 13 = ELL
+function hebrewMonthLength(year, month) {
+    const yearLength = hebrewYearLength(year);
+    switch (month) {
+        case 2: return yearLength % 10 === 5 ? 30 : 29;  // Cheshvan is long in complete years
+        case 3: return yearLength % 10 === 3 ? 29 : 30;  // Kislev is short in deficient years
+        case 6: return hebrewIsLeapYear(year) ? 30 : 29;
+        case 7: return hebrewIsLeapYear(year) ? 29 : 0;
+        case 4: case 9: case 11: case 13: return 29;
+        default: return 30;
+    }
+}
+
+function hebrewToJdn(year, month, day) {
+    let jdn = hebrewNewYear(year);
+    for (let m = 1; m < month; m++) {
+        jdn += hebrewMonthLength(year, m);
+    }
+    return jdn + day - 1;
+}
+
+function frenchToJdn(year, month, day) {
+    const sextileDays = FRENCH_SEXTILE_YEARS.filter(sextile => sextile < year).length;
+    return FRENCH_EPOCH + 365 * (year - 1) + sextileDays + 30 * (month - 1) + day - 1;
+}
+
+export {
+    parseGedcomDate,
+    getDateSortKey,
+    compareGedcomDates,
+    getGregorianYear,
+    getDateBounds,
+    calculateYearsBetween
+};
@@ -6,6 +6,7 @@
 
 import {FamilyRow} from './gedcom.js';
 import {escapeHtml, validateImageFile, sanitizeImportedValue} from './security.js';
+import {calculateYearsBetween} from './gedcom_date.js';
 
 const debugTrace = false; // SECURITY: Disabled for production
 
@@ -1215,22 +1216,8 @@ function getEventTypesList() {
  * @returns {number|null} Age in years or null if cannot calculate
  */
 function calculateAge(birthDate, eventDate) {
-    const birthYear = extractYearFromDate(birthDate);
-    const eventYear = extractYearFromDate(eventDate);
-    
-    if (!birthYear || !eventYear) return null;
-    return eventYear - birthYear;
-}
-
-/**
- * Extract year from GEDCOM date string
- * @param {string} dateStr - Date string like "23 APR 1564" or "ABT 1850"
- * @returns {number|null} Year or null
- */
-function extractYearFromDate(dateStr) {
-    if (!dateStr) return null;
-    const match = dateStr.match(/\b(\d{4})\b/);
-    return match ? parseInt(match[1]) : null;
+    // Full dates give an exact age, calendars are converted ("@#DJULIAN@ ...")
+    return calculateYearsBetween(birthDate, eventDate);
 }
 
 /**
@@ -1396,7 +1383,9 @@ function isEmptyFamily(familyRow) {
 }
 
 function clearFromFam(id, rootFamilyRow) {
-    rootFamilyRow.FAM.forEach((familyRow) => {
+    // a tree with a single family has FAM as a row, not an array
+    const families = Array.isArray(rootFamilyRow.FAM) ? rootFamilyRow.FAM : (rootFamilyRow.FAM ? [rootFamilyRow.FAM] : []);
+    families.forEach((familyRow) => {
         let updated = false;
         if (familyRow.CHIL && Array.isArray(familyRow.CHIL)) {
             if(deleteIDFromArray(familyRow.CHIL, id).length > 0) {
@@ -1716,7 +1705,10 @@ export {
     handleNodeValueChange, 
     handleNodeValueWithNewNode, 
     deleteNode, 
+    deleteIndi,
+    deleteFam,
     handleImgFileSelect,
+    formatFieldLabel,
     getEventTypesList,
     calculateAge,
     formatDateWithAge,
@@ -0,0 +1,165 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Character encoding detection and decoding for GEDCOM files.
+ * Handles byte order marks, the HEAD "1 CHAR" declaration, UTF-16,
+ * Windows-1252 and ANSEL (the default encoding of GEDCOM 5.5 and older).
+ */
+
+const ANSEL = 'ansel';
+
+// Only the start of the file is scanned for the HEAD CHAR line
+const HEADER_SCAN_BYTES = 4096;
+
+// HEAD.CHAR value -> decoder label
+const CHAR_ENCODINGS = {
+    'UTF-8': 'utf-8',
+    'UTF8': 'utf-8',
+    'UNICODE': 'utf-16le',
+    'UTF-16': 'utf-16le',
+    'ANSEL': ANSEL,
+    'ANSI': 'windows-1252',
+    'WINDOWS-1252': 'windows-1252',
+    'CP1252': 'windows-1252',
+    'IBM WINDOWS': 'windows-1252',
+    'IBM_WINDOWS': 'windows-1252',
+    'ISO-8859-1': 'windows-1252',
+    'LATIN1': 'windows-1252',
+    'MACINTOSH': 'macintosh'
+};
+
+// ANSEL spacing characters (0xA1-0xCF) as used by GEDCOM
+const ANSEL_CHARACTERS = {
+    0xA1: 'Ł', 0xA2: 'Ø', 0xA3: 'Đ', 0xA4: 'Þ', 0xA5: 'Æ',
+    0xA6: 'Œ', 0xA7: 'ʹ', 0xA8: '·', 0xA9: '♭', 0xAA: '®',
+    0xAB: '±', 0xAC: 'Ơ', 0xAD: 'Ư', 0xAE: 'ʼ', 0xB0: 'ʻ',
+    0xB1: 'ł', 0xB2: 'ø', 0xB3: 'đ', 0xB4: 'þ', 0xB5: 'æ',
+    0xB6: 'œ', 0xB7: 'ʺ', 0xB8: 'ı', 0xB9: '£', 0xBA: 'ð',
+    0xBC: 'ơ', 0xBD: 'ư', 0xBE: '□', 0xBF: '■', 0xC0: '°',
+    0xC1: 'ℓ', 0xC2: '℗', 0xC3: '©', 0xC4: '♯', 0xC5: '¿',
+    0xC6: '¡', 0xC7: 'ß', 0xC8: '€', 0xCF: 'ß',
+    // control characters: zero width (non-)joiner; non-sort markers are dropped
+    0x8D: '\u200D', 0x8E: '\u200C', 0x88: '', 0x89: ''
+};
+
+// ANSEL combining diacritics (0xE0-0xFE). In ANSEL they come BEFORE the
+// base letter, in Unicode the combining mark follows it
+const ANSEL_COMBINING = {
+    0xE0: '\u0309', 0xE1: '\u0300', 0xE2: '\u0301', 0xE3: '\u0302', 0xE4: '\u0303',
+    0xE5: '\u0304', 0xE6: '\u0306', 0xE7: '\u0307', 0xE8: '\u0308', 0xE9: '\u030C',
+    0xEA: '\u030A', 0xEB: '\uFE20', 0xEC: '\uFE21', 0xED: '\u0315', 0xEE: '\u030B',
+    0xEF: '\u0310', 0xF0: '\u0327', 0xF1: '\u0328', 0xF2: '\u0323', 0xF3: '\u0324',
+    0xF4: '\u0325', 0xF5: '\u0333', 0xF6: '\u0332', 0xF7: '\u0326', 0xF8: '\u031C',
+    0xF9: '\u032E', 0xFA: '\uFE22', 0xFB: '\uFE23', 0xFE: '\u0313'
+};
+
+/**
+ * Decode the raw bytes of a GEDCOM file
+ * @param {ArrayBuffer|Uint8Array} buffer - File content
+ * @returns {{text: string, encoding: string}} Decoded text and the encoding used
+ */
+function decodeGedcomBytes(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const encoding = detectEncoding(bytes);
+
+    if (encoding === ANSEL) {
+        return { text: decodeAnsel(bytes), encoding: encoding };
+    }
+    if (encoding === 'utf-8') {
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: encoding };
+        } catch (e) {
+            // declared (or guessed) UTF-8 but it is not: older programs wrote ANSI
+            console.log("File is not valid UTF-8, decoding as Windows-1252");
+            return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+        }
+    }
+    return { text: new TextDecoder(encoding).decode(bytes), encoding: encoding };
+}
+
+/**
+ * Work out how a GEDCOM file is encoded: BOM first, then the HEAD CHAR line,
+ * otherwise UTF-8 (decodeGedcomBytes falls back to Windows-1252 if that fails)
+ * @param {Uint8Array} bytes - File content
+ * @returns {string} TextDecoder label or 'ansel'
+ */
+function detectEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    // UTF-16 without BOM: every file starts with "0 HEAD", so look for "0\0" or "\00"
+    if (bytes[0] === 0x30 && bytes[1] === 0x00) return 'utf-16le';
+    if (bytes[0] === 0x00 && bytes[1] === 0x30) return 'utf-16be';
+
+    const declared = getDeclaredCharset(bytes);
+    const encoding = declared ? CHAR_ENCODINGS[declared] : null;
+    // UNICODE declared on a file that is clearly 8-bit (no BOM, no NUL bytes above)
+    if (!encoding || encoding.startsWith('utf-16')) {
+        return 'utf-8';
+    }
+    return encoding;
+}
+
+/**
+ * Read the value of the "1 CHAR" line in the header
+ * @param {Uint8Array} bytes - File content
+ * @returns {string|null} Upper-cased CHAR value
+ */
+function getDeclaredCharset(bytes) {
+    // The header is plain ASCII in every 8-bit encoding GEDCOM allows
+    let header = '';
+    const length = Math.min(bytes.length, HEADER_SCAN_BYTES);
+    for (let i = 0; i < length; i++) {
+        header += String.fromCharCode(bytes[i]);
+    }
+    const lines = header.split(/\r\n|\r|\n/);
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (line.startsWith('0 ')) break; // end of HEAD
+        const match = line.match(/^1\s+CHAR\s+(.+)$/i);
+        if (match) {
+            return match[1].trim().toUpperCase();
+        }
+    }
+    return null;
+}
+
+/**
+ * Decode ANSEL (ANSI Z39.47 with the GEDCOM extensions) to a Unicode string.
+ * Combining diacritics are moved after their base letter and the result is
+ * NFC-normalised so "e" + acute becomes a single "é".
+ * @param {Uint8Array} bytes - ANSEL encoded content
+ * @returns {string} Decoded text
+ */
+function decodeAnsel(bytes) {
+    let result = '';
+    let pendingMarks = '';
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        if (ANSEL_COMBINING[byte] !== undefined) {
+            pendingMarks += ANSEL_COMBINING[byte];
+            continue;
+        }
+        let char;
+        if (byte < 0x80) {
+            char = String.fromCharCode(byte);
+        } else if (ANSEL_CHARACTERS[byte] !== undefined) {
+            char = ANSEL_CHARACTERS[byte];
+            if (char === '') continue;
+        } else {
+            char = '\uFFFD';
+        }
+        if (pendingMarks && (char === '\n' || char === '\r')) {
+            // diacritic without a base letter: keep it on a space rather than losing it
+            result += ' ' + pendingMarks;
+            pendingMarks = '';
+        }
+        result += char + pendingMarks;
+        pendingMarks = '';
+    }
+    return (result + pendingMarks).normalize('NFC');
+}
+
+export { decodeGedcomBytes, detectEncoding, decodeAnsel };
@@ -4,11 +4,17 @@
  * Licensed under MIT License - see LICENSE.txt
  */
 
-import display from './gedcom.js';
+import display, { FamilyRow } from './gedcom.js';
+import { GEDCOM_551_VERSION, GEDCOM_7_VERSION, rowToGedcom7, rowToGedcom551, getSchemaDeclarations } from './gedcom7.js';
+import { encryptContainer, CONTAINER_EXTENSION } from './encryption.js';
 const debugTrace = false; // SECURITY: Disabled for production
+
+// GEDCOM 5.5.1 limits a line (level + tag + value) to 255 characters
+const MAX_LINE_LENGTH = 255;
 function exportToFile(content, fileName) {
     const link = document.createElement("a");
-    const file = new Blob([content], {type: 'text/plain'});
+    // Blob encodes strings as UTF-8, matching the "1 CHAR UTF-8" header
+    const file = new Blob([content], {type: 'text/plain;charset=utf-8'});
     link.href = URL.createObjectURL(file);
     link.download = fileName ? fileName : "sample.txt";
     link.click();
@@ -23,15 +29,23 @@ function sanitizeFileName(fileName) {
     return fileName;
 }
 
-function createFileContent(familyRowHead) {
+/**
+ * Serialize the whole tree as a GEDCOM file
+ * @param {FamilyRow} [familyRowHead] - Parsed tree, defaults to document.dataParsed
+ * @param {string} [version] - GEDCOM_551_VERSION (default) or GEDCOM_7_VERSION
+ * @returns {string} File content
+ */
+function createFileContent(familyRowHead, version) {
 
     familyRowHead = familyRowHead ? familyRowHead : document.dataParsed;
     familyRowHead = familyRowHead ? familyRowHead : display();
+    version = version ? version : GEDCOM_551_VERSION;
 
     // Process familyRowHead to create a gedcom file
-    let first = "";
+    let head = null;
     let middle = "";
     let last = "";
+    const usedTags = new Set();
 
     for (const key in familyRowHead) {
         if (key === 'parent') continue;
@@ -40,16 +54,16 @@ function createFileContent(familyRowHead) {
         if (typeof value === 'object' && value !== null) {
             let valueTypeName = value.constructor.name
             if (valueTypeName === 'FamilyRow') {
-                let valueString = createFileContentOne(value);
                 if (key === 'HEAD') {
-                    first += valueString;
+                    // written last: SCHMA needs every extension tag used in the file
+                    head = value;
                 } else if (key === 'TRLR') {
-                    last += valueString;
+                    last += createFileContentOne(value, version, usedTags);
                 } else {
-                    middle += valueString;
+                    middle += createFileContentOne(value, version, usedTags);
                 }
             } else if (valueTypeName === 'Array') {
-                middle += createFileContentOne(value);
+                middle += createFileContentOne(value, version, usedTags);
             } else {
                 if (debugTrace) console.log("skipping" + valueTypeName);
             }
@@ -58,15 +72,51 @@ function createFileContent(familyRowHead) {
         }
     }
 
-    return first + middle + last;
+    return createHeader(head, version, usedTags) + middle + last;
 }
 
-function createFileContentOne(familyRow) {
+/**
+ * Write HEAD for the requested version. GEDC and CHAR are always rewritten
+ * (files are written as UTF-8, whatever the imported encoding was); 7.0 drops
+ * CHAR and FILE and declares the extension tags used in SCHMA
+ * @param {FamilyRow|null} head - HEAD row of the tree
+ * @param {string} version - Target GEDCOM version
+ * @param {Set<string>} usedTags - Tags written so far
+ * @returns {string} HEAD lines
+ */
+function createHeader(head, version, usedTags) {
+    const skipped = version === GEDCOM_7_VERSION ? ['GEDC', 'SCHMA', 'CHAR', 'FILE'] : ['GEDC', 'SCHMA', 'CHAR'];
+    let body = "";
+    for (const key in head) {
+        if (key === 'parent' || skipped.includes(key)) continue;
+        const value = head[key];
+        if (typeof value === 'object' && value !== null &&
+            (value.constructor.name === 'FamilyRow' || value.constructor.name === 'Array')) {
+            body += createFileContentOne(value, version, usedTags);
+        }
+    }
+
+    let result = "0 HEAD\n1 GEDC\n2 VERS " + version + "\n";
+    if (version === GEDCOM_7_VERSION) {
+        const declarations = getSchemaDeclarations(head, usedTags);
+        if (declarations.length > 0) {
+            result += "1 SCHMA\n";
+            declarations.forEach(function (declaration) {
+                result += "2 TAG " + declaration + "\n";
+            });
+        }
+    } else {
+        result += "2 FORM LINEAGE-LINKED\n1 CHAR UTF-8\n";
+    }
+    return result + body;
+}
+
+function createFileContentOne(familyRow, version, usedTags) {
     let result = "";
     if (typeof familyRow === 'object' && familyRow !== null) {
         let valueTypeName = familyRow.constructor.name
         if (valueTypeName === 'FamilyRow') {
-            result += familyRow.toString() + "\n";
+            result += serializeRowForVersion(familyRow, version, usedTags);
             for (const key in familyRow) {
                 if (key === 'parent') continue;
                 if (debugTrace) console.log("Processing " + key);
@@ -74,9 +124,9 @@ function createFileContentOne(familyRow) {
                 if (typeof value === 'object' && value !== null) {
                     let valueTypeName = value.constructor.name
                     if (valueTypeName === 'FamilyRow') {
-                        result += createFileContentOne(value);
+                        result += createFileContentOne(value, version, usedTags);
                     } else if (valueTypeName === 'Array') {
-                        result += createFileContentOne(value);
+                        result += createFileContentOne(value, version, usedTags);
                     } else {
                         if (debugTrace) console.log("skipping " + valueTypeName);
                     }
@@ -86,26 +136,104 @@ function createFileContentOne(familyRow) {
             }
         } else if (valueTypeName === 'Array') {
             familyRow.forEach(function (element) {
-                result += createFileContentOne(element);
+                result += createFileContentOne(element, version, usedTags);
             });
         }
     }
     return result
 }
 
-const gedcomExport = function (familyRowHead, fileName) {
+// Convert tag/value to the target version before serializing; a date that
+// needs a PHRASE in 7.0 gets it as the first child line
+function serializeRowForVersion(familyRow, version, usedTags) {
+    const converted = version === GEDCOM_7_VERSION ? rowToGedcom7(familyRow) : rowToGedcom551(familyRow);
+    let row = familyRow;
+    if (converted.tag !== familyRow.tag || converted.value !== familyRow.value) {
+        row = new FamilyRow(familyRow.level, familyRow.id, converted.tag, converted.value);
+    }
+    if (usedTags && typeof converted.tag === 'string' && converted.tag.startsWith('_')) {
+        usedTags.add(converted.tag);
+    }
+    let result = serializeRow(row, version);
+    if (converted.phrase) {
+        result += serializeRow(new FamilyRow(parseInt(familyRow.level) + 1, null, 'PHRASE', converted.phrase), version);
+    }
+    return result;
+}
+
+/**
+ * Serialize a single row, splitting multi-line and over-long values
+ * into CONT/CONC continuation lines one level below the row.
+ * GEDCOM 7.0 has no line length limit and no CONC: only CONT is written.
+ * @param {FamilyRow} familyRow - Row to serialize
+ * @param {string} [version] - Target GEDCOM version
+ * @returns {string} One or more GEDCOM lines
+ */
+function serializeRow(familyRow, version) {
+    const line = familyRow.toString();
+    const value = familyRow.value;
+    const maxLength = version === GEDCOM_7_VERSION ? Infinity : MAX_LINE_LENGTH;
+    if (typeof value !== 'string' || (!value.includes('\n') && line.length <= maxLength)) {
+        return line + "\n";
+    }
+
+    const prefix = line.substring(0, line.length - value.length);
+    const childLevel = parseInt(familyRow.level) + 1;
+    let result = "";
+    value.split(/\r?\n/).forEach(function (text, index) {
+        const linePrefix = index === 0 ? prefix : childLevel + " CONT ";
+        result += splitIntoConc(linePrefix, text, childLevel + " CONC ", maxLength);
+    });
+    return result;
+}
+
+// Emit text after linePrefix, breaking into CONC lines so that no line exceeds
+// the limit. Never break next to a space: many readers trim line ends.
+function splitIntoConc(linePrefix, text, concPrefix, maxLength) {
+    let result = "";
+    let prefix = linePrefix;
+    while (prefix.length + text.length > maxLength) {
+        let cut = maxLength - prefix.length;
+        while (cut > 1 && (text.charAt(cut - 1) === ' ' || text.charAt(cut) === ' ')) {
+            cut--;
+        }
+        result += prefix + text.substring(0, cut) + "\n";
+        text = text.substring(cut);
+        prefix = concPrefix;
+    }
+    return result + (text.length > 0 ? prefix + text : prefix.trimEnd()) + "\n";
+}
+
+const gedcomExport = function (familyRowHead, fileName, version) {
     if (debugTrace) console.log("here")
-    const gedcomFile = createFileContent();
+    const gedcomFile = createFileContent(familyRowHead, version);
     if (debugTrace) console.log(gedcomFile);
     if (debugTrace) console.log("conversion completed")
     exportToFile(gedcomFile, sanitizeFileName(fileName));
 }
 
+/**
+ * Export the tree as a password-protected GEDCOM file (.gedenc)
+ * @param {FamilyRow} [familyRowHead] - Parsed tree, defaults to document.dataParsed
+ * @param {string} password - Password
+ * @param {string} [fileName] - File name, defaults to "sample.gedenc"
+ * @param {string} [version] - GEDCOM_551_VERSION (default) or GEDCOM_7_VERSION
+ * @returns {Promise}
+ */
+async function gedcomExportEncrypted(familyRowHead, password, fileName, version) {
+    const gedcomFile = createFileContent(familyRowHead, version);
+    const container = await encryptContainer(gedcomFile, password);
+    const baseName = sanitizeFileName(fileName).replace(/\.gedcom$/, '');
+    exportToFile(container, baseName + CONTAINER_EXTENSION);
+}
+
 /**
  * Export data as JSON
+ * @param {string} [fileName] - File name
+ * @param {FamilyRow} [familyRowHead] - Parsed tree, defaults to document.dataParsed
  */
-function exportToJSON(fileName) {
-    const gedcomData = document.dataParsed;
+function exportToJSON(fileName, familyRowHead) {
+    const gedcomData = familyRowHead || document.dataParsed;
     if (!gedcomData) {
         alert('No data to export');
         return;
@@ -219,4 +347,4 @@ function exportToJSON(fileName) {
     URL.revokeObjectURL(url);
 }
 
-export { gedcomExport, createFileContent, exportToJSON };
\ No newline at end of file
+export { gedcomExport, gedcomExportEncrypted, createFileContent, exportToJSON };
\ No newline at end of file
@@ -4,6 +4,8 @@
  * Licensed under MIT License - see LICENSE.txt
  */
 
+import { decodeGedcomBytes } from './gedcom_encoding.js';
+
 function handleGedComFileSelect(event) {
     const file = event.target.files[0];
     if (file) {
@@ -15,26 +17,34 @@ function handleGedComFileSelect(event) {
 
 function importFile(file) {
     // Return a Promise that resolves when file is fully loaded
+    return readGedcomFileText(file).then(importGedComText);
+}
+
+// Read a GEDCOM file as text without importing it (e.g. to merge it into the open tree)
+function readGedcomFileText(file) {
     return new Promise((resolve, reject) => {
         console.log("File selected:", file.name);
         const reader = new FileReader();
         reader.onload = function (e) {
-            importGedComText(e.target.result);
-            resolve();
+            // Read bytes, not text: the file may be ANSEL, UTF-16 or Windows-1252
+            const decoded = decodeGedcomBytes(e.target.result);
+            console.log("File encoding:", decoded.encoding);
+            resolve(decoded.text);
         };
         reader.onerror = function(e) {
             reject(new Error('Failed to read file'));
         };
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
     });
 }
 
 function importGedComText(text) {
     // Your file handling logic here
     console.log("Text selected:", text);
-    document.dataUnparsed = text.split('\n');
+    // a BOM left in front of "0 HEAD" would hide the header from the parser
+    document.dataUnparsed = text.replace(/^\uFEFF/, '').split('\n');
     document.dataParsed = false;
 }
 
 
-export { handleGedComFileSelect, importGedComText };
+export { handleGedComFileSelect, importFile, importGedComText, readGedcomFileText };
@@ -0,0 +1,73 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Launch Files Module - files the installed app is opened with (manifest
+ * file_handlers) or that other apps share to it (manifest share_target)
+ */
+
+// Same cache and request names as in service-worker.js, which receives shared files
+const SHARED_FILES_CACHE = 'gedcom-editor-shared-files';
+const FILE_NAME_HEADER = 'X-File-Name';
+// Files the import understands (see proceedWithImport in index.html)
+const IMPORT_EXTENSIONS = ['.ged', '.gedcom', '.gedenc', '.csv', '.json'];
+
+/**
+ * Receive the files the app is opened with, e.g. by double-clicking a .ged file.
+ * Files opened while the app is already running arrive the same way.
+ * @param {Function} callback - Called with an array of File objects
+ * @returns {boolean} false if the browser has no file handling
+ */
+function onLaunchFiles(callback) {
+  if (!('launchQueue' in window)) return false;
+  window.launchQueue.setConsumer(async launchParams => {
+    if (!launchParams.files || launchParams.files.length === 0) return;
+    const files = [];
+    for (const handle of launchParams.files) {
+      try {
+        files.push(await handle.getFile());
+      } catch (e) {
+        console.error('Could not read the opened file:', e);
+      }
+    }
+    if (files.length > 0) callback(files);
+  });
+  return true;
+}
+
+/**
+ * Take the files another app shared to this one. The service worker keeps
+ * them until they are taken, so they are removed here.
+ * @returns {Promise<Array>} File objects, empty if nothing was shared
+ */
+async function takeSharedFiles() {
+  if (!('caches' in window)) return [];
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  const files = [];
+  for (const request of await cache.keys()) {
+    const response = await cache.match(request);
+    if (response) {
+      const name = decodeURIComponent(response.headers.get(FILE_NAME_HEADER) || 'shared-tree.ged');
+      files.push(new File([await response.blob()], name));
+    }
+    await cache.delete(request);
+  }
+  return files;
+}
+
+/**
+ * Check whether a file can be imported, by its name
+ * @param {string} fileName - File name
+ * @returns {boolean}
+ */
+function isImportableFileName(fileName) {
+  const name = String(fileName || '').toLowerCase();
+  return IMPORT_EXTENSIONS.some(extension => name.endsWith(extension));
+}
+
+export {
+  onLaunchFiles,
+  takeSharedFiles,
+  isImportableFileName
+};
@@ -0,0 +1,576 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Offline data for the map view: country outlines for the base map and a small
+ * gazetteer of regions and cities. Outlines are Natural Earth 1:110m (public
+ * domain) as packaged by world-atlas (ISC), projected equirectangular:
+ * x = longitude + 180, y = 90 - latitude, so the whole world is 360 x 180.
+ */
+
+// [name, center latitude, center longitude, SVG path]
+const WORLD_COUNTRIES = [
+  ["Fiji", -17.8, 178, "M358.1 107.5l0.3-0.2 0.3 0.3-0.1 0.6-0.7 0.1-0.5-0.1-0.1-0.5 0.4-0.3 0.4 0.1zM0 106.1l0.2-0.1-0.1 0.5-0.1 0.1-0.6 0.2-0.7 0.2-0.1-0.4 0.5-0.2 0.3 0 0.6-0.3zM360 106.1l0.2-0.1-0.1 0.5-0.1 0.1-0.6 0.2-0.7 0.2-0.1-0.4 0.5-0.2 0.3 0 0.6-0.3z"],
+  ["Tanzania", -6.3, 34.8, "M213.9 91l0.2 0.1 3.6 2 0.1 0.6 1.4 1-0.5 1.2 0.1 0.6 0.6 0.3 0.1 0.3-0.3 0.6 0.1 0.3-0.1 0.5 0.3 0.6 0.5 1 0.3 0.2-0.8 0.6-1.1 0.4-0.6 0-0.3 0.3-0.7 0-0.3 0.1-1.2-0.3-0.7 0.1-0.3-1.3-0.4-0.5-0.2-0.3-0.9-0.2-0.6-0.3-0.6-0.1-0.4-0.2-0.5-0.3-0.5-1.2-0.6-0.6-0.2-0.6 0.1-0.5-0.2-0.9 0.5 0 0.3-0.4 0.4-0.5 0.3-0.2-0.1-0.4-0.2-0.2 0-0.4 0.3-0.1 0-0.6-0.4-0.6 0.4-0.1 1.1 0 2 0z"],
+  ["W. Sahara", 24.3, -12.1, "M171.3 62.3l0 0.1 0 0.2 0 1.5-3.3 0 0.1 2.5-1 0.1-0.2 0.5 0.2 1.5-3.9 0-0.3 0.3 0.1-0.4 2.2-0.1 0.2-0.4 0.4-0.4 0.3-1.4 1.4-1.1 0.5-1.2 0.3-0.1 0.3-0.8 0.9-0.1 0.3 0.1 0.5 0 0.3-0.2 0.6 0 0-0.6 0.1 0z"],
+  ["Canada", 57.7, -101.6, "M57.2 41l-0.2 0-1.9-1-0.7-0.4-1.8-0.4-0.6-0.9 0.2-0.6-1.3-0.5-0.2-0.8-1.2-0.7 0-0.5 0.5-0.5 0-0.6-1.7-0.7-1-1.1-0.7-0.7-0.9-0.5-0.6-0.4-0.6-0.5-1 0.3-1 0.6-0.8-0.7-0.7-0.4-1-0.3-1 0 0-5.7 0-3.7 1.9 0.2 1.6 0.5 1 0.1 0.9-0.4 1.2-0.3 1.5 0.1 1.5-0.4 1.6-0.3 0.7 0.4 0.7-0.2 0.3-0.5 0.7 0.1 1.6 0.9 1.4-0.7 0.1 0.8 1.2-0.2 0.4-0.3 1.2 0.1 1.6 0.4 2.3 0.4 1.4 0.2 1-0.1 1.3 0.5-1.4 0.5 1.8 0.2 2.7-0.1 0.9-0.2 1 0.6 1.1-0.5-1-0.4 0.6-0.4 1.2 0 0.9-0.1 0.8 0.2 1 0.6 1.1-0.1 1.7 0.5 1.6-0.2 1.5 0-0.2-0.6 0.9-0.2 1.6 0.4 0 0.9 0.6-0.8 0.8 0 0.5-1-1.1-0.6-1.2-0.4 0.1-1.1 1.2-0.7 1.3 0.1 1 0.5 1.4 1.1-0.9 0.5 1.9 0.2 0 1 1.3-0.8 1.2 0.7-0.3 0.7 1 0.7 1-0.7 0.7-0.9 0.1-1.1 1.4 0.1 1.5 0.1 1.3 0.5 0.1 0.5-0.8 0.6 0.7 0.5-0.1 0.5-1.9 0.7-1.4 0.1-1.1-0.3-0.3 0.5-0.9 0.9-0.3 0.4-1.2 0.7-1.4 0.1-0.8 0.4-0.1 0.6-1.1 0.2-1.3 0.8-1 1.1-0.4 0.8-0.1 1.2 1.5 0.1 0.4 1 0.5 0.7 1.4-0.2 1.9 0.4 1 0.4 0.7 0.5 1.2 0.3 1.1 0.4 1.6 0.1 1.1 0.1-0.1 0.8 0.3 1 0.7 1.1 1.5 1 0.8-0.3 0.5-1.1-0.5-1.5-0.7-0.6 1.6-0.4 1.1-0.7 0.6-0.7-0.1-0.7-0.7-0.9-1.2-0.7 1.2-1.1-0.5-0.9-0.3-1.5 0.7-0.3 1.7 0.3 1 0.1 0.9-0.2 0.9 0.3 1.2 0.6 0.3 0.4 1.8 0 0 0.9 0.3 1.2 0.9 0.2 0.7 0.6 1.5-0.6 1-1.1 0.6-0.4 0.8 0.9 1.3 1.2 1.1 1.2-0.4 0.7 1.3 0.5 0.9 0.6 1.6 0.3 0.7 0.3 0.4 0.8 0.7 0.2 0.4 0.3 0.1 1.2-0.7 0.3-0.7 0.4-1.7 0.3-1.2 0.9-1.7 0.1-2.2-0.2-1.5 0-1 0.1-0.8 0.7-1.3 0.4-1.5 1.4-1.1 0.9 0.8-0.2 1.6-1.3 2.1-0.8 1.5-0.1 0.9 0.5-0.9 0.6 0.3 1.1 0.3 0.8 1.3 0.5 1.7-0.2 1-1.1 0 0.7 0.7 0.4-1.2 0.6-2.3 0.6-0.9 0.4-1.2 0.8-0.7-0.1-0.1-0.9 1.8-0.8-1.6 0-1.1 0.2-0.7-0.6 0-1.4-0.4-0.3-0.7 0.2-0.3-0.2-0.8 0.7-0.3 0.8-0.4 0.4-0.4 0.2-0.3 0-0.1 0.3-1.8 0-1.6 0-0.4 0.2-1.1 0.7-0.1 0.1-0.3 0.4-0.9 0-1 0-0.5 0.1 0.2 0.2 0.1 0.3 0 0.1-1.3 0.5-1.1 0.2-1.1 0.5-0.3 0-0.3-0.1-0.1-0.2 0-0.1 0.2-0.3 0.5-0.6 0.3-0.6-0.2-0.8-0.3-0.9-1-0.5 0.1-0.2-0.1-0.1-0.3 0-0.2-0.2 0-0.2-0.2 0.1-0.3 0 0.1-0.1-0.3-0.1-0.1-0.3-0.8-0.3-0.8-0.4-0.9-0.3-1-0.4-0.9 0.3-0.3 0-1.2-0.3-0.8 0.2-1-0.4-1-0.1-0.7-0.1-0.3-0.1-0.2-0.6-0.4 0 0 0.4-2 0-3.5 0-3.4 0-2.9 0-3.1 0-2.9 0-3 0-1 0-3 0-2.8 0zM96 27.5l0.8-0.4 1.3 0 0 0.2-1.2 0.5-0.7 0-0.2-0.3zM100.2 17.2l-1.1-0.5 0.1-0.4 0.4-0.1 2.3 0.1 1.8 0.6 0 0.3-1-0.1-1.1 0-1.1 0.2-0.3-0.1zM99.7 27.9l0.4-0.3 0.4 0 0.2 0.2-0.4 0.6-0.4-0.1-0.3-0.3 0.1-0.1zM86.4 15l-0.6 0.4-1.4-0.1-1.2-0.2 0.5-0.5 1.4-0.2 0.9 0.3 0.4 0.3zM86.2 12.5l-0.5 0-1.9-0.1-0.2-0.2 2 0 0.7 0.2-0.1 0.1zM83.2 11.2l1.2 0.4-0.2 0.3-1.5 0.3-0.8-0.3-0.5-0.4 0-0.4 1.3 0.1 0.5 0zM91.9 15.6l-1.7-0.1-2.6-0.3-0.4-0.6-0.1-0.5-1-0.4-2.1-0.1-1.1-0.4 0.4-0.4 2 0.1 1.1 0.3 2 0 0.9 0.3-0.3 0.4 1.2 0.3 0.6 0.2 1.4 0 1.4 0.1 1.6-0.2 2-0.1 1.7 0.1 1 0.4 0.3 0.4-0.7 0.2-1.4 0.3-1.3-0.2-2.9 0.2-2 0zM68.7 11.8l1.4 0.2-0.3 0.3-1.9 0.3-1.4-0.3 0.8-0.4 1.4-0.1zM69 11.2l1.3 0.2-1.2 0.2-1.6 0 0-0.2 1-0.3 0.5 0.1zM124.4 38.7l-0.5 0.6-0.7 0.9 0.7-0.3 0.6 0.2-0.3 0.3 0.9 0.3 0.4-0.3 1 0.4-0.3 0.7 0.7-0.2 0.1 0.5 0.4 0.7-0.5 0.8-0.4 0.1-0.7-0.2 0.2-0.8-0.2-0.2-1.2 0.9-0.6 0 0.7-0.5-1-0.2-1 0-2 0-0.1-0.3 0.6-0.4-0.4-0.2 0.8-0.6 1-1.6 0.7-0.6 0.8-0.3 0.5 0-0.2 0.3zM96.1 24.9l1.1 0.3 1.2 0.3 0 0.5 0.8-0.1 0.7 0.4-0.9 0.3-1.5-0.3-0.6-0.4-1 0.5-1.4 0.5-0.4-0.5-1.3 0.1 0.8-0.5 0.2-0.8 0.3-0.9 0.7 0 0.2 0.5 0.5-0.2 0.6 0.3zM101.2 17.6l1-0.4 2.2 0.6 1.4 0.4 0.1 0.5 1.9-0.3 1 0.7 2.4 0.4 0.9 0.4 0.9 0.9-1.8 0.5 2.3 0.6 1.6 0.3 1.5 0.9 1.5 0-0.3 0.7-1.7 1.2-1.2-0.4-1.6-1-1.3 0.1-0.1 0.6 1 0.6 1.4 0.5 0.4 0.2 0.6 1-0.3 0.7-1.3-0.2-2.5-0.8 1.4 0.8 1.1 0.6 0.1 0.4-2.7-0.4-2.1-0.6-1.2-0.5 0.3-0.3-1.5-0.5-1.4-0.5 0 0.3-2.9 0.2-0.9-0.4 0.7-0.7 1.9 0 2-0.2-0.3-0.3 0.4-0.5 1.2-1-0.2-0.4-0.4-0.4-1.5-0.5-2.1-0.3 0.7-0.2-1.1-0.7-0.9 0-0.8-0.4-0.5 0.3-1.8 0.2-3.6-0.3-2.2-0.3-1.6-0.1-0.8-0.4 1-0.4-1.4 0-0.3-1 0.8-0.9 1-0.4 2.6-0.3-0.8 0.6 0.8 0.7 0.9-0.8 2.6-0.5 1.7 1.1-0.2 0.6 2-0.3zM85.5 15.9l2.1 0 1.9 0.2-1.5 0.9-1.2 0.2-1.1 0.8-1.1-0.1-0.6-0.8 0-0.5 0.5-0.5 1-0.2zM57.1 13.9l1.7-0.8 2.1-0.6 1.5 0 1.4-0.1-0.1 0.7-0.8 0.4-0.9 0-1.9 0.4-1.6 0.2-1.4-0.2zM47.3 36l1-0.1-0.4 1.1 0.9 0.8-0.4 0-0.6-0.4-0.4-0.5-0.5-0.3-0.1-0.5 0-0.3 0.5 0.2zM74.5 10.7l2 0.1 2.7 0.4 0.7 0.5 0.4 0.4-1.6-0.1-1.6-0.3-2.3-0.1 1-0.3-1.2-0.2-0.1-0.4zM56.5 41.5l-0.5 0.1-1.7-0.4-0.3-0.4-0.8-0.3-0.2-0.3-1.1-0.2-0.3-0.5 0-0.3 1.1 0.2 0.6 0.2 0.9 0.1 0.4 0.4 0.5 0.4 1 0.4 0.4 0.6zM58.5 15.6l1.4 0.2 2.5 0 1 0.3 1.1 0.4-1.3 0.3-2.4 0.7-1.3 0.7 0 0.4-2.6 0.5-0.5-0.4-2.3-0.6 0.4-0.4 0.7-0.7 0.9-0.7-1-0.6 3.4-0.1zM72.2 14.2l0.9-0.2 1 0 0.2 0.5-0.6 0.5-3.4 0.1-2.5 0.5-1.5 0-0.2-0.3 2.1-0.5-4.5 0.2-1.4-0.2 1.4-1 0.9-0.3 2.8 0.4 1.8 0.6 1.7 0-1.4-0.9 0.9-0.4 1 0.1 0.4 0.5 0.4 0.4zM73.5 16.9l1.1 0.4 0.6 1 0.3 0.7 1.7 0.5 1.8 0.5-0.1 0.4-1.6 0.1 0.6 0.4-0.3 0.3-1.8-0.1-1.8-0.3-1.1 0.1-1.9 0.3-2.5 0.2-1.8 0.1-0.6-0.5-1.3-0.3-0.9 0.1-1.2-0.8 0.6-0.1 1.6-0.1 1.4 0 1.3-0.2-1.9-0.2-2.2 0.1-1.4 0-0.5-0.4 2.3-0.4-1.6 0-1.7-0.3 0.8-0.7 0.7-0.4 2.7-0.6 1 0.2-0.5 0.4 2.3-0.3 1.3 0.5 1.2-0.5 0.9 0.4 0.8 0.9 0.5-0.4-0.7-1 0.9-0.1 1 0.1zM79.6 17.3l-1.1-0.7 1.1-0.4 1.2 0.2 1.8-0.2 0.3 0.3-1 0.5 1.6 0.4-0.2 0.9-1.7 0.4-0.9-0.1-0.7-0.3-2.5-0.8 0-0.3 2.1 0.1zM73.4 16.4l1.3 0 0.8 0.2-0.9 0.6-1.5-0.7 0.3-0.1zM81.5 13.3l0.8 0.4 0 0.6-0.5 0.7-1.6 0.1-1.1-0.2 0-0.5-1.6 0-0.1-0.7 1.1 0 1.5-0.3 1.4 0 0.1-0.1zM84 9.4l0.7-0.3 1-0.1-0.4-0.2 2.3-0.1 1.3 0.6 1.7 0.2 1.6 0.2 0.8 0.6 1.2 0.4-1.4 0.3-1.8 0.7-1.8 0.1-2.1-0.1-1.1-0.5 0.1-0.3 0.8-0.3-1.9 0-1.1-0.3-0.6-0.5 0.7-0.4zM88.4 8.1l1.5-0.2 1.2 0 1.9-0.2 1.5-0.4 1.2 0.1 1.1 0.3 0.8-0.6 1.3-0.1 1.8-0.1 3-0.1 0.6 0.1 2.9-0.1 2.1 0 2.2 0.1 2.7 0.1 2.1 0.1 1.8 0.3 0 0.2-2.4 0.5-2.5 0.2-0.9 0.2 2.2 0-2.3 0.6-1.7 0.3-1.7 0.8-2 0.2-0.7 0.2-3 0.1 1.4 0.1-0.7 0.2 0.8 0.5-0.9 0.3-1.6 0.3-0.5 0.4-1.4 0.3 0.2 0.2 1.7 0 0 0.2-2.7 0.6-2.6-0.3-2.9 0.2-1.5-0.1-1.9-0.1-0.1-0.5 1.8-0.2-0.5-0.7 0.7-0.1 2.6 0.5-1.3-0.7-1.7-0.2 0.8-0.4 1.8-0.2 0.3-0.3-1.4-0.4-0.4-0.6 2.7 0.1 0.8 0.1 1.6-0.4-2.3-0.1-3.5 0.1-1.8-0.4-0.8-0.4-1.2-0.3-0.2-0.3zM104.8 22.6l-0.7 0.3-1.1 0-0.2-0.5 0.4-0.5 0.9-0.2 0.8 0.3 0 0.4-0.1 0.2zM83.7 20.5l0.7 0.4-0.7 0.3-1.3-0.3-0.8 0.1-1.4-0.4 0.9-0.3 0.7-0.4 1 0.2 0.6 0.2 0.3 0.2zM115.5 40.1l0.3-0.1 1.3 0.3 1.1 0.4 0 0.2-0.5 0-1.3-0.3-0.9-0.5zM116 43l0.3 0.5 0.8 0.1 0.9 0-0.5 0.4-0.4 0-1.2-0.4-0.3-0.3 0.4-0.3z"],
+  ["United States of America", 39.5, -99.1, "M57.2 41l2.8 0 3 0 1 0 3 0 2.9 0 3.1 0 2.9 0 3.4 0 3.5 0 2 0 0-0.4 0.4 0 0.2 0.6 0.3 0.1 0.7 0.1 1 0.1 1 0.4 0.8-0.2 1.2 0.3 0.3 0 0.9-0.3 1 0.4 0.9 0.3 0.8 0.4 0.8 0.3 0.1 0.3 0.3 0.1-0.1 0.1 0.3 0 0.2-0.1 0 0.2 0.2 0.2 0.3 0 0.1 0.1-0.1 0.2 1 0.5 0.3 0.9 0.2 0.8-0.3 0.6-0.5 0.6-0.2 0.3 0 0.1 0.1 0.2 0.3 0.1 0.3 0 1.1-0.5 1.1-0.2 1.3-0.5 0-0.1-0.1-0.3-0.2-0.2 0.5-0.1 1 0 0.9 0 0.3-0.4 0.1-0.1 1.1-0.7 0.4-0.2 1.6 0 1.8 0 0.1-0.3 0.3 0 0.4-0.2 0.4-0.4 0.3-0.8 0.8-0.7 0.3 0.2 0.7-0.2 0.4 0.3 0 1.4 0.7 0.6 0.1 0.3-1 0.5-1.1 0.3-1 0.3-0.5 0.6-0.2 0.2 0 0.6 0.3 0.5 0.4 0-0.1-0.3 0.3 0.2-0.1 0.3-0.6 0.1-0.5 0-0.8 0.2-0.4 0-0.6 0.1-0.8 0.3 1.5-0.2 0.3 0.2-1.4 0.3-0.7 0 0-0.2-0.3 0.3 0.3 0.1-0.2 0.7-0.7 0.8-0.1-0.3-0.2 0-0.3-0.3 0.2 0.5 0.2 0.2 0 0.4-0.3 0.4-0.5 0.8-0.1-0.1 0.3-0.6-0.5-0.4-0.2-0.8-0.1 0.4 0.2 0.6-0.7-0.1 0.7 0.3 0 0.9 0.3 0.1 0.1 0.3 0.2 1-0.7 0.8-1 0.3-0.7 0.6-0.5 0-0.5 0.4-0.1 0.3-1.1 0.7-0.6 0.5-0.4 0.6-0.2 0.7 0.2 0.7 0.3 0.8 0.5 0.7 0 0.5 0.4 1.1 0 0.7 0 0.4-0.3 0.6-0.3 0.1-0.5-0.1-0.1-0.4-0.4-0.3-0.5-0.8-0.5-0.8-0.2-0.4 0.2-0.7-0.2-0.5-0.8-0.8-0.4-0.2-1 0.5-0.2-0.1-0.5-0.5-0.6-0.2-1.1 0.1-0.9-0.1-0.8 0.1-0.4 0.1 0.2 0.3 0 0.4 0.2 0.2-0.2 0.1-0.4-0.1-0.4 0.2-0.7 0-0.7-0.6-0.9 0.1-0.7-0.2-0.6 0.1-0.9 0.2-0.9 0.8-1 0.4-0.5 0.5-0.3 0.4 0 0.7 0.1 0.5 0.2 0.3-0.4 0.1-0.7-0.3-0.8-0.3-0.3-0.4-0.2-0.7-0.6-0.6-0.4-0.6-0.5-0.7-0.7-0.4-0.8 0-0.6 0.8-0.8-0.3-0.6-0.3-0.2-0.5-0.3-0.5-0.6-0.5-0.5-0.3-0.4-0.4-1.7 0 0 0.5-0.8 0-2 0-2.3-0.7-1.5-0.5 0.1-0.2-1.3 0.1-1.1 0.1-0.2-0.5-0.6-0.6-0.5-0.1-0.1-0.3-0.6-0.1-0.3-0.2-1-0.1-0.2-0.2-0.1-0.6-1-1-0.8-1.4 0-0.2-0.5-0.3-0.7-0.9-0.2-0.8-0.5-0.5 0.2-0.8 0-0.9-0.3-0.8 0.4-0.9 0.1-0.9 0.1-0.9-0.2-1.4-0.3-0.8-0.3-0.5 0.1-0.2 1.5 0.4 0.5 0.9 0.3-0.3-0.2-0.8-0.3-0.8zM24.6 69.9l0.2 0.1 0.1 0.1 0.3 0.4-0.4 0.3-0.3 0.1-0.2 0.2-0.2-0.2 0-0.2-0.2-0.4 0.1-0.1 0.1-0.2 0-0.2 0-0.1 0.1 0.1 0.4 0.1zM24 69.2l-0.1 0.2-0.3 0-0.2-0.2-0.1-0.1 0.1-0.1 0.3 0.1 0.3 0.1zM23.2 68.8l0 0.1-0.5 0 0-0.1 0.5 0zM22 68.3l0.1 0 0.2 0.4-0.1 0-0.3 0-0.2-0.2 0-0.1 0.3-0.1zM20.6 67.8l0.1 0.2-0.2 0.1-0.3-0.2 0.1 0 0.1-0.1 0.2 0zM13.5 29.6l0.8 0.1 0.1 0.4-0.6 0.1-0.6-0.1-0.7-0.3 1-0.2zM26.8 32l0.6 0.1 0.5 0.3-0.9 0.5-1 0.4-0.5-0.3-0.2-0.5 0.9-0.3 0.6-0.2zM39 20.3l0 3.7 0 5.7 1 0 1 0.3 0.7 0.4 0.8 0.7 1-0.6 1-0.3 0.6 0.5 0.6 0.4 0.9 0.5 0.7 0.7 1 1.1 1.7 0.7 0 0.6-0.5 0.5-0.6-0.4-0.9-0.3-0.2-0.9-1.3-0.8-0.6-0.9-0.9-0.1-1.6 0-1.2-0.3-2.1-1-0.9-0.2-1.8-0.4-1.4 0.1-1.9-0.5-1.2-0.4-1.1 0.2 0.2 0.7-0.6 0.1-1.1 0.2-0.9 0.3-1.1 0.2-0.2-0.5 0.5-1 1.1-0.3-0.3-0.3-1.3 0.6-0.7 0.6-1.4 0.7 0.7 0.5-0.9 0.8-1.1 0.4-1 0.3-0.3 0.4-1.5 0.5-0.3 0.5-1.2 0.4-0.7 0-0.9 0.2-1 0.4-0.9 0.3-1.7 0.3-0.1-0.2 1.1-0.4 0.9-0.3 1.1-0.6 1.2-0.1 0.5-0.4 1.4-0.6 0.2-0.2 0.8-0.4 0.1-0.7 0.6-0.6-1.2 0.3-0.3-0.2-0.6 0.4-0.6-0.5-0.3 0.3-0.4-0.5-1 0.4-0.6 0-0.1-0.6 0.2-0.3-0.6-0.4-1.3 0.2-0.9-0.5-0.6-0.2-0.1-0.6-0.7-0.4 0.4-0.6 0.8-0.5 0.3-0.5 0.8-0.1 0.7 0.1 0.8-0.4 0.8 0 0.7-0.3-0.2-0.4-0.5-0.2 0.7-0.4-0.6 0-1.1 0.2-0.3 0.3-0.7-0.3-1.5 0.2-1.4-0.3-0.4-0.4-1.3-0.6 1.4-0.4 2.2-0.5 0.8 0-0.1 0.5 2.1 0-0.8-0.6-1.2-0.4-0.7-0.5-1-0.4-1.4-0.4 0.6-0.5 1.8 0 1.2-0.5 0.3-0.5 1-0.4 1-0.1 1.9-0.5 0.9 0.1 1.5-0.6 1.5 0.3 0.8 0.4 0.4-0.2 1.7 0.1-0.1 0.2 1.6 0.2 1-0.1 2.1 0.3 1.9 0.1 0.8 0.1 1.3-0.2 1.5 0.3 1.1 0.2zM8.3 26.2l0.6 0.2 0.6-0.1 0.8 0.3 1 0.1-0.1 0.1-0.7 0.2-0.8-0.2-0.4-0.2-0.9 0.1-0.2-0.1 0.1-0.4z"],
+  ["Kazakhstan", 48.2, 67.3, "M267.4 40.8l-0.8 0.7-0.8 0-0.1 1-0.5 0.5-2-0.3-0.7 1.8-0.6 0.2-1.9 0.4 0.9 1.7-0.7 0.3 0.1 0.5-0.7-0.1-0.5-0.4-1.4-0.1-1.7 0-0.4 0.1-1.4-0.4-0.6 0.2-0.1 0.6-1.7-0.3-0.6 0.1-0.2 0.4-0.6 0.2-1.3 0.7-0.5 0.7-0.3 0-0.3-0.4-1.3-0.1-0.2-0.8-0.5 0 0.1-1-1.2-0.7-1.7 0.1-1.2 0.1-0.9-0.9-0.9-0.4-1.5-0.7-0.2-0.1-2.6 0.6 0.1 3.7-0.5 0-0.7-0.7-0.7-0.3-1.2 0.2-0.4 0.3-0.1-0.2 0.3-0.4-0.2-0.4-1.2-0.3-0.4-0.9-0.6-0.3 0-0.3 1 0.1 0-0.7 0.9-0.2 0.8 0.1 0.2-0.9-0.2-0.7-1 0.1-0.8-0.2-1.2 0.4-0.9 0.2-0.5-0.2 0.1-0.5-0.6-0.6-0.8 0-0.8-0.7 0.5-0.8-0.2-0.2 0.8-1.1 1 0.6 0.1-0.7 2.1-1.1 1.5 0 2.2 0.7 1.2 0.4 1.1-0.4 1.6-0.1 1.2 0.6 0.3-0.3 1.4 0 0.3-0.5-1.6-0.7 0.9-0.4-0.2-0.3 1-0.3-0.7-0.7 0.4-0.3 3.8-0.4 0.5-0.2 2.5-0.4 0.9-0.4 1.8 0.2 0.3 1.1 1-0.3 1.3 0.4-0.1 0.5 1 0 2.5-1-0.4 0.3 1.3 0.8 2.2 2.5 0.6-0.5 1.3 0.6 1.5-0.3 0.5 0.2 0.5 0.6 0.7 0.2 0.4 0.4 1.3-0.1 0.6 0.6z"],
+  ["Uzbekistan", 41.7, 63.2, "M236 48.7l-0.1-3.7 2.6-0.6 0.2 0.1 1.5 0.7 0.9 0.4 0.9 0.9 1.2-0.1 1.7-0.1 1.2 0.7-0.1 1 0.5 0 0.2 0.8 1.3 0.1 0.3 0.4 0.3 0 0.5-0.7 1.3-0.7 0.6-0.2 0.3 0.1-0.9 0.7 0.8 0.4 0.7-0.3 1.2 0.5-1.3 0.8-0.8-0.1-0.4 0-0.1-0.3 0.2-0.5-1.4 0.3-0.3 0.6-0.5 0.6-0.8-0.1-0.3 0.5 0.8 0.2 0.2 0.7-0.6 1.1-0.7-0.3-0.6 0 0-0.6-1.3-0.4-1-0.5-0.7-0.5-1.1-0.7-0.5-1-0.4-0.2-1 0.1-0.4-0.2-0.1-0.8-1.4-0.6-0.8 0.6-0.9 0.4 0.2 0.5-1.1 0z"],
+  ["Papua New Guinea", -6.6, 144.3, "M321 92.6l1.7 0.7 1.9 0.6 0.7 0.5 0.5 0.5 0.2 0.6 1.6 0.6 0.3 0.5-0.9 0.1 0.2 0.7 0.9 0.6 0.6 1.1 0.6 0 0 0.4 0.7 0.2-0.3 0.2 1.1 0.4-0.1 0.3-0.7 0.1-0.2-0.3-0.9-0.1-1-0.2-0.8-0.6-0.5-0.6-0.6-0.8-1.3-0.5-0.8 0.3-0.6 0.3 0.1 0.8-0.8 0.3-0.5-0.1-1.1-0.1 0-3.2 0-3.3zM332.6 93.7l0.4 0.3 0.1 0.5-0.3 0.3-0.2-0.6-0.2-0.4-0.4-0.3-0.6-0.5-0.7-0.3 0.2-0.2 0.6 0.3 0.3 0.2 0.4 0.2 0.4 0.5zM331.3 95.8l-0.5 0.3-0.6 0.2-0.5 0-0.8-0.3-0.6-0.3 0.1-0.3 0.9 0.2 0.5-0.1 0.2-0.5 0.1 0 0.1 0.5 0.6 0 0.3-0.4 0.5-0.3-0.1-0.6 0.6-0.1 0.2 0.2 0 0.6-0.3 0.6-0.5 0.1-0.2 0.2zM334.8 95.3l0.3 0.3 0.4 0.6 0.5 0.3-0.1 0.3-0.3 0.1-0.4-0.4-0.5-0.6-0.2-0.8 0.2-0.1 0.1 0.3z"],
+  ["Indonesia", -0.3, 114, "M321 92.6l0 3.3 0 3.2-0.9-0.8-1-0.2-0.2 0.3-1.3 0 0.4-0.8 0.7-0.3-0.3-1.1-0.5-0.8-1.9-0.9-0.8 0-1.5-1-0.3 0.5-0.4 0.1-0.2-0.4 0-0.4-0.8-0.5 1.1-0.3 0.7 0-0.1-0.3-1.5 0-0.4-0.6-0.9-0.2-0.4-0.5 1.4-0.2 0.5-0.3 1.6 0.4 0.1 0.4 0.3 1.6 1.1 0.6 0.8-1.1 1.1-0.6 0.9 0 0.9 0.4 0.7 0.3 1.1 0.2zM305 98.9l0.1 0.2 0 0.3-0.7 0.7-0.8 0.3-0.1-0.2 0.1-0.3 0.4-0.6 1-0.4zM314.2 96.9l-0.1-0.8 0.2-0.3 0.2-0.4 0.2 0.3 0 0.5-0.5 0.7zM297.9 85.9l-0.6 0.9 0.7 0.9-0.1 0.5 1.1 0.9-1.2 0.1-0.3 0.7 0 0.9-0.9 0.7-0.1 1-0.4 1.5-0.1-0.3-1.1 0.4-0.4-0.6-0.7-0.1-0.5-0.3-1.2 0.4-0.4-0.5-0.7 0-0.8-0.1-0.1-1.3-0.5-0.3-0.5-0.8-0.1-0.9 0.1-0.9 0.6-0.7 0.1 0.7 0.7 0.5 0.7-0.2 0.6 0.1 0.6-0.5 0.5-0.1 0.9 0.3 0.8-0.2 0.5-1.4 0.4-0.4 0.4-1.1 1.1 0 0.9 0.2zM309.4 92.8l1.1 0.3 0.3 0.8-0.8-0.5-0.8 0-0.6 0-0.7 0 0.2-0.6 1.3 0zM306.9 93.8l-0.7-0.2-0.2-0.4 1-0.1 0.2 0.4-0.3 0.3zM307.9 87.8l0.1 0.6 0.6 0.1 0.1 0.4-0.1 0.8-0.5-0.1-0.1 0.7 0.4 0.5-0.3 0.1-0.4-0.6-0.3-1.3 0.2-0.8 0.3-0.4zM302.9 89.1l1.2 0 1-0.7 0.1 0.2-0.8 1-0.7 0.2-1-0.2-1.6 0-0.9 0.2-0.2 0.7 0.9 0.9 0.6-0.4 1.8-0.4 0 0.5-0.5-0.2-0.4 0.6-0.9 0.4 1 1.3-0.2 0.3 0.9 1.2 0 0.6-0.6 0.3-0.4-0.3 0.5-0.8-1 0.4-0.2-0.3 0.1-0.4-0.7-0.6 0.1-1-0.7 0.3 0.1 1.2 0 1.4-0.6 0.2-0.4-0.3 0.3-0.9-0.2-1-0.4 0-0.3-0.7 0.4-0.7 0.1-0.7 0.5-1.6 0.2-0.4 0.9-0.7 0.8 0.3 1.2 0.1zM300.3 100.3l-1.3-0.7 0.9-0.2 0.5 0.3 0.4 0.3-0.1 0.2-0.4 0.1zM301.3 98.5l0.7 0 0.9-0.4-0.1 0.6-1.5 0.2-1.4-0.1 0-0.4 0.8-0.2 0.6 0.3zM298.3 98.4l0.6-0.1 0.2 0.4-1.1 0.2-0.7 0.1-0.6 0 0.4-0.5 0.5-0.1 0.3-0.3 0.4 0.3zM288.5 96.4l0.1 0.4 1.9 0.1 0.3-0.4 1.8 0.4 0.4 0.7 1.5 0.2 1.2 0.6-1.1 0.4-1.1-0.5-0.9 0.1-1.1-0.1-0.9-0.2-1.2-0.4-0.7-0.1-0.4 0.2-1.8-0.4-0.2-0.5-0.9 0 0.7-1 1.2 0.1 0.8 0.3 0.4 0.1zM284.4 91.1l0.1 0.7 0.4 0.5 0.7 0.1 0.5 0.7-0.2 1.2-0.1 1.6-1.1 0-0.8-0.9-1.3-0.8-0.4-0.6-0.8-0.8-0.5-0.7-0.8-1.4-0.8-0.9-0.3-0.8-0.4-0.8-0.9-0.7-0.5-0.8-0.8-0.6-1-1.1-0.1-0.5 0.6 0.1 1.6 0.2 0.9 0.9 0.7 0.7 0.6 0.4 0.9 1.1 1.1 0 0.8 0.7 0.6 0.8 0.7 0.5-0.4 0.8 0.6 0.4 0.4 0z"],
+  ["Argentina", -35.2, -65.1, "M111.4 142.6l0.3 0.5 0.5 0.7 1.3 0.7 1.4 0.2-0.4 0.5-1 0-0.5-0.3-0.6 0-1 0 0-2.3zM122.4 120.2l-0.3 0.8-0.2 1 0 1-0.3 0.3 0 0.6-0.1 0.5 1.3 0.9-0.2 0.7 0.7 0.4-0.1 0.5-0.9 1.3-1.5 0.5-2 0.2-1.1-0.1 0.2 0.6-0.2 0.8 0.2 0.5-0.6 0.3-1.1 0.2-0.9-0.4-0.4 0.3 0.1 1 0.7 0.3 0.5-0.4 0.3 0.6-0.9 0.3-0.8 0.6-0.1 1-0.3 0.5-0.9 0-0.8 0.6-0.3 0.7 1 0.7 1 0.2-0.4 0.9-1.2 0.6-0.6 1.2-0.9 0.4-0.4 0.4 0.3 1.1 0.6 0.6-0.4-0.1-0.9-0.2-2.4-0.1-0.4-0.6 0-0.7-0.7 0-0.3-0.3-0.1-1.1 0.8-0.4 0.3-0.7-0.1-0.5 0.5-0.8 0.3-1.3-0.1-0.6 0.5-0.2-0.1-0.4-0.5-0.2 0.3-0.4-0.4-0.4-0.3-1.1 0.5-0.2-0.2-1.3 0.2-1 0.3-0.9 0.6-0.3-0.3-1 0-0.9 0.7-0.7 0-0.8 0.6-1 0-0.9-0.3-0.2-0.4-1.7 0.6-1.1-0.1-0.9 0.3-0.9 0.7-1 0.7-0.6-0.3-0.4 0.2-0.3 0-1.7 1.1-0.5 0.3-1-0.1-0.3 0.8-0.9 1.3 0.3 0.6 0.7 0.4-0.8 1.2 0 0.1 0.2 1.9 1.7 0.8 0.1 1.2 0.8 1 0.4 0.2 0.4-1 1.5 1 0.3 1.1 0.1 0.8-0.1 0.9-0.8 0.2-0.9 0.5-0.2 0.5 0.6 0 0.8-0.9 0.6-0.7 0.4-1.1 1-1.3 1.3z"],
+  ["Chile", -37.3, -71.7, "M111.4 142.6l0 2.3 1 0 0.6 0-0.3 0.4-0.8 0.3-0.5 0-0.6-0.1-0.8-0.3-1-0.1-1.3-0.6-1-0.5-1.4-1.2 0.9 0.2 1.4 0.7 1.3 0.4 0.5-0.5 0.3-0.7 1-0.4 0.7 0.1zM110.4 107.6l0.5 0.7 0.1 0.7 0.6 0.4-0.4 1 0.6 1.1 0.4 1.4 0.7-0.2 0.1 0.3-0.3 1-1.1 0.5 0 1.7-0.2 0.3 0.3 0.4-0.7 0.6-0.7 1-0.3 0.9 0.1 0.9-0.6 1.1 0.4 1.7 0.3 0.2 0 0.9-0.6 1 0 0.8-0.7 0.7 0 0.9 0.3 1-0.6 0.3-0.3 0.9-0.2 1 0.2 1.3-0.5 0.2 0.3 1.1 0.4 0.4-0.3 0.4 0.5 0.2 0.1 0.4-0.5 0.2 0.1 0.6-0.3 1.3-0.5 0.8 0.1 0.5-0.3 0.7-0.8 0.4 0.1 1.1 0.3 0.3 0.7 0 0 0.7 0.4 0.6 2.4 0.1 0.9 0.2-0.9 0-0.4 0.2-0.9 0.4-0.2 0.9-0.4 0.1-1.2-0.4-1.1-0.7-1.2-0.5-0.4-0.7 0.3-0.6-0.5-0.6-0.1-1.7 0.4-1 1.1-0.8-1.5-0.3 0.9-0.8 0.3-1.7 1.2 0.4 0.5-2.1-0.7-0.3-0.3 1.3-0.6-0.2 0.3-1.4 0.3-1.9 0.5-0.6-0.3-1-0.1-1.1 0.4-0.1 0.6-1.6 0.7-1.6 0.5-1.5-0.3-1.5 0.3-0.8-0.1-1.2 0.6-1.3 0.2-1.9 0.3-2.1 0.3-2.2-0.1-1.6-0.2-1.5 0.5-0.2 0.3-0.5z"],
+  ["Dem. Rep. Congo", -2.8, 23.6, "M209.3 94.5l0.2 0.9-0.1 0.5 0.2 0.6 0.6 0.6 0.5 1.2-0.4-0.1-1.3 0.2-0.3 0.1-0.3 0.7 0.3 0.4-0.2 1.2-0.1 1 0.2 0.2 0.7 0.4 0.3-0.2 0.1 1.1-0.8-0.1-0.4-0.5-0.3-0.4-0.8-0.2-0.2-0.5-0.6 0.3-0.8-0.1-0.4-0.5-0.6-0.1-0.5 0.1 0-0.3-0.4-0.1-0.4 0-0.7 0.1-0.4 0-0.2 0.1 0-1.2-0.3-0.4-0.1-0.6 0.1-0.6-0.2-0.4 0-0.6-1.2 0 0.1-0.4-0.5 0-0.1 0.2-0.6 0.1-0.2 0.5-0.2 0.3-0.5-0.2-0.4 0.2-0.6 0.1-0.4-0.6-0.2-0.3-0.3-0.6-0.3-0.7-2.9 0-0.4 0.1-0.3 0-0.4 0.1-0.1-0.3 0.2-0.1 0.1-0.5 0.1-0.2 0.4-0.2 0.3 0.1 0.3-0.4 0.5 0 0.1 0.3 0.4 0.2 0.6-0.7 0.6-0.4 0.2-0.4 0-0.8 0.4-1 0.5-0.5 0.6-0.5 0.1-0.3 0.1-0.3 0.1-0.4 0-0.6 0.1-0.8 0.2-0.7 0.3-0.5 0.1-0.6 0-0.7 0.4-0.5 0.6-0.3 0.8 0.3 0.6 0.4 0.8 0.1 0.7 0.2 0.3-0.6 0.1-0.1 0.5 0.1 1.1-0.5 0.4 0.2 0.3 0 0.2-0.3 0.4-0.1 0.7 0.1 0.6 0.1 0.4-0.1 0.6 0.8 0.4 0.1 0.3-0.2 0.5 0.1 0.5-0.2 0.3 0.4 0.8 0.7 0 1.2 0.4 0.1-0.3 0.4-0.4 0.2-0.4 0.5-0.2 0.5-0.1 0.8-0.2 0.4 0 0.7-0.3 0.3 0 0.6-0.2 0.1-0.1 0.5 0.3 0.5 0 1.2z"],
+  ["Somalia", 4.8, 45.7, "M221.6 91.7l-0.6-0.8 0-3.7 0.9-1.1 0.2-0.3 0.7-0.1 0.9-0.7 1.3 0 2.8-3 0.7-0.8 0.4-0.7 0-0.5 0-1 0-0.4 0.4 0 0.4-0.2 0.6-0.1 0.4-0.3 0.4 0 0 0.3-0.1 0.5 0 0.6-0.2 0.3-0.2 1.1-0.5 1.1-0.6 1.3-0.9 1.5-0.9 1.1-1.1 1.3-1 0.9-1.5 0.9-1 0.8-1.1 1.2-0.2 0.5-0.2 0.3z"],
+  ["Kenya", 0.6, 37.8, "M219.2 94.7l-1.4-1-0.1-0.6-3.6-2-0.2-0.1 0-1.1 0.3-0.4 0.5-0.7 0.3-0.7-0.4-1.2-0.1-0.5-0.5-0.7 0.6-0.5 0.7-0.7 0.5 0.2 0 0.5 0.4 0.4 0.7 0 1.2 0.8 0.3 0 0.3 0 0.2 0.1 0.7 0.1 0.3-0.4 0.9-0.5 0.4 0.4 0.7 0-0.9 1.1 0 3.7 0.6 0.8-0.7 0.4-0.3 0.4-0.3 0.1-0.2 0.7-0.3 0.4-0.2 0.6-0.4 0.4z"],
+  ["Sudan", 16, 29.9, "M204.6 81.8l-0.8-0.5-0.3-0.3-0.1-0.3 0.2-0.4 0-0.4-0.6-0.6-0.1-0.4 0-0.3-0.4-0.3 0-0.6-0.2-0.3-0.4 0 0.1-0.4 0.3-0.4-0.1-0.4 0.3-0.3-0.2-0.2 0.3-0.6 0.4-0.8 0.9 0.1-0.1-4 0-0.4 1.2 0 0-2 4 0 3.9 0 4 0 0.3 1-0.2 0.2 0.1 1 0.4 1.2 0.4 0.2 0.5 0.4-0.5 0.6-0.7 0.1-0.3 0.3-0.1 0.7-0.5 1.5 0.1 0.4-0.1 0.8-0.4 1-0.6 0.5-0.5 0.8-0.1 0.4-0.4 0.3-0.3 1 0 0.9 0-0.8-0.2 0 0-0.5-0.1-0.3-0.5-0.4-0.1-0.7 0.1-0.8-0.5 0 0 0.2-0.6 0 0.2 0.3 0.1 0.6-0.5 0.6-0.5 0.7-0.6 0.1-0.8-0.6-0.4 0.2-0.1 0.3-0.5 0.2 0 0.2-1 0-0.2-0.2-0.7 0-0.3 0.1-0.3-0.1-0.5-0.5-0.2-0.3-0.7 0.1-0.3 0.5-0.3 0.9-0.3 0.2-0.3 0.1 0.7 0.4z"],
+  ["Chad", 15.3, 18.6, "M203.8 70.4l0.1 4-0.9-0.1-0.4 0.8-0.3 0.6 0.2 0.2-0.3 0.3 0.1 0.4-0.3 0.4-0.1 0.4 0.4 0 0.2 0.3 0 0.6 0.4 0.3 0 0.3-0.7 0.1-0.5 0.4-0.7 1.1-0.9 0.5-1-0.1-0.3 0.1 0.1 0.4-0.5 0.3-0.4 0.4-1.3 0.4-0.2-0.2-0.2-0.1-0.2 0.3-0.8 0.1 0.1-0.3-0.3-0.7-0.1-0.4-0.5-0.2-0.5-0.5 0.2-0.5 0.4 0.1 0.3-0.1 0.6 0-0.6-0.9 0.1-0.7-0.1-0.6-0.4-0.7 0.1-0.4-0.6-0.1 0-0.6-0.5-0.4 0.5-1.3 1.2-0.9 0.1-1.3 0.4-2.1 0.2-0.4-0.4-0.3 0-0.3-0.4-0.3-0.2-1.6 1-0.5 3.9 1.9 4 1.9z"],
+  ["Haiti", 18.9, -72.7, "M108.3 70.3l0.1 0.5-0.1 0.4-0.2 0.2 0.2 0.3 0 0.3-0.7-0.2-0.4 0.1-0.7-0.1-0.4 0.2-0.6-0.3 0.1-0.4 1 0.2 0.7 0.1 0.4-0.3-0.5-0.4 0-0.4-0.6-0.1 0.2-0.3 0.6 0 0.9 0.2z"],
+  ["Dominican Rep.", 18.9, -70.5, "M108.3 72l0-0.3-0.2-0.3 0.2-0.2 0.1-0.4-0.1-0.5 0.1-0.2 0.8 0 0.6 0.3 0.2 0 0.2 0.3 0.6 0-0.1 0.3 0.5 0 0.5 0.4-0.4 0.4-0.5-0.2-0.4 0-0.4 0-0.1 0.2-0.4 0-0.2-0.2-0.3 0.1-0.4 0.7-0.3-0.2 0-0.2z"],
+  ["Russia", 61.7, 99.9, "M273.8 9l2.1-0.3 2 0.6 2.3 0.9-0.3 0.9-2.1 0.1-2.8-0.2-1.7-0.4-0.8-0.7-1.3-0.2 2.6-0.7zM282.8 10.7l2.6 0.6-0.3 0.4-5.7 0.4 1.9-1.3 0.8-0.1 0.7 0zM318.8 13.9l2.7 0 3.6 0.5-0.8 0.8-3.7 0-1.6 0.2-2-0.7 0.5-0.6 1.3-0.2zM328.2 14.7l2.5 0.2-1.1 0.4-1.6-0.1-1.9-0.4 0.3-0.3 1.8 0.2zM319.9 16.6l0.9-0.4 1.3-0.1 1.4 0.4 0.1 0.3-1.5 0-2.1-0.1-0.1-0.1zM224.8 9.4l2-0.2 1.5 0 0.2 0.3 0.6-0.3 0.9-0.1 1.5 0.2-0.4 0.2-1.3 0.1-0.9 0.1-0.1 0.1-1.2 0.2-1.1-0.2 0.6-0.4-2.3 0zM202.7 35.7l-1.8 0-1.2-0.1 0.2-0.5 1.4-0.3 1 0.2 0.5 0.1-0.2 0.3 0.1 0.3zM233.5 16.2l2.4-0.8-0.3-0.5 2.3-0.5 3.3-0.7 3.3-0.1 1.7-0.4 2-0.1 0.7 0.4-0.7 0.3-3.6 0.5-3 0.4-3.1 1-1.5 1-1.6 0.9 0.2 0.9 1.9 0.8-0.6 0.1-3.2-0.2-0.3-0.4-1.8-0.3-0.1-0.5 1-0.2-0.1-0.6 2-0.8-0.9-0.2zM322.9 36.3l0.4 1-0.1 0.9 0.4 1.1 1.1 1.7-1.5-0.3-0.6 1.4 0.9 1.1 0 0.7-0.8-0.6-0.6 0.7-0.2-0.8 0.1-1-0.1-1.1 0.2-0.7 0.1-1.4-0.6-0.9 0.1-1.4 0.9-0.5-0.4-0.4 0.5-0.2 0.2 0.7zM310.8 47.8l-0.2-0.2 0-0.5 0.5 0 0.2-1.2-0.3-0.9 0.9-0.3 1.2 0.2 0.7-1 0.3-1.1 0.4-0.4 0.5-0.9-1.6 0.3-0.9 0.4-1.5 0-0.4-0.9-1.2-0.7-1.7-0.4-0.4-0.9-0.4-0.7-0.3-0.4-0.7-1-0.8-0.4-1.5-0.3-1.4 0.1-1.2 0.1-0.8 0.5 0.5 0.3 0 0.5-0.5 0.4-0.9 1 0 0.5-1.4 0.6-1.2-0.4-1.2 0.1-0.5-0.3-0.6-0.1-1.5 0.7-1.3 0.1-0.9 0.3-1.3-0.2-0.9 0-0.6-0.5-1-0.5-1-0.1-1.3 0.1-0.9 0.2-1.4-0.4-0.2-0.8-1.2-0.2-0.9-0.1-1.1-0.4-1.1 1 0.4 0.6-0.9 0.7-1.5-0.3-1 0-0.7-0.5-1 0-0.9-0.3-1.5 0.5-1.9 0.8-1 0.2-0.4 0.1-0.6-0.6-1.3 0.1-0.4-0.4-0.7-0.2-0.5-0.6-0.5-0.2-1.5 0.3-1.3-0.6-0.6 0.5-2.2-2.5-1.3-0.8 0.4-0.3-2.5 1-1 0 0.1-0.5-1.3-0.4-1 0.3-0.3-1.1-1.8-0.2-0.9 0.4-2.5 0.4-0.5 0.2-3.8 0.4-0.4 0.3 0.7 0.7-1 0.3 0.2 0.3-0.9 0.4 1.6 0.7-0.3 0.5-1.4 0-0.3 0.3-1.2-0.6-1.6 0.1-1.1 0.4-1.2-0.4-2.2-0.7-1.5 0-2.1 1.1-0.1 0.7-1-0.6-0.8 1.1 0.2 0.2-0.5 0.8 0.8 0.7 0.8 0 0.6 0.6-0.1 0.5 0.5 0.2-0.5 0.6-0.9 0.2-1 1 0.9 0.9-0.1 0.7 1.1 1.2-0.6 0.4-0.2 0.2-0.4 0-0.7-0.6-0.3-0.1-0.6-0.2-0.3-0.4-1-0.2-0.6 0.1-0.1-0.1-1.4-0.5-1.5-0.2-0.8-0.2-0.1 0.2-1.3-0.9-1.2-0.4-0.8-0.5 0.7-0.2 0.8-0.8-0.5-0.4 1.4-0.4 0-0.3-0.9 0.2 0.1-0.4 0.5-0.3 0.9-0.1 0.2-0.3-0.2-0.6 0.4-0.5 0-0.3-1.5-0.3-0.6 0-0.6-0.5-0.8 0.2-1.2-0.4 0-0.2-0.4-0.4-0.8-0.1-0.1-0.3 0.3-0.2-0.6-0.5-1.1 0.1-0.3-0.1-0.2 0.2-0.4 0-0.3-0.6-0.2-0.4 0.2-0.1 0.8 0.1 0.4-0.3-0.3-0.2-0.7-0.2 0.1-0.2-0.4-0.2-0.6-0.6 0.2-0.3-0.1-0.5-1-0.2-0.5 0.1-0.2-0.2-1-0.3-0.3-0.6-0.1-0.4-0.5-0.3 0.4-0.3-0.3-0.9 0.7-0.6-0.1-0.2 1.1-0.5-1-0.5 2.1-1.3 0.9-0.6 0.4-0.5-1.5-0.7 0.4-0.6-0.9-0.7 0.7-0.9-1.1-1.1 0.9-0.8-1.6-0.7 0.2-0.7 0.8-0.1 1.7-0.4 1-0.3 1.7 0.6 2.7 0.2 3.8 1.2 0.8 0.4 0 0.7-1.1 0.5-1.6 0.3-4.5-0.8-0.7 0.2 1.6 0.7 0.1 0.5 0 1 1.3 0.3 0.8 0.2 0.1-0.4-0.6-0.5 0.7-0.3 2.4 0.6 0.8-0.3-0.6-0.7 2.3-1 0.9 0.1 1 0.3 0.5-0.7-0.8-0.6 0.5-0.6-0.7-0.6 2.8 0.4 0.5 0.5-1.2 0.1 0 0.6 0.7 0.3 1.6-0.2 0.2-0.6 2.1-0.5 3.5-0.9 0.8 0.1-1 0.6 1.2 0.1 0.7-0.3 1.9-0.1 1.5-0.4 1.1 0.6 1.2-0.6-1.1-0.6 0.6-0.4 2.9 0.4 1.4 0.3 3.6 1.1 0.7-0.5-1-0.5-0.1-0.3-1.2-0.1 0.4-0.4-0.6-0.8 0-0.3 1.8-0.9 0.7-0.9 0.7-0.2 2.7 0.2 0.2 0.6-1 0.8 0.7 0.3 0.3 0.7-0.2 1.4 1.1 0.6-0.5 0.7-1.9 1.4 1.1 0.1 0.4-0.3 1.1-0.3 0.3-0.5 0.9-0.5-0.6-0.5 0.4-0.7-1.1-0.1-0.2-0.5 0.8-1-1.3-0.8 1.8-0.7-0.2-0.7 0.5-0.1 0.5 0.6-0.4 1 1.1 0.1-0.5-0.7 1.7-0.4 2.1 0 1.8 0.6-0.9-0.9-0.1-1 1.7-0.3 2.5 0.1 2.1-0.1-0.8-0.6 1.2-0.6 1.1 0 2-0.5 2.6-0.2 0.3-0.2 2.7-0.1 0.8 0.2 2.2-0.5 1.9 0 0.2-0.5 1-0.4 2.4-0.4 1.7 0.3-1.4 0.3 2.3 0.1 0.2 0.5 1-0.2 2.9 0 2.2 0.5 0.8 0.4-0.2 0.5-1.1 0.3-2.6 0.5-0.8 0.3 1.2 0.2 1.5 0.2 0.9-0.2 0.5 0.7 0.5-0.3 1.6-0.2 3.2 0.2 0.2 0.5 4.2 0.1 0.1-0.7 2.1 0.1 1.6 0 1.6 0.6 0.5 0.6-0.6 0.4 1.2 0.8 1.6 0.4 1-1 1.6 0.4 1.7-0.3 1.9 0.4 0.7-0.3 1.7 0.1-0.8-0.9 1.4-0.4 9 0.6 0.9 0.6 2.6 0.8 4-0.2 2 0.1 0.8 0.4-0.1 0.8 1.2 0.3 1.4-0.2 1.8-0.1 1.8 0.2 1.9-0.1 1.8 0.9 1.2-0.3-0.8-0.7 0.5-0.4 3.1 0.3 2.1-0.1 2.9 0.5 1.4 0.4 2.5 0.8 2.6 1-0.1 0.6 0.7 0.3-0.3-0.8 2.7 0.2 2 0.9-1 0.5-1.6 0.1-0.1 0.9-0.4 0.2-0.9 0-0.8-0.3-1.3-0.3-0.2-0.5-1-0.1-1.2 0.1-0.5-0.3 0.2-0.4-1.2 0.2 0.5 0.5-0.6 0.4-1.3 0.5-1.3-0.1 0.9 0.5 0.6 0.8 0.5 0.3 0.1 0.4-0.3 0.3-1.8-0.2-2.8 0.7-0.9 0.1-1.6 0.8-1.4 0.6-0.4 0.4-1.4-0.7-2.6 0.8-0.5-0.4-0.9 0.5-1.4-0.2-0.3 0.7-1.2 1 0.1 0.4 1.1 0.2-0.1 1.4-1 0.1-0.4 0.8 0.4 0.4-1.7 0.6-0.4 1.1-1.5 0.2-0.3 1.1-1.4 0.9-0.4-0.7-0.4-1.5-0.6-2.2 0.5-1.4 0.9-0.6 0-0.4 1.6-0.3 1.7-1.2 1.8-1 1.8-0.8 0.8-1.5-1.2 0.1-0.6 0.9-2.6 1.1-0.8-1.3-2.6 0.4-2.5 1.6 0.8 0.7-2.2 0.2-1.5 0.1 0-0.7-1.5-0.2-1.3 0.5-3-0.1-3.3 0.3-3.2 1.9-3.9 2.4 1.6 0.1 0.5 0.6 1 0.2 0.6-0.5 1.1 0.1 1.4 1.1 0.1 0.9-0.8 1-0.1 1.2-0.4 1.6-1.5 1.4-0.4 0.7-1.3 1.2-1.4 1.1-0.6 0.6-1.4 0.6-0.6 0-0.6-0.5-1.4 0.7-0.1 0.4zM-49.2 47.8l-0.2-0.2 0-0.5 0.5 0 0.2-1.2-0.3-0.9 0.9-0.3 1.2 0.2 0.7-1 0.3-1.1 0.4-0.4 0.5-0.9-1.6 0.3-0.9 0.4-1.5 0-0.4-0.9-1.2-0.7-1.7-0.4-0.4-0.9-0.4-0.7-0.3-0.4-0.7-1-0.8-0.4-1.5-0.3-1.4 0.1-1.2 0.1-0.8 0.5 0.5 0.3 0 0.5-0.5 0.4-0.9 1 0 0.5-1.4 0.6-1.2-0.4-1.2 0.1-0.5-0.3-0.6-0.1-1.5 0.7-1.3 0.1-0.9 0.3-1.3-0.2-0.9 0-0.6-0.5-1-0.5-1-0.1-1.3 0.1-0.9 0.2-1.4-0.4-0.2-0.8-1.2-0.2-0.9-0.1-1.1-0.4-1.1 1 0.4 0.6-0.9 0.7-1.5-0.3-1 0-0.7-0.5-1 0-0.9-0.3-1.5 0.5-1.9 0.8-1 0.2-0.4 0.1-0.6-0.6-1.3 0.1-0.4-0.4-0.7-0.2-0.5-0.6-0.5-0.2-1.5 0.3-1.3-0.6-0.6 0.5-2.2-2.5-1.3-0.8 0.4-0.3-2.5 1-1 0 0.1-0.5-1.3-0.4-1 0.3-0.3-1.1-1.8-0.2-0.9 0.4-2.5 0.4-0.5 0.2-3.8 0.4-0.4 0.3 0.7 0.7-1 0.3 0.2 0.3-0.9 0.4 1.6 0.7-0.3 0.5-1.4 0-0.3 0.3-1.2-0.6-1.6 0.1-1.1 0.4-1.2-0.4-2.2-0.7-1.5 0-2.1 1.1-0.1 0.7-1-0.6-0.8 1.1 0.2 0.2-0.5 0.8 0.8 0.7 0.8 0 0.6 0.6-0.1 0.5 0.5 0.2-0.5 0.6-0.9 0.2-1 1 0.9 0.9-0.1 0.7 1.1 1.2-0.6 0.4-0.2 0.2-0.4 0-0.7-0.6-0.3-0.1-0.6-0.2-0.3-0.4-1-0.2-0.6 0.1-0.1-0.1-1.4-0.5-1.5-0.2-0.8-0.2-0.1 0.2-1.3-0.9-1.2-0.4-0.8-0.5 0.7-0.2 0.8-0.8-0.5-0.4 1.4-0.4 0-0.3-0.9 0.2 0.1-0.4 0.5-0.3 0.9-0.1 0.2-0.3-0.2-0.6 0.4-0.5 0-0.3-1.5-0.3-0.6 0-0.6-0.5-0.8 0.2-1.2-0.4 0-0.2-0.4-0.4-0.8-0.1-0.1-0.3 0.3-0.2-0.6-0.5-1.1 0.1-0.3-0.1-0.2 0.2-0.4 0-0.3-0.6-0.2-0.4 0.2-0.1 0.8 0.1 0.4-0.3-0.3-0.2-0.7-0.2 0.1-0.2-0.4-0.2-0.6-0.6 0.2-0.3-0.1-0.5-1-0.2-0.5 0.1-0.2-0.2-1-0.3-0.3-0.6-0.1-0.4-0.5-0.3 0.4-0.3-0.3-0.9 0.7-0.6-0.1-0.2 1.1-0.5-1-0.5 2.1-1.3 0.9-0.6 0.4-0.5-1.5-0.7 0.4-0.6-0.9-0.7 0.7-0.9-1.1-1.1 0.9-0.8-1.6-0.7 0.2-0.7 0.8-0.1 1.7-0.4 1-0.3 1.7 0.6 2.7 0.2 3.8 1.2 0.8 0.4 0 0.7-1.1 0.5-1.6 0.3-4.5-0.8-0.7 0.2 1.6 0.7 0.1 0.5 0 1 1.3 0.3 0.8 0.2 0.1-0.4-0.6-0.5 0.7-0.3 2.4 0.6 0.8-0.3-0.6-0.7 2.3-1 0.9 0.1 1 0.3 0.5-0.7-0.8-0.6 0.5-0.6-0.7-0.6 2.8 0.4 0.5 0.5-1.2 0.1 0 0.6 0.7 0.3 1.6-0.2 0.2-0.6 2.1-0.5 3.5-0.9 0.8 0.1-1 0.6 1.2 0.1 0.7-0.3 1.9-0.1 1.5-0.4 1.1 0.6 1.2-0.6-1.1-0.6 0.6-0.4 2.9 0.4 1.4 0.3 3.6 1.1 0.7-0.5-1-0.5-0.1-0.3-1.2-0.1 0.4-0.4-0.6-0.8 0-0.3 1.8-0.9 0.7-0.9 0.7-0.2 2.7 0.2 0.2 0.6-1 0.8 0.7 0.3 0.3 0.7-0.2 1.4 1.1 0.6-0.5 0.7-1.9 1.4 1.1 0.1 0.4-0.3 1.1-0.3 0.3-0.5 0.9-0.5-0.6-0.5 0.4-0.7-1.1-0.1-0.2-0.5 0.8-1-1.3-0.8 1.8-0.7-0.2-0.7 0.5-0.1 0.5 0.6-0.4 1 1.1 0.1-0.5-0.7 1.7-0.4 2.1 0 1.8 0.6-0.9-0.9-0.1-1 1.7-0.3 2.5 0.1 2.1-0.1-0.8-0.6 1.2-0.6 1.1 0 2-0.5 2.6-0.2 0.3-0.2 2.7-0.1 0.8 0.2 2.2-0.5 1.9 0 0.2-0.5 1-0.4 2.4-0.4 1.7 0.3-1.4 0.3 2.3 0.1 0.2 0.5 1-0.2 2.9 0 2.2 0.5 0.8 0.4-0.2 0.5-1.1 0.3-2.6 0.5-0.8 0.3 1.2 0.2 1.5 0.2 0.9-0.2 0.5 0.7 0.5-0.3 1.6-0.2 3.2 0.2 0.2 0.5 4.2 0.1 0.1-0.7 2.1 0.1 1.6 0 1.6 0.6 0.5 0.6-0.6 0.4 1.2 0.8 1.6 0.4 1-1 1.6 0.4 1.7-0.3 1.9 0.4 0.7-0.3 1.7 0.1-0.8-0.9 1.4-0.4 9 0.6 0.9 0.6 2.6 0.8 4-0.2 2 0.1 0.8 0.4-0.1 0.8 1.2 0.3 1.4-0.2 1.8-0.1 1.8 0.2 1.9-0.1 1.8 0.9 1.2-0.3-0.8-0.7 0.5-0.4 3.1 0.3 2.1-0.1 2.9 0.5 1.4 0.4 2.5 0.8 2.6 1-0.1 0.6 0.7 0.3-0.3-0.8 2.7 0.2 2 0.9-1 0.5-1.6 0.1-0.1 0.9-0.4 0.2-0.9 0-0.8-0.3-1.3-0.3-0.2-0.5-1-0.1-1.2 0.1-0.5-0.3 0.2-0.4-1.2 0.2 0.5 0.5-0.6 0.4-1.3 0.5-1.3-0.1 0.9 0.5 0.6 0.8 0.5 0.3 0.1 0.4-0.3 0.3-1.8-0.2-2.8 0.7-0.9 0.1-1.6 0.8-1.4 0.6-0.4 0.4-1.4-0.7-2.6 0.8-0.5-0.4-0.9 0.5-1.4-0.2-0.3 0.7-1.2 1 0.1 0.4 1.1 0.2-0.1 1.4-1 0.1-0.4 0.8 0.4 0.4-1.7 0.6-0.4 1.1-1.5 0.2-0.3 1.1-1.4 0.9-0.4-0.7-0.4-1.5-0.6-2.2 0.5-1.4 0.9-0.6 0-0.4 1.6-0.3 1.7-1.2 1.8-1 1.8-0.8 0.8-1.5-1.2 0.1-0.6 0.9-2.6 1.1-0.8-1.3-2.6 0.4-2.5 1.6 0.8 0.7-2.2 0.2-1.5 0.1 0-0.7-1.5-0.2-1.3 0.5-3-0.1-3.3 0.3-3.2 1.9-3.9 2.4 1.6 0.1 0.5 0.6 1 0.2 0.6-0.5 1.1 0.1 1.4 1.1 0.1 0.9-0.8 1-0.1 1.2-0.4 1.6-1.5 1.4-0.4 0.7-1.3 1.2-1.4 1.1-0.6 0.6-1.4 0.6-0.6 0-0.6-0.5-1.4 0.7-0.1 0.4zM0 18.5l0.1-0.1 0.9 0 1.4 0.3-0.1 0.2-1 0.2-1.3 0.1-1.1 0-0.2-0.3 1.3-0.4zM360 18.5l0.1-0.1 0.9 0 1.4 0.3-0.1 0.2-1 0.2-1.3 0.1-1.1 0-0.2-0.3 1.3-0.4zM213.4 44l0.3-0.2 0.7 0.2 0.3 0 0.2 0.2 0.1 0.1 0.5 0.3 1-0.1-0.2 0.4-1.1 0.2-1.3 0.5-0.6-0.2 0.2-0.4-1-0.3 0.1-0.2 1-0.4-0.2-0.1z"],
+  ["Bahamas", 24.5, -77.9, "M101 63.2l0.5-0.1 0.7 0.1 0 0.2-1.1 0.2-0.1-0.4zM102.2 63l0.8 0.4-0.2 0.7-0.2-0.1 0.1-0.5-0.5-0.4 0-0.1zM101.8 64.8l0.3 0 0.4 0.9 0 0.5-0.3 0.1-0.2-0.6-0.4-0.3 0.2-0.6z"],
+  ["Falkland Is.", -51.7, -59.4, "M118.8 141.8l1.2-0.5 0.8 0.2 0.7-0.4 0.8 0.4-0.3 0.4-1.4 0.3-0.4-0.4-0.9 0.5-0.5-0.5z"],
+  ["Norway", 64.5, 14.2, "M195.1 10.3l0.4-0.3 1.5-0.1 1.3 0.4 3.2 0.7-2.5 0.4-0.5 0.8-0.9 0.2-0.5 0.8-1.2 0-2.1-0.6 0.9-0.3-1.5-0.3-2-0.9-0.8-0.8 2.8-0.3 0.5 0.3 1.4 0zM211.1 20.4l-1.7 0.4-0.8 0.1 0.4-0.7-1.3-0.4-1.5 0.4-0.5 0.7-1 0.5-1-0.3-1.3 0.1-1.2-0.6-0.6 0.3-0.6 0-0.1 0.7-1.9-0.2-0.3 0.6-0.9 0-0.7 0.7-1 1.1-1.5 1.4 0.3 0.4-0.3 0.4-1-0.1-0.7 1 0.1 1.3 0.6 0.5-0.3 1.2-0.8 0.7-0.5 0.5-0.6-0.6-2 1.2-1.4 0.2-1.3-0.5-0.4-1.1-0.3-2.3 0.9-0.6 2.7-0.9 1.9-1 1.9-1.4 2.4-1.9 1.6-0.8 2.8-1.2 2.2-0.5 1.6 0.1 1.5-0.8 1.9 0 1.8-0.2 3.1 0.7-1.3 0.3 1.1 0.6zM207.4 9.9l-1.5 0.6-2.9 0.1-2.9-0.2-0.2-0.2-1.4-0.1-1.1-0.4 3.1-0.3 1.4 0.2 1-0.3 2.5 0.3 2 0.3zM204.7 12.1l-2.2 0.5-1.8-0.3 0.7-0.2-0.6-0.4 2.1-0.2 0.4 0.4 1.4 0.2z"],
+  ["Greenland", 74.8, -41.5, "M133.2 7.4l3.4-0.6 3.5 0 1.3-0.3 3.5-0.1 8 0.1 6.3 0.8-1.9 0.4-3.8 0-5.4 0.1 0.5 0.2 3.5-0.1 3.1 0.3 1.9-0.3 0.8 0.4-1.1 0.5 2.6-0.3 4.8-0.4 3 0.2 0.6 0.4-4.1 0.7-0.5 0.3-3.2 0.1 2.3 0.1-1.2 0.7-0.8 0.6 0 1.2 1.2 0.6-1.5 0.1-1.7 0.3 1.9 0.5 0.2 0.9-1.1 0 1.3 0.9-2.2 0.1 1.2 0.4-0.4 0.3-1.4 0.2-1.4 0 1.3 0.7 0 0.4-2-0.4-0.5 0.3 1.4 0.2 1.3 0.6 0.3 0.8-1.7 0.2-0.8-0.4-1.2-0.5 0.3 0.6-1.2 0.6 2.7 0 1.4 0.1-2.7 0.8-2.7 0.8-3 0.4-1.1 0-1 0.4-1.4 1-2.2 0.7-0.6 0.1-1.4 0.2-1.4 0.2-0.9 0.7 0 0.7-0.5 0.6-1.6 0.8 0.4 0.8-0.5 0.8-0.5 1-1.4 0.1-1.5-0.9-2 0-0.9-0.5-0.7-1-1.7-1.2-0.5-0.7-0.2-0.9-1.4-0.9 0.4-0.7-0.7-0.4 1-1.2 1.5-0.3 0.4-0.4 0.2-0.8-1.1 0.3-0.6 0.2-0.9 0.1-1.2-0.3-0.1-0.7 0.4-0.5 1 0 2 0.2-1.7-0.6-0.9-0.3-1 0.1-0.8-0.3 1.1-0.9-0.6-0.4-0.8-0.7-1.2-1-1.3-0.4 0-0.4-2.7-0.6-2.1-0.1-2.7 0.1-2.4 0-1.2-0.3-1.7-0.6 2.6-0.3 2-0.1-4.2-0.2-2.3-0.4 0.1-0.4 3.8-0.5 3.7-0.5 0.4-0.4-2.7-0.3 0.9-0.4 3.4-0.7 1.5-0.1-0.4-0.5 2.3-0.2 3.1-0.2 3.1 0 1.1 0.3 2.6-0.5 2.4 0.3 1.4 0.1 2.1 0.3-2.4-0.5 0.1-0.4z"],
+  ["Fr. S. Antarctic Lands", -49.3, 69.5, "M248.9 138.6l0.7 0.3 0.9 0.2 0.1 0.2-0.3 0.4-1.6 0.1 0-0.6 0.2-0.4 0-0.2z"],
+  ["Timor-Leste", -8.8, 126, "M305 98.9l0.1-0.2 0.8-0.3 0.7 0 0.4-0.1 0.3 0.1-0.3 0.3-1.1 0.4-0.8 0.3 0-0.3-0.1-0.2z"],
+  ["South Africa", -29, 25.1, "M196.3 118.6l0.5-0.5 0.4 0.3 0.2 0.4 0.4 0.1 0.7 0.1 0.5 0 0.9-0.5 0-3.7 0.3 0.1 0.6 1-0.1 0.6 0.2 0.3 0.7-0.1 0.5-0.4 0.5-0.3 0.2-0.5 0.5-0.2 0.4 0.1 0.5 0.3 0.8 0 0.7-0.2 0.1-0.3 0.1-0.5 0.6-0.1 0.3-0.4 0.3-0.6 0.9-0.8 1.4-0.7 0.4 0 0.5 0.2 0.4-0.1 0.5 0.1 0.5 1.4 0.2 0.7-0.1 1.1 0 0.3-0.5-0.1-0.3 0 0 0.3-0.3 0.4 0 0.3 0.6 0.6 0.6-0.1 0.2-0.5 0.7 0-0.2 0.8-0.1 0.8-0.3 0.5-0.7 0.5-0.2 0.1-0.4 0.5-0.3 0.5-0.5 0.7-1.2 1.1-0.7 0.6-0.7 0.4-1.1 0.4-0.5 0.1-0.1 0.2-0.6-0.1-0.5 0.2-1.1-0.2-0.6 0.1-0.4 0-1.1 0.4-0.8 0.1-0.6 0.4-0.5 0-0.4-0.3-0.3-0.1-0.5-0.4 0 0.1-0.2-0.2 0.1-0.6-0.4-0.7 0.3-0.2 0-0.7-0.6-1-0.5-0.8-0.8-1.3zM209 119l-0.5-0.4-0.4 0.3-0.6 0.3-0.5 0.7 0.8 0.7 0.3-0.1 0.2-0.3 0.5-0.1 0.2-0.4 0.3-0.4-0.3-0.3z"],
+  ["Lesotho", -29.6, 28.2, "M209 119l0.3 0.3-0.3 0.4-0.2 0.4-0.5 0.1-0.2 0.3-0.3 0.1-0.8-0.7 0.5-0.7 0.6-0.3 0.4-0.3 0.5 0.4z"],
+  ["Mexico", 23.9, -102.6, "M62.9 57.5l1.1-0.1 1.3-0.1-0.1 0.2 1.5 0.5 2.3 0.7 2 0 0.8 0 0-0.5 1.7 0 0.4 0.4 0.5 0.3 0.6 0.5 0.3 0.5 0.2 0.5 0.6 0.3 0.8 0.3 0.6-0.8 0.8 0 0.7 0.4 0.5 0.7 0.4 0.6 0.6 0.6 0.2 0.7 0.3 0.4 0.8 0.3 0.7 0.3 0.4-0.1-0.4 0.9-0.2 0.7-0.1 1.4-0.1 0.5 0.2 0.5 0.3 0.5 0.2 0.8 0.7 0.7 0.2 0.6 0.4 0.5 1.1 0.2 0.4 0.5 0.9-0.3 0.7-0.1 0.8-0.2 0.6-0.2 0.6-0.4 0.3-0.6 0-0.8 0.2-0.3 0.7-0.3 1.1-0.2 0.8 0 0.6 0 0.3 0.2 0 0.5-0.6 0.5-0.2 0.7 0.2 0.1-0.2 0.5-0.2 0.7-0.3-0.2-0.2 0-0.2 0-0.3 0.6-0.2-0.1-0.1 0 0 0.2-1 0-0.9 0 0 0.5-0.5 0 0.4 0.4 0.4 0.2 0.1 0.2 0.2 0.1-0.1 0.3-1.2 0-0.5 0.8 0.1 0.2-0.1 0.3 0 0.3-1.2-1.1-0.5-0.3-0.8-0.3-0.6 0.1-0.8 0.3-0.5 0.1-0.7-0.2-0.7-0.2-0.9-0.5-0.8-0.1-1.1-0.5-0.9-0.4-0.2-0.3-0.6-0.1-1-0.3-0.4-0.4-1.1-0.6-0.5-0.6-0.2-0.5 0.3-0.1-0.1-0.3 0.2-0.3 0-0.3-0.3-0.5-0.1-0.4-0.3-0.5-0.9-1-1-0.7-0.5-0.7-0.9-0.4-0.1-0.2 0.1-0.6-0.5-0.3-0.6-0.5-0.2-0.7-0.6 0-0.6-0.6-0.4-0.5-0.1-0.3-0.5-0.7-0.4-0.8 0.1-0.4-0.8-0.4-0.3 0.1-0.6-0.3-0.1 0.4 0.1 0.5 0.1 0.7 0.4 0.4 0.7 0.7 0.2 0.3 0.1 0 0.2 0.4 0.1 0 0.2 0.6 0.3 0.3 0.3 0.3 0.6 0.5 0.3 1 0.3 0.4 0.3 0.5 0 0.5 0.5 0 0.4 0.5 0.4 0.4 0 0.2-0.5 0.4-0.1 0-0.3-0.6-0.6-0.6-0.8-0.5-0.5-0.2 0-0.8-0.1-0.5-0.5-0.3-0.7-0.5-0.1 0.2-0.2-0.3-0.7-0.2-0.6-0.6 0.1-0.1 0.4 0.1 0.4-0.4 0-0.5-0.7-0.7-0.6-0.3-0.4-0.6-0.4-0.6-0.4-0.8-0.4-0.9z"],
+  ["Uruguay", -32.8, -56, "M122.4 120.2l0.6-0.1 1 0.8 0.4 0 1 0.6 0.8 0.5 0.6 0.7-0.4 0.5 0.2 0.6-0.4 0.6-1.1 0.6-0.8-0.2-0.5 0.1-0.9-0.5-0.7 0.1-0.6-0.6 0-0.6 0.3-0.3 0-1 0.2-1 0.3-0.8z"],
+  ["Brazil", -10.8, -53.1, "M126.6 123.8l-0.2-0.6 0.4-0.5-0.6-0.7-0.8-0.5-1-0.6-0.4 0-1-0.8-0.6 0.1 1.3-1.3 1.1-1 0.7-0.4 0.9-0.6 0-0.8-0.5-0.6-0.5 0.2 0.2-0.5 0.1-0.6 0-0.6-0.4-0.2-0.3 0.2-0.4 0-0.1-0.4-0.1-0.9-0.2-0.3-0.7-0.3-0.4 0.2-1-0.2 0-1.4-0.3-0.5 0.3-0.2-0.1-0.6 0.3-0.4 0.2-0.8-0.2-0.6-0.6-0.3-0.1-0.4 0.2-0.6-2 0-0.3-1.2 0.2 0 0-0.5-0.2-0.2 0-0.6-0.6-0.3-0.6 0-0.4-0.3-0.7-0.2-0.4-0.4-1.1-0.1-1.1-0.9 0.1-0.7-0.1-0.4 0.1-0.7-1.3 0.1-0.6 0.4-0.8 0.4-0.3 0.3-0.5 0-0.7 0-0.6 0.1-0.4-0.1 0-1.5-0.8 0.6-0.9 0-0.4-0.6-0.6 0 0.2-0.5-0.6-0.6-0.4-0.9 0.3-0.2 0-0.4 0.6-0.3-0.1-0.5 0.2-0.4 0.1-0.4 1.2-0.7 0.8-0.2 0.1-0.1 0.9 0 0.5-2.7 0-0.5-0.2-0.6-0.4-0.3 0-0.7 0.5-0.2 0.2 0.1 0.1-0.4-0.6-0.1 0-0.6 1.9 0 0.4-0.3 0.2 0.3 0.2 0.6 0.2-0.2 0.6 0.6 0.8-0.1 0.1-0.3 0.8-0.2 0.4-0.2 0.1-0.4 0.7-0.3 0-0.2-0.9-0.1-0.1-0.6 0-0.7-0.4-0.3 0.2 0 0.7 0.1 0.8 0.2 0.3-0.2 0.7-0.2 1.1-0.3 0.4-0.4-0.1-0.3 0.5 0 0.2 0.2-0.1 0.4 0.3 0.2 0.3 0.4-0.3 0.4-0.2 0.8 0.3 0.6 0.1 0.4 0.6 0.5 0.5 0 0.1-0.2 0.3 0 0.4-0.2 0.4-0.2 0.5 0 0.3 0 0.5 0.1 0.1-0.2-0.2-0.2 0.1-0.3 0.4 0.1 0.5-0.1 0.6 0.2 0.4 0.2 0.3-0.3 0.2 0.1 0.2 0.2 0.5 0 0.3-0.4 0.4-0.7 0.5-1 0.4 0 0.2 0.6 0.6 1.7 0.5 0.2 0.1 0.7-0.8 0.8 0.3 0.3 1.8 0.1 0 1 0.8-0.6 1.2 0.3 1.7 0.7 0.5 0.5-0.2 0.6 1.2-0.3 1.9 0.5 1.5 0 1.5 0.8 1.3 1.1 0.7 0.3 0.9 0 0.4 0.4 0.3 1.2 0.2 0.6-0.4 1.7-0.5 0.6-1.4 1.4-0.7 1.2-0.7 0.8-0.3 0.1-0.3 0.7 0.1 1.9-0.3 1.5-0.1 0.7-0.3 0.4-0.2 1.3-1 1.3-0.1 1-0.9 0.5-0.2 0.6-1.1 0-1.5 0.4-0.8 0.4-1.1 0.3-1.1 0.8-0.9 1-0.1 0.7 0.1 0.6-0.2 1-0.2 0.5-0.7 0.5-1.1 1.8-0.9 0.8-0.7 0.4-0.4 1-0.7 0.6z"],
+  ["Bolivia", -16.7, -64.6, "M110.5 101l0.7 0 0.5 0 0.3-0.3 0.8-0.4 0.6-0.4 1.3-0.1-0.1 0.7 0.1 0.4-0.1 0.7 1.1 0.9 1.1 0.1 0.4 0.4 0.7 0.2 0.4 0.3 0.6 0 0.6 0.3 0 0.6 0.2 0.2 0 0.5-0.2 0 0.3 1.2 2 0-0.2 0.6 0.1 0.4 0.6 0.3 0.2 0.6-0.2 0.8-0.3 0.4 0.1 0.6-0.3 0.2 0-0.3-0.9-0.5-0.9-0.1-1.8 0.3-0.5 0.9 0 0.6-0.4 1.1-0.1-0.2-1.2 0-0.4 0.8-0.6-0.7-1.3-0.3-0.8 0.9-0.7 0.2-0.4-1.4-0.6-1.1 0.4-1-0.6-0.4-0.1-0.7-0.5-0.7 0.6-1.1-0.4-0.8 0.2-0.4-0.1-0.3 0.4-0.5 0-0.9 0-0.7 0.2-0.3-0.8-1.6z"],
+  ["Peru", -9.2, -74.4, "M110.1 94.3l-0.9 0-0.1 0.1-0.8 0.2-1.2 0.7-0.1 0.4-0.2 0.4 0.1 0.5-0.6 0.3 0 0.4-0.3 0.2 0.4 0.9 0.6 0.6-0.2 0.5 0.6 0 0.4 0.6 0.9 0 0.8-0.6 0 1.5 0.4 0.1 0.6-0.1 0.8 1.6-0.2 0.3 0 0.7 0 0.9-0.4 0.5 0.1 0.3-0.2 0.4 0.4 0.8-0.6 1.1-0.3 0.5-0.5 0.2-1-0.5-0.1-0.4-1.9-1-1.8-1.1-0.8-0.7-0.4-0.8 0.1-0.3-0.8-1.3-1-1.8-0.9-2-0.4-0.5-0.4-0.7-0.7-0.7-0.8-0.4 0.4-0.4-0.5-1 0.3-0.7 0.8-0.6 0.1 0.4-0.3 0.3 0.1 0.3 0.4-0.1 0.4 0.2 0.4 0.5 0.6-0.5 0.1-0.6 0.7-0.9 1.2-0.4 1.1-1 0.3-0.7-0.2-0.7 0.3-0.1 0.7 0.4 0.3 0.5 0.4 0.3 0.6 1 0.8 0.1 0.5-0.2 0.4 0.1 0.6 0 0.8 0.4-0.7 1 0.3 0.1 0.5 0.5z"],
+  ["Colombia", 3.9, -73.1, "M113.1 88.7l-0.2 0.2-0.2-0.6-0.2-0.3-0.4 0.3-1.9 0 0 0.6 0.6 0.1-0.1 0.4-0.2-0.1-0.5 0.2 0 0.7 0.4 0.3 0.2 0.6 0 0.5-0.5 2.7-0.5-0.5-0.3-0.1 0.7-1-0.8-0.4-0.6 0-0.4-0.1-0.5 0.2-0.8-0.1-0.6-1-0.4-0.3-0.3-0.5-0.7-0.4-0.3 0.1-0.4-0.3-0.5-0.3-0.3 0.1-0.8-0.1-0.3-0.4-0.2 0-1-0.6-0.1-0.3 0.4-0.1-0.1-0.5 0.3-0.3 0.5-0.1 0.4-0.6 0.4-0.5-0.4-0.3 0.2-0.6-0.2-0.9 0.2-0.2-0.2-0.9-0.4-0.5 0.1-0.5 0.4 0.1 0.2-0.3-0.3-0.6 0.1-0.2 0.6 0.1 0.7-0.7 0.4-0.1 0-0.4 0.2-0.8 0.6-0.5 0.6 0 0.1-0.2 0.8 0.1 0.8-0.5 0.4-0.3 0.4-0.4 0.4 0 0.3 0.3-0.2 0.3-0.7 0.2-0.2 0.5-0.4 0.3-0.3 0.3-0.1 0.8-0.3 0.5 0.5 0.1 0.1 0.5 0.3 0.2 0 0.4-0.1 0.4 0.1 0.2 0.2 0.1 0.2 0.3 1.3-0.1 0.6 0.1 0.7 0.9 0.4-0.1 0.7 0 0.6-0.1 0.4 0.2-0.2 0.5-0.2 0.4-0.1 0.7 0.2 0.7 0.3 0.3 0 0.2-0.5 0.5 0.4 0.2 0.2 0.4 0.3 0.9z"],
+  ["Panama", 8.5, -80.1, "M102.6 81.3l-0.1 0.2 0.3 0.6-0.2 0.3-0.4-0.1-0.1 0.5-0.3-0.3-0.2-0.6 0.2-0.2-0.2-0.1-0.2-0.3-0.5-0.3-0.5 0.1-0.2 0.3-0.4 0.3-0.2 0-0.1 0.2 0.5 0.6-0.3 0.1-0.1 0.1-0.5 0.1-0.2-0.6-0.1 0.2-0.3-0.1-0.2-0.4-0.4-0.1-0.3-0.1-0.4 0 0 0.2-0.2-0.1 0.1-0.2 0.1-0.2-0.1-0.2 0.2-0.1-0.2-0.2 0-0.4 0.4-0.1 0.3 0.4 0 0.2 0.4 0 0.1 0 0.3 0.2 0.5-0.1 0.4-0.2 0.6-0.2 0.3-0.3 0.6 0-0.1 0.1 0.6 0.1 0.4 0.2 0.4 0.3 0.3 0.2z"],
+  ["Costa Rica", 10, -84.2, "M97.5 80.4l-0.4 0.1 0 0.4 0.2 0.2-0.2 0.1 0.1 0.2-0.1 0.2-0.1 0.2-0.5-0.2-0.2-0.3 0.1-0.1 0-0.3-0.3-0.2-0.4-0.2-0.3-0.1-0.1-0.3-0.3-0.2 0.1 0.3-0.2 0.2-0.2-0.2-0.4-0.1-0.1-0.2 0-0.3 0.1-0.4-0.2-0.1 0.2-0.2 0.1-0.1 0.7 0.2 0.2-0.1 0.3 0.1 0.2 0.2 0.3 0.1 0.2-0.2 0.3 0.5 0.4 0.4 0.5 0.4z"],
+  ["Nicaragua", 12.8, -85, "M96.3 79.1l-0.2 0.2-0.3-0.1-0.2-0.2-0.3-0.1-0.2 0.1-0.7-0.2-0.1 0.1-0.4-0.3-0.4-0.4-0.2-0.3-0.5-0.4-0.5-0.4 0.1-0.2 0.2 0.2 0.1-0.1 0.3 0 0.1-0.3 0.2 0-0.1-0.5 0.3 0 0.2 0 0.2-0.2 0.3 0.2 0.1-0.2 0.2-0.1 0.3-0.3 0.1-0.2 0.2-0.2 0.1 0 0.2 0.1 0.2 0.1 0.2-0.1 0.2 0 0.4-0.2 0.1-0.1 0.4 0-0.1 0.1-0.1 0.2 0.1 0.4-0.2 0.3-0.1 0.4-0.1 0.5 0.1 0.2 0 0.5-0.1 0.1-0.1 0.4 0 0.3-0.2 0.2 0.1 0.3 0.1 0.2z"],
+  ["Honduras", 14.8, -86.6, "M96.9 75l-0.4 0-0.1 0.1-0.4 0.2-0.2 0-0.2 0.1-0.2-0.1-0.2-0.1-0.1 0-0.2 0.2-0.1 0.2-0.3 0.3-0.2 0.1-0.1 0.2-0.3-0.2-0.2 0.2-0.2 0-0.3 0 0.1 0.5-0.2 0-0.1 0.3-0.3 0-0.2-0.3-0.3-0.1 0.1-0.4-0.2-0.1-0.2-0.1-0.4 0.2 0-0.2-0.3-0.1-0.3-0.2-0.3-0.1 0.3-0.3-0.1-0.2 0-0.2 0.5-0.2 0.5-0.4 0.1 0 0.2-0.2 0.3 0 0.1 0.1 0.1 0 0.5 0 0.5 0 0.3-0.1 0.1-0.1 0.3 0 0.3 0.1 0.2 0 0.2-0.1 0.5 0.1 0.1 0.1 0.3 0.2 0.3 0.2 0.4 0.1 0.3 0.3z"],
+  ["El Salvador", 13.7, -88.9, "M90.6 75.6l0.3 0.1 0.3 0.2 0.3 0.1 0 0.2 0.4-0.2 0.2 0.1 0.2 0.1-0.1 0.4-0.1 0.3-0.6-0.1-0.3-0.1-0.5-0.2-0.5 0-0.3-0.2 0-0.2 0.4-0.2 0.2-0.1-0.1-0.2 0.2 0z"],
+  ["Guatemala", 15.7, -90.4, "M87.8 75.5l0-0.3 0.1-0.3-0.1-0.2 0.5-0.8 1.2 0 0.1-0.3-0.2-0.1-0.1-0.2-0.4-0.2-0.4-0.4 0.5 0 0-0.5 0.9 0 1 0 0 0.8-0.1 1.1 0.3 0 0.3 0.2 0.1-0.2 0.3 0.2-0.5 0.4-0.5 0.2 0 0.2 0.1 0.2-0.3 0.3-0.2 0 0.1 0.2-0.2 0.1-0.4 0.2 0 0.2-0.5-0.2-0.6 0-0.5-0.2-0.5-0.4z"],
+  ["Belize", 17.2, -88.7, "M90.9 72.2l0-0.2 0.1 0 0.2 0.1 0.3-0.6 0.2 0 0 0.1 0.2 0.1 0 0.2-0.2 0.5 0.1 0.1-0.1 0.4 0.1 0.1-0.2 0.5-0.2 0.2-0.1 0.1-0.2 0.3-0.3 0 0.1-1.1 0-0.8z"],
+  ["Venezuela", 7.2, -66.2, "M119.3 84.8l0.1 0.3-0.4 0.4-1.1 0.3-0.7 0.2-0.3 0.2-0.8-0.2-0.7-0.1-0.2 0 0.4 0.3 0 0.7 0.1 0.6 0.9 0.1 0 0.2-0.7 0.3-0.1 0.4-0.4 0.2-0.8 0.2-0.1 0.3-0.8 0.1-0.6-0.6-0.3-0.9-0.2-0.4-0.4-0.2 0.5-0.5 0-0.2-0.3-0.3-0.2-0.7 0.1-0.7 0.2-0.4 0.2-0.5-0.4-0.2-0.6 0.1-0.7 0-0.4 0.1-0.7-0.9-0.6-0.1-1.3 0.1-0.2-0.3-0.2-0.1-0.1-0.2 0.1-0.4 0-0.4-0.3-0.2-0.1-0.5-0.5-0.1 0.3-0.5 0.1-0.8 0.3-0.3 0.4-0.3 0.2-0.5 0.7-0.2-0.1 0.3-0.5 0.1 0.3 0.4 0 0.6-0.5 0.5 0.4 0.8 0.4 0 0.3-0.8-0.4-0.3 0-0.8 1.2-0.4-0.1-0.4 0.4-0.4 0.3 0.7 0.7 0.1 0.7 0.5 0 0.3 0.9 0.1 1.1-0.1 0.5 0.4 0.8 0.1 0.6-0.3 0-0.2 1.2-0.1 1.2 0-0.8 0.3 0.3 0.5 0.8 0 0.8 0.5 0.1 0.8 0.5 0 0.4 0.2-0.8 0.6 0 0.4 0.3 0.4-0.2 0.1-0.7 0.2 0.1 0.5-0.3 0.2 0.7 0.8z"],
+  ["Guyana", 4.8, -59, "M123.5 88.1l-0.3 0-0.5 0-0.4 0.2-0.4 0.2-0.3 0-0.1 0.2-0.5 0-0.6-0.5-0.1-0.4-0.3-0.6 0.2-0.8 0.3-0.4-0.3-0.4-0.3-0.2 0.1-0.4-0.2-0.2-0.5 0-0.7-0.8 0.3-0.2-0.1-0.5 0.7-0.2 0.2-0.1-0.3-0.4 0-0.4 0.8-0.6 0.7 0.4 0.6 0.7 0 0.5 0.4 0 0.6 0.5 0.4 0.3-0.2 0.9-0.6 0.3 0 0.2-0.1 0.5 0.4 0.8 0.3 0 0.2 0.5 0.6 0.9z"],
+  ["Suriname", 4.1, -55.9, "M125.5 87.7l-0.6-0.2-0.5 0.1-0.4-0.1-0.1 0.3 0.2 0.2-0.1 0.2-0.5-0.1-0.6-0.9-0.2-0.5-0.3 0-0.4-0.8 0.1-0.5 0-0.2 0.6-0.3 0.2-0.9 1.2 0.2 0.1-0.2 0.8 0 1 0.2-0.5 0.9 0.1 0.7 0.4 0.6-0.2 0.4-0.1 0.5-0.2 0.4z"],
+  ["France", 46.6, 2.3, "M128.3 85.8l-0.5 1-0.4 0.7-0.3 0.4-0.5 0-0.2-0.2-0.2-0.1-0.3 0.3-0.4-0.2 0.2-0.4 0.1-0.5 0.2-0.4-0.4-0.6-0.1-0.7 0.5-0.9 0.4 0.2 0.7 0.2 1.1 0.8 0.1 0.4zM186.2 40.5l0.5 0.3 1.4 0.2-0.5 0.7-0.1 0.7-0.3 0.2-0.5-0.1 0.1 0.2-0.8 0.6 0 0.4 0.5-0.1 0.3 0.4 0 0.3 0.3 0.4-0.4 0.3 0.3 0.7 0.6 0.2-0.2 0.4-0.9 0.6-1.9-0.3-1.5 0.3-0.1 0.6-1.2 0.2-1.1-0.5-0.4 0.2-1.8-0.4-0.4-0.4 0.5-0.6 0.2-2-1-1.1-0.8-0.5-1.5-0.4-0.1-0.7 1.3-0.2 1.7 0.3-0.3-1.2 0.9 0.5 2.3-0.8 0.3-0.8 0.9-0.2 0.2 0.3 0.4 0 0.5 0.4 0.7 0.5 0.5-0.1 0.9 0.5 0.2 0.1 0.3-0.1zM188.7 47.4l0.7-0.4 0.2 0.8-0.4 0.8-0.4-0.2-0.3-0.7 0.2-0.3z"],
+  ["Ecuador", -1.5, -78.4, "M104.6 90.2l0.2 0.7-0.3 0.7-1.1 1-1.2 0.4-0.7 0.9-0.1 0.6-0.6 0.5-0.4-0.5-0.4-0.2-0.4 0.1-0.1-0.3 0.3-0.3-0.1-0.4 0.5-0.7-0.2-0.5-0.4 0.5-0.6-0.5 0.2-0.2-0.1-0.9 0.3-0.2 0.2-0.6 0.4-0.7-0.1-0.4 0.6-0.2 0.6-0.4 1 0.6 0.2 0 0.3 0.4 0.8 0.1 0.3-0.1 0.5 0.3 0.4 0.3z"],
+  ["Puerto Rico", 18.2, -66.5, "M113.7 71.5l0.5 0.1 0.2 0.2-0.2 0.2-0.8 0-0.6 0.1 0-0.5 0.1-0.1 0.8 0z"],
+  ["Jamaica", 18.1, -77.3, "M102.4 71.5l0.7 0.1 0.5 0.2 0.2 0.3-0.7 0-0.3 0.2-0.6-0.2-0.5-0.3 0.1-0.3 0.4 0 0.2 0z"],
+  ["Cuba", 21.6, -79, "M97.7 66.8l0.9 0.1 0.8 0 0.9 0.3 0.4 0.4 1-0.1 0.3 0.2 0.9 0.6 0.6 0.5 0.3 0 0.6 0.2-0.1 0.3 0.8 0 0.7 0.4-0.1 0.2-0.7 0.2-0.6 0-0.7-0.1-1.5 0.1 0.7-0.5-0.4-0.3-0.6 0-0.4-0.3-0.2-0.6-0.6 0-0.9-0.2-0.3-0.2-1.3-0.2-0.4-0.2 0.4-0.2-1-0.1-0.7 0.5-0.4 0-0.2 0.3-0.4 0.1-0.5-0.1 0.6-0.3 0.2-0.4 0.4-0.2 0.5-0.2 0.8-0.1 0.2-0.1z"],
+  ["Zimbabwe", -18.9, 29.8, "M211.2 112.3l-0.5-0.1-0.4 0.1-0.5-0.2-0.4 0-0.6-0.5-0.8-0.1-0.3-0.6 0-0.4-0.4-0.1-1.1-1.1-0.3-0.6-0.3-0.2-0.3-0.8 1.1 0.1 0.3 0.2 0.3-0.1 0.6-0.6 0.9-0.8 0.3-0.1 0.1-0.4 0.6-0.4 0.8-0.1 0 0.4 0.9 0 0.4 0.2 0.3 0.2 0.4 0.1 0.5 0.3 0 1.3-0.1 0.7-0.1 0.7 0.2 0.3-0.1 0.6-0.2 0.1-0.3 0.7-1 1.2z"],
+  ["Botswana", -22.1, 23.8, "M209.4 112.1l-1.4 0.7-0.9 0.8-0.3 0.6-0.3 0.4-0.6 0.1-0.1 0.5-0.1 0.3-0.7 0.2-0.8 0-0.5-0.3-0.4-0.1-0.5 0.2-0.2 0.5-0.5 0.3-0.5 0.4-0.7 0.1-0.2-0.3 0.1-0.6-0.6-1-0.3-0.1 0-3 1 0 0-3.5 0.8-0.1 1.5-0.3 0.4 0.4 0.6-0.4 0.3 0 0.6-0.2 0.2 0 0.3 0.8 0.3 0.2 0.3 0.6 1.1 1.1 0.4 0.1 0 0.4 0.3 0.6 0.8 0.1 0.6 0.5z"],
+  ["Namibia", -22.1, 17.2, "M199.9 114.8l0 3.7-0.9 0.5-0.5 0-0.7-0.1-0.4-0.1-0.2-0.4-0.4-0.3-0.5 0.5-0.7-0.8-0.4-0.7-0.2-1-0.3-0.7-0.3-1.5 0-1.2-0.1-0.6-0.4-0.4-0.5-0.8-0.6-1.2-0.2-0.7-0.8-0.9-0.1-0.8 0.5-0.2 0.6-0.2 0.7 0.1 0.6 0.4 0.1 0 4.1-0.1 0.7 0.5 2.4 0.1 1.8-0.4 0.8-0.2 0.7 0.1 0.4 0.2 0 0.1-0.6 0.2-0.3 0-0.6 0.4-0.4-0.4-1.5 0.3-0.8 0.1 0 3.5-1 0 0 3z"],
+  ["Senegal", 14.4, -14.5, "M163.3 76.4l-0.4-0.8-0.5-0.3 0.4-0.2 0.5-0.7 0.2-0.5 0.4-0.4 0.5 0.1 0.5-0.2 0.5 0 0.5 0.3 0.7 0.3 0.6 0.7 0.6 0.7 0.1 0.6 0.2 0.6 0.3 0.3 0.1 0.3 0 0.4-0.2 0-0.5-0.1-0.1 0.1-0.2 0.1-0.7-0.3-0.5 0-1.8 0-0.3 0.1-0.3 0-0.6 0.1-0.1-0.8 0.9 0.1 0.2-0.2 0.2 0 0.4-0.2 0.4 0.2 0.4 0 0.5-0.2-0.2-0.3-0.4 0.2-0.3 0-0.4-0.3-0.3 0-0.2 0.3-1.1 0z"],
+  ["Mali", 17.3, -3.5, "M168.5 77.6l0-0.4-0.1-0.3-0.3-0.3-0.2-0.6-0.1-0.6 0.4-0.2 0.1-0.6 0.4 0 0.6 0.3 0.6-0.2 0.4 0 0.2-0.2 4 0 0.2-0.7-0.2-0.1-0.5-4.3-0.5-4.4 1.6 0 3.4 2.2 3.3 2.2 0.3 0.5 0.6 0.2 0.4 0.2 0.1 0.6 1.1-0.1 0 2.3-0.6 0.7-0.1 0.6-0.9 0.2-1.3 0.1-0.4 0.3-0.6 0.1-0.7 0-0.2-0.2-0.6 0.1-0.9 0.4-0.2 0.4-0.8 0.4-0.1 0.3-0.4 0.2-0.5-0.2-0.3 0.3-0.1 0.7-0.8 0.8 0 0.3-0.3 0.4 0.1 0.6-0.4 0.2-0.2 0.1-0.2-0.4-0.3 0.1-0.2 0-0.1 0.3-0.8 0-0.3-0.2-0.1 0.1-0.3-0.3 0-0.3-0.1-0.1-0.2 0.1 0-0.3 0.2-0.3-0.4-0.4-0.1-0.3-0.2-0.2-0.2 0-0.3 0.1-0.3 0.1-0.3 0.3-0.4-0.1-0.3-0.3-0.1 0-0.3 0.1-0.2 0 0-0.3z"],
+  ["Mauritania", 20.2, -10.3, "M162.9 69l0.3-0.3 3.9 0-0.2-1.5 0.2-0.5 1-0.1-0.1-2.5 3.3 0 0-1.5 3.8 2.4-1.6 0 0.5 4.4 0.5 4.3 0.2 0.1-0.2 0.7-4 0-0.2 0.2-0.4 0-0.6 0.2-0.6-0.3-0.4 0-0.1 0.6-0.4 0.2-0.6-0.7-0.6-0.7-0.7-0.3-0.5-0.3-0.5 0-0.5 0.2-0.5-0.1-0.4 0.4-0.1-0.6 0.3-0.5 0.2-0.9-0.2-1-0.1-0.5 0.1-0.5-0.2-0.5-0.6-0.4z"],
+  ["Benin", 9.6, 2.3, "M182.7 83.7l-0.8 0.2-0.3-0.7 0.1-2.3-0.2-0.2-0.1-0.5-0.3-0.4-0.3-0.3 0.1-0.5 0.3-0.1 0.2-0.4 0.5-0.1 0.3-0.3 0.3-0.3 0.3 0 0.8 0.5 0 0.4 0.2 0.6-0.2 0.4 0.1 0.2-0.5 0.7-0.3 0.3-0.2 0.6 0 0.6 0 1.6z"],
+  ["Niger", 17.3, 9.3, "M194.9 67.1l0.2 1.6 0.4 0.3 0 0.3 0.4 0.3-0.2 0.4-0.4 2.1-0.1 1.3-1.2 0.9-0.5 1.3 0.5 0.4 0 0.6 0.6 0.1-0.1 0.4-0.3 0.1 0 0.3-0.2 0-0.7-1.1-0.2 0-0.8 0.6-0.8-0.3-0.5-0.1-0.3 0.2-0.6-0.1-0.6 0.4-0.5 0.1-1.2-0.5-0.5 0.2-0.5 0-0.4-0.4-1-0.4-1 0.2-0.3 0.2-0.1 0.5-0.3 0.4-0.1 0.9-0.8-0.5-0.3 0-0.3 0.3 0-0.7-1.2-0.3 0-0.4-0.6-0.7-0.1-0.4 0.1-0.5 0.6-0.1 0.4-0.3 1.3-0.1 0.9-0.2 0.1-0.6 0.6-0.7 0-2.3 1.4-0.4 2.9-2 3.4-1.9 1.6 0.5 0.5 0.5 0.8-0.4z"],
+  ["Nigeria", 9.5, 8, "M182.7 83.7l0-1.6 0-0.6 0.2-0.6 0.3-0.3 0.5-0.7-0.1-0.2 0.2-0.4-0.2-0.6 0-0.4 0.1-0.9 0.3-0.4 0.1-0.5 0.3-0.2 1-0.2 1 0.4 0.4 0.4 0.5 0 0.5-0.2 1.2 0.5 0.5-0.1 0.6-0.4 0.6 0.1 0.3-0.2 0.5 0.1 0.8 0.3 0.8-0.6 0.2 0 0.7 1.1 0.2 0 0.4 0.4-0.1 0.2-0.1 0.3-0.8 0.8-0.3 0.6-0.1 0.6-0.2 0.2-0.2 0.7-0.6 0.4-0.1 0.5-0.3 0.4-0.1 0.4-0.6 0.4-0.6-0.5-0.4 0.1-0.6 0.5-0.3 0.1-0.4 0.9-0.3 0.7-1 0.4-0.4-0.1-0.4 0.3-0.8-0.1-0.5-0.6-0.4-0.7-0.7-0.7-0.7 0-0.9 0z"],
+  ["Cameroon", 5.7, 12.6, "M194.5 77.1l0.4 0.7 0.1 0.6-0.1 0.7 0.6 0.9-0.6 0-0.3 0.1-0.4-0.1-0.2 0.5 0.5 0.5 0.5 0.2 0.1 0.4 0.3 0.7-0.1 0.3-0.5 1-0.3 0.2 0 0.7 0.1 0.5-0.1 0.3 0.5 0.5 0 0.3 0.4 0.6 0.5 0.3 0 0.4 0.1 0.3-0.1 0.6-0.8-0.3-0.8-0.2-1.2-0.1-0.1 0-0.6 0.1-0.6-0.1-0.5 0-1.7 0 0.2-0.8-0.4-0.6-0.5-0.2-0.2-0.5-0.2-0.1 0-0.3 0.3-0.7 0.4-0.9 0.3-0.1 0.6-0.5 0.4-0.1 0.6 0.5 0.6-0.4 0.1-0.4 0.3-0.4 0.1-0.5 0.6-0.4 0.2-0.7 0.2-0.2 0.1-0.6 0.3-0.6 0.8-0.8 0.1-0.3 0.1-0.2-0.4-0.4 0-0.3 0.3-0.1z"],
+  ["Togo", 8.4, 1, "M180.9 79l-0.1 0.5 0.3 0.3 0.3 0.4 0.1 0.5 0.2 0.2-0.1 2.3 0.3 0.7-0.8 0.2-0.3-0.4-0.2-0.6-0.1-0.5 0.2-0.9-0.2-0.4-0.1-0.8 0-0.7-0.4-0.5 0-0.3 0.9 0z"],
+  ["Ghana", 7.9, -1.2, "M180 79l0 0.3 0.4 0.5 0 0.7 0.1 0.8 0.2 0.4-0.2 0.9 0.1 0.5 0.2 0.6 0.3 0.4-1.6 0.6-0.6 0.3-0.9 0.3-0.9-0.3 0.1-0.4-0.4-0.9 0.2-1.1 0.4-0.8-0.2-1.4-0.2-0.8 0.1-0.6 1.7 0 0.4 0.1 0.4-0.2 0.4 0.1z"],
+  ["Côte d'Ivoire", 7.6, -5.6, "M172 79.8l0.1-0.1 0.3 0.2 0.8 0 0.1-0.3 0.2 0 0.3-0.1 0.2 0.4 0.2-0.1 0.4-0.2 0.4 0.2 0.2 0.4 0.5 0.2 0.3-0.3 0.5 0 0.7 0.3 0.2 1.4-0.4 0.8-0.2 1.1 0.4 0.9-0.1 0.4-0.4 0-0.7-0.2-0.6 0-1.2 0.2-0.7 0.3-1 0.4-0.2-0.1 0.1-0.8 0.1-0.1-0.1-0.4-0.4-0.4-0.3-0.1-0.3-0.3 0.2-0.4-0.1-0.5 0.1-0.3 0.1 0 0.1-0.4-0.1-0.2 0.1-0.2 0.4-0.1-0.3-0.8-0.2-0.4 0.1-0.3 0.2-0.1z"],
+  ["Guinea", 10.4, -11.1, "M166.3 77.4l0.5 0 0.7 0.3 0.2-0.1 0.1-0.1 0.5 0.1 0.2 0 0 0.3 0.2 0 0.3-0.1 0.1 0 0.3 0.3 0.4 0.1 0.3-0.3 0.3-0.1 0.3-0.1 0.2 0 0.2 0.2 0.1 0.3 0.4 0.4-0.2 0.3 0 0.3 0.2-0.1 0.1 0.1 0 0.3 0.3 0.3-0.2 0.1-0.1 0.3 0.2 0.4 0.3 0.8-0.4 0.1-0.1 0.2 0.1 0.2-0.1 0.4-0.1 0-0.3 0-0.2 0.4-0.3 0-0.2-0.2 0.1-0.4-0.5-0.6-0.2 0.1-0.2 0-0.3 0.1 0-0.4-0.2-0.3 0.1-0.3-0.2-0.4-0.3-0.3-0.8 0-0.3 0.1-0.2 0.1-0.2 0.2-0.1 0.3-0.5 0.4-0.5-0.6-0.4-0.4-0.2-0.1-0.3-0.2-0.1-0.5-0.1-0.2-0.3-0.1 0.4-0.5 0.3 0 0.3-0.2 0.2 0 0.2-0.1-0.1-0.3 0.1-0.1 0-0.4z"],
+  ["Guinea-Bissau", 12, -15.1, "M163.3 77.6l0.6-0.1 0.3 0 0.3-0.1 1.8 0 0 0.4-0.1 0.1 0.1 0.3-0.2 0.1-0.2 0-0.3 0.2-0.3 0-0.4 0.5-0.6-0.5-0.4 0-0.2-0.3 0-0.2-0.3-0.2-0.1-0.2z"],
+  ["Liberia", 6.4, -9.4, "M171.6 82.3l-0.1 0.3 0.1 0.5-0.2 0.4 0.3 0.3 0.3 0.1 0.4 0.4 0.1 0.4-0.1 0.1-0.1 0.8-0.3 0-1-0.4-0.9-0.8-0.9-0.5-0.6-0.7 0.2-0.3 0.1-0.3 0.4-0.5 0.5-0.5 0.2 0 0.2-0.1 0.5 0.6-0.1 0.4 0.2 0.2 0.3 0 0.2-0.4 0.3 0z"],
+  ["Sierra Leone", 8.5, -11.8, "M166.8 81.1l0.5-0.4 0.1-0.3 0.2-0.2 0.2-0.1 0.3-0.1 0.8 0 0.3 0.3 0.2 0.4-0.1 0.3 0.2 0.3 0 0.4 0.3-0.1-0.5 0.5-0.4 0.5-0.1 0.3-0.2 0.3-0.3-0.1-0.7-0.4-0.5-0.5-0.2-0.4-0.1-0.7z"],
+  ["Burkina Faso", 12.3, -1.8, "M174.6 79.6l-0.1-0.6 0.3-0.4 0-0.3 0.8-0.8 0.1-0.7 0.3-0.3 0.5 0.2 0.4-0.2 0.1-0.3 0.8-0.4 0.2-0.4 0.9-0.4 0.6-0.1 0.2 0.2 0.7 0-0.1 0.5 0.1 0.4 0.6 0.7 0 0.4 1.2 0.3 0 0.7-0.3 0.3-0.5 0.1-0.2 0.4-0.3 0.1-0.9 0-0.4-0.1-0.4 0.2-0.4-0.1-1.7 0-0.1 0.6 0.2 0.8-0.7-0.3-0.5 0-0.3 0.3-0.5-0.2-0.2-0.4-0.4-0.2z"],
+  ["Central African Rep.", 6.5, 20.4, "M207.4 84.8l-0.4 0.1-0.6-0.1-0.7-0.1-0.4 0.1-0.2 0.3-0.3 0-0.4-0.2-1.1 0.5-0.5-0.1-0.1 0.1-0.3 0.6-0.7-0.2-0.8-0.1-0.6-0.4-0.8-0.3-0.6 0.3-0.4 0.5 0 0.7-0.7-0.1-0.7-0.1-0.6 0.5-0.5 0.9-0.1-0.3 0-0.4-0.5-0.3-0.4-0.6 0-0.3-0.5-0.5 0.1-0.3-0.1-0.5 0-0.7 0.3-0.2 0.5-1 0.8-0.1 0.2-0.3 0.2 0.1 0.2 0.2 1.3-0.4 0.4-0.4 0.5-0.3-0.1-0.4 0.3-0.1 1 0.1 0.9-0.5 0.7-1.1 0.5-0.4 0.7-0.1 0.1 0.4 0.6 0.6 0 0.4-0.2 0.4 0.1 0.3 0.3 0.3 0.8 0.5 0.5 0.4 0 0.3 0.7 0.5 0.4 0.5 0.3 0.6 0.7 0.3 0.2 0.4z"],
+  ["Congo", -0.8, 15.1, "M198.5 86.5l-0.1 0.6-0.3 0.5-0.2 0.7-0.1 0.8 0 0.6-0.1 0.4-0.1 0.3-0.1 0.3-0.6 0.5-0.5 0.5-0.4 1 0 0.8-0.2 0.4-0.6 0.4-0.6 0.7-0.4-0.2-0.1-0.3-0.5 0-0.3 0.4-0.3-0.1-0.4-0.4-0.3 0.2-0.4 0.4-0.8-1 0.8-0.6-0.4-0.6 0.3-0.3 0.7-0.1 0.1-0.5 0.5 0.5 0.9 0.1 0.3-0.5 0.1-0.7-0.1-0.7-0.5-0.6 0.5-1.2-0.3-0.2-0.7 0.1-0.3-0.5 0.1-0.5 1.2 0.1 0.8 0.2 0.8 0.3 0.1-0.6 0.5-0.9 0.6-0.5 0.7 0.1 0.7 0.1z"],
+  ["Gabon", -0.6, 11.7, "M191.3 87.7l0.5 0 0.6 0.1 0.6-0.1 0.1 0-0.1 0.5 0.3 0.5 0.7-0.1 0.3 0.2-0.5 1.2 0.5 0.6 0.1 0.7-0.1 0.7-0.3 0.5-0.9-0.1-0.5-0.5-0.1 0.5-0.7 0.1-0.3 0.3 0.4 0.6-0.8 0.6-1-1-0.7-0.9-0.6-1 0-0.3 0.2-0.3 0.3-0.8 0.2-0.7 0.3-0.1 1.5 0 0-1.2z"],
+  ["Eq. Guinea", 1.6, 10.4, "M189.6 87.7l1.7 0 0 1.2-1.5 0-0.3 0.1-0.2-0.2 0.3-1.1z"],
+  ["Zambia", -13.4, 27.7, "M210.7 98.3l0.5 0.3 0.4 0.2 0.6 0.1 0.6 0.3 0.4 0.5 0.3 0.8-0.2 0.3-0.2 0.8 0.2 0.8-0.3 0.4-0.3 0.9 0.5 0.3-3 0.8 0.1 0.7-0.8 0.1-0.6 0.4-0.1 0.4-0.3 0.1-0.9 0.8-0.6 0.6-0.3 0.1-0.3-0.2-1.1-0.1-0.2 0 0-0.1-0.4-0.2-0.7-0.1-0.8 0.2-0.6-0.6-0.7-0.8 0-3.2 2.1 0-0.1-0.3 0.2-0.4-0.2-0.5 0.1-0.5-0.1-0.3 0.4 0.1 0 0.3 0.5-0.1 0.6 0.1 0.4 0.5 0.8 0.1 0.6-0.3 0.2 0.5 0.8 0.2 0.3 0.4 0.4 0.5 0.8 0.1-0.1-1.1-0.3 0.2-0.7-0.4-0.2-0.2 0.1-1 0.2-1.2-0.3-0.4 0.3-0.7 0.3-0.1 1.3-0.2 0.4 0.1z"],
+  ["Malawi", -13.2, 34.2, "M212.8 99.2l0.9 0.2 0.2 0.3 0.4 0.5 0.3 1.3-0.3 0.8 0.3 1.3 0.3 0 0.4 0.3 0.4 0.7 0.1 1.3-0.5 0.2-0.3 0.7-0.6-0.6-0.1-0.7 0.2-0.5 0-0.4-0.4-0.2-0.3 0.1-0.6-0.5-0.5-0.3 0.3-0.9 0.3-0.4-0.2-0.8 0.2-0.8 0.2-0.3-0.3-0.8-0.4-0.5z"],
+  ["Mozambique", -17.2, 35.5, "M214.6 101.5l0.7-0.1 1.2 0.3 0.3-0.1 0.7 0 0.3-0.3 0.6 0 1.1-0.4 0.8-0.6 0.2 0.5-0.1 1 0.2 0.8 0 1.6 0.2 0.5-0.3 0.7-0.4 0.7-0.6 0.6-1 0.4-1.1 0.5-1.1 1.1-0.4 0.1-0.7 0.8-0.4 0.2-0.1 0.7 0.5 0.8 0.2 0.5 0 0.3 0.2 0-0.1 1-0.1 0.4 0.2 0.2-0.1 0.4-0.5 0.4-0.8 0.3-1.2 0.6-0.4 0.3 0.1 0.4 0.2 0.1-0.1 0.5-0.7 0-0.1-0.4-0.2-0.5 0-0.3 0.1-1.1-0.2-0.7-0.5-1.4 1-1.2 0.3-0.7 0.2-0.1 0.1-0.6-0.2-0.3 0.1-0.7 0.1-0.7 0-1.3-0.5-0.3-0.4-0.1-0.3-0.2-0.4-0.2-0.9 0 0-0.4-0.1-0.7 3-0.8 0.6 0.5 0.3-0.1 0.4 0.2 0 0.4-0.2 0.5 0.1 0.7 0.6 0.6 0.3-0.7 0.5-0.2-0.1-1.3-0.4-0.7-0.4-0.3-0.3 0-0.3-1.3 0.3-0.8z"],
+  ["eSwatini", -26.5, 31.4, "M212.1 116.7l-0.2 0.5-0.6 0.1-0.6-0.6 0-0.3 0.3-0.4 0-0.3 0.3 0 0.5 0.1 0.2 0.5 0.1 0.4z"],
+  ["Angola", -12.3, 17.5, "M193 94.8l-0.4 0.2-0.1 0.2-0.1 0.5-0.2 0.1-0.3-0.8 0.4-0.4 0.3-0.2 0.4 0.4zM192.3 96.1l0.4-0.1 0.3 0 0.4-0.1 2.9 0 0.3 0.7 0.3 0.6 0.2 0.3 0.4 0.6 0.6-0.1 0.4-0.2 0.5 0.2 0.2-0.3 0.2-0.5 0.6-0.1 0.1-0.2 0.5 0-0.1 0.4 1.2 0 0 0.6 0.2 0.4-0.1 0.6 0.1 0.6 0.3 0.4 0 1.2 0.2-0.1 0.4 0 0.7-0.1 0.4 0 0.1 0.3-0.1 0.5 0.2 0.5-0.2 0.4 0.1 0.3-2.1 0 0 3.2 0.7 0.8 0.6 0.6-1.8 0.4-2.4-0.1-0.7-0.5-4.1 0.1-0.1 0-0.6-0.4-0.7-0.1-0.6 0.2-0.5 0.2-0.1-0.6 0.2-0.9 0.3-0.9 0.1-0.5 0.3-0.9 0.2-0.4 0.6-0.6 0.3-0.5 0.1-0.7 0-0.6-0.3-0.3-0.3-0.6-0.2-0.6 0-0.2 0.3-0.4-0.3-1-0.2-0.7-0.5-0.6 0.1-0.2z"],
+  ["Burundi", -3.4, 29.9, "M210.5 92.4l0 0.4 0.2 0.2 0.1 0.4-0.3 0.2-0.4 0.5-0.3 0.4-0.5 0 0-1.2-0.3-0.5 0.6 0.1 0.3-0.6 0.6 0.1z"],
+  ["Israel", 31.5, 35, "M215.7 57.3l-0.2 0.3-0.3-0.1-0.2 0.6 0.2 0.1-0.2 0.2-0.1 0.2 0.5-0.1 0 0.4-0.5 1.6-0.1-0.3-0.5-1.4 0.3-0.3-0.1-0.1 0.3-0.5 0.2-0.7 0.1-0.3 0.4 0 0.1-0.2 0.2 0 0 0.4-0.1 0.2z"],
+  ["Lebanon", 33.9, 35.9, "M215.8 56.7l-0.2 0-0.1 0.2-0.4 0 0.4-0.8 0.5-0.7 0.4 0 0.2 0.4-0.5 0.4-0.3 0.5z"],
+  ["Madagascar", -19.4, 46.7, "M229.5 102.5l0.3 0.4 0.3 0.7 0.1 1.2 0.3 0.4-0.1 0.5-0.2 0.3-0.3-0.6-0.2 0.3 0.2 0.8-0.1 0.4-0.3 0.2-0.1 0.9-0.4 1.1-0.5 1.4-0.6 1.9-0.4 1.4-0.4 1.1-0.8 0.3-0.9 0.4-0.6-0.3-0.8-0.3-0.2-0.5-0.1-0.9-0.4-0.8 0-0.7 0.1-0.8 0.5-0.1 0-0.4 0.5-0.7 0.1-0.7-0.3-0.4-0.2-0.7 0-0.9 0.3-0.5 0.1-0.7 0.5 0 0.6-0.2 0.4-0.2 0.4 0 0.6-0.6 0.8-0.6 0.3-0.5-0.1-0.4 0.4 0.1 0.5-0.7 0.1-0.6 0.3-0.5 0.3 0.5z"],
+  ["Palestine", 31.9, 35.3, "M215.4 58.5l-0.5 0.1 0.1-0.2 0.2-0.2-0.2-0.1 0.2-0.6 0.3 0.1 0 0.6-0.1 0.3z"],
+  ["Gambia", 13.5, -15.4, "M163.3 76.4l1.1 0 0.2-0.3 0.3 0 0.4 0.3 0.3 0 0.4-0.2 0.2 0.3-0.5 0.2-0.4 0-0.4-0.2-0.4 0.2-0.2 0-0.2 0.2-0.9-0.1 0.1-0.4z"],
+  ["Tunisia", 34.2, 9.5, "M189.5 59.7l-0.4-1.8-0.7-0.4 0-0.2-0.8-0.6-0.1-0.8 0.6-0.6 0.3-0.8-0.2-0.9 0.2-0.5 1.1-0.5 0.7 0.2 0 0.5 0.8-0.4 0.1 0.2-0.5 0.5 0 0.5 0.3 0.2-0.1 0.9-0.6 0.5 0.1 0.5 0.6 0 0.2 0.5 0.4 0.2-0.1 0.7-0.5 0.3-0.3 0.3-0.7 0.4 0.2 0.4-0.1 0.5-0.5 0.2z"],
+  ["Algeria", 28.2, 2.6, "M171.3 62.6l0-0.2 0-0.1 0-1.1 1.6-0.8 1-0.1 0.9-0.3 0.3-0.5 1.2-0.4 0.1-0.7 0.5-0.1 0.5-0.4 1.3-0.2 0.2-0.4-0.3-0.2-0.3-1-0.1-0.6-0.4-0.7 1-0.5 1.1-0.2 0.6-0.4 1-0.3 1.7-0.2 1.6-0.1 0.5 0.2 1-0.4 1 0 0.4 0.2 0.7 0-0.2 0.5 0.2 0.9-0.3 0.8-0.6 0.6 0.1 0.8 0.8 0.6 0 0.2 0.7 0.4 0.4 1.8 0.3 0.9 0.1 0.4-0.2 0.9 0.1 0.4-0.2 0.6 0.1 0.6-0.4 0.4 0.6 0.7 0 0.5 0.4 0.5 0.5-0.2 0.8 0.5 0.4 0.6-3.4 1.9-2.9 2-1.4 0.4-1.1 0.1-0.1-0.6-0.4-0.2-0.6-0.2-0.3-0.5-3.3-2.2-3.4-2.2-3.8-2.4z"],
+  ["Jordan", 31.2, 36.8, "M215.5 57.6l0.2-0.3 1.1 0.4 2-1.1 0.4 1.2-0.2 0.2-2 0.5 1 1-0.3 0.2-0.2 0.3-0.8 0.1-0.2 0.4-0.4 0.3-1.1-0.2-0.1-0.1 0.5-1.6 0-0.4 0.1-0.3 0-0.6z"],
+  ["United Arab Emirates", 23.9, 54.2, "M231.6 65.8l0.2-0.1 0 0.3 0.8-0.2 0.8 0 0.6 0.1 0.7-0.7 0.7-0.6 0.7-0.7 0.2 0.4 0.1 0.8-0.5 0-0.1 0.6 0.2 0.2-0.5 0.2 0 0.4-0.3 0.4 0 0.4-0.2 0.2-3-0.5-0.4-1 0-0.2z"],
+  ["Qatar", 25.3, 51.2, "M230.8 65.2l-0.1-0.7 0.3-0.5 0.3-0.1 0.3 0.3 0 0.6-0.2 0.6-0.3 0-0.3-0.2z"],
+  ["Kuwait", 29.3, 47.6, "M228 60l0.2 0.5-0.1 0.2 0.3 0.7-0.7 0.1-0.2-0.5-0.9-0.1 0.7-1 0.7 0.1z"],
+  ["Iraq", 33, 43.8, "M219.2 57.8l-0.4-1.2 2.2-1 0.4-1.2-0.1-0.8 0.5-0.2 0.5-0.6 0.5-0.2 1.1 0.1 0.4 0.3 0.5-0.2 0.6 1.2 0.7 0.3 0.1 0.6-0.5 0.4-0.3 0.7 0.7 1 1.2 0.5 0.5 0.8-0.1 0.7 0.3 0 0 0.5 0.6 0.6-0.6-0.1-0.7-0.1-0.7 1-1.9-0.1-2.8-2-1.5-0.7-1.2-0.3z"],
+  ["Oman", 20.6, 56.1, "M235.2 67.3l0-0.4 0.3-0.4 0-0.4 0.5-0.2-0.2-0.2 0.1-0.6 0.5 0 0.4 0.7 0.6 0.3 0.7 0.2 0.6 0.1 0.5 0.6 0.2 0.3 0.4 0.2 0 0.2-0.4 0.6-0.1 0.3-0.4 0.3-0.4 0.7-0.5-0.1-0.2 0.3-0.1 0.5 0.1 0.6-0.1 0.2-0.5 0-0.6 0.3-0.1 0.5-0.2 0.2-0.6 0-0.4 0.3 0 0.4-0.5 0.3-0.6-0.1-0.6 0.3-0.5 0-0.3-0.6-0.8-1.7 3-1 0.7-2-0.5-0.7zM236.3 64.3l-0.2-0.4 0.3-0.3 0.1 0.1-0.1 0.4-0.1 0.2z"],
+  ["Vanuatu", -15.2, 166.9, "M347.2 105.9l0.6 0.6-0.3 0.1-0.3-0.4 0-0.3zM346.8 105.7l-0.1-0.3-0.1-0.8 0.5 0.3 0.2 0.8-0.3-0.1-0.2 0.1z"],
+  ["Cambodia", 12.7, 104.9, "M282.6 77.8l-0.3-1.2 0.7-0.8 1.3-0.2 0.9 0.1 0.8 0.4 0.5-0.7 0.9 0.4 0.2 0.7-0.1 1.2-1.7 0.7 0.4 0.6-1 0.1-0.9 0.4-0.8-0.1-0.4-0.6-0.5-1z"],
+  ["Thailand", 15, 101, "M285.2 75.7l-0.9-0.1-1.3 0.2-0.7 0.8 0.3 1.2-0.9-0.4-0.9 0 0.2-0.8-0.9 0-0.1 1.1-0.5 1.5-0.3 0.8 0 0.8 0.7 0 0.4 0.9 0.2 0.9 0.5 0.5 0.6 0.2 0.5 0.5-0.3 0.4-0.6 0.1-0.1-0.5-0.8-0.4-0.2 0.1-0.4-0.3-0.2-0.5-0.5-0.6-0.5-0.5-0.2 0.6-0.2-0.5 0.2-0.7 0.3-0.9 0.4-1.1 0.6-0.9-0.4-0.9 0-0.5-0.1-0.5-0.7-0.8-0.2-0.5 0.3-0.2 0.4-0.9-0.4-0.6-0.6-0.8-0.5-0.8 0.4-0.2 0.5-1.1 0.7-0.1 0.5-0.4 0.6-0.2 0.4 0.3 0.1 0.6 0.7 0-0.3 1.1 0.1 0.9 1-0.6 0.3 0.2 0.6-0.1 0.2-0.3 0.8 0.1 0.7 0.8 0.1 1 0.8 0.8-0.1 0.9-0.3 0.4z"],
+  ["Laos", 18.4, 103.7, "M287.4 75.8l-0.9-0.4-0.5 0.7-0.8-0.4 0.3-0.4 0.1-0.9-0.8-0.8-0.1-1-0.7-0.8-0.8-0.1-0.2 0.3-0.6 0.1-0.3-0.2-1 0.6-0.1-0.9 0.3-1.1-0.7 0-0.1-0.6-0.4-0.3 0.2-0.4 0.9-0.6 0.1 0.2 0.5 0-0.1-1.1 0.5-0.2 0.6 0.8 0.4 0.9 1.2 0 0.4 0.9-0.6 0.3-0.3 0.3 1.2 0.6 0.8 1.2 0.7 0.9 0.7 0.7 0.3 0.7-0.2 1z"],
+  ["Myanmar", 21, 96.5, "M280.1 69.6l-0.6 0.2-0.5 0.4-0.7 0.1-0.5 1.1-0.4 0.2 0.5 0.8 0.6 0.8 0.4 0.6-0.4 0.9-0.3 0.2 0.2 0.5 0.7 0.8 0.1 0.5 0 0.5 0.4 0.9-0.6 0.9-0.4 1.1-0.1-0.8 0.3-0.7-0.4-0.6 0.1-1.1-0.4-0.5-0.3-1.2-0.2-1.3-0.4-0.8-0.7 0.5-1.1 0.7-0.6-0.1-0.6-0.2 0.3-1.3-0.2-0.9-0.8-1.2 0.2-0.3-0.6-0.2-0.7-0.8-0.1-0.8 0.4 0.2 0-0.7 0.5-0.3-0.1-0.4 0.2-0.3 0-1.1 0.8 0.2 0.5-0.8 0-0.5 0.6-0.8-0.1-0.6 1.3-0.7 0.7 0.2 0-0.6 0.3-0.2-0.1-0.4 0.6 0 0.3 0.6 0.5 0.2 0 0.8 0 0.8-1 0.8-0.1 1.2 1.1-0.2 0.2 1 0.6 0.2-0.3 0.8 0.8 0.4 0.4 0.1 0.7-0.2 0.1 0.4-0.9 0.6-0.2 0.4z"],
+  ["Vietnam", 16.7, 106.3, "M284.3 79.5l0.9-0.4 1-0.1-0.4-0.6 1.7-0.7 0.1-1.2-0.2-0.7 0.2-1-0.3-0.7-0.7-0.7-0.7-0.9-0.8-1.2-1.2-0.6 0.3-0.3 0.6-0.3-0.4-0.9-1.2 0-0.4-0.9-0.6-0.8 0.5-0.2 0.8 0 1-0.1 0.8-0.6 0.5 0.4 0.9 0.2-0.1 0.6 0.4 0.4 1 0.2-1.3 0.9-0.8 0.9-0.2 0.7 0.7 1.1 1 1.3 0.9 0.6 0.6 0.8 0.4 1.9-0.1 1.7-0.8 0.7-1.2 0.6-0.8 0.9-1.2 0.9-0.4-0.6 0.3-0.7-0.8-0.6z"],
+  ["North Korea", 40.1, 127.2, "M310.6 47.6l0.2 0.2-0.4-0.1-0.4 0.4-0.3 0.3 0 0.7-0.5 0.2-0.2 0.2-0.4 0.3-0.6 0.2-0.5 0.2 0 0.5-0.1 0.1 0.4 0.1 0.6 0.5-0.2 0.2-0.4 0.1-0.7 0-0.4 0.5-0.5 0 0 0.1-0.5-0.2-0.1 0.1-0.3 0.1-0.1-0.2-0.2 0-0.3-0.2 0.3-0.4 0.2-0.2-0.1-0.1 0.3-0.6-0.1-0.2-0.6-0.1-0.4-0.2 0.8-0.7 1.1-0.5 0.7-0.7 0.4 0.3 0.9 0-0.1-0.5 1.5-0.4 0.4-0.6 0.6 0.6z"],
+  ["South Korea", 36.4, 127.8, "M306.2 52.3l0-0.1 0.5 0 0.4-0.5 0.7 0 0.4-0.1 0.2-0.2 0.8 1.2 0.3 0.6 0 1.2-0.4 0.5-0.9 0.2-0.8 0.4-0.9 0.1-0.1-0.5 0.2-0.8-0.5-1 0.8-0.2-0.7-0.8z"],
+  ["Mongolia", 46.8, 102.9, "M267.8 40.7l1-0.2 1.9-0.8 1.5-0.5 0.9 0.3 1 0 0.7 0.5 1 0 1.5 0.3 0.9-0.7-0.4-0.6 1.1-1 1.1 0.4 0.9 0.1 1.2 0.2 0.2 0.8 1.4 0.4 0.9-0.2 1.3-0.1 1 0.1 1 0.5 0.6 0.5 0.9 0 1.3 0.2 0.9-0.3 1.3-0.1 1.5-0.7 0.6 0.1 0.5 0.3 1.2-0.1-0.5 0.8-0.7 1 0.2 0.4 0.6-0.2 1 0.2 0.8-0.4 0.8 0.4 0.9 0.7-0.1 0.3-0.8-0.1-1.5 0.1-0.7 0.3-0.7 0.7-1.5 0.4-1 0.5-1.1-0.2-0.5-0.1-0.6 0.6 0.4 0.4 0.1 0.4-0.7 0.3-0.7 0.5-1.2 0.4-1.5 0-1.6 0.4-1.1 0.5-0.5-0.3-1.2 0-1.5-0.6-1-0.2-1.3 0.2-2-0.2-1.2 0-0.5-0.6-0.5-0.9-0.6-0.2-1.2-0.6-1.4-0.1-1.2-0.2-0.3-0.4 0.4-1.2-0.7-0.8-1.4-0.4-0.9-0.5-0.2-0.7z"],
+  ["India", 22.9, 79.6, "M277.3 61.7l0.1 0.4-0.3 0.2 0 0.6-0.7-0.2-1.3 0.7 0.1 0.6-0.6 0.8 0 0.5-0.5 0.8-0.8-0.2 0 1.1-0.2 0.3 0.1 0.4-0.5 0.3-0.6-1.6-0.2 0-0.2 0.6-0.5-0.5 0.3-0.6 0.4 0 0.5-0.9-0.6-0.1-0.9 0-1-0.2-0.1-0.7-0.4 0-0.8-0.4-0.4 0.6 0.7 0.6-0.6 0.3-0.2 0.4 0.6 0.3-0.2 0.6 0.4 0.7 0.1 0.8-0.1 0.4-0.7 0-1.2 0.2 0 0.8-0.5 0.5-1.4 0.7-1.2 1.2-0.7 0.6-1 0.7 0 0.4-0.5 0.3-0.9 0.3-0.5 0.1-0.3 0.8 0.2 1.3 0.1 0.8-0.4 0.9 0 1.7-0.6 0.1-0.4 0.8 0.3 0.3-0.9 0.3-0.4 0.6-0.4 0.3-0.9-0.9-0.5-1.4-0.4-1-0.3-0.5-0.5-0.9-0.3-1.3-0.2-0.6-0.9-1.4-0.4-1.9-0.3-1.3 0-1.2-0.2-1-1.4 0.6-0.7-0.1-1.3-1.2 0.4-0.4-0.3-0.3-1.1-0.9 0.6-0.7 2.2 0-0.2-0.8-0.5-0.5-0.1-0.8-0.7-0.4 1.1-1.1 1.2 0.1 1-1.1 0.6-1 1-1 0-0.7 0.9-0.6-0.8-0.5-0.4-0.6-0.4-0.9 0.5-0.4 1.6 0.2 1.1-0.2 0.9-0.8 1.1 1.2-0.1 0.8 0.4 0.5 0 0.5-0.7-0.1 0.2 1.1 1 0.6 1.4 0.7-0.6 0.5-0.4 0.9 1 0.4 0.9 0.5 1.3 0.5 1.4 0.2 0.6 0.5 0.7 0.1 1.2 0.2 0.9 0 0.1-0.4-0.2-0.6 0.1-0.5 0.6-0.2 0.1 0.8 0 0.2 0.9 0.4 0.7-0.2 0.8 0.1 0.8 0 0.1-0.7-0.4-0.3 0.8-0.1 0.9-0.7 1.2-0.7 0.8 0.3 0.7-0.5 0.5 0.7-0.4 0.4 1.1 0.1z"],
+  ["Bangladesh", 23.8, 90.3, "M272.7 68l0 0.7-0.4-0.2 0.1 0.8-0.3-0.5-0.1-0.5-0.2-0.5-0.4-0.6-0.9 0 0.1 0.4-0.3 0.6-0.5-0.2-0.1 0.1-0.3-0.1-0.4-0.1-0.1-0.8-0.4-0.7 0.2-0.6-0.6-0.3 0.2-0.4 0.6-0.3-0.7-0.6 0.4-0.6 0.8 0.4 0.4 0 0.1 0.7 1 0.2 0.9 0 0.6 0.1-0.5 0.9-0.4 0-0.3 0.6 0.5 0.5 0.2-0.6 0.2 0 0.6 1.6z"],
+  ["Bhutan", 27.4, 90.5, "M271.7 62.2l0.4 0.3-0.1 0.7-0.8 0-0.8-0.1-0.7 0.2-0.9-0.4 0-0.2 0.7-0.7 0.5-0.3 0.7 0.2 0.6 0.1 0.4 0.2z"],
+  ["Nepal", 28.2, 84, "M268.1 62.1l-0.1 0.5 0.2 0.6-0.1 0.4-0.9 0-1.2-0.2-0.7-0.1-0.6-0.5-1.4-0.2-1.3-0.5-0.9-0.5-1-0.4 0.4-0.9 0.6-0.5 0.4-0.2 0.8 0.3 1 0.6 0.6 0.2 0.3 0.5 0.8 0.2 0.8 0.4 1.2 0.2 1.1 0.1z"],
+  ["Pakistan", 30, 69.4, "M257.8 54.5l-0.9 0.8-1.1 0.2-1.6-0.2-0.5 0.4 0.4 0.9 0.4 0.6 0.8 0.5-0.9 0.6 0 0.7-1 1-0.6 1-1 1.1-1.2-0.1-1.1 1.1 0.7 0.4 0.1 0.8 0.5 0.5 0.2 0.8-2.2 0-0.6 0.7-0.8-0.2-0.3-0.8-0.7-0.7-1.9 0.2-1.6 0-1.4 0.1 0.4-1.1 1.4-0.6-0.1-0.4-0.4-0.2-0.1-0.9-0.9-0.4-0.4-0.6-0.5-0.5 1.6 0.5 1-0.2 0.6 0.2 0.2-0.3 0.7 0.1 1.3-0.4 0.1-0.8 0.5-0.6 0.8 0 0.1-0.3 0.8-0.1 0.3 0.1 0.4-0.3 0-0.6 0.4-0.6 0.6-0.3-0.4-0.6 1 0 0.3-0.3-0.1-0.4 0.5-0.5-0.1-0.5-0.2-0.4 0.5-0.4 1.1-0.2 1.2-0.1 0.5-0.2 0.6-0.1 0.7 0.4 0.3 0.8 1.6 0.4z"],
+  ["Afghanistan", 33.9, 66.1, "M246.5 52.6l0.6 0 0.7 0.3 0.3 0.1 0.8-0.3 0.3 0.1 0.3-0.4 0.6 0 0.2-0.1 0.1-0.4 0.4-0.4 0.5 0.2-0.1 0.3 0.3 0.1-0.1 0.8 0.4 0.4 0.4-0.2 0.4-0.1 0.7-0.5 0.7 0.1 1 0 0.2 0.3-0.6 0.1-0.5 0.2-1.2 0.1-1.1 0.2-0.5 0.4 0.2 0.4 0.1 0.5-0.5 0.5 0.1 0.4-0.3 0.3-1 0 0.4 0.6-0.6 0.3-0.4 0.6 0 0.6-0.4 0.3-0.3-0.1-0.8 0.1-0.1 0.3-0.8 0-0.5 0.6-0.1 0.8-1.3 0.4-0.7-0.1-0.2 0.3-0.6-0.2-1 0.2-1.6-0.5 0.9-0.9-0.1-0.7-0.8-0.1 0-0.7-0.4-0.8 0.5-0.5-0.5-0.2 0.3-0.7 0.4-1.2 1 0.3 0.8-0.1 0.2-0.5 0.8-0.1 0.5-0.3 0.2-0.8 0.9-0.2 0.1-0.4 0.5 0.3 0.3 0z"],
+  ["Tajikistan", 38.6, 71, "M247.8 52.9l0.6-1.1-0.2-0.7-0.8-0.2 0.3-0.5 0.8 0.1 0.5-0.6 0.3-0.6 1.4-0.3-0.2 0.5 0.1 0.3 0.4 0-0.4 0.3-1-0.2-0.1 0.6 1-0.1 1.3 0.3 1.9-0.1 0.2 0.9 0.4-0.1 0.6 0.2-0.1 0.4 0.2 0.6-1 0-0.7-0.1-0.7 0.5-0.4 0.1-0.4 0.2-0.4-0.4 0.1-0.8-0.3-0.1 0.1-0.3-0.5-0.2-0.4 0.4-0.1 0.4-0.2 0.1-0.6 0-0.3 0.4-0.3-0.1-0.8 0.3-0.3-0.1z"],
+  ["Kyrgyzstan", 41.5, 74.6, "M251 47.7l0.2-0.4 0.6-0.1 1.7 0.3 0.1-0.6 0.6-0.2 1.4 0.4 0.4-0.1 1.7 0 1.4 0.1 0.5 0.4 0.7 0.1-0.2 0.3-1.6 0.5-0.3 0.4-1.3 0.1-0.4 0.7-1-0.2-0.7 0.2-1 0.5 0.2 0.2-0.3 0.3-1.9 0.1-1.3-0.3-1 0.1 0.1-0.6 1 0.2 0.4-0.3 0.8 0.1 1.3-0.8-1.2-0.5-0.7 0.3-0.8-0.4 0.9-0.7-0.3-0.1z"],
+  ["Turkmenistan", 39.1, 59.3, "M232.5 48.2l0.4-0.3 1.2-0.2 0.7 0.3 0.7 0.7 0.5 0 1.1 0-0.2-0.5 0.9-0.4 0.8-0.6 1.4 0.6 0.1 0.8 0.4 0.2 1-0.1 0.4 0.2 0.5 1 1.1 0.7 0.7 0.5 1 0.5 1.3 0.4 0 0.6-0.3 0-0.5-0.3-0.1 0.4-0.9 0.2-0.2 0.8-0.5 0.3-0.8 0.1-0.2 0.5-0.8 0.1-1-0.3-0.1-0.9-0.7 0-1.2-0.9-0.8-0.1-1.1-0.5-0.7-0.1-0.4 0.2-0.7-0.1-0.7 0.6-0.9 0.2-0.2-0.7 0.2-1.1-0.8-0.3 0.3-0.7-0.7 0 0.2-0.9 1 0.3 0.8-0.4-0.7-0.6-0.3-0.5-0.8 0.2-0.1 0.8-0.3-0.7z"],
+  ["Iran", 32.5, 54.3, "M228.6 60.1l-0.6-0.6 0-0.5-0.3 0 0.1-0.7-0.5-0.8-1.2-0.5-0.7-1 0.3-0.7 0.5-0.4-0.1-0.6-0.7-0.3-0.6-1.2-0.6-0.8 0.2-0.3-0.3-1.1 0.7-0.3 0.2 0.4 0.5 0.4 0.6 0.2 0.4-0.1 1.2-0.7 0.4-0.1 0.3 0.3-0.4 0.5 0.6 0.5 0.3 0 0.3 0.7 0.9 0.2 0.7 0.5 1.5 0.2 1.5-0.3 0.1-0.2 0.9-0.2 0.7-0.6 0.7 0.1 0.4-0.2 0.7 0.1 1.1 0.5 0.8 0.1 1.2 0.9 0.7 0 0.1 0.9-0.4 1.2-0.3 0.7 0.5 0.2-0.5 0.5 0.4 0.8 0 0.7 0.8 0.1 0.1 0.7-0.9 0.9 0.5 0.5 0.4 0.6 0.9 0.4 0.1 0.9 0.4 0.2 0.1 0.4-1.4 0.6-0.4 1.1-1.9-0.3-1.1-0.2-1.1-0.1-0.4-1.3-0.5-0.1-0.8 0.1-1 0.5-1.2-0.3-1-0.8-1-0.3-0.6-0.9-0.8-1.3-0.5 0.1-0.7-0.3-0.3 0.4z"],
+  ["Syria", 35, 38.5, "M215.7 57.3l0.1-0.2 0-0.4 0.3-0.5 0.5-0.4-0.2-0.4-0.4 0-0.1-0.8 0.2-0.4 0.3-0.2 0.3-0.3 0-0.5 0.4 0.2 1.1-0.3 0.5 0.2 0.8 0 1.2-0.4 0.5 0 1.1-0.1-0.5 0.6-0.5 0.2 0.1 0.8-0.4 1.2-2.2 1-2 1.1-1.1-0.4z"],
+  ["Armenia", 40.2, 45, "M226.5 51.2l-0.4 0.1-0.4-0.6 0-0.2-0.4 0-0.3-0.2-0.2 0-0.4-0.3-0.7-0.3 0.1-0.4-0.2-0.4 1.4-0.1 0.2 0.2 0.4 0.2-0.2 0.2 0.5 0.4-0.3 0.3 0.4 0.3 0.5 0.1 0 0.7z"],
+  ["Sweden", 62.8, 16.6, "M191 31.1l0.5-0.5 0.8-0.7 0.3-1.2-0.6-0.5-0.1-1.3 0.7-1 1 0.1 0.3-0.4-0.3-0.4 1.5-1.4 1-1.1 0.7-0.7 0.9 0 0.3-0.6 1.9 0.2 0.1-0.7 0.6 0 1.4 0.5 1.5 0.7 0.1 1.5 0.3 0.4-1.7 0.3-1 0.7 0.2 0.6-1.6 0.8-2 0.9-0.7 1.4 0.7 0.7 1 0.5-0.9 1.1-1.1 0.3-0.4 1.7-0.5 0.9-1.2-0.1-0.6 0.8-1.2 0-0.3-0.9-0.8-1.1-0.8-1.5z"],
+  ["Belarus", 53.5, 28, "M208.2 33.8l1 0.3 0.2 0.2 0.5-0.1 1 0.2 0.1 0.5-0.2 0.3 0.6 0.6 0.4 0.2-0.1 0.2 0.7 0.2 0.3 0.2-0.4 0.3-0.8-0.1-0.2 0.1 0.2 0.4 0.3 0.6-0.9 0.1-0.3 0.2 0 0.5-0.4-0.1-0.9 0-0.3-0.2-0.4 0.2-0.4-0.2-0.7 0-1.2-0.2-1-0.1-0.7 0-0.6 0.3-0.5 0 0-0.4-0.3-0.5 0.6-0.2 0-0.4-0.3-0.4 0-0.4 0.9 0 1.1-0.4 0.3-0.5 0.8-0.4-0.1-0.4 0.6-0.2 1.1-0.4z"],
+  ["Ukraine", 49.1, 31.2, "M211.8 37.9l0.4 0 0.2-0.2 0.3 0.1 1.1-0.1 0.6 0.5-0.3 0.2 0.1 0.3 0.8 0.1 0.4 0.4 0 0.2 1.2 0.4 0.8-0.2 0.6 0.5 0.6 0 1.5 0.3 0 0.3-0.4 0.5 0.2 0.6-0.2 0.3-0.9 0.1-0.5 0.3-0.1 0.4-0.8 0.1-0.6 0.3-1 0.1-0.8 0.3 0 0.6-0.1-0.1-0.2-0.2-0.3 0-0.7-0.2-0.3 0.2-0.1-0.1-1.6-0.2 0-0.4-1 0.1-0.3 0.6-0.8 0.7-0.4-0.2-0.5 0.2-0.5-0.2 0.3-0.1 0.2-0.3 0.2-0.4 0-0.1 0.2-0.1 0.1 0.1 0.6 0.1 0.2-0.1-0.2-0.1 0.1-0.2-0.3-0.2-0.2-0.4-0.3-0.2 0-0.3-0.4-0.3-0.4-0.1-0.8-0.3-0.6 0.1-0.3 0.2-0.4 0-0.3 0.2-0.7 0.1-0.3 0.2-0.5-0.3-0.6 0-0.7-0.1-0.4 0.2-0.1-0.3-0.5-0.2 0.2-0.4 0.3-0.3 0.2 0.1-0.3-0.5 0.9-0.8 0.5-0.1 0.1-0.3-0.5-0.9 0.5 0 0.6-0.3 0.7 0 1 0.1 1.2 0.2 0.7 0 0.4 0.2 0.4-0.2 0.3 0.2 0.9 0 0.4 0.1 0-0.5 0.3-0.2 0.9-0.1z"],
+  ["Poland", 52.1, 19.3, "M203.5 36.1l0 0.4 0.3 0.4 0 0.4-0.6 0.2 0.3 0.5 0 0.4 0.5 0.9-0.1 0.3-0.5 0.1-0.9 0.8 0.3 0.5-0.2-0.1-1-0.4-0.7 0.2-0.5-0.1-0.6 0.2-0.5-0.4-0.4 0.2 0-0.1-0.5-0.5-0.8 0 0-0.4-0.7-0.1-0.2 0.3-0.5-0.2 0-0.3-0.7-0.1-0.5-0.3-0.4-0.6 0.1-0.4-0.3-0.5-0.3-0.4 0.3-0.2-0.3-0.6 0.7-0.3 1.6-0.4 1.2-0.4 1 0.2 0.1 0.3 1 0 1.2 0.1 1.8 0 0.5 0.1 0.3 0.3z"],
+  ["Austria", 47.6, 14.1, "M197 41.9l-0.1 0.4-0.6 0 0.2 0.2-0.3 0.6-0.2 0.2-0.9 0-0.5 0.3-0.8-0.1-1.4-0.3-0.2-0.3-1 0.2-0.1 0.1-0.7-0.1-0.5 0-0.4-0.2 0.1-0.2 0-0.2 0.3-0.1 0.5 0.3 0.1-0.3 0.9 0.1 0.7-0.2 0.5 0 0.3 0.2 0.1-0.1-0.1-0.7 0.3-0.1 0.4-0.5 0.7 0.3 0.6-0.4 0.4 0 0.7 0.3 0.5-0.1 0.5 0.2-0.1 0.1 0.1 0.4z"],
+  ["Hungary", 47.2, 19.4, "M202.1 41.6l0.5 0.2 0.1 0.3-0.6 0.2-0.5 0.7-0.6 0.7-0.8 0.2-0.6-0.1-0.8 0.3-0.3 0.1-0.9-0.2-0.7-0.4-0.3-0.1-0.2-0.3-0.2-0.1 0.3-0.6-0.2-0.2 0.6 0 0.1-0.4 0.5 0.2 0.4 0.1 0.8-0.1 0.1-0.2 0.4 0 0.5-0.2 0.1 0.1 0.4-0.1 0.3-0.3 0.3 0 1.1 0.3 0.2-0.1z"],
+  ["Moldova", 47.2, 28.4, "M206.6 41.8l0.3-0.2 0.6-0.1 0.8 0.3 0.4 0.1 0.4 0.3 0 0.3 0.3 0.2 0.2 0.4 0.3 0.2-0.1 0.2 0.2 0.1-0.2 0.1-0.6-0.1-0.1-0.1-0.2 0.1 0 0.1-0.2 0.4-0.2 0.3-0.3 0.1-0.1-0.4 0.1-0.5-0.1-0.4-0.5-0.6-0.4-0.4-0.3-0.3-0.3-0.1z"],
+  ["Romania", 45.9, 24.9, "M208.2 44.5l0.5 0.2 0.5-0.2 0.4 0.2 0 0.3-0.5 0.2-0.3-0.1-0.2 1.2-0.6-0.1-0.8-0.4-1.1 0.3-0.5 0.2-1.5 0-0.8-0.2-0.4 0.1-0.2-0.4-0.2-0.2 0.2-0.2-0.2-0.1-0.4 0.2-0.5-0.3-0.1-0.4-0.6-0.2-0.1-0.3-0.6-0.4 0.8-0.2 0.6-0.7 0.5-0.7 0.6-0.2 0.4-0.2 0.7 0.1 0.6 0 0.5 0.3 0.3-0.2 0.7-0.1 0.3-0.2 0.4 0 0.3 0.1 0.3 0.3 0.4 0.4 0.5 0.6 0.1 0.4-0.1 0.5 0.1 0.4z"],
+  ["Lithuania", 55.3, 23.9, "M206.5 34.4l0.1 0.4-0.8 0.4-0.3 0.5-1.1 0.4-0.9 0-0.3-0.3-0.5-0.1-0.1-0.3 0.2-0.3-0.5-0.1-1-0.2-0.2-0.8 1.1-0.3 1.7 0 1-0.1 0.1 0.2 0.5 0.1 1 0.5z"],
+  ["Latvia", 56.8, 24.8, "M207.3 32.5l0.5 0.3 0.1 0.4 0.3 0.6-1.1 0.4-0.6 0.2-1-0.5-0.5-0.1-0.1-0.2-1 0.1-1.7 0-1.1 0.3 0-0.8 0.5-0.6 0.9-0.4 0.8 0.8 0.8 0 0.2-0.8 0.9-0.2 0.4 0.2 0.9 0.3 0.8 0z"],
+  ["Estonia", 58.6, 25.8, "M208 30.5l0.1 0.2-0.7 0.6 0.3 0.9-0.4 0.3-0.8 0-0.9-0.3-0.4-0.2-0.9 0.2 0.1-0.6-0.3 0.1-0.7-0.3-0.1-0.6 1.3-0.3 1.3-0.1 1 0.2 1.1-0.1z"],
+  ["Germany", 51.1, 10.3, "M194.1 36.2l0.3 0.6-0.3 0.2 0.3 0.4 0.3 0.5-0.1 0.4 0.4 0.6-0.4 0.1-0.3-0.1-0.2 0.2-0.8 0.2-0.3 0.2-0.8 0.2 0.2 0.3 0.1 0.5 0.5 0.2 0.6 0.4-0.4 0.5-0.3 0.1 0.1 0.7-0.1 0.1-0.3-0.2-0.5 0-0.7 0.2-0.9-0.1-0.1 0.3-0.5-0.3-0.3 0.1-1.1-0.3-0.2 0.2-0.8 0 0.1-0.7 0.5-0.7-1.4-0.2-0.5-0.3 0-0.4-0.2-0.2 0.2-0.7-0.2-1.1 0.6 0 0.2-0.3 0.3-0.9-0.2-0.4 0.2-0.2 0.8 0 0.2 0.2 0.7-0.5-0.2-0.4-0.1-0.6 0.8 0.2 0.6-0.2 0 0.4 1 0.2 0 0.4 1.1-0.2 0.5-0.3 1.1 0.4 0.5 0.3z"],
+  ["Bulgaria", 42.8, 25.2, "M202.7 45.8l0.2 0.4 0.4-0.1 0.8 0.2 1.5 0 0.5-0.2 1.1-0.3 0.8 0.4 0.6 0.1-0.6 0.4-0.3 0.7 0.3 0.6-0.9-0.1-1 0.3 0 0.5-0.9 0.1-0.7-0.4-0.8 0.3-0.7 0-0.1-0.7-0.5-0.3 0.1-0.2-0.1-0.1 0.2-0.3 0.4-0.3-0.5-0.4-0.1-0.4 0.3-0.2z"],
+  ["Greece", 39.3, 22.6, "M206.3 54.7l-0.1 0.3-1.5 0.1 0-0.2-1.2-0.2 0.2-0.4 0.5 0.3 0.8 0 0.8 0-0.1 0.2 0.6-0.1zM203 48.7l0.7 0 0.8-0.3 0.7 0.4 0.9-0.1 0-0.5 0.5 0.2-0.3 0.7-0.2 0.1-0.7-0.1-0.5 0-1.2 0.2 0.7 0.6-0.5 0.1-0.6 0-0.5-0.5-0.2 0.2 0.3 0.6 0.5 0.5-0.4 0.2 0.5 0.5 0.5 0.3 0 0.5-0.9-0.2 0.3 0.5-0.6 0.1 0.4 0.9-0.7 0-0.8-0.4-0.4-0.8-0.2-0.7-0.4-0.5-0.5-0.5 0-0.3 0.4-0.5 0.1-0.3 0.3-0.2 0-0.2 0.7-0.1 0.4-0.3 0.5 0.1 0.2-0.2 0.2 0z"],
+  ["Turkey", 39, 35.4, "M224.8 52.8l-0.5 0.2-0.4-0.3-1.1-0.1-0.5 0.2-1.1 0.1-0.5 0-1.2 0.4-0.8 0-0.5-0.2-1.1 0.3-0.4-0.2 0 0.5-0.3 0.3-0.3 0.2-0.3-0.5 0.4-0.4-0.6 0.1-0.9-0.2-0.7 0.6-1.5 0.1-0.8-0.5-1.1-0.1-0.2 0.4-0.7 0.2-1-0.6-1.1 0-0.6-1-0.7-0.5 0.5-0.8-0.6-0.5 1.1-0.9 1.5-0.1 0.4-0.7 1.9 0.1 1.2-0.6 1.2-0.3 1.7 0 1.7 0.7 1.4 0.4 1.2-0.2 0.9 0.1 1.2-0.5 1-0.1 1 0.5 0.2 0.4-0.1 0.4 0.7 0.3 0.4 0.3-0.7 0.3 0.3 1.1-0.2 0.3 0.6 0.8zM206.1 48.2l1-0.3 0.9 0.1 0.1 0.4 0.9 0.3-0.2 0.2-1.2 0.1-0.4 0.3-0.8 0.5-0.4-0.4 0.1-0.2 0.2-0.1 0.3-0.7-0.5-0.2z"],
+  ["Albania", 41.1, 20, "M201 49.2l0 0.2-0.3 0.2-0.1 0.3-0.4 0.5-0.2-0.1 0-0.2-0.6-0.4-0.1-0.4 0.1-0.7 0.1-0.3-0.1-0.2-0.1-0.3 0.4-0.5 0.1 0.2 0.3-0.1 0.2 0.3 0.2 0.1 0.1 0.3-0.1 0.4 0.1 0.4 0.4 0.3z"],
+  ["Croatia", 45, 16.6, "M196.6 43.5l0.3 0.1 0.7 0.4 0.9 0.2 0.3-0.1 0.3 0.4 0.3 0.3-0.4 0.3-0.4-0.2-0.7 0-0.9-0.1-0.5 0-0.2 0.2-0.3-0.2-0.3 0.4 0.5 0.4 0.3 0.4 0.4 0.3 0.4 0.3 0.4 0.4 0.9 0.4-0.2 0.1-0.9-0.3-0.6-0.4-0.9-0.3-0.8-0.7 0.2-0.1-0.5-0.4 0-0.4-0.6-0.1-0.3 0.4-0.3-0.3 0-0.4 0.7 0 0.2-0.1 0.3 0.1 0.4 0 0-0.2 0.4-0.1 0.1-0.4 0.8-0.3z"],
+  ["Switzerland", 46.8, 8.1, "M189.6 42.5l0 0.2-0.1 0.2 0.4 0.2 0.5 0 0 0.4-0.5 0.2-0.7-0.1-0.2 0.4-0.5 0-0.2-0.2-0.5 0.4-0.5 0-0.5-0.2-0.3-0.4-0.5 0.1 0-0.4 0.8-0.6-0.1-0.2 0.5 0.1 0.3-0.2 0.8 0 0.2-0.2 1.1 0.3z"],
+  ["Luxembourg", 49.8, 6, "M186 39.9l0.2 0.2 0 0.4-0.3 0.1-0.2-0.1 0.1-0.6 0.2 0z"],
+  ["Belgium", 50.7, 4.6, "M186.2 39.2l-0.2 0.7-0.2 0-0.1 0.6-0.9-0.5-0.5 0.1-0.7-0.5-0.5-0.4-0.4 0-0.2-0.3 0.8-0.2 0.7 0 1-0.2 0.6 0.5 0.6 0.2z"],
+  ["Netherlands", 52.3, 5.5, "M186.9 36.5l0.2 0.4-0.3 0.9-0.2 0.3-0.6 0 0.2 1.1-0.6-0.2-0.6-0.5-1 0.2-0.7 0 0.5-0.3 0.9-1.5 1.4-0.4 0.8 0z"],
+  ["Portugal", 39.6, -8.1, "M171 48.1l0.3-0.2 0.4-0.2 0.3 0.5 0.6 0 0.1-0.1 0.6 0 0.3 0.5-0.5 0.3 0 0.8-0.1 0.1-0.1 0.5-0.4 0.1 0.4 0.6-0.3 0.6 0.4 0.3-0.2 0.3-0.3 0.4 0 0.3-0.4 0.3-0.5-0.2-0.5 0.1 0.2-0.8-0.1-0.6-0.5-0.1-0.2-0.3 0.1-0.7 0.4-0.4 0-0.4 0.2-0.6 0-0.4-0.2-0.3 0-0.4z"],
+  ["Spain", 40.3, -3.6, "M172.5 52.9l0-0.3 0.3-0.4 0.2-0.3-0.4-0.3 0.3-0.6-0.4-0.6 0.4-0.1 0.1-0.5 0.1-0.1 0-0.8 0.5-0.3-0.3-0.5-0.6 0-0.1 0.1-0.6 0-0.3-0.5-0.4 0.2-0.3 0.2 0-0.7-0.4-0.4 1.4-0.7 1.2 0.1 1.4 0 1.1 0.2 0.8-0.1 1.6 0.1 0.4 0.4 1.8 0.4 0.4-0.2 1.1 0.5 1.2-0.2 0 0.6-0.9 0.7-1.3 0.2-0.1 0.3-0.6 0.6-0.4 0.8 0.4 0.6-0.6 0.4-0.2 0.7-0.7 0.2-0.7 0.7-1.3 0-1 0-0.6 0.4-0.4 0.4-0.5-0.1-0.3-0.4-0.3-0.5-1-0.2z"],
+  ["Ireland", 53.2, -8, "M173.8 36.1l0.2 0.7-0.8 0.9-1.8 0.6-1.4-0.1 0.8-1.1-0.5-1 1.4-0.8 0.7-0.4 0.2 0.5-0.2 0.5 0.6 0 0.8 0.2z"],
+  ["New Caledonia", -21.3, 165.5, "M345.8 111.1l0.8 0.6 0.5 0.5-0.4 0.2-0.5-0.3-0.7-0.4-0.7-0.6-0.6-0.7-0.2-0.3 0.5 0 0.5 0.4 0.5 0.3 0.3 0.3z"],
+  ["Solomon Is.", -7.9, 159.1, "M342.1 100.5l0.3 0.3-0.7 0-0.4-0.6 0.6 0.2 0.2 0.1zM341.7 99.6l-0.2 0.2-0.7-0.9-0.2-0.6 0.3 0 0.4 0.8 0.4 0.5zM340.9 99.9l-0.4 0-0.6-0.1-0.3-0.2 0.1-0.4 0.7 0.2 0.3 0.2 0.2 0.3zM339.6 98l0.3 0.3 0 0.2-0.8-0.4-0.5-0.3-0.4-0.4 0.2-0.1 0.4 0.3 0.8 0.4zM337.1 97l0.4 0.3-0.2 0.1-0.4-0.2-0.4-0.4 0-0.2 0.6 0.4z"],
+  ["New Zealand", -44, 170.5, "M356.9 130.1l-0.4 0.5-0.5 0.7-0.8 0.4-0.1-0.3-0.4-0.1 0.5-0.8-0.3-0.6-1.1-0.4 0.1-0.4 0.7-0.3 0.1-0.8 0-0.6-0.4-0.7 0-0.2-0.5-0.4-0.7-0.9-0.5-0.7 0.4 0 0.6 0.5 0.7 0.3 0.3 0.9 0.7 1 0.1-0.7 0.4 0.3 0.2 0.8 0.8 0.3 0.6 0.1 0.6-0.4 0.5 0.1-0.2 0.9-0.3 0.6-0.8-0.1-0.3 0.3 0.1 0.5-0.1 0.2zM349.7 133.6l0.8-0.6 0.6-0.5 0.5-0.7 0.4-0.3 0.1-0.5 0.7-0.5 0.2 0.4 0.2 0.4 0.8-0.4 0.2 0.4 0 0.5-0.3 0.4-0.7 0.8-0.5 0.4 0.4 0.5-0.8 0-0.8 0.3-0.3 0.7-0.6 1-0.8 0.5-0.5 0.2-0.9 0-0.6-0.3-1.1-0.1-0.2-0.3 0.5-0.8 1.3-1 0.6-0.2 0.8-0.3z"],
+  ["Australia", -25.6, 134.4, "M327.7 130.8l0.6 0.1 0.1 1.2-0.4 0.3-0.1 0.8-0.3-0.3-0.7 0.7-0.2 0-0.7-0.1-0.6-0.8-0.1-0.7-0.6-0.8 0-0.5 0.7 0.1 1 0.3 0.5-0.1 0.8-0.2zM306.1 122.2l-1 0.5-0.9 0.3-0.2 0.5-0.3 0.4-0.9 0-0.6 0.1-0.9-0.2-0.7 0.1-0.7 0.1-0.6 0.5-0.3 0-0.5 0.2-0.5 0.4-0.7-0.1-0.7 0-1-0.6-0.6-0.2 0-0.6 0.5-0.1 0.2-0.2 0-0.4 0.1-0.7-0.1-0.6-0.5-1-0.2-0.6 0-0.5-0.4-0.7 0-0.3-0.4-0.4-0.2-0.8-0.5-0.8-0.2-0.4 0.5 0.4-0.4-0.9 0.5 0.3 0.3 0.4 0-0.5-0.5-0.8-0.1-0.3-0.2-0.3 0.1-0.6 0.2-0.2 0.1-0.5-0.1-0.6 0.4-0.7 0.1 0.7 0.4-0.7 0.9-0.3 0.4-0.4 0.8-0.4 0.5-0.1 0.2 0.1 0.8-0.3 0.6-0.1 0.2-0.3 0.3 0 0.5 0 1.1-0.3 0.5-0.5 0.3-0.5 0.5-0.5 0.1-0.4 0-0.5 0.7-0.9 0.4 0.9 0.5-0.2-0.4-0.5 0.3-0.5 0.5 0.2 0.1-0.7 0.5-0.5 0.3-0.4 0.5-0.2 0-0.3 0.4 0.1 0-0.2 0.5-0.1 0.5-0.2 0.7 0.5 0.6 0.6 0.6 0 0.6 0.1-0.2-0.6 0.5-0.8 0.4-0.2-0.1-0.3 0.4-0.6 0.6-0.3 0.5 0.1 0.9-0.2 0-0.5-0.8-0.3 0.6-0.2 0.6 0.3 0.6 0.4 0.8 0.2 0.3-0.1 0.6 0.3 0.6-0.2 0.4 0 0.2-0.1 0.5 0.5-0.3 0.5-0.4 0.4-0.3 0 0.1 0.4-0.3 0.5-0.4 0.5 0.1 0.3 0.8 0.6 0.8 0.3 0.5 0.3 0.7 0.6 0.3 0 0.5 0.3 0.2 0.3 0.9 0.3 0.7-0.3 0.2-0.6 0.2-0.4 0.1-0.6 0.3-0.8-0.1-0.4 0-0.3-0.1-0.6 0.2-0.8 0.1-0.2-0.1-0.3 0.2-0.5 0.2-0.6 0-0.3 0.4-0.3 0.3 0.5 0.1 0.6 0.2 0.1 0.1 0.4 0.3 0.5 0.1 0.6 0 0.4 0.3 0.7 0.7-0.3 0.3 0.4 0.5 0.4-0.1 0.4 0.2 0.9 0.1 0.5 0.3 0.1 0.3 0.9-0.1 0.5 0.3 0.7 1.1 0.5 0.7 0.5 0.6 0.4-0.1 0.2 0.6 0.7 0.4 1 0.4-0.2 0.4 0.5 0.2-0.2 0.2 1.1 0.7 0.6 0.5 0.4 0.8 0.8 0.2 0.8 0.1 0.5-0.1 0.7 0.5 0.8-0.1 0.9-0.2 0.5-0.2 0.9 0 0.5-0.2 0.7-0.5 1-0.7 0.4-0.4 0.8-0.3 0.5-0.3 0.9-0.4 0.5-0.2 0.7-0.2 0.7 0.1 0.3-0.6 0.4-1.1 0-0.9 0.4-0.5 0.4-0.6 0.4-0.8-0.4-0.6-0.2 0.1-0.5-0.5 0.2-0.9 0.7-0.9-0.3-0.5-0.1-0.6-0.1-1-0.3-0.6-0.6-0.2-0.8-0.2-0.5-0.5-0.4-1-0.1 0.3-0.5-0.2-0.7-0.5 0.7-0.9 0.2 0.6-0.6 0.1-0.6 0.4-0.5-0.1-0.7-0.8 0.9-0.6 0.3-0.4 0.8-0.8-0.4 0-0.6-0.6-0.7-0.5-0.4 0.2-0.2-1.3-0.6-0.7 0-1-0.5-1.8 0.1-1.3 0.3-1.1 0.4-1-0.1z"],
+  ["Sri Lanka", 7.7, 80.7, "M261.8 82.5l-0.2 1-0.4 0.3-0.9 0.2-0.4-0.8-0.2-1.4 0.4-1.6 0.7 0.5 0.5 0.7 0.5 1.1z"],
+  ["China", 36.6, 103.9, "M289.5 71.8l-0.8-0.3-0.1-0.9 0.5-0.4 1.1-0.3 0.6 0 0.2 0.4-0.4 0.4-0.3 0.6-0.8 0.5zM260.3 47.6l-0.1-0.5 0.7-0.3-0.9-1.7 1.9-0.4 0.6-0.2 0.7-1.8 2 0.3 0.5-0.5 0.1-1 0.8 0 0.8-0.7 0.4-0.1 0.2 0.7 0.9 0.5 1.4 0.4 0.7 0.8-0.4 1.2 0.3 0.4 1.2 0.2 1.4 0.1 1.2 0.6 0.6 0.2 0.5 0.9 0.5 0.6 1.2 0 2 0.2 1.3-0.2 1 0.2 1.5 0.6 1.2 0 0.5 0.3 1.1-0.5 1.6-0.4 1.5 0 1.2-0.4 0.7-0.5 0.7-0.3-0.1-0.4-0.4-0.4 0.6-0.6 0.5 0.1 1.1 0.2 1-0.5 1.5-0.4 0.7-0.7 0.7-0.3 1.5-0.1 0.8 0.1 0.1-0.3-0.9-0.7-0.8-0.4-0.8 0.4-1-0.2-0.6 0.2-0.2-0.4 0.7-1 0.5-0.8 1.2 0.4 1.4-0.6 0-0.5 0.9-1 0.5-0.4 0-0.5-0.5-0.3 0.8-0.5 1.2-0.1 1.4-0.1 1.5 0.3 0.8 0.4 0.7 1 0.3 0.4 0.4 0.7 0.4 0.9 1.7 0.4 1.2 0.7 0.4 0.9 1.5 0 0.9-0.4 1.6-0.3-0.5 0.9-0.4 0.4-0.3 1.1-0.7 1-1.2-0.2-0.9 0.3 0.3 0.9-0.2 1.2-0.5 0 0 0.5-0.6-0.6-0.4 0.6-1.5 0.4 0.1 0.5-0.9 0-0.4-0.3-0.7 0.7-1.1 0.5-0.8 0.7-1.4 0.3-0.8 0.4-1 0.3 0.5-0.5-0.2-0.4 0.8-0.6-0.6-0.5-0.8 0.3-1.2 0.7-0.6 0.6-1 0.1-0.5 0.5 0.6 0.6 0.8 0.2 0 0.5 0.8 0.2 1.1-0.7 0.9 0.4 0.7 0 0.1 0.6-1.4 0.2-0.5 0.6-0.9 0.5-0.5 0.7 1 0.5 0.4 1 0.6 0.9 0.7 0.8 0 0.8-0.6 0.2 0.2 0.6 0.6 0.3-0.2 0.8-0.2 0.8-0.6 0.1-0.7 1-0.8 1.4-0.9 1.2-1.4 0.9-1.4 0.8-1.1 0.1-0.6 0.5-0.4-0.3-0.6 0.4-1.4 0.5-1 0.2-0.4 1.1-0.5 0-0.3-0.7 0.3-0.4-1.4-0.3-0.5 0.1-1-0.2-0.4-0.4 0.1-0.6-0.9-0.2-0.5-0.4-0.8 0.6-1 0.1-0.8 0-0.5 0.2-0.5 0.2 0.1 1.1-0.5 0-0.1-0.2-0.1-0.4-0.7 0.2-0.4-0.1-0.8-0.4 0.3-0.8-0.6-0.2-0.2-1-1.1 0.2 0.1-1.2 1-0.8 0-0.8 0-0.8-0.5-0.2-0.3-0.6-0.6 0-1.1-0.1 0.4-0.4-0.5-0.7-0.7 0.5-0.8-0.3-1.2 0.7-0.9 0.7-0.8 0.1-0.4-0.2-0.6-0.1-0.7-0.2-0.5 0.3-0.7 0.7-0.1-0.8-0.6 0.2-1.1-0.1-1.2-0.2-0.8-0.4-0.8-0.2-0.3-0.5-0.6-0.2-1-0.6-0.8-0.3-0.4 0.2-1.4-0.7-1-0.6-0.2-1.1 0.7 0.1 0-0.5-0.4-0.5 0.1-0.8-1.1-1.2-1.6-0.4-0.3-0.8-0.7-0.4-0.2-0.3-0.2-0.6 0.1-0.4-0.6-0.2-0.4 0.1-0.2-0.9 0.3-0.3-0.2-0.2 1-0.5 0.7-0.2 1 0.2 0.4-0.7 1.3-0.1 0.3-0.4 1.6-0.5 0.2-0.3z"],
+  ["Taiwan", 23.7, 121, "M301.8 65.6l-0.6 1.6-0.5 0.8-0.5-0.8-0.1-0.8 0.6-0.9 0.8-0.8 0.5 0.3-0.2 0.6z"],
+  ["Italy", 43.5, 12.2, "M190.4 43.1l0.7 0.1 0.1-0.1 1-0.2 0.2 0.3 1.4 0.3-0.1 0.5 0.2 0.4-0.8-0.1-0.8 0.3 0.1 0.5-0.1 0.3 0.3 0.5 0.9 0.5 0.5 0.8 1.1 0.8 0.8 0 0.3 0.3-0.3 0.2 0.9 0.3 0.7 0.3 0.9 0.5 0.1 0.2-0.2 0.4-0.6-0.5-0.8-0.1-0.4 0.6 0.7 0.4-0.1 0.5-0.5 0.1-0.5 0.8-0.4 0.1 0-0.3 0.2-0.6 0.2-0.2-0.4-0.5-0.3-0.5-0.4-0.2-0.3-0.4-0.6-0.2-0.5-0.4-0.7-0.1-0.8-0.4-0.9-0.7-0.7-0.5-0.3-1-0.5-0.1-0.8-0.4-0.5 0.2-0.6 0.4-0.4 0.1 0.2-0.4-0.6-0.2-0.3-0.7 0.4-0.3-0.3-0.4 0-0.3 0.5 0.2 0.5 0 0.5-0.4 0.2 0.2 0.5 0 0.2-0.4 0.7 0.1 0.5-0.2 0-0.4zM194.8 51.9l0.7-0.1-0.3 0.8 0.1 0.3-0.2 0.5-0.8-0.4-0.5-0.1-1.4-0.5 0.2-0.5 1.1 0.1 1.1-0.1zM188.7 49.1l0.5-0.3 0.6 0.7-0.1 1.3-0.5 0-0.4 0.3-0.4-0.3 0-1.2-0.2-0.6 0.5 0.1z"],
+  ["Denmark", 56.2, 9.3, "M189.9 35l-0.6 0.2-0.8-0.2-0.4-0.5 0-1 0.2-0.3 0.2-0.3 0.9-0.1 0.4-0.2 0.8-0.3-0.1 0.5-0.2 0.3 0.1 0.3 0.5 0.1-0.2 0.4-0.3-0.1-0.8 0.7 0.3 0.5zM192.4 33.9l0.3 0.5-0.6 0.8-1.1-0.6-0.1-0.4 1.5-0.3z"],
+  ["United Kingdom", 53.9, -2.7, "M173.8 36.1l-0.8-0.2-0.6 0 0.2-0.5-0.2-0.5 0.9-0.1 1 0.6-0.5 0.7zM176.9 36.6l0.2-0.6-0.7-0.6-1.2-0.2-0.3-0.3 0.4-0.4-0.3-0.3-0.6 0.5 0-1-0.6-0.5 0.4-1 0.8-0.8 0.8 0 1.2 0-1.1 1 1-0.1 1.1 0-0.2 0.8-0.9 0.9 1 0.1 0.1 0.1 0.9 1.2 0.7 0.1 0.6 1.2 0.3 0.4 1.2 0.2-0.1 0.6-0.6 0.3 0.4 0.5-0.9 0.5-1.3 0-1.7 0.3-0.5-0.2-0.6 0.5-0.9-0.1-0.7 0.3-0.6-0.2 1.5-1 0.9-0.2-1.6-0.2-0.3-0.4 1.1-0.3-0.6-0.5 0.2-0.7 1.5 0.1z"],
+  ["Iceland", 65.1, -18.8, "M165.5 23.5l-0.2 0.7 1.1 0.7-1.3 0.7-2.9 0.7-0.9 0.2-1.3-0.1-2.8-0.4 1-0.4-2.2-0.5 1.8-0.2 0-0.3-2.1-0.2 0.6-0.7 1.6-0.1 1.5 0.7 1.5-0.6 1.3 0.3 1.6-0.5 1.7 0z"],
+  ["Azerbaijan", 40.3, 47.7, "M226.4 48.1l0.3 0.1 0.7 0.6 0.4 0 0.2-0.2 0.6-0.4 0.5 0.5 0.5 0.7 0.5 0.1 0.3 0.2-0.8 0.1-0.2 0.8-0.2 0.4-0.3 0.2 0 0.5-0.3 0-0.6-0.5 0.4-0.5-0.3-0.3-0.4 0.1-1.2 0.7 0-0.7-0.5-0.1-0.4-0.3 0.3-0.3-0.5-0.4 0.2-0.2-0.4-0.2-0.2-0.2 0.2-0.2 0.8 0.3 0.5 0 0.1-0.1-0.5-0.5 0.3-0.2zM226.1 51.3l-0.6-0.2-0.5-0.4-0.2-0.4 0.2 0 0.3 0.2 0.4 0 0 0.2 0.4 0.6z"],
+  ["Georgia", 42.2, 43.5, "M220 46.6l0.1-0.2 0.8 0.2 1.5 0.2 1.4 0.5 0.1 0.1 0.6-0.1 1 0.2 0.3 0.4 0.6 0.2-0.3 0.2 0.5 0.5-0.1 0.1-0.5 0-0.8-0.3-0.2 0.2-1.4 0.1-1-0.5-1 0.1 0.1-0.5-0.2-0.6-0.6-0.4-0.6-0.1-0.3-0.3z"],
+  ["Philippines", 15.8, 121.5, "M300.8 77.3l-0.5-0.8 0.9 0.1 0.3 0.3-0.2 0.9-0.5-0.5zM302.6 80l0.2-0.3 0.1-0.6 0.6 0-0.2 0.6 0.8-0.9-0.1 0.9-0.4 0.4-0.3 0.6-0.3 0.3-0.6-0.7 0.2-0.3zM306.4 81.6l0.1 0.6 0 0.6-0.3 0.9-0.4-1-0.4 0.5 0.3 0.8-0.3 0.4-1.2-0.6-0.3-0.7 0.3-0.5-0.6-0.4-0.3 0.4-0.5-0.1-0.7 0.6-0.2-0.3 0.4-0.8 0.6-0.3 0.6-0.4 0.3 0.5 0.8-0.3 0.2-0.5 0.7 0-0.1-0.8 0.8 0.5 0.1 0.5 0.1 0.4zM298.5 80.7l-1.3 0.9 0.5-0.7 0.7-0.6 0.6-0.7 0.5-1 0.2 0.8-0.7 0.6-0.5 0.7zM302.3 71.8l-0.1 0.4 0.3 0.7-0.2 0.8-0.6 0.4-0.2 0.8 0.2 0.8 0.6 0.1 0.4-0.1 1.3 0.5-0.1 0.6 0.3 0.2-0.1 0.5-0.8-0.5-0.4-0.6-0.2 0.4-0.7-0.6-0.9 0.2-0.5-0.3 0.1-0.4 0.3-0.2-0.3-0.3-0.1 0.4-0.5-0.6-0.2-0.4 0-1 0.4 0.4 0.1-1.6 0.3-0.9 0.6 0 0.6 0.3 0.3-0.3 0.1 0.3zM302 78.6l-0.1-0.5 0.6 0.3 0.6 0 0 0.4-0.5 0.5-0.6 0.3 0-0.5 0-0.5zM305.5 77.8l0.3 1.2-0.8-0.3 0 0.3 0.3 0.6-0.5 0.3 0-0.7-0.3-0.1-0.2-0.6 0.6 0.1 0-0.4-0.6-0.8 0.9 0.1 0.3 0.3z"],
+  ["Malaysia", 3.5, 114.7, "M280.1 83.5l0.2-0.1 0.8 0.4 0.1 0.5 0.6-0.1 0.3-0.4 0.3 0.1 0.6 0.6 0.4 0.6 0 0.7-0.1 0.5 0.1 0.3 0.1 0.6 0.4 0.3 0.3 0.9 0 0.3-0.7 0.1-0.9-0.8-1.2-0.8-0.1-0.5-0.6-0.6-0.1-0.9-0.4-0.5 0.1-0.7-0.2-0.5zM297.9 85.9l-0.9-0.2-1.1 0-0.4 1.1-0.4 0.4-0.5 1.4-0.8 0.2-0.9-0.3-0.5 0.1-0.6 0.5-0.6-0.1-0.7 0.2-0.7-0.5-0.1-0.7 0.7 0.3 0.8-0.2 0.2-0.8 0.4-0.2 1.2-0.2 0.7-0.8 0.5-0.6 0.5 0.5 0.2-0.3 0.4 0 0.1-0.7 0.1-0.4 0.7-0.7 0.5-0.8 0.4 0 0.5 0.5 0.1 0.4 0.6 0.3 0.9 0.3-0.1 0.4-0.7 0 0.2 0.5-0.7 0.4z"],
+  ["Brunei", 4.7, 114.9, "M295.5 84.6l-0.1 0.4-0.1 0.7-0.4 0-0.2 0.3-0.5-0.5 0.4-0.4 0.9-0.5z"],
+  ["Slovenia", 46.1, 14.9, "M193.8 43.5l0.8 0.1 0.5-0.3 0.9 0 0.2-0.2 0.2 0.1 0.2 0.3-0.8 0.3-0.1 0.4-0.4 0.1 0 0.2-0.4 0-0.3-0.1-0.2 0.1-0.7 0 0.2-0.1-0.2-0.4 0.1-0.5z"],
+  ["Finland", 64.5, 26.2, "M208.6 20.9l-0.2 0.7 1.6 0.7-0.9 0.8 1.1 1.1-0.7 0.9 0.9 0.7-0.4 0.6 1.5 0.7-0.4 0.5-0.9 0.6-2.1 1.3-1.8 0.1-1.8 0.3-1.6 0.3-0.6-0.6-1-0.3 0.2-1-0.4-0.9 0.4-0.6 0.9-0.6 2.3-1.1 0.7-0.2-0.1-0.4-1.4-0.5-0.3-0.4-0.1-1.5-1.5-0.7-1.4-0.5 0.6-0.3 1.2 0.6 1.3-0.1 1 0.3 1-0.5 0.5-0.7 1.5-0.4 1.3 0.4-0.4 0.7z"],
+  ["Slovakia", 48.7, 19.5, "M202.6 40.9l-0.3 0.3-0.2 0.4-0.2 0.1-1.1-0.3-0.3 0-0.3 0.3-0.4 0.1-0.1-0.1-0.5 0.2-0.4 0-0.1 0.2-0.8 0.1-0.4-0.1-0.5-0.2-0.1-0.4 0.1-0.1 0.1-0.2 0.4 0 0.4-0.1 0-0.1 0.2 0 0.1-0.3 0.2 0 0.2-0.2 0.3 0 0 0.1 0.4-0.2 0.5 0.4 0.6-0.2 0.5 0.1 0.7-0.2 1 0.4z"],
+  ["Czechia", 49.8, 15.3, "M195 38.9l0.5 0.3 0.7 0.1 0 0.3 0.5 0.2 0.2-0.3 0.7 0.1 0 0.4 0.8 0 0.5 0.5-0.3 0-0.2 0.2-0.2 0-0.1 0.3-0.2 0 0 0.1-0.4 0.1-0.4 0-0.1 0.2-0.5-0.2-0.5 0.1-0.7-0.3-0.4 0-0.6 0.4-0.7-0.3-0.6-0.4-0.5-0.2-0.1-0.5-0.2-0.3 0.8-0.2 0.3-0.2 0.8-0.2 0.2-0.2 0.3 0.1 0.4-0.1z"],
+  ["Eritrea", 15.4, 38.7, "M216.4 75.6l-0.1-0.4 0.5-1.5 0.1-0.7 0.3-0.3 0.7-0.1 0.5-0.6 0.6 1.2 0.3 0.9 0.5 0.5 1.4 0.9 0.5 0.6 0.6 0.6 0.3 0.3 0.5 0.3-0.3 0.2-0.4 0-0.4-0.4-0.4-0.6-0.4-0.3-0.3-0.3-0.9-0.4-0.7 0-0.2-0.2-0.6 0.2-0.6-0.5-0.3 0.8-1.2-0.2z"],
+  ["Japan", 36, 136.9, "M321.9 50.8l-0.9 1 0 1.1-0.4 0.8 0.2 0.5-0.5 0.7-1.3 0.4-1.8 0.1-1.4 1.1-0.7-0.3 0-0.8-1.8 0.2-1.1 0.5-1.2 0 1 0.8-0.7 1.6-0.6 0.5-0.5-0.4 0.2-0.9-0.6-0.3-0.4-0.7 1-0.3 0.5-0.6 1-0.6 0.7-0.6 2-0.3 1.1 0.2 1-1.8 0.7 0.5 1.5-1 0.5-0.4 0.7-1.2-0.2-1.2 0.4-0.6 1.1-0.2 0.5 1.4 0 0.8zM324.6 46l0.7-0.4 0.2 1.1-1.4 0.3-0.9 1-1.6-0.7-0.5 1.1-1.1 0-0.2-1 0.5-0.7 1.1-0.1 0.3-1.4 0.3-0.8 1.1 1.1 0.8 0.3 0.7 0.2zM312.4 56.5l0.5-0.6 0.6 0.2 0.4-0.5 0.7 0.3 0.2 0.3-0.6 0.6-0.4-0.3-0.5 0.2-0.3 0.6-0.6-0.3 0-0.5z"],
+  ["Paraguay", -23.2, -58.4, "M121.8 110.2l0.3 0.5 0 1.4 1 0.2 0.4-0.2 0.7 0.3 0.2 0.3 0.1 0.9 0.1 0.4 0.4 0 0.3-0.2 0.4 0.2 0 0.6-0.1 0.6-0.2 0.5-0.2 0.9-0.9 0.8-0.8 0.1-1.1-0.1-1-0.3 1-1.5-0.2-0.4-1-0.4-1.2-0.8-0.8-0.1-1.9-1.7 0.4-1.1 0-0.6 0.5-0.9 1.8-0.3 0.9 0.1 0.9 0.5 0 0.3z"],
+  ["Yemen", 15.9, 47.5, "M232 71l0.8 1.7 0.3 0.6-0.7 0.3-0.2 0.5 0 0.3-1 0.4-1.6 0.5-0.9 0.7-0.5 0.1-0.3-0.1-0.5 0.4-0.7 0.2-0.8 0.1-0.3 0-0.2 0.3-0.3 0-0.1 0.3-0.5 0-0.3 0.1-0.7 0-0.3-0.6 0.1-0.6-0.2-0.3-0.2-0.7-0.3-0.4 0.2-0.1-0.1-0.4 0.1-0.2 0-0.4 0.4-0.4-0.1-0.4 0.3-0.5 0.4 0.3 0.3-0.1 1.1 0 0.2 0.1 1 0.1 0.3-0.1 0.3 0.4 0.5-0.2 0.7-1.1 0.9-0.4 2.9-0.4z"],
+  ["Saudi Arabia", 24.1, 44.5, "M215 60.6l1.1 0.2 0.4-0.3 0.2-0.4 0.8-0.1 0.2-0.3 0.3-0.2-1-1 2-0.5 0.2-0.2 1.2 0.3 1.5 0.7 2.8 2 1.9 0.1 0.9 0.1 0.2 0.5 0.7-0.1 0.4 0.9 0.5 0.2 0.2 0.4 0.7 0.4 0 0.4-0.1 0.4 0.1 0.3 0.3 0.3 0.2 0.3 0.1 0.2 0.3 0.2 0.3 0 0.2 0.4 0 0.2 0.4 1 3 0.5 0.2-0.2 0.5 0.7-0.7 2-3 1-2.9 0.4-0.9 0.4-0.7 1.1-0.5 0.2-0.3-0.4-0.3 0.1-1-0.1-0.2-0.1-1.1 0-0.3 0.1-0.4-0.3-0.3 0.5 0.1 0.4-0.4 0.4-0.2-0.5-0.3-0.3 0-0.4-0.5-0.3-0.6-0.9-0.3-0.8-0.7-0.7-0.4-0.1-0.7-1-0.1-0.7 0.1-0.6-0.6-1.1-0.5-0.4-0.5-0.2-0.3-0.6 0-0.2-0.3-0.5-0.3-0.2-0.3-0.8-0.7-0.8-0.5-0.7-0.5 0 0.2-0.5 0-0.4 0.2-0.4z"],
+  ["N. Cyprus", 35.3, 33.6, "M212.7 54.9l0.1 0 0.1-0.3 0.8 0 0.9-0.3-0.7 0.5 0.1 0.1-0.1 0-0.2 0.1-0.2 0 0-0.1-0.1-0.1-0.2 0-0.3 0.1-0.2 0z"],
+  ["Cyprus", 34.9, 33, "M212.7 54.9l0.2 0 0.3-0.1 0.2 0 0.1 0.1 0 0.1 0.2 0 0.2-0.1 0.1 0 0 0.1-1 0.4-0.5-0.1-0.2-0.4 0.4 0z"],
+  ["Morocco", 29.9, -8.4, "M177.8 54.8l0.4 0.7 0.1 0.6 0.3 1 0.3 0.2-0.2 0.4-1.3 0.2-0.5 0.4-0.5 0.1-0.1 0.7-1.2 0.4-0.3 0.5-0.9 0.3-1 0.1-1.6 0.8 0 1.1-0.1 0 0 0.6-0.6 0-0.3 0.2-0.5 0-0.3-0.1-0.9 0.1-0.3 0.8-0.3 0.1-0.5 1.2-1.4 1.1-0.3 1.4-0.4 0.4-0.2 0.4-2.2 0.1 0-0.5 0.4-0.3 0.3-0.5 0-0.3 0.3-0.7 0.6-0.7 0.3-0.1 0.3-0.6 0-0.5 0.4-0.7 0.6-0.3 0.7-1 0-0.1 0.5-0.3 0.9-0.1 0.8-0.7 0.5-0.3 0.8-0.8-0.2-1.3 0.4-0.8 0.1-0.6 0.6-0.6 1-0.5 0.8-0.4 0.7-1 0.3-0.7 0.7 0 0.6 0.5 1-0.1 1 0.2 0.4 0z"],
+  ["Egypt", 26.5, 29.8, "M216.9 68l-4 0-3.9 0-4 0 0-3.7 0-3.5-0.3-0.8 0.3-0.7-0.2-0.4 0.4-0.5 1.3 0 1 0.3 0.9 0.3 0.5 0.1 0.8-0.3 0.4-0.3 0.9-0.1 0.7 0.2 0.3 0.5 0.2-0.4 0.8 0.3 0.8 0 0.5-0.2 0.5 1.4 0.1 0.3-0.3 0.4-0.2 0.8-0.2 0.5-0.3 0.2-0.3-0.4-0.5-0.4-0.7-1.5-0.1 0.1 0.4 1.1 0.6 1 0.8 1.6 0.4 0.5 0.3 0.6 0.9 1.1-0.2 0.1 0 0.7 1.2 0.9 0.2 0.2z"],
+  ["Libya", 27, 18, "M205 68l0 2-1.2 0 0 0.4-4-1.9-3.9-1.9-1 0.5-0.8 0.4-0.5-0.5-1.6-0.5-0.4-0.6-0.8-0.5-0.5 0.2-0.4-0.5 0-0.5-0.6-0.7 0.4-0.4-0.1-0.6 0.2-0.6-0.1-0.4 0.2-0.9-0.1-0.4-0.3-0.9 0.5-0.2 0.1-0.5-0.2-0.4 0.7-0.4 0.3-0.3 0.5-0.3 0.1-0.7 1.2 0.3 0.4-0.1 0.8 0.2 1.3 0.4 0.5 0.9 0.9 0.2 1.4 0.4 1.1 0.5 0.5-0.2 0.5-0.5-0.3-0.8 0.3-0.4 0.8-0.5 0.6-0.1 1.4 0.2 0.3 0.4 0.4 0 0.3 0.2 1 0.1 0.3 0.3-0.4 0.5 0.2 0.4-0.3 0.7 0.3 0.8 0 3.5 0 3.7z"],
+  ["Ethiopia", 8.7, 39.6, "M227.8 82l-2.8 3-1.3 0-0.9 0.7-0.7 0.1-0.2 0.3-0.7 0-0.4-0.4-0.9 0.5-0.3 0.4-0.7-0.1-0.2-0.1-0.3 0-0.3 0-1.2-0.8-0.7 0-0.4-0.4 0-0.5-0.5-0.2-0.6-1.1-0.5-0.2-0.1-0.4-0.5-0.5-0.6-0.1 0.3-0.6 0.5 0 0.2-0.3 0-0.9 0.3-1 0.4-0.3 0.1-0.4 0.5-0.8 0.6-0.5 0.4-1 0.1-0.8 1.2 0.2 0.3-0.8 0.6 0.5 0.6-0.2 0.2 0.2 0.7 0 0.9 0.4 0.3 0.3 0.4 0.3 0.4 0.6 0.4 0.4-0.4 0.4-0.3 0.5 0 0.2 0.1 0.3 0.5 0.1 0.3-0.1 0.2 0.2-0.2 0.3 0.3 0.6 0.4 0.5 0.4 0.3 3.2 1.2 0.9 0z"],
+  ["Djibouti", 11.8, 42.5, "M222.4 77.5l0.4 0 0.3-0.2 0.2 0.3 0 0.4-0.6 0.3 0.4 0.2-0.3 0.6-0.2-0.2-0.3 0.1-0.5-0.1-0.1-0.3 0-0.2 0.3-0.5 0.4-0.4z"],
+  ["Somaliland", 9.8, 46.2, "M228.9 78.6l0 0.4 0 1 0 0.5-0.4 0.7-0.7 0.8-0.9 0-3.2-1.2-0.4-0.3-0.4-0.5-0.3-0.6 0.2-0.3 0.3-0.6 0.4 0.2 0.2 0.4 0.4 0.5 0.5 0 1-0.3 1-0.1 0.9-0.3 0.5-0.1 0.4-0.2 0.5 0z"],
+  ["Uganda", 1.3, 32.4, "M213.9 91l-2 0-1.1 0-0.4 0.1-0.6 0.3-0.2-0.1 0-0.7 0.2-0.4 0.1-0.8 0.2-0.5 0.4-0.5 0.4-0.2 0.3-0.4-0.4-0.1 0-1.2 0.4-0.3 0.7 0.2 0.8-0.2 0.7 0 0.6-0.5 0.5 0.7 0.1 0.5 0.4 1.2-0.3 0.7-0.5 0.7-0.3 0.4 0 1.1z"],
+  ["Rwanda", -2, 29.9, "M210.4 91.1l0.4 0.6 0 0.6-0.3 0.1-0.6-0.1-0.3 0.6-0.6-0.1 0.1-0.5 0.2-0.1 0-0.6 0.3-0.3 0.2 0.1 0.6-0.3z"],
+  ["Bosnia and Herz.", 44.2, 17.8, "M198.6 47.4l-0.9-0.4-0.4-0.4-0.4-0.3-0.4-0.3-0.3-0.4-0.5-0.4 0.3-0.4 0.3 0.2 0.2-0.2 0.5 0 0.9 0.1 0.7 0 0.4 0.2 0.4 0-0.3 0.5 0.5 0.4-0.1 0.4-0.3 0.1-0.2 0.1-0.3 0.2-0.1 0.6z"],
+  ["Macedonia", 41.6, 21.7, "M202.4 47.7l0.5 0.3 0.1 0.7-0.2 0-0.2 0.2-0.5-0.1-0.4 0.3-0.7 0.1-0.4-0.3-0.1-0.4 0.1-0.4 0.1 0.1 0.1-0.3 0.6-0.1 0.2 0 0.3-0.1 0.5 0z"],
+  ["Serbia", 44.2, 20.8, "M198.8 44.1l0.8-0.3 0.6 0.1 0.6 0.4 0.1 0.3 0.6 0.2 0.1 0.4 0.5 0.3 0.4-0.2 0.2 0.1-0.2 0.2 0.2 0.2-0.3 0.2 0.1 0.4 0.5 0.4-0.4 0.3-0.2 0.3 0.1 0.1-0.1 0.2-0.5 0-0.3 0.1-0.1-0.1 0.2-0.1 0.1-0.3-0.2 0-0.2-0.2-0.1 0-0.2-0.2-0.1 0-0.2-0.2-0.2 0.1-0.1 0.3-0.2 0.1 0-0.1-0.3-0.2-0.4-0.1-0.1-0.2-0.3-0.1 0.3-0.1 0.1-0.4-0.5-0.4 0.3-0.5-0.4 0 0.4-0.3-0.3-0.3-0.3-0.4z"],
+  ["Montenegro", 42.8, 19.3, "M200.1 47.4l-0.3 0.1-0.1-0.2-0.4 0.5 0.1 0.3-0.2-0.1-0.3-0.3-0.5-0.2 0.2-0.1 0.1-0.6 0.3-0.2 0.2-0.1 0.3 0.1 0.1 0.2 0.4 0.1 0.3 0.2 0 0.1-0.2 0.2z"],
+  ["Kosovo", 42.6, 20.9, "M200.6 48.1l-0.1-0.3-0.2-0.1-0.2-0.3 0.2-0.2 0.2-0.1 0.1-0.3 0.2-0.1 0.2 0.2 0.1 0 0.2 0.2 0.1 0 0.2 0.2 0.2 0-0.1 0.3-0.2 0.1 0.1 0.1-0.2 0-0.6 0.1-0.1 0.3-0.1-0.1z"],
+  ["Trinidad and Tobago", 10.4, -61.3, "M118.3 79.2l0.6-0.1 0.2 0 0 0.8-0.9 0.1-0.2-0.1 0.3-0.3 0-0.4z"],
+  ["S. Sudan", 7.3, 30.2, "M210.8 86.5l-0.8-0.7-0.3-0.4-0.5 0.2-0.5-0.1-0.3 0.2-0.4-0.1-0.6-0.8-0.2-0.4-0.7-0.3-0.3-0.6-0.4-0.5-0.7-0.5 0-0.3-0.5-0.4-0.7-0.4 0.3-0.1 0.3-0.2 0.3-0.9 0.3-0.5 0.7-0.1 0.2 0.3 0.5 0.5 0.3 0.1 0.3-0.1 0.7 0 0.2 0.2 1 0 0-0.2 0.5-0.2 0.1-0.3 0.4-0.2 0.8 0.6 0.6-0.1 0.5-0.7 0.5-0.6-0.1-0.6-0.2-0.3 0.6 0 0-0.2 0.5 0-0.1 0.8 0.1 0.7 0.5 0.4 0.1 0.3 0 0.5 0.2 0 0 0.8-0.2 0.3-0.5 0-0.3 0.6 0.6 0.1 0.5 0.5 0.1 0.4 0.5 0.2 0.6 1.1-0.7 0.7-0.6 0.5-0.6 0.5-0.7 0-0.8 0.2-0.7-0.2-0.4 0.3z"]
+];
+
+// Other names for countries, as they are often written in PLAC values
+const COUNTRY_ALIASES = {
+  "United States of America": ["USA", "U.S.A.", "US", "U.S.", "United States", "America", "Vereinigte Staaten", "Etats-Unis"],
+  "United Kingdom": ["UK", "U.K.", "Great Britain", "Britain", "GB"],
+  "Germany": ["Deutschland", "Prussia", "Preussen", "Preußen", "German Empire", "Allemagne"],
+  "Netherlands": ["Holland", "Nederland", "The Netherlands"],
+  "Czechia": ["Czech Republic", "Bohemia", "Moravia", "Czechoslovakia"],
+  "Russia": ["Russian Federation", "Russian Empire", "USSR", "Soviet Union"],
+  "Ireland": ["Eire", "Éire", "Republic of Ireland", "Irish Free State"],
+  "Italy": ["Italia"],
+  "Spain": ["España", "Espana"],
+  "France": ["Frankreich"],
+  "Sweden": ["Sverige"],
+  "Norway": ["Norge"],
+  "Denmark": ["Danmark"],
+  "Finland": ["Suomi"],
+  "Poland": ["Polska"],
+  "Austria": ["Österreich", "Osterreich", "Austria-Hungary"],
+  "Switzerland": ["Schweiz", "Suisse", "Svizzera"],
+  "Belgium": ["België", "Belgique"],
+  "Greece": ["Hellas"],
+  "Hungary": ["Magyarország"],
+  "Croatia": ["Hrvatska"],
+  "India": ["Bharat", "British India"],
+  "China": ["People's Republic of China", "PRC"],
+  "South Korea": ["Korea", "Republic of Korea"],
+  "Japan": ["Nippon"],
+  "Brazil": ["Brasil"],
+  "Mexico": ["México"],
+  "Dem. Rep. Congo": ["Democratic Republic of the Congo", "DR Congo", "Zaire"],
+  "Congo": ["Republic of the Congo"],
+  "Central African Rep.": ["Central African Republic"],
+  "Dominican Rep.": ["Dominican Republic"],
+  "Bosnia and Herz.": ["Bosnia and Herzegovina", "Bosnia"],
+  "Eq. Guinea": ["Equatorial Guinea"],
+  "S. Sudan": ["South Sudan"],
+  "Solomon Is.": ["Solomon Islands"],
+  "Falkland Is.": ["Falkland Islands"],
+  "Côte d'Ivoire": ["Ivory Coast", "Cote d'Ivoire"],
+  "eSwatini": ["Eswatini", "Swaziland"],
+  "Macedonia": ["North Macedonia"],
+  "Myanmar": ["Burma"],
+  "Sri Lanka": ["Ceylon"],
+  "Iran": ["Persia"],
+  "Timor-Leste": ["East Timor"],
+  "W. Sahara": ["Western Sahara"],
+  "United Arab Emirates": ["UAE"],
+  "Turkey": ["Türkiye", "Turkiye", "Ottoman Empire"],
+  "Ukraine": ["Ukraina"]
+};
+
+// Regions and cities: [name, latitude, longitude, country]. The country is
+// used to tell apart places with the same name (Birmingham, England / Alabama)
+const PLACE_COORDINATES = [
+  ["England", 52.6, -1.5, "United Kingdom"],
+  ["Scotland", 56.8, -4.2, "United Kingdom"],
+  ["Wales", 52.3, -3.7, "United Kingdom"],
+  ["Northern Ireland", 54.6, -6.7, "United Kingdom"],
+  ["London", 51.51, -0.13, "United Kingdom"],
+  ["Birmingham", 52.49, -1.89, "United Kingdom"],
+  ["Manchester", 53.48, -2.24, "United Kingdom"],
+  ["Liverpool", 53.41, -2.98, "United Kingdom"],
+  ["Leeds", 53.8, -1.55, "United Kingdom"],
+  ["Sheffield", 53.38, -1.47, "United Kingdom"],
+  ["Bristol", 51.45, -2.59, "United Kingdom"],
+  ["Newcastle upon Tyne", 54.98, -1.61, "United Kingdom"],
+  ["York", 53.96, -1.08, "United Kingdom"],
+  ["Edinburgh", 55.95, -3.19, "United Kingdom"],
+  ["Glasgow", 55.86, -4.25, "United Kingdom"],
+  ["Aberdeen", 57.15, -2.09, "United Kingdom"],
+  ["Cardiff", 51.48, -3.18, "United Kingdom"],
+  ["Swansea", 51.62, -3.94, "United Kingdom"],
+  ["Belfast", 54.6, -5.93, "United Kingdom"],
+  ["Yorkshire", 53.9, -1.3, "United Kingdom"],
+  ["Lancashire", 53.8, -2.6, "United Kingdom"],
+  ["Kent", 51.2, 0.7, "United Kingdom"],
+  ["Cornwall", 50.4, -4.9, "United Kingdom"],
+  ["Devon", 50.7, -3.8, "United Kingdom"],
+  ["Dublin", 53.35, -6.26, "Ireland"],
+  ["Cork", 51.9, -8.47, "Ireland"],
+  ["Galway", 53.27, -9.05, "Ireland"],
+  ["Limerick", 52.66, -8.63, "Ireland"],
+  ["Alabama", 32.8, -86.8, "United States of America"],
+  ["Alaska", 64.7, -152, "United States of America"],
+  ["Arizona", 34.3, -111.7, "United States of America"],
+  ["Arkansas", 34.9, -92.4, "United States of America"],
+  ["California", 37.2, -119.5, "United States of America"],
+  ["Colorado", 39, -105.5, "United States of America"],
+  ["Connecticut", 41.6, -72.7, "United States of America"],
+  ["Delaware", 39, -75.5, "United States of America"],
+  ["Florida", 28.6, -82.4, "United States of America"],
+  ["Georgia", 32.7, -83.4, "United States of America"],
+  ["Hawaii", 20.8, -156.3, "United States of America"],
+  ["Idaho", 44.4, -114.6, "United States of America"],
+  ["Illinois", 40, -89.2, "United States of America"],
+  ["Indiana", 39.9, -86.3, "United States of America"],
+  ["Iowa", 42.1, -93.5, "United States of America"],
+  ["Kansas", 38.5, -98.4, "United States of America"],
+  ["Kentucky", 37.5, -85.3, "United States of America"],
+  ["Louisiana", 31.1, -92, "United States of America"],
+  ["Maine", 45.4, -69.2, "United States of America"],
+  ["Maryland", 39, -76.8, "United States of America"],
+  ["Massachusetts", 42.3, -71.8, "United States of America"],
+  ["Michigan", 44.3, -85.4, "United States of America"],
+  ["Minnesota", 46.3, -94.3, "United States of America"],
+  ["Mississippi", 32.7, -89.7, "United States of America"],
+  ["Missouri", 38.4, -92.5, "United States of America"],
+  ["Montana", 47, -109.6, "United States of America"],
+  ["Nebraska", 41.5, -99.8, "United States of America"],
+  ["Nevada", 39.3, -116.6, "United States of America"],
+  ["New Hampshire", 43.7, -71.6, "United States of America"],
+  ["New Jersey", 40.2, -74.7, "United States of America"],
+  ["New Mexico", 34.4, -106.1, "United States of America"],
+  ["New York", 40.71, -74.01, "United States of America"],
+  ["North Carolina", 35.6, -79.4, "United States of America"],
+  ["North Dakota", 47.5, -100.5, "United States of America"],
+  ["Ohio", 40.3, -82.8, "United States of America"],
+  ["Oklahoma", 35.6, -97.5, "United States of America"],
+  ["Oregon", 43.9, -120.6, "United States of America"],
+  ["Pennsylvania", 40.9, -77.8, "United States of America"],
+  ["Rhode Island", 41.7, -71.5, "United States of America"],
+  ["South Carolina", 33.9, -80.9, "United States of America"],
+  ["South Dakota", 44.4, -100.2, "United States of America"],
+  ["Tennessee", 35.9, -86.4, "United States of America"],
+  ["Texas", 31.5, -99.3, "United States of America"],
+  ["Utah", 39.3, -111.7, "United States of America"],
+  ["Vermont", 44.1, -72.7, "United States of America"],
+  ["Virginia", 37.5, -78.9, "United States of America"],
+  ["Washington", 47.4, -120.5, "United States of America"],
+  ["West Virginia", 38.6, -80.6, "United States of America"],
+  ["Wisconsin", 44.6, -89.9, "United States of America"],
+  ["Wyoming", 43, -107.6, "United States of America"],
+  ["Boston", 42.36, -71.06, "United States of America"],
+  ["Philadelphia", 39.95, -75.17, "United States of America"],
+  ["Chicago", 41.88, -87.63, "United States of America"],
+  ["Los Angeles", 34.05, -118.24, "United States of America"],
+  ["San Francisco", 37.77, -122.42, "United States of America"],
+  ["Detroit", 42.33, -83.05, "United States of America"],
+  ["Baltimore", 39.29, -76.61, "United States of America"],
+  ["Pittsburgh", 40.44, -80, "United States of America"],
+  ["Cleveland", 41.5, -81.69, "United States of America"],
+  ["St. Louis", 38.63, -90.2, "United States of America"],
+  ["New Orleans", 29.95, -90.07, "United States of America"],
+  ["Seattle", 47.61, -122.33, "United States of America"],
+  ["Houston", 29.76, -95.37, "United States of America"],
+  ["Milwaukee", 43.04, -87.91, "United States of America"],
+  ["Brooklyn", 40.68, -73.94, "United States of America"],
+  ["District of Columbia", 38.9, -77.04, "United States of America"],
+  ["Ontario", 50, -85, "Canada"],
+  ["Quebec", 52, -72, "Canada"],
+  ["Nova Scotia", 45, -63, "Canada"],
+  ["New Brunswick", 46.5, -66.2, "Canada"],
+  ["Manitoba", 55, -97, "Canada"],
+  ["British Columbia", 54, -125, "Canada"],
+  ["Alberta", 55, -115, "Canada"],
+  ["Saskatchewan", 55, -106, "Canada"],
+  ["Newfoundland", 49, -56, "Canada"],
+  ["Toronto", 43.65, -79.38, "Canada"],
+  ["Montreal", 45.5, -73.57, "Canada"],
+  ["Vancouver", 49.28, -123.12, "Canada"],
+  ["Winnipeg", 49.9, -97.14, "Canada"],
+  ["Halifax", 44.65, -63.57, "Canada"],
+  ["Ottawa", 45.42, -75.7, "Canada"],
+  ["New South Wales", -32, 147, "Australia"],
+  ["Victoria", -37, 144.3, "Australia"],
+  ["Queensland", -22.5, 144.5, "Australia"],
+  ["South Australia", -30, 135, "Australia"],
+  ["Western Australia", -25.5, 122, "Australia"],
+  ["Tasmania", -42, 146.6, "Australia"],
+  ["Sydney", -33.87, 151.21, "Australia"],
+  ["Melbourne", -37.81, 144.96, "Australia"],
+  ["Brisbane", -27.47, 153.03, "Australia"],
+  ["Adelaide", -34.93, 138.6, "Australia"],
+  ["Perth", -31.95, 115.86, "Australia"],
+  ["Hobart", -42.88, 147.33, "Australia"],
+  ["Auckland", -36.85, 174.76, "New Zealand"],
+  ["Wellington", -41.29, 174.78, "New Zealand"],
+  ["Christchurch", -43.53, 172.64, "New Zealand"],
+  ["Paris", 48.86, 2.35, "France"],
+  ["Lyon", 45.76, 4.84, "France"],
+  ["Marseille", 43.3, 5.37, "France"],
+  ["Bordeaux", 44.84, -0.58, "France"],
+  ["Strasbourg", 48.57, 7.75, "France"],
+  ["Alsace", 48.3, 7.4, "France"],
+  ["Brittany", 48.2, -2.9, "France"],
+  ["Normandy", 49.1, 0.2, "France"],
+  ["Berlin", 52.52, 13.4, "Germany"],
+  ["Hamburg", 53.55, 9.99, "Germany"],
+  ["Munich", 48.14, 11.58, "Germany"],
+  ["München", 48.14, 11.58, "Germany"],
+  ["Cologne", 50.94, 6.96, "Germany"],
+  ["Köln", 50.94, 6.96, "Germany"],
+  ["Frankfurt", 50.11, 8.68, "Germany"],
+  ["Stuttgart", 48.78, 9.18, "Germany"],
+  ["Dresden", 51.05, 13.74, "Germany"],
+  ["Leipzig", 51.34, 12.37, "Germany"],
+  ["Bremen", 53.08, 8.8, "Germany"],
+  ["Hannover", 52.38, 9.73, "Germany"],
+  ["Bavaria", 48.9, 11.4, "Germany"],
+  ["Bayern", 48.9, 11.4, "Germany"],
+  ["Saxony", 51, 13.3, "Germany"],
+  ["Sachsen", 51, 13.3, "Germany"],
+  ["Württemberg", 48.6, 9.2, "Germany"],
+  ["Baden", 48.3, 8.2, "Germany"],
+  ["Hessen", 50.6, 9, "Germany"],
+  ["Westphalia", 51.8, 7.8, "Germany"],
+  ["Vienna", 48.21, 16.37, "Austria"],
+  ["Wien", 48.21, 16.37, "Austria"],
+  ["Salzburg", 47.8, 13.04, "Austria"],
+  ["Tyrol", 47.2, 11.4, "Austria"],
+  ["Zurich", 47.38, 8.54, "Switzerland"],
+  ["Zürich", 47.38, 8.54, "Switzerland"],
+  ["Geneva", 46.2, 6.15, "Switzerland"],
+  ["Bern", 46.95, 7.45, "Switzerland"],
+  ["Amsterdam", 52.37, 4.9, "Netherlands"],
+  ["Rotterdam", 51.92, 4.48, "Netherlands"],
+  ["The Hague", 52.08, 4.3, "Netherlands"],
+  ["Brussels", 50.85, 4.35, "Belgium"],
+  ["Antwerp", 51.22, 4.4, "Belgium"],
+  ["Ghent", 51.05, 3.72, "Belgium"],
+  ["Luxembourg", 49.61, 6.13, "Luxembourg"],
+  ["Copenhagen", 55.68, 12.57, "Denmark"],
+  ["København", 55.68, 12.57, "Denmark"],
+  ["Aarhus", 56.16, 10.2, "Denmark"],
+  ["Stockholm", 59.33, 18.07, "Sweden"],
+  ["Gothenburg", 57.71, 11.97, "Sweden"],
+  ["Göteborg", 57.71, 11.97, "Sweden"],
+  ["Malmö", 55.6, 13, "Sweden"],
+  ["Oslo", 59.91, 10.75, "Norway"],
+  ["Bergen", 60.39, 5.32, "Norway"],
+  ["Trondheim", 63.43, 10.39, "Norway"],
+  ["Helsinki", 60.17, 24.94, "Finland"],
+  ["Turku", 60.45, 22.27, "Finland"],
+  ["Reykjavik", 64.15, -21.94, "Iceland"],
+  ["Madrid", 40.42, -3.7, "Spain"],
+  ["Barcelona", 41.39, 2.17, "Spain"],
+  ["Seville", 37.39, -5.98, "Spain"],
+  ["Valencia", 39.47, -0.38, "Spain"],
+  ["Lisbon", 38.72, -9.14, "Portugal"],
+  ["Lisboa", 38.72, -9.14, "Portugal"],
+  ["Porto", 41.15, -8.61, "Portugal"],
+  ["Rome", 41.9, 12.5, "Italy"],
+  ["Roma", 41.9, 12.5, "Italy"],
+  ["Milan", 45.46, 9.19, "Italy"],
+  ["Milano", 45.46, 9.19, "Italy"],
+  ["Naples", 40.85, 14.27, "Italy"],
+  ["Napoli", 40.85, 14.27, "Italy"],
+  ["Turin", 45.07, 7.69, "Italy"],
+  ["Torino", 45.07, 7.69, "Italy"],
+  ["Venice", 45.44, 12.32, "Italy"],
+  ["Venezia", 45.44, 12.32, "Italy"],
+  ["Florence", 43.77, 11.26, "Italy"],
+  ["Firenze", 43.77, 11.26, "Italy"],
+  ["Palermo", 38.12, 13.36, "Italy"],
+  ["Sicily", 37.6, 14, "Italy"],
+  ["Sicilia", 37.6, 14, "Italy"],
+  ["Athens", 37.98, 23.73, "Greece"],
+  ["Thessaloniki", 40.64, 22.94, "Greece"],
+  ["Warsaw", 52.23, 21.01, "Poland"],
+  ["Warszawa", 52.23, 21.01, "Poland"],
+  ["Kraków", 50.06, 19.94, "Poland"],
+  ["Krakow", 50.06, 19.94, "Poland"],
+  ["Gdańsk", 54.35, 18.65, "Poland"],
+  ["Danzig", 54.35, 18.65, "Poland"],
+  ["Wrocław", 51.11, 17.03, "Poland"],
+  ["Breslau", 51.11, 17.03, "Poland"],
+  ["Poznań", 52.41, 16.93, "Poland"],
+  ["Łódź", 51.76, 19.46, "Poland"],
+  ["Galicia", 49.8, 22, "Poland"],
+  ["Prague", 50.08, 14.44, "Czechia"],
+  ["Praha", 50.08, 14.44, "Czechia"],
+  ["Brno", 49.2, 16.61, "Czechia"],
+  ["Bratislava", 48.15, 17.11, "Slovakia"],
+  ["Budapest", 47.5, 19.04, "Hungary"],
+  ["Bucharest", 44.43, 26.1, "Romania"],
+  ["Transylvania", 46.5, 24.5, "Romania"],
+  ["Sofia", 42.7, 23.32, "Bulgaria"],
+  ["Belgrade", 44.79, 20.45, "Serbia"],
+  ["Zagreb", 45.81, 15.98, "Croatia"],
+  ["Ljubljana", 46.06, 14.51, "Slovenia"],
+  ["Sarajevo", 43.86, 18.41, "Bosnia and Herz."],
+  ["Kyiv", 50.45, 30.52, "Ukraine"],
+  ["Kiev", 50.45, 30.52, "Ukraine"],
+  ["Lviv", 49.84, 24.03, "Ukraine"],
+  ["Lemberg", 49.84, 24.03, "Ukraine"],
+  ["Odesa", 46.48, 30.72, "Ukraine"],
+  ["Odessa", 46.48, 30.72, "Ukraine"],
+  ["Minsk", 53.9, 27.57, "Belarus"],
+  ["Vilnius", 54.69, 25.28, "Lithuania"],
+  ["Riga", 56.95, 24.11, "Latvia"],
+  ["Tallinn", 59.44, 24.75, "Estonia"],
+  ["Moscow", 55.76, 37.62, "Russia"],
+  ["Saint Petersburg", 59.93, 30.34, "Russia"],
+  ["St. Petersburg", 59.93, 30.34, "Russia"],
+  ["Istanbul", 41.01, 28.98, "Turkey"],
+  ["Constantinople", 41.01, 28.98, "Turkey"],
+  ["Ankara", 39.93, 32.86, "Turkey"],
+  ["Delhi", 28.61, 77.21, "India"],
+  ["New Delhi", 28.61, 77.21, "India"],
+  ["Mumbai", 19.08, 72.88, "India"],
+  ["Bombay", 19.08, 72.88, "India"],
+  ["Kolkata", 22.57, 88.36, "India"],
+  ["Calcutta", 22.57, 88.36, "India"],
+  ["Chennai", 13.08, 80.27, "India"],
+  ["Madras", 13.08, 80.27, "India"],
+  ["Bengaluru", 12.97, 77.59, "India"],
+  ["Bangalore", 12.97, 77.59, "India"],
+  ["Hyderabad", 17.39, 78.49, "India"],
+  ["Kerala", 10.4, 76.4, "India"],
+  ["Kochi", 9.93, 76.27, "India"],
+  ["Cochin", 9.93, 76.27, "India"],
+  ["Thiruvananthapuram", 8.52, 76.94, "India"],
+  ["Trivandrum", 8.52, 76.94, "India"],
+  ["Kozhikode", 11.26, 75.78, "India"],
+  ["Calicut", 11.26, 75.78, "India"],
+  ["Thrissur", 10.53, 76.21, "India"],
+  ["Kottayam", 9.59, 76.52, "India"],
+  ["Tamil Nadu", 11.1, 78.7, "India"],
+  ["Karnataka", 15.3, 75.7, "India"],
+  ["Maharashtra", 19.7, 75.7, "India"],
+  ["Punjab", 31.1, 75.3, "India"],
+  ["Gujarat", 22.3, 71.2, "India"],
+  ["Goa", 15.3, 74.1, "India"],
+  ["Karachi", 24.86, 67, "Pakistan"],
+  ["Lahore", 31.55, 74.34, "Pakistan"],
+  ["Dhaka", 23.81, 90.41, "Bangladesh"],
+  ["Colombo", 6.93, 79.86, "Sri Lanka"],
+  ["Beijing", 39.9, 116.41, "China"],
+  ["Shanghai", 31.23, 121.47, "China"],
+  ["Guangzhou", 23.13, 113.26, "China"],
+  ["Canton", 23.13, 113.26, "China"],
+  ["Hong Kong", 22.32, 114.17, "China"],
+  ["Taipei", 25.03, 121.57, "Taiwan"],
+  ["Tokyo", 35.68, 139.69, "Japan"],
+  ["Osaka", 34.69, 135.5, "Japan"],
+  ["Seoul", 37.57, 126.98, "South Korea"],
+  ["Manila", 14.6, 120.98, "Philippines"],
+  ["Singapore", 1.35, 103.82, "Malaysia"],
+  ["Kuala Lumpur", 3.14, 101.69, "Malaysia"],
+  ["Jakarta", -6.21, 106.85, "Indonesia"],
+  ["Batavia", -6.21, 106.85, "Indonesia"],
+  ["Bangkok", 13.76, 100.5, "Thailand"],
+  ["Hanoi", 21.03, 105.85, "Vietnam"],
+  ["Saigon", 10.82, 106.63, "Vietnam"],
+  ["Jerusalem", 31.77, 35.21, "Israel"],
+  ["Tel Aviv", 32.09, 34.78, "Israel"],
+  ["Beirut", 33.89, 35.5, "Lebanon"],
+  ["Damascus", 33.51, 36.29, "Syria"],
+  ["Baghdad", 33.31, 44.37, "Iraq"],
+  ["Tehran", 35.69, 51.39, "Iran"],
+  ["Dubai", 25.2, 55.27, "United Arab Emirates"],
+  ["Abu Dhabi", 24.45, 54.38, "United Arab Emirates"],
+  ["Doha", 25.29, 51.53, "Qatar"],
+  ["Riyadh", 24.71, 46.68, "Saudi Arabia"],
+  ["Kuwait City", 29.38, 47.99, "Kuwait"],
+  ["Muscat", 23.59, 58.41, "Oman"],
+  ["Cairo", 30.04, 31.24, "Egypt"],
+  ["Alexandria", 31.2, 29.92, "Egypt"],
+  ["Lagos", 6.52, 3.38, "Nigeria"],
+  ["Nairobi", -1.29, 36.82, "Kenya"],
+  ["Johannesburg", -26.2, 28.05, "South Africa"],
+  ["Cape Town", -33.92, 18.42, "South Africa"],
+  ["Durban", -29.86, 31.02, "South Africa"],
+  ["Casablanca", 33.57, -7.59, "Morocco"],
+  ["Algiers", 36.75, 3.06, "Algeria"],
+  ["Tunis", 36.81, 10.18, "Tunisia"],
+  ["Addis Ababa", 9.03, 38.74, "Ethiopia"],
+  ["Accra", 5.6, -0.19, "Ghana"],
+  ["Dar es Salaam", -6.79, 39.21, "Tanzania"],
+  ["Mexico City", 19.43, -99.13, "Mexico"],
+  ["Havana", 23.11, -82.37, "Cuba"],
+  ["Kingston", 17.97, -76.79, "Jamaica"],
+  ["Buenos Aires", -34.6, -58.38, "Argentina"],
+  ["São Paulo", -23.55, -46.63, "Brazil"],
+  ["Sao Paulo", -23.55, -46.63, "Brazil"],
+  ["Rio de Janeiro", -22.91, -43.17, "Brazil"],
+  ["Santiago", -33.45, -70.67, "Chile"],
+  ["Lima", -12.05, -77.04, "Peru"],
+  ["Bogotá", 4.71, -74.07, "Colombia"],
+  ["Bogota", 4.71, -74.07, "Colombia"],
+  ["Caracas", 10.48, -66.9, "Venezuela"],
+  ["Montevideo", -34.9, -56.16, "Uruguay"]
+];
+
+export { WORLD_COUNTRIES, COUNTRY_ALIASES, PLACE_COORDINATES };
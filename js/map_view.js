@@ -0,0 +1,461 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Map View Module - plots the places of births, deaths, marriages and
+ * residences on an offline world map (see map_data.js)
+ */
+
+import { FamilyRow } from './gedcom.js';
+import { getGregorianYear } from './gedcom_date.js';
+import { escapeHtml } from './security.js';
+import { WORLD_COUNTRIES, COUNTRY_ALIASES, PLACE_COORDINATES } from './map_data.js';
+
+const MAP_EVENTS = {
+  BIRT: { label: 'Birth', icon: '🎂' },
+  DEAT: { label: 'Death', icon: '✝️' },
+  MARR: { label: 'Marriage', icon: '💒' },
+  RESI: { label: 'Residence', icon: '🏠' }
+};
+
+// Markers closer than this (in screen pixels) are drawn as one cluster
+const CLUSTER_RADIUS = 16;
+// Whole map without the polar regions: x, y, width, height
+const WORLD_VIEW = [0, 6, 360, 144];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+let countryIndex = null;
+let placeIndex = null;
+
+/**
+ * Collect every place used by a BIRT, DEAT, MARR or RESI event
+ * @param {Array} tags - Event tags to include (default: all four)
+ * @returns {Array} Places sorted by name: { name, lat, lon, source, events }
+ *   source is 'gedcom' (PLAC.MAP), 'gazetteer', 'country' (approximate) or null if not found
+ */
+function collectMapPlaces(tags = Object.keys(MAP_EVENTS)) {
+  const gedcomData = document.dataParsed;
+  if (!gedcomData || !gedcomData.indviduals) return [];
+
+  const places = new Map();
+  const addEvent = (event, tag, personIds) => {
+    const plac = event && event.PLAC;
+    const name = plac && plac.value ? plac.value.trim() : '';
+    if (!name) return;
+    if (!places.has(name)) {
+      places.set(name, { name: name, lat: null, lon: null, source: null, events: [] });
+    }
+    const place = places.get(name);
+    place.events.push({ tag: tag, date: event.DATE?.value || '', personIds: personIds });
+
+    // coordinates recorded in the file win over the gazetteer
+    const coordinates = readMapCoordinates(plac);
+    if (coordinates && place.source !== 'gedcom') {
+      place.lat = coordinates.lat;
+      place.lon = coordinates.lon;
+      place.source = 'gedcom';
+    }
+  };
+
+  gedcomData.indviduals.forEach((person, id) => {
+    ['BIRT', 'DEAT', 'RESI'].filter(tag => tags.includes(tag)).forEach(tag => {
+      asList(person[tag]).forEach(event => addEvent(event, tag, [id]));
+    });
+  });
+  if (tags.includes('MARR') && gedcomData.families) {
+    gedcomData.families.forEach(family => {
+      const spouses = [...asList(family.HUSB), ...asList(family.WIFE)]
+        .map(link => link.id)
+        .filter(id => gedcomData.indviduals.has(id));
+      asList(family.MARR).forEach(event => addEvent(event, 'MARR', spouses));
+    });
+  }
+
+  places.forEach(place => {
+    if (place.source) return;
+    const found = lookupPlace(place.name);
+    if (found) {
+      place.lat = found.lat;
+      place.lon = found.lon;
+      place.source = found.source;
+    }
+  });
+
+  return [...places.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find coordinates for a place name in the built-in gazetteer. The most
+ * specific jurisdiction that is known wins ("Leeds, Yorkshire, England" -> Leeds);
+ * a country named in the place rules out same-named places elsewhere.
+ * @param {string} placeName - PLAC value, jurisdictions separated by commas
+ * @returns {{lat: number, lon: number, source: string}|null}
+ */
+function lookupPlace(placeName) {
+  buildIndexes();
+  const parts = String(placeName).split(',').map(normalizeName).filter(part => part);
+
+  let country = null;
+  for (let i = parts.length - 1; i >= 0 && !country; i--) {
+    country = countryIndex.get(parts[i]) || null;
+  }
+  // no country named: a known region ("..., Alabama", "..., England") tells it
+  for (let i = parts.length - 1; i >= 0 && !country; i--) {
+    const candidates = placeIndex.get(parts[i]);
+    if (candidates && candidates.length === 1) {
+      country = countryIndex.get(normalizeName(candidates[0].country));
+    }
+  }
+
+  for (const part of parts) {
+    const candidates = placeIndex.get(part) || [];
+    const match = candidates.find(entry => !country || entry.country === country.name);
+    if (match) {
+      return { lat: match.lat, lon: match.lon, source: 'gazetteer' };
+    }
+  }
+  if (country) {
+    return { lat: country.lat, lon: country.lon, source: 'country' };
+  }
+  return null;
+}
+
+/**
+ * Store coordinates for a place as GEDCOM PLAC.MAP.LATI/LONG on every event
+ * that uses the place, so they are exported with the file
+ * @param {string} placeName - PLAC value
+ * @param {number} lat - Latitude (-90 .. 90)
+ * @param {number} lon - Longitude (-180 .. 180)
+ * @returns {number} Number of PLAC rows updated
+ */
+function setPlaceCoordinates(placeName, lat, lon) {
+  const gedcomData = document.dataParsed;
+  if (!gedcomData) return 0;
+  let updated = 0;
+
+  const update = (event) => {
+    const plac = event && event.PLAC;
+    if (!plac || !plac.value || plac.value.trim() !== placeName) return;
+    const level = parseInt(plac.level);
+    const map = new FamilyRow(level + 1, undefined, 'MAP', undefined);
+    map.parent = plac;
+    map.LATI = new FamilyRow(level + 2, undefined, 'LATI', formatCoordinate(lat, 'N', 'S'));
+    map.LATI.parent = map;
+    map.LONG = new FamilyRow(level + 2, undefined, 'LONG', formatCoordinate(lon, 'E', 'W'));
+    map.LONG.parent = map;
+    plac.MAP = map;
+    updated++;
+  };
+
+  gedcomData.indviduals.forEach(person => {
+    ['BIRT', 'DEAT', 'RESI'].forEach(tag => asList(person[tag]).forEach(update));
+  });
+  if (gedcomData.families) {
+    gedcomData.families.forEach(family => asList(family.MARR).forEach(update));
+  }
+  return updated;
+}
+
+/**
+ * Parse user input like "51.5074, -0.1278" or "N51.5074 W0.1278"
+ * @param {string} text - Latitude and longitude
+ * @returns {{lat: number, lon: number}|null}
+ */
+function parseCoordinateInput(text) {
+  const parts = String(text || '').trim().split(/[\s,;]+/).filter(part => part);
+  if (parts.length !== 2) return null;
+  const lat = parseCoordinate(parts[0], 'N', 'S');
+  const lon = parseCoordinate(parts[1], 'E', 'W');
+  if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat: lat, lon: lon };
+}
+
+/**
+ * Draw the world map with clustered place markers into a container.
+ * Supports wheel zoom and drag to pan; clusters are recomputed on zoom.
+ * @param {HTMLElement} container - Element to draw into (its content is replaced)
+ * @param {Array} places - Places from collectMapPlaces()
+ * @param {Function} onSelect - Called with the places of a clicked marker
+ * @returns {{zoom: Function, reset: Function}} Controls for zoom buttons
+ */
+function drawPlaceMap(container, places, onSelect) {
+  const located = places.filter(place => place.source);
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'place-map');
+  svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+
+  const ocean = document.createElementNS(SVG_NS, 'rect');
+  ocean.setAttribute('x', -360);
+  ocean.setAttribute('y', -90);
+  ocean.setAttribute('width', 1080);
+  ocean.setAttribute('height', 360);
+  ocean.setAttribute('fill', isDark ? '#0c1a2e' : '#dbeafe');
+  svg.appendChild(ocean);
+
+  const land = document.createElementNS(SVG_NS, 'g');
+  land.setAttribute('fill', isDark ? '#1e293b' : '#f8fafc');
+  land.setAttribute('stroke', isDark ? '#475569' : '#94a3b8');
+  land.setAttribute('stroke-width', '0.5');
+  WORLD_COUNTRIES.forEach(country => {
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', country[3]);
+    path.setAttribute('vector-effect', 'non-scaling-stroke');
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = country[0];
+    path.appendChild(title);
+    land.appendChild(path);
+  });
+  svg.appendChild(land);
+
+  const markers = document.createElementNS(SVG_NS, 'g');
+  svg.appendChild(markers);
+
+  container.innerHTML = '';
+  container.appendChild(svg);
+
+  let view = fitView(located);
+  let dragStart = null;
+  let dragged = false;
+
+  const pixelScale = () => {
+    const width = svg.clientWidth || container.clientWidth || 800;
+    const height = svg.clientHeight || container.clientHeight || 400;
+    return Math.min(width / view[2], height / view[3]);
+  };
+
+  const render = () => {
+    svg.setAttribute('viewBox', view.join(' '));
+    const scale = pixelScale();
+    markers.innerHTML = '';
+    clusterPlaces(located, CLUSTER_RADIUS / scale).forEach(cluster => {
+      const count = cluster.places.reduce((sum, place) => sum + place.events.length, 0);
+      const approximate = cluster.places.every(place => place.source === 'country');
+      const radius = (6 + 2.5 * Math.sqrt(count)) / scale;
+
+      const marker = document.createElementNS(SVG_NS, 'g');
+      marker.setAttribute('class', 'map-marker' + (approximate ? ' approximate' : ''));
+      const circle = document.createElementNS(SVG_NS, 'circle');
+      circle.setAttribute('cx', cluster.x);
+      circle.setAttribute('cy', cluster.y);
+      circle.setAttribute('r', radius);
+      marker.appendChild(circle);
+      const label = document.createElementNS(SVG_NS, 'text');
+      label.setAttribute('x', cluster.x);
+      label.setAttribute('y', cluster.y);
+      label.setAttribute('font-size', 10 / scale);
+      label.setAttribute('text-anchor', 'middle');
+      label.setAttribute('dominant-baseline', 'central');
+      label.textContent = count;
+      marker.appendChild(label);
+      const title = document.createElementNS(SVG_NS, 'title');
+      title.textContent = cluster.places.map(place => place.name).join('\n');
+      marker.appendChild(title);
+      marker.addEventListener('click', () => {
+        if (!dragged) onSelect(cluster.places);
+      });
+      markers.appendChild(marker);
+    });
+  };
+
+  const zoom = (factor, centerX, centerY) => {
+    const cx = centerX !== undefined ? centerX : view[0] + view[2] / 2;
+    const cy = centerY !== undefined ? centerY : view[1] + view[3] / 2;
+    const width = Math.min(Math.max(view[2] / factor, 2), 720);
+    const height = width * view[3] / view[2];
+    view = [cx - (cx - view[0]) * width / view[2], cy - (cy - view[1]) * height / view[3], width, height];
+    render();
+  };
+
+  // Mouse position -> map coordinates (the map is centered by preserveAspectRatio)
+  const toMap = (event) => {
+    const rect = svg.getBoundingClientRect();
+    const scale = pixelScale();
+    const offsetX = (rect.width - view[2] * scale) / 2;
+    const offsetY = (rect.height - view[3] * scale) / 2;
+    return {
+      x: view[0] + (event.clientX - rect.left - offsetX) / scale,
+      y: view[1] + (event.clientY - rect.top - offsetY) / scale
+    };
+  };
+
+  svg.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    const point = toMap(event);
+    zoom(event.deltaY < 0 ? 1.25 : 0.8, point.x, point.y);
+  }, { passive: false });
+
+  svg.addEventListener('pointerdown', (event) => {
+    dragStart = { x: event.clientX, y: event.clientY, view: view.slice() };
+    dragged = false;
+  });
+  svg.addEventListener('pointermove', (event) => {
+    if (!dragStart) return;
+    const dx = event.clientX - dragStart.x;
+    const dy = event.clientY - dragStart.y;
+    if (Math.abs(dx) + Math.abs(dy) > 3) dragged = true;
+    if (!dragged) return;
+    const scale = pixelScale();
+    view = [dragStart.view[0] - dx / scale, dragStart.view[1] - dy / scale, view[2], view[3]];
+    svg.setAttribute('viewBox', view.join(' '));
+  });
+  const endDrag = () => {
+    dragStart = null;
+  };
+  svg.addEventListener('pointerup', endDrag);
+  svg.addEventListener('pointerleave', endDrag);
+
+  render();
+
+  return {
+    zoom: (factor) => zoom(factor),
+    reset: () => {
+      view = fitView(located);
+      render();
+    }
+  };
+}
+
+/**
+ * Generate the details of the places under a marker (or the unplaced list)
+ * @param {Array} places - Places to list
+ * @param {Array} allPlaces - The full list, so buttons can refer to places by index
+ * @returns {string} HTML string; person links carry the INDI id in data-id
+ */
+function generatePlaceDetailsHTML(places, allPlaces) {
+  const gedcomData = document.dataParsed;
+  let html = '';
+
+  places.forEach(place => {
+    const index = allPlaces.indexOf(place);
+    const source = {
+      gedcom: 'Coordinates from the file',
+      gazetteer: 'Coordinates from the built-in place list',
+      country: 'Approximate (country only)'
+    }[place.source] || 'No coordinates';
+
+    html += `<div class="map-place">
+      <div class="map-place-header">
+        <strong>${escapeHtml(place.name)}</strong>
+        <button class="btn-outline btn-sm" onclick="setMapPlaceCoordinates(${index})" title="Set latitude and longitude">📍 Set coordinates</button>
+      </div>
+      <div class="map-place-source">${escapeHtml(source)}${place.source ? ` · ${place.lat.toFixed(4)}, ${place.lon.toFixed(4)}` : ''}</div>
+      <div class="map-place-events">`;
+
+    place.events.forEach(event => {
+      const year = getGregorianYear(event.date);
+      const names = event.personIds.map(id => {
+        const person = gedcomData.indviduals.get(id);
+        const name = person?.NAME?.value?.replace(/\//g, '').trim() || id;
+        return `<a href="#" class="map-person" data-id="${escapeHtml(id)}">${escapeHtml(name)}</a>`;
+      }).join(' & ');
+      html += `<div class="map-place-event">${MAP_EVENTS[event.tag].icon} ${MAP_EVENTS[event.tag].label}${year !== null ? ' ' + year : ''} · ${names}</div>`;
+    });
+
+    html += '</div></div>';
+  });
+
+  return html;
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+function asList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Lower case without accents, so "Köln" and "koln" match
+function normalizeName(name) {
+  return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function buildIndexes() {
+  if (countryIndex) return;
+  countryIndex = new Map();
+  WORLD_COUNTRIES.forEach(country => {
+    countryIndex.set(normalizeName(country[0]), { name: country[0], lat: country[1], lon: country[2] });
+  });
+  Object.keys(COUNTRY_ALIASES).forEach(name => {
+    const country = countryIndex.get(normalizeName(name));
+    COUNTRY_ALIASES[name].forEach(alias => countryIndex.set(normalizeName(alias), country));
+  });
+
+  placeIndex = new Map();
+  PLACE_COORDINATES.forEach(entry => {
+    const key = normalizeName(entry[0]);
+    if (!placeIndex.has(key)) placeIndex.set(key, []);
+    placeIndex.get(key).push({ lat: entry[1], lon: entry[2], country: entry[3] });
+  });
+}
+
+// PLAC.MAP.LATI / LONG -> numbers
+function readMapCoordinates(plac) {
+  const map = asList(plac.MAP)[0];
+  if (!map) return null;
+  const lat = parseCoordinate(map.LATI?.value, 'N', 'S');
+  const lon = parseCoordinate(map.LONG?.value, 'E', 'W');
+  if (lat === null || lon === null) return null;
+  return { lat: lat, lon: lon };
+}
+
+// "N51.5" -> 51.5, "W0.12" -> -0.12; plain signed numbers are accepted too
+function parseCoordinate(value, positive, negative) {
+  if (!value) return null;
+  const match = String(value).trim().toUpperCase().match(/^([NSEW])?\s*(-?\d+(?:\.\d+)?)\s*°?\s*([NSEW])?$/);
+  if (!match) return null;
+  const hemisphere = match[1] || match[3];
+  if (hemisphere && hemisphere !== positive && hemisphere !== negative) return null;
+  const number = parseFloat(match[2]);
+  return hemisphere === negative ? -Math.abs(number) : number;
+}
+
+// 51.5 -> "N51.5", -0.12 -> "W0.12" (GEDCOM LATI/LONG format)
+function formatCoordinate(value, positive, negative) {
+  const rounded = Math.round(Math.abs(value) * 1000000) / 1000000;
+  return (value < 0 ? negative : positive) + rounded;
+}
+
+// Greedy clustering in map units: biggest places first, others join the nearest cluster in reach
+function clusterPlaces(places, radius) {
+  const clusters = [];
+  const sorted = places.slice().sort((a, b) => b.events.length - a.events.length);
+  sorted.forEach(place => {
+    const x = place.lon + 180;
+    const y = 90 - place.lat;
+    const cluster = clusters.find(c => Math.hypot(c.x - x, c.y - y) <= radius);
+    if (cluster) {
+      cluster.places.push(place);
+    } else {
+      clusters.push({ x: x, y: y, places: [place] });
+    }
+  });
+  return clusters;
+}
+
+// View box around the located places, or the whole world
+function fitView(places) {
+  if (places.length === 0) return WORLD_VIEW.slice();
+  const xs = places.map(place => place.lon + 180);
+  const ys = places.map(place => 90 - place.lat);
+  let minX = Math.min(...xs);
+  let maxX = Math.max(...xs);
+  let minY = Math.min(...ys);
+  let maxY = Math.max(...ys);
+  // at least a region-sized view, plus some margin
+  const width = Math.max(maxX - minX, 20) * 1.3;
+  const height = Math.max(maxY - minY, 10) * 1.3;
+  return [(minX + maxX - width) / 2, (minY + maxY - height) / 2, width, height];
+}
+
+export {
+  collectMapPlaces,
+  lookupPlace,
+  setPlaceCoordinates,
+  parseCoordinateInput,
+  drawPlaceMap,
+  generatePlaceDetailsHTML
+};
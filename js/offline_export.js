@@ -0,0 +1,139 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Offline Export Module - one .html file with the tree, Cytoscape and the
+ * read-only viewer (js/offline_viewer.js), opened by double-click without
+ * a server or an import
+ */
+
+import { escapeHtml } from './security.js';
+
+// Modules the viewer needs, each after the modules it imports
+const VIEWER_MODULES = [
+  'cytoscape.esm.mjs',
+  'gedcom7.js',
+  'gedcom.js',
+  'gedcom_date.js',
+  'security.js',
+  'gedcom_edit.js',
+  'diagram.js',
+  'offline_viewer.js'
+];
+const VIEWER_ENTRY = 'offline_viewer.js';
+
+/**
+ * Build the offline file
+ * @param {string} text - GEDCOM text, already filtered by the export choices
+ * @param {string} title - Tree name
+ * @returns {Promise<string>} HTML document
+ * @throws {Error} If the viewer modules cannot be read (e.g. offline before they were cached)
+ */
+async function createOfflineHtml(text, title) {
+  const modules = [];
+  for (const name of VIEWER_MODULES) {
+    const response = await fetch(new URL('./' + name, import.meta.url));
+    if (!response.ok) throw new Error('Could not read ' + name + ' (' + response.status + ')');
+    modules.push({ name: name, source: await response.text() });
+  }
+  const bundle = {
+    entry: VIEWER_ENTRY,
+    modules: modules,
+    tree: { title: title, text: text }
+  };
+  const theme = document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'light';
+  return createPage(title, theme, toScriptJson(bundle));
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+// JSON that cannot end the <script> element it is in
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// The loader turns every embedded module into a blob: URL, pointing its
+// imports at the modules before it, since a file:// page cannot import files
+function createPage(title, theme, json) {
+  return `<!DOCTYPE html>
+<html lang="en" data-theme="${theme}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline' blob:; style-src 'unsafe-inline'; img-src data: blob: https:">
+<title>${escapeHtml(title)} - Family Tree</title>
+<style>
+:root { --bg: #f5f7fa; --panel: #fff; --text: #1e293b; --muted: #64748b; --border: #e2e8f0; --primary: #2563eb; }
+[data-theme="dark"] { --bg: #0f172a; --panel: #1e293b; --text: #f1f5f9; --muted: #94a3b8; --border: #334155; --primary: #3b82f6; }
+* { box-sizing: border-box; }
+body { margin: 0; height: 100vh; display: flex; flex-direction: column; font-family: Arial, sans-serif; background: var(--bg); color: var(--text); }
+header { display: flex; align-items: center; gap: 16px; padding: 10px 16px; background: var(--panel); border-bottom: 1px solid var(--border); flex-wrap: wrap; }
+h1 { font-size: 1.1rem; margin: 0; }
+button { font: inherit; color: inherit; cursor: pointer; }
+.offline-search { position: relative; flex: 1; min-width: 200px; max-width: 400px; }
+.offline-search input { width: 100%; padding: 8px 10px; border: 1px solid var(--border); border-radius: 8px; background: var(--bg); color: var(--text); }
+#offlineResults { position: absolute; top: 100%; left: 0; right: 0; z-index: 10; background: var(--panel); border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.15); max-height: 320px; overflow-y: auto; }
+#offlineResults button { display: block; width: 100%; padding: 8px 10px; border: none; background: none; text-align: left; }
+#offlineResults button:hover { background: var(--bg); }
+.offline-zoom button { width: 34px; height: 34px; border: 1px solid var(--border); border-radius: 8px; background: var(--panel); }
+main { flex: 1; display: flex; min-height: 0; }
+#cy { flex: 1; min-width: 0; }
+#offlineDetails { width: 320px; max-width: 45vw; overflow-y: auto; padding: 16px; background: var(--panel); border-left: 1px solid var(--border); }
+#offlineDetails h2 { font-size: 1.1rem; margin: 0 0 12px; }
+.offline-photo { display: block; max-width: 120px; max-height: 140px; border-radius: 8px; margin-bottom: 12px; }
+.offline-fact { display: grid; grid-template-columns: 90px 1fr; gap: 8px; padding: 6px 0; border-bottom: 1px solid var(--border); font-size: 0.9rem; }
+.offline-fact > span:first-child { color: var(--muted); }
+.offline-relative { display: block; padding: 0; border: none; background: none; color: var(--primary); text-align: left; }
+.offline-empty { padding: 8px 10px; color: var(--muted); font-size: 0.9rem; }
+footer { padding: 6px 16px; font-size: 0.75rem; color: var(--muted); background: var(--panel); border-top: 1px solid var(--border); }
+@media (max-width: 700px) { main { flex-direction: column; } #offlineDetails { width: auto; max-width: none; height: 40vh; border-left: none; border-top: 1px solid var(--border); } }
+</style>
+</head>
+<body>
+<header>
+<h1>🌳 ${escapeHtml(title)}</h1>
+<div class="offline-search">
+<input type="search" id="offlineSearch" placeholder="Search by name, date or place..." autocomplete="off">
+<div id="offlineResults"></div>
+</div>
+<div class="offline-zoom">
+<button id="offlineZoomIn" title="Zoom in">+</button>
+<button id="offlineZoomOut" title="Zoom out">−</button>
+<button id="offlineFit" title="Fit to screen">⤢</button>
+</div>
+</header>
+<main>
+<div id="cy"></div>
+<aside id="offlineDetails"><p class="offline-empty">Click a person to see the details.</p></aside>
+</main>
+<footer>Read-only copy exported from the GEDCOM Family Tree Editor on ${escapeHtml(new Date().toLocaleDateString())}. Changes cannot be saved in this file.</footer>
+<noscript>This family tree needs JavaScript.</noscript>
+<script type="application/json" id="offline-bundle">${json}</script>
+<script>
+(function () {
+  var bundle = JSON.parse(document.getElementById('offline-bundle').textContent);
+  var urls = {};
+  bundle.modules.forEach(function (module) {
+    var source = module.source.replace(/(\\bfrom\\s*)(['"])\\.\\/([\\w.]+)\\2/g, function (all, from, quote, name) {
+      return from + quote + urls[name] + quote;
+    });
+    urls[module.name] = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  });
+  import(urls[bundle.entry]).then(function (viewer) {
+    viewer.startOfflineViewer(bundle.tree);
+  }).catch(function (err) {
+    document.getElementById('offlineDetails').textContent = 'This browser cannot show the tree: ' + err.message;
+  });
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+export {
+  createOfflineHtml
+};
@@ -0,0 +1,157 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Offline Viewer Module - runs inside the single .html file made by
+ * js/offline_export.js: the read-only diagram, search and person details
+ */
+
+import { startDraw, setNodeDetailsCallback, searchPersons, centerOnSearchResult, clearSearch, extractLabel,
+  formatDisplayName, zoomIn, zoomOut, fitToScreen, lockNodes } from './diagram.js';
+import { formatFieldLabel, getEventTypesList } from './gedcom_edit.js';
+import { escapeHtml } from './security.js';
+
+const MAX_RESULTS = 20;
+
+/**
+ * Draw the tree of an offline file and connect the search, zoom and details panel
+ * @param {Object} tree - { title, text } embedded by createOfflineHtml()
+ */
+function startOfflineViewer(tree) {
+  document.dataUnparsed = tree.text.replace(/^\uFEFF/, '').split('\n');
+  document.dataParsed = null;
+  setNodeDetailsCallback(showPerson);
+  startDraw();
+  // nothing in this file is saved, so the layout stays as exported
+  lockNodes();
+
+  const search = document.getElementById('offlineSearch');
+  search.addEventListener('input', () => showResults(search.value));
+  search.addEventListener('keydown', event => {
+    if (event.key === 'Escape') {
+      search.value = '';
+      showResults('');
+    }
+  });
+  document.getElementById('offlineZoomIn').addEventListener('click', zoomIn);
+  document.getElementById('offlineZoomOut').addEventListener('click', zoomOut);
+  document.getElementById('offlineFit').addEventListener('click', fitToScreen);
+
+  // results and relatives in the details panel carry the person ID
+  document.addEventListener('click', event => {
+    const link = event.target.closest('[data-person]');
+    if (link) selectPerson(link.getAttribute('data-person'));
+  });
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+function selectPerson(id) {
+  const person = document.dataParsed.indviduals.get(id);
+  if (!person) return;
+  centerOnSearchResult(id);
+  showPerson(person);
+}
+
+function showResults(query) {
+  const list = document.getElementById('offlineResults');
+  if (!query.trim()) {
+    clearSearch();
+    list.innerHTML = '';
+    return;
+  }
+  const results = searchPersons(query);
+  if (results.length === 0) {
+    list.innerHTML = '<div class="offline-empty">No one found</div>';
+    return;
+  }
+  list.innerHTML = results.slice(0, MAX_RESULTS).map(result =>
+    `<button data-person="${escapeHtml(result.id)}">${escapeHtml(result.displayName)}</button>`).join('') +
+    (results.length > MAX_RESULTS ? `<div class="offline-empty">${results.length - MAX_RESULTS} more…</div>` : '');
+}
+
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function personName(person) {
+  return formatDisplayName(extractLabel(person), person._NICK?.value || '');
+}
+
+function personLink(id) {
+  const person = document.dataParsed.indviduals.get(id);
+  if (!person) return '';
+  return `<button class="offline-relative" data-person="${escapeHtml(id)}">${escapeHtml(personName(person))}</button>`;
+}
+
+function eventsHTML(row) {
+  let html = '';
+  getEventTypesList().forEach(type => {
+    toArray(row[type.tag]).forEach(event => {
+      const parts = type.hasDatePlace
+        ? [event.value, event.DATE?.value, event.PLAC?.value]
+        : [event.value];
+      const text = parts.filter(part => part && String(part).trim()).join(', ');
+      if (!text && type.hasValue) return;
+      html += `<div class="offline-fact"><span>${escapeHtml(formatFieldLabel(type.tag))}</span>
+        <span>${escapeHtml(text || 'yes')}</span></div>`;
+    });
+  });
+  return html;
+}
+
+function relativesHTML(label, ids) {
+  const links = ids.map(personLink).filter(link => link);
+  if (links.length === 0) return '';
+  return `<div class="offline-fact"><span>${escapeHtml(label)}</span><span>${links.join('')}</span></div>`;
+}
+
+function showPerson(row) {
+  const panel = document.getElementById('offlineDetails');
+  if (!row || row.tag !== 'INDI') {
+    // family nodes: the couple and their children
+    if (row && row.tag === 'FAM') {
+      panel.innerHTML = `<h2>Family</h2>` +
+        relativesHTML('Parents', toArray(row.HUSB).concat(toArray(row.WIFE)).map(link => link.id)) +
+        relativesHTML('Children', toArray(row.CHIL).map(link => link.id)) +
+        eventsHTML(row);
+    }
+    return;
+  }
+
+  const families = document.dataParsed.families;
+  const parents = [];
+  toArray(row.FAMC).forEach(link => {
+    const family = families.get(link.id);
+    if (family) toArray(family.HUSB).concat(toArray(family.WIFE)).forEach(parent => parents.push(parent.id));
+  });
+  const spouses = [];
+  const children = [];
+  toArray(row.FAMS).forEach(link => {
+    const family = families.get(link.id);
+    if (!family) return;
+    toArray(family.HUSB).concat(toArray(family.WIFE)).forEach(spouse => {
+      if (spouse.id !== row.id) spouses.push(spouse.id);
+    });
+    toArray(family.CHIL).forEach(child => children.push(child.id));
+  });
+
+  const photo = row.IMG?.value;
+  const sex = { M: 'Male', F: 'Female' }[row.SEX?.value] || '';
+  panel.innerHTML =
+    (photo && /^(data:image\/|https?:)/i.test(photo) ? `<img class="offline-photo" src="${escapeHtml(photo)}" alt="">` : '') +
+    `<h2>${escapeHtml(personName(row))}</h2>` +
+    (sex ? `<div class="offline-fact"><span>${escapeHtml(formatFieldLabel('SEX'))}</span><span>${sex}</span></div>` : '') +
+    eventsHTML(row) +
+    relativesHTML('Parents', parents) +
+    relativesHTML('Spouses', spouses) +
+    relativesHTML('Children', children);
+}
+
+export {
+  startOfflineViewer
+};
@@ -0,0 +1,183 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Pedigree Chart Module - left-to-right ancestor tree of one root person,
+ * drawn into the main Cytoscape instance (see setActiveChart in diagram.js)
+ */
+
+import { extractLabel, extractDates } from './diagram.js';
+import { redrawChart, handleChartToggle } from './chart_toggle.js';
+
+// Layout spacing (person nodes are 100 x 85, see diagram.js)
+const COLUMN_WIDTH = 170;
+const ROW_HEIGHT = 100;
+const TOGGLE_OFFSET = 64;
+
+let rootId = null;
+let generations = 4;
+// Node ids whose ancestors are hidden
+const collapsed = new Set();
+
+/**
+ * Set the person the pedigree starts from
+ * @param {string} personId - INDI id
+ */
+function setPedigreeRoot(personId) {
+  if (personId !== rootId) {
+    collapsed.clear();
+  }
+  rootId = personId;
+}
+
+/**
+ * Set how many generations to show (root = generation 1)
+ * @param {number} count - Number of generations
+ */
+function setPedigreeGenerations(count) {
+  generations = Math.max(1, Math.min(count || 4, 12));
+}
+
+/**
+ * Build Cytoscape elements for the pedigree of rootId
+ * @param {Object} gedcomData - Parsed tree (document.dataParsed)
+ * @returns {Array} Nodes and edges with preset positions
+ */
+function buildPedigreeElements(gedcomData) {
+  if (!gedcomData || !gedcomData.indviduals) return [];
+  if (!rootId || !gedcomData.indviduals.has(rootId)) {
+    rootId = gedcomData.indviduals.keys().next().value || null;
+  }
+  if (!rootId) return [];
+
+  const context = {
+    gedcomData: gedcomData,
+    elements: [],
+    usedIds: new Set(),
+    nextSlot: 0
+  };
+  addAncestor(rootId, 0, context);
+  return context.elements;
+}
+
+// Place a person and (recursively) their parents. Returns the node's y position.
+// Parents are laid out first so the person is centered between father and mother.
+function addAncestor(personId, generation, context) {
+  const person = context.gedcomData.indviduals.get(personId);
+
+  // The same ancestor can appear twice (cousin marriages): give repeats their own node id
+  let nodeId = personId;
+  if (context.usedIds.has(nodeId)) {
+    let repeat = 2;
+    while (context.usedIds.has(personId + '#' + repeat)) repeat++;
+    nodeId = personId + '#' + repeat;
+  }
+  context.usedIds.add(nodeId);
+
+  const parents = getParents(person, context.gedcomData);
+  const hasParents = parents.length > 0;
+  const lastGeneration = generation >= generations - 1;
+  const expanded = hasParents && !lastGeneration && !collapsed.has(nodeId);
+
+  let y;
+  if (expanded) {
+    const parentYs = parents.map(parent => {
+      const parentY = addAncestor(parent.person.id, generation + 1, context);
+      const parentNodeId = context.lastNodeId;
+      context.elements.push({
+        group: 'edges',
+        classes: ['pedigree-edge', parent.role === 'HUSB' ? 'edge_husb' : 'edge_wife'],
+        data: { id: 'edge_' + nodeId + '_' + parentNodeId, source: parentNodeId, target: nodeId, label: '' }
+      });
+      return parentY;
+    });
+    y = parentYs.reduce((a, b) => a + b, 0) / parentYs.length;
+  } else {
+    y = context.nextSlot++ * ROW_HEIGHT;
+  }
+
+  const x = generation * COLUMN_WIDTH;
+  const classes = ['nodes'];
+  if (generation === 0) classes.push('chart-root');
+  // more ancestors exist beyond the last generation or a collapsed branch
+  if (hasParents && !expanded) classes.push('has-hidden');
+
+  context.elements.push({
+    group: 'nodes',
+    classes: classes,
+    data: {
+      id: nodeId,
+      label: extractLabel(person),
+      dates: extractDates(person),
+      familyRow: person,
+      gender: person.SEX ? (person.SEX.value === 'M' ? 'M' : (person.SEX.value === 'F' ? 'F' : 'U')) : 'U',
+      alive: (person.DEAT != null || person.DEATH != null)
+    },
+    position: { x: x, y: y }
+  });
+
+  if (hasParents && !lastGeneration) {
+    context.elements.push({
+      group: 'nodes',
+      classes: ['chart-toggle'],
+      data: { id: 'toggle_' + nodeId, toggleFor: nodeId, label: expanded ? '−' : '+' },
+      position: { x: x + TOGGLE_OFFSET, y: y }
+    });
+  }
+
+  context.lastNodeId = nodeId;
+  return y;
+}
+
+// Father and mother from the first parent family (FAMC)
+function getParents(person, gedcomData) {
+  const parents = [];
+  if (!person || !person.FAMC) return parents;
+  const famcList = Array.isArray(person.FAMC) ? person.FAMC : [person.FAMC];
+  const family = famcList.map(f => gedcomData.families.get(f.id)).find(f => f);
+  if (!family) return parents;
+
+  ['HUSB', 'WIFE'].forEach(role => {
+    if (!family[role]) return;
+    const list = Array.isArray(family[role]) ? family[role] : [family[role]];
+    const parent = list.map(p => gedcomData.indviduals.get(p.id)).find(p => p);
+    if (parent) parents.push({ role: role, person: parent });
+  });
+  return parents;
+}
+
+/**
+ * Tap handling: toggles collapse, or re-roots the chart on another person.
+ * Returns true when the tap should not select the node.
+ */
+function onPedigreeTap(node) {
+  if (handleChartToggle(node, collapsed)) return true;
+  const familyRow = node.data('familyRow');
+  if (familyRow && familyRow.tag === 'INDI' && familyRow.id !== rootId) {
+    setPedigreeRoot(familyRow.id);
+    redrawChart();
+  }
+  return false;
+}
+
+const pedigreeChart = {
+  name: 'pedigree',
+  buildElements: buildPedigreeElements,
+  onTap: onPedigreeTap,
+  setRoot: setPedigreeRoot,
+  setGenerations: setPedigreeGenerations,
+  style: [
+    {
+      selector: 'edge.pedigree-edge',
+      style: {
+        'curve-style': 'taxi',
+        'taxi-direction': 'horizontal',
+        'source-endpoint': '-50% 0',  // left side of the parent
+        'target-endpoint': '50% 0'    // right side of the child
+      }
+    }
+  ]
+};
+
+export { pedigreeChart };
@@ -0,0 +1,292 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Person Merge Module - merges a duplicate INDI record into the person kept,
+ * field by field, and moves all family links over to the surviving ID
+ */
+
+import { deleteIndi, formatFieldLabel } from './gedcom_edit.js';
+import { extractLabel } from './diagram.js';
+import { escapeHtml } from './security.js';
+
+// Structure and links are not offered as fields (links are always combined)
+const SKIPPED_KEYS = ['id', 'tag', 'level', 'value', 'order', 'parent', 'indviduals', 'families',
+  'visited', 'rowLevel', 'FAMS', 'FAMC', 'CHAN'];
+// Tags a person can have more than once, so both versions can be kept
+const MULTI_TAGS = ['NAME', 'RESI', 'OCCU', 'EDUC', 'GRAD', 'CENS', 'EMIG', 'IMMI', 'NATU', 'MILI',
+  'EVEN', 'FACT', 'NOTE', 'SOUR', 'OBJE'];
+const NAME_TAGS = ['NAME', '_NICK', 'SEX', 'TITL'];
+const PHOTO_TAGS = ['IMG', 'OBJE'];
+const NOTE_TAGS = ['NOTE', 'SOUR'];
+const CONTACT_TAGS = ['PHON', '_PHON2', 'EMAIL', 'ADDR', 'WWW', '_WWW', '_FACEBOOK', '_INSTAGRAM',
+  '_LINKEDIN', '_TWITTER', '_WHATSAPP', '_YOUTUBE'];
+const GROUP_ORDER = ['Names', 'Events', 'Photos', 'Notes', 'Contacts', 'Other'];
+const CONTACT_LABELS = {
+  PHON: 'Phone', _PHON2: 'Phone 2', EMAIL: 'Email', ADDR: 'Address', WWW: 'Website', _WWW: 'Website',
+  _FACEBOOK: 'Facebook', _INSTAGRAM: 'Instagram', _LINKEDIN: 'LinkedIn', _TWITTER: 'Twitter / X',
+  _WHATSAPP: 'WhatsApp', _YOUTUBE: 'YouTube', _NICK: 'Nickname'
+};
+
+/**
+ * Compare two persons field by field
+ * @param {Object} keep - INDI row that survives
+ * @param {Object} duplicate - INDI row merged into it
+ * @returns {Array} { key, label, group, keep: [rows], other: [rows], multi, same }
+ *   grouped as Names, Events, Photos, Notes, Contacts, Other
+ */
+function getMergeFields(keep, duplicate) {
+  const keys = [];
+  [keep, duplicate].forEach(person => {
+    for (const key in person) {
+      if (!SKIPPED_KEYS.includes(key) && !keys.includes(key) && isRowValue(person[key])) {
+        keys.push(key);
+      }
+    }
+  });
+
+  const fields = keys.map(key => {
+    const keepRows = toArray(keep[key]);
+    const otherRows = toArray(duplicate[key]);
+    return {
+      key: key,
+      label: CONTACT_LABELS[key] || formatFieldLabel(key),
+      group: fieldGroup(key, keepRows.concat(otherRows)),
+      keep: keepRows,
+      other: otherRows,
+      multi: MULTI_TAGS.includes(key) || keepRows.length > 1 || otherRows.length > 1,
+      same: keepRows.map(serializeRow).join('\n') === otherRows.map(serializeRow).join('\n')
+    };
+  });
+  return fields.sort((a, b) => GROUP_ORDER.indexOf(a.group) - GROUP_ORDER.indexOf(b.group));
+}
+
+/**
+ * Default choice for a field: the kept person's value, or the duplicate's
+ * when the kept person has none
+ * @param {Object} field - From getMergeFields()
+ * @returns {string} 'keep' | 'other'
+ */
+function defaultMergeChoice(field) {
+  return field.keep.length > 0 ? 'keep' : 'other';
+}
+
+/**
+ * Things that will look odd after the merge, e.g. merging a person with their
+ * own parent or spouse
+ * @param {Object} keep - INDI row that survives
+ * @param {Object} duplicate - INDI row merged into it
+ * @returns {Array<string>} Warning messages
+ */
+function getMergeWarnings(keep, duplicate) {
+  const gedcomData = document.dataParsed;
+  const warnings = [];
+  const keepSex = keep.SEX?.value;
+  const duplicateSex = duplicate.SEX?.value;
+  if (keepSex && duplicateSex && keepSex !== duplicateSex) {
+    warnings.push(`Gender differs (${keepSex} / ${duplicateSex}); family roles are kept as they are.`);
+  }
+
+  gedcomData.families.forEach(family => {
+    const spouses = toArray(family.HUSB).concat(toArray(family.WIFE)).map(link => link.id);
+    const children = toArray(family.CHIL).map(link => link.id);
+    if (spouses.includes(keep.id) && spouses.includes(duplicate.id)) {
+      warnings.push(`They are spouses of each other in family ${family.id}.`);
+    }
+    if ((spouses.includes(keep.id) && children.includes(duplicate.id)) ||
+        (spouses.includes(duplicate.id) && children.includes(keep.id))) {
+      warnings.push(`One is a parent of the other in family ${family.id}.`);
+    }
+  });
+  return warnings;
+}
+
+/**
+ * Merge the duplicate into the kept person: copy the chosen fields, re-point
+ * every FAMC/FAMS/HUSB/WIFE/CHIL (and other pointer) to the kept ID, then delete
+ * the duplicate. The caller takes one undo snapshot for the whole merge.
+ * @param {string} keepId - INDI id that survives
+ * @param {string} duplicateId - INDI id that is removed
+ * @param {Object} choices - field key -> 'keep' | 'other' | 'both' (missing = default)
+ * @returns {boolean} True if merged
+ */
+function mergePersons(keepId, duplicateId, choices = {}) {
+  const gedcomData = document.dataParsed;
+  const keep = gedcomData?.indviduals?.get(keepId);
+  const duplicate = gedcomData?.indviduals?.get(duplicateId);
+  if (!keep || !duplicate || keep === duplicate) return false;
+
+  getMergeFields(keep, duplicate).forEach(field => {
+    const choice = choices[field.key] || defaultMergeChoice(field);
+    let rows;
+    if (choice === 'other') {
+      rows = field.other;
+    } else if (choice === 'both' && field.multi) {
+      const kept = field.keep.map(serializeRow);
+      rows = field.keep.concat(field.other.filter(row => !kept.includes(serializeRow(row))));
+    } else {
+      return;
+    }
+    rows.forEach(row => { row.parent = keep; });
+    if (rows.length === 0) {
+      delete keep[field.key];
+    } else {
+      keep[field.key] = rows.length === 1 ? rows[0] : rows;
+    }
+  });
+
+  // The duplicate's own families become the kept person's
+  ['FAMC', 'FAMS'].forEach(tag => {
+    toArray(duplicate[tag]).forEach(link => {
+      const links = toArray(keep[tag]);
+      if (!links.some(existing => existing.id === link.id)) {
+        link.parent = keep;
+        keep[tag] = links.concat(link);
+      }
+    });
+  });
+
+  // Families (and any other record) pointing at the duplicate now point at the kept person
+  gedcomData.indviduals.forEach(person => {
+    if (person !== duplicate) repointRows(person, duplicateId, keepId);
+  });
+  gedcomData.families.forEach(family => {
+    repointRows(family, duplicateId, keepId);
+    ['HUSB', 'WIFE', 'CHIL'].forEach(role => {
+      if (family[role]) family[role] = uniqueLinks(toArray(family[role]));
+    });
+  });
+  delete duplicate.FAMC;
+  delete duplicate.FAMS;
+
+  deleteIndi(duplicate, gedcomData);
+  return true;
+}
+
+/**
+ * Generate the side-by-side merge screen
+ * @param {Object} keep - INDI row that survives
+ * @param {Object} duplicate - INDI row merged into it
+ * @param {Array} fields - From getMergeFields()
+ * @param {Array<string>} warnings - From getMergeWarnings()
+ * @returns {string} HTML string; radio inputs carry data-key and the choice as value
+ */
+function generateMergeHTML(keep, duplicate, fields, warnings) {
+  let html = '';
+  warnings.forEach(warning => {
+    html += `<div class="merge-warning">⚠️ ${escapeHtml(warning)}</div>`;
+  });
+
+  html += `<table class="merge-table">
+    <thead><tr>
+      <th></th>
+      <th>✅ Keep<br><small>${escapeHtml(personTitle(keep))}</small></th>
+      <th>🗑️ Merge &amp; remove<br><small>${escapeHtml(personTitle(duplicate))}</small></th>
+    </tr></thead><tbody>`;
+
+  let group = null;
+  fields.forEach((field, index) => {
+    if (field.group !== group) {
+      group = field.group;
+      html += `<tr class="merge-group"><td colspan="3">${group}</td></tr>`;
+    }
+    const choice = defaultMergeChoice(field);
+    const name = 'merge_field_' + index;
+    const key = escapeHtml(field.key);
+    const option = (side, rows) => {
+      if (rows.length === 0) return '<span class="merge-empty">—</span>';
+      if (field.same) return describeRows(rows);
+      return `<label><input type="radio" name="${name}" data-key="${key}" value="${side}"${choice === side ? ' checked' : ''}> ${describeRows(rows)}</label>`;
+    };
+
+    html += `<tr${field.same ? ' class="merge-same"' : ''}>
+      <td class="merge-label">${escapeHtml(field.label)}</td>
+      <td>${option('keep', field.keep)}</td>
+      <td>${field.same ? '<span class="merge-empty">same</span>' : option('other', field.other)}</td>
+    </tr>`;
+    if (field.multi && !field.same && field.keep.length > 0 && field.other.length > 0) {
+      html += `<tr><td></td><td colspan="2"><label><input type="radio" name="${name}" data-key="${key}" value="both"> Keep both</label></td></tr>`;
+    }
+  });
+
+  const families = toArray(duplicate.FAMC).length + toArray(duplicate.FAMS).length;
+  html += `</tbody></table>
+    <p class="merge-note">Parents, spouses and children of both records are combined${families ? ` (${families} family link${families !== 1 ? 's' : ''} move over)` : ''}.</p>`;
+  return html;
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isRowValue(value) {
+  if (Array.isArray(value)) return value.length > 0 && typeof value[0] === 'object';
+  return typeof value === 'object' && value !== null && value.constructor.name === 'FamilyRow';
+}
+
+function fieldGroup(key, rows) {
+  if (NAME_TAGS.includes(key)) return 'Names';
+  if (PHOTO_TAGS.includes(key)) return 'Photos';
+  if (NOTE_TAGS.includes(key)) return 'Notes';
+  if (CONTACT_TAGS.includes(key)) return 'Contacts';
+  if (rows.some(row => row.DATE || row.PLAC) || formatFieldLabel(key) !== key) return 'Events';
+  return 'Other';
+}
+
+// GEDCOM-like text of a row and its children, for comparing values
+function serializeRow(row) {
+  let text = (row.tag || '') + ' ' + (row.id || '') + ' ' + (row.value || '');
+  for (const key in row) {
+    if (SKIPPED_KEYS.includes(key) || !isRowValue(row[key])) continue;
+    toArray(row[key]).forEach(child => {
+      text += '\n' + serializeRow(child).replace(/^/gm, ' ');
+    });
+  }
+  return text;
+}
+
+function describeRows(rows) {
+  return rows.map(row => {
+    if (row.tag === 'IMG' && row.value && row.value.startsWith('data:image/')) {
+      return `<img class="merge-photo" src="${escapeHtml(row.value)}" alt="Photo">`;
+    }
+    const value = row.tag === 'NAME' && row.value ? row.value.replace(/\//g, '').trim() : row.value;
+    const parts = [value, row.DATE?.value, row.PLAC?.value, row.FILE?.value].filter(part => part);
+    const text = parts.length ? parts.join(' · ') : 'Yes';
+    return `<span class="merge-value">${escapeHtml(text.length > 120 ? text.substring(0, 119) + '…' : text)}</span>`;
+  }).join('');
+}
+
+function personTitle(person) {
+  return extractLabel(person).replace(/\//g, '').trim() + ' (' + person.id + ')';
+}
+
+// Point every link below row from one id to another
+function repointRows(row, fromId, toId) {
+  for (const key in row) {
+    if (key === 'parent' || !isRowValue(row[key])) continue;
+    toArray(row[key]).forEach(child => {
+      if (child.id === fromId) child.id = toId;
+      repointRows(child, fromId, toId);
+    });
+  }
+}
+
+// One link per person in a role (after a merge the same person can appear twice)
+function uniqueLinks(links) {
+  return links.filter((link, index) => links.findIndex(other => other.id === link.id) === index);
+}
+
+export {
+  getMergeFields,
+  defaultMergeChoice,
+  getMergeWarnings,
+  mergePersons,
+  generateMergeHTML
+};
@@ -0,0 +1,297 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Place Manager Module - lists every PLAC value, suggests merges of
+ * spelling variants and renames places across the whole tree
+ */
+
+import { FamilyRow } from './gedcom.js';
+import { levenshteinSimilarity } from './diagram.js';
+import { escapeHtml } from './security.js';
+
+const DEFAULT_PLACE_FORM = 'City, County, State, Country';
+// Place names at least this similar (0-1) are suggested for merging
+const SUGGESTION_THRESHOLD = 0.8;
+const MAX_SUGGESTIONS = 50;
+
+/**
+ * Collect every distinct PLAC value in the tree
+ * @returns {Array} Places sorted by usage: { name, count, people }
+ *   count = number of PLAC rows, people = number of persons/families using it
+ */
+function collectPlaces() {
+  const gedcomData = document.dataParsed;
+  if (!gedcomData || !gedcomData.indviduals) return [];
+
+  const places = new Map();
+  const visit = (record) => {
+    forEachPlacRow(record, (plac) => {
+      const name = plac.value.trim();
+      if (!places.has(name)) {
+        places.set(name, { name: name, count: 0, records: new Set() });
+      }
+      const place = places.get(name);
+      place.count++;
+      place.records.add(record.id);
+    });
+  };
+  gedcomData.indviduals.forEach(visit);
+  if (gedcomData.families) gedcomData.families.forEach(visit);
+
+  return [...places.values()]
+    .map(place => ({ name: place.name, count: place.count, people: place.records.size }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Suggest places that are probably the same, e.g. "Stratford-upon-Avon",
+ * "Stratford upon Avon, England" and "Stratford". The suggested target is the
+ * more complete name (more jurisdictions), then the more used one, then the
+ * longer one (typos tend to drop letters).
+ * @param {Array} places - Places from collectPlaces()
+ * @returns {Array} { from, to, score, reason } sorted by score
+ */
+function suggestPlaceMerges(places) {
+  const keyed = places.map(place => {
+    const parts = place.name.split(',').map(normalizePlaceName).filter(part => part);
+    return { place: place, key: parts.join(', '), first: parts[0] || '', depth: parts.length };
+  });
+
+  const suggestions = [];
+  for (let i = 0; i < keyed.length; i++) {
+    for (let j = i + 1; j < keyed.length; j++) {
+      const a = keyed[i];
+      const b = keyed[j];
+      const match = comparePlaces(a, b);
+      if (!match) continue;
+
+      const aIsTarget = a.depth !== b.depth ? a.depth > b.depth
+        : (a.place.count !== b.place.count ? a.place.count > b.place.count : a.key.length >= b.key.length);
+      suggestions.push({
+        from: aIsTarget ? b.place : a.place,
+        to: aIsTarget ? a.place : b.place,
+        score: match.score,
+        reason: match.reason
+      });
+    }
+  }
+  return suggestions
+    .sort((a, b) => b.score - a.score || b.from.count - a.from.count)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Rename places everywhere in the tree. Renaming several names to the same
+ * new name merges them. The caller takes one undo snapshot for the whole change.
+ * @param {Array<string>} fromNames - Current PLAC values
+ * @param {string} toName - New PLAC value
+ * @returns {number} Number of PLAC rows changed
+ */
+function renamePlaces(fromNames, toName) {
+  const gedcomData = document.dataParsed;
+  const newName = String(toName || '').trim();
+  if (!gedcomData || !newName) return 0;
+
+  const names = new Set(fromNames.map(name => name.trim()));
+  let changed = 0;
+  const visit = (record) => {
+    forEachPlacRow(record, (plac) => {
+      if (names.has(plac.value.trim()) && plac.value !== newName) {
+        plac.value = newName;
+        changed++;
+      }
+    });
+  };
+  gedcomData.indviduals.forEach(visit);
+  if (gedcomData.families) gedcomData.families.forEach(visit);
+  return changed;
+}
+
+/**
+ * Get the place hierarchy declared in HEAD.PLAC.FORM
+ * @returns {string} e.g. "City, County, State, Country"
+ */
+function getPlaceForm() {
+  const form = document.dataParsed?.HEAD?.PLAC?.FORM?.value;
+  return form ? form : DEFAULT_PLACE_FORM;
+}
+
+/**
+ * Store the place hierarchy as HEAD.PLAC.FORM (the GEDCOM way to say what
+ * each comma-separated part of a place name is)
+ * @param {string} form - Jurisdiction names, comma separated
+ */
+function setPlaceForm(form) {
+  const top = document.dataParsed;
+  if (!top) return;
+  const value = form.split(',').map(part => part.trim()).filter(part => part).join(', ');
+
+  if (!top.HEAD) {
+    top.HEAD = new FamilyRow(0, undefined, 'HEAD', undefined);
+    top.HEAD.parent = top;
+  }
+  if (!top.HEAD.PLAC) {
+    top.HEAD.PLAC = new FamilyRow(1, undefined, 'PLAC', undefined);
+    top.HEAD.PLAC.parent = top.HEAD;
+  }
+  if (!value) {
+    delete top.HEAD.PLAC.FORM;
+    return;
+  }
+  if (!top.HEAD.PLAC.FORM) {
+    top.HEAD.PLAC.FORM = new FamilyRow(2, undefined, 'FORM', value);
+    top.HEAD.PLAC.FORM.parent = top.HEAD.PLAC;
+  } else {
+    top.HEAD.PLAC.FORM.value = value;
+  }
+}
+
+/**
+ * Split a place into its jurisdictions using the place form. The first part
+ * is the most specific; when parts are missing the rest line up from the end,
+ * so "Leeds, England" with "City, County, Country" is City + Country.
+ * @param {string} name - PLAC value
+ * @param {string} form - Place form
+ * @returns {Array} [{ level, value }]
+ */
+function splitPlace(name, form) {
+  const parts = name.split(',').map(part => part.trim());
+  const levels = form.split(',').map(level => level.trim());
+  const offset = levels.length - parts.length;
+  return parts.map((value, index) => ({
+    level: index === 0 ? levels[0] : (levels[index + offset] || ''),
+    value: value
+  }));
+}
+
+/**
+ * Generate the place manager HTML
+ * @param {Array} places - Places from collectPlaces()
+ * @param {Array} suggestions - From suggestPlaceMerges()
+ * @param {string} filter - Text filter for the place list
+ * @returns {string} HTML string
+ */
+function generatePlaceManagerHTML(places, suggestions, filter = '') {
+  if (places.length === 0) {
+    return '<p class="placeholder-text">No places in the family tree yet.</p>';
+  }
+  const form = getPlaceForm();
+  let html = '';
+
+  if (suggestions.length > 0) {
+    html += `<h4>💡 Possible duplicates (${suggestions.length})</h4><div class="place-suggestions">`;
+    suggestions.forEach(s => {
+      const from = places.indexOf(s.from);
+      const to = places.indexOf(s.to);
+      html += `<div class="place-suggestion">
+        <div class="place-suggestion-names">
+          <span>${escapeHtml(s.from.name)} <small>(${s.from.count})</small></span>
+          <span class="place-arrow">→</span>
+          <span>${escapeHtml(s.to.name)} <small>(${s.to.count})</small></span>
+          <div class="place-suggestion-reason">${escapeHtml(s.reason)}</div>
+        </div>
+        <div class="place-suggestion-actions">
+          <button class="btn-primary btn-sm" onclick="mergePlaceSuggestion(${from}, ${to})" title="Rename the first to the second">Merge</button>
+          <button class="btn-outline btn-sm" onclick="mergePlaceSuggestion(${to}, ${from})" title="Merge the other way">⇄</button>
+        </div>
+      </div>`;
+    });
+    html += '</div>';
+  }
+
+  const needle = filter.trim().toLowerCase();
+  const shown = places.filter(place => !needle || place.name.toLowerCase().includes(needle));
+  html += `<h4>📍 All places (${places.length})</h4><div class="place-list">`;
+  shown.forEach(place => {
+    const index = places.indexOf(place);
+    const hierarchy = splitPlace(place.name, form)
+      .map(part => part.level ? `${part.level}: ${part.value}` : part.value)
+      .join(' · ');
+    html += `<div class="place-row">
+      <input type="checkbox" class="place-select" value="${index}">
+      <div class="place-row-name">
+        <span>${escapeHtml(place.name)}</span>
+        <small title="${escapeHtml(hierarchy)}">${escapeHtml(hierarchy)}</small>
+      </div>
+      <span class="place-count" title="${place.count} use${place.count !== 1 ? 's' : ''} by ${place.people} person/famil${place.people !== 1 ? 'ies' : 'y'}">${place.count}</span>
+      <button class="btn-outline btn-sm" onclick="renamePlace(${index})" title="Rename this place everywhere">✏️</button>
+    </div>`;
+  });
+  if (shown.length === 0) {
+    html += '<p class="placeholder-text">No places match the filter.</p>';
+  }
+  return html + '</div>';
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+// Call back for every PLAC row with a value under a record (any depth)
+function forEachPlacRow(row, callback) {
+  for (const key in row) {
+    if (key === 'parent') continue;
+    const value = row[key];
+    if (typeof value !== 'object' || value === null) continue;
+    const children = value.constructor.name === 'Array' ? value
+      : (value.constructor.name === 'FamilyRow' ? [value] : []);
+    children.forEach(child => {
+      if (child.tag === 'PLAC' && child.value && child.value.trim()) {
+        callback(child);
+      }
+      forEachPlacRow(child, callback);
+    });
+  }
+}
+
+// "Stratford-upon-Avon" and "stratford upon avon" -> "stratford upon avon"
+function normalizePlaceName(name) {
+  return String(name)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/\b(st|saint)\b\.?/g, 'st')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function comparePlaces(a, b) {
+  if (a.key === b.key) {
+    return { score: 1, reason: 'Same name, different spelling or punctuation' };
+  }
+  if (!a.first || !b.first) return null;
+
+  const shorter = a.depth <= b.depth ? a : b;
+  const longer = shorter === a ? b : a;
+  // "Stratford upon Avon" vs "Stratford upon Avon, England"
+  if (longer.key.startsWith(shorter.key + ', ')) {
+    return { score: 0.95, reason: 'Same place, one has more detail' };
+  }
+  if (a.depth > 1 && b.depth > 1 && a.key.substring(a.first.length) !== b.key.substring(b.first.length)) {
+    // both name their region and the regions differ: different places
+    return null;
+  }
+  const similarity = levenshteinSimilarity(a.first, b.first);
+  if (similarity >= SUGGESTION_THRESHOLD) {
+    return { score: similarity * 0.9, reason: `Similar names (${Math.round(similarity * 100)}%)` };
+  }
+  // "Stratford" vs "Stratford upon Avon"
+  const firstShort = a.first.length <= b.first.length ? a.first : b.first;
+  const firstLong = firstShort === a.first ? b.first : a.first;
+  if (firstShort.length >= 4 && firstLong.startsWith(firstShort + ' ')) {
+    return { score: 0.6, reason: 'One name is the start of the other' };
+  }
+  return null;
+}
+
+export {
+  collectPlaces,
+  suggestPlaceMerges,
+  renamePlaces,
+  getPlaceForm,
+  setPlaceForm,
+  splitPlace,
+  generatePlaceManagerHTML
+};
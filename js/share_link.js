@@ -0,0 +1,194 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Share Link Module - puts a whole tree into the URL fragment, deflate
+ * compressed and optionally encrypted, for the read-only viewer.
+ * The fragment is never sent to a server.
+ */
+
+import { encryptBytes, decryptBytes, randomBytes, toBase64, fromBase64 } from './encryption.js';
+import { escapeHtml } from './security.js';
+
+// #data=z1.<payload> (deflate) or #data=e1.<payload>&key=<key> (deflate, then AES-GCM)
+const SHARE_PARAM = 'data';
+const FORMAT_PLAIN = 'z1';
+const FORMAT_ENCRYPTED = 'e1';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+// Longer links are cut by chat apps and mail programs; a file is offered instead
+const MAX_LINK_LENGTH = 32000;
+
+/**
+ * Build the fragment of a share link
+ * @param {string} text - GEDCOM text
+ * @param {boolean} encrypt - Encrypt with a new random key, which is added to the fragment
+ * @returns {Promise<string>} Fragment without "#"
+ */
+async function createShareFragment(text, encrypt) {
+  const compressed = await deflate(new TextEncoder().encode(text));
+  if (!encrypt) {
+    return SHARE_PARAM + '=' + FORMAT_PLAIN + '.' + toBase64Url(compressed);
+  }
+  const rawKey = randomBytes(KEY_BYTES);
+  const key = await importShareKey(rawKey);
+  const { iv, ciphertext } = await encryptBytes(key, compressed);
+  const sealed = new Uint8Array(iv.length + ciphertext.length);
+  sealed.set(iv);
+  sealed.set(ciphertext, iv.length);
+  return SHARE_PARAM + '=' + FORMAT_ENCRYPTED + '.' + toBase64Url(sealed) + '&key=' + toBase64Url(rawKey);
+}
+
+/**
+ * Check whether a URL fragment holds a shared tree
+ * @param {string} hash - location.hash
+ * @returns {Object|null} { encrypted, key } (key is null if it was left out of the link)
+ */
+function parseShareFragment(hash) {
+  const params = readParams(hash);
+  const data = params.get(SHARE_PARAM);
+  if (!data) return null;
+  return {
+    encrypted: data.startsWith(FORMAT_ENCRYPTED + '.'),
+    key: params.get('key') || null
+  };
+}
+
+/**
+ * Read the tree from a share link fragment
+ * @param {string} hash - location.hash
+ * @param {string} [key] - Key, if it is not in the fragment
+ * @returns {Promise<string>} GEDCOM text
+ * @throws {Error} If the link is damaged or the key is missing or wrong
+ */
+async function readShareFragment(hash, key) {
+  const params = readParams(hash);
+  const data = params.get(SHARE_PARAM) || '';
+  const dot = data.indexOf('.');
+  const format = dot > 0 ? data.substring(0, dot) : '';
+  const payload = data.substring(dot + 1);
+
+  if (format === FORMAT_PLAIN) {
+    try {
+      return new TextDecoder().decode(await inflate(fromBase64Url(payload)));
+    } catch (e) {
+      // e.g. cut off by a chat app
+      throw new Error('This shared link is incomplete or damaged');
+    }
+  }
+  if (format === FORMAT_ENCRYPTED) {
+    const keyText = key || params.get('key');
+    if (!keyText) throw new Error('This shared tree is encrypted and the link has no key');
+    let compressed;
+    try {
+      const sealed = fromBase64Url(payload);
+      const cryptoKey = await importShareKey(fromBase64Url(keyText.trim()));
+      compressed = await decryptBytes(cryptoKey, sealed.subarray(0, IV_BYTES), sealed.subarray(IV_BYTES));
+    } catch (e) {
+      throw new Error('The key does not open this shared tree');
+    }
+    return new TextDecoder().decode(await inflate(compressed));
+  }
+  // links of earlier versions: plain base64 of the GEDCOM text
+  try {
+    return decodeURIComponent(escape(atob(data)));
+  } catch (e) {
+    throw new Error('This shared link is incomplete or damaged');
+  }
+}
+
+/**
+ * Check whether a share link is short enough to be sent as a link
+ * @param {string} url - Share link
+ * @returns {boolean}
+ */
+function isShareLinkTooLong(url) {
+  return url.length > MAX_LINK_LENGTH;
+}
+
+/**
+ * Create a small HTML file that carries a shared tree and opens it in the
+ * viewer (the link stored in a file). Trees whose link would be too long
+ * need createOfflineHtml() (js/offline_export.js) instead.
+ * @param {string} appUrl - Address of the editor (without fragment)
+ * @param {string} fragment - From createShareFragment()
+ * @param {string} title - Tree name
+ * @returns {string} HTML document
+ */
+function createShareFile(appUrl, fragment, title) {
+  const link = appUrl + '#' + fragment;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)} - Family Tree</title>
+<style>
+body { font-family: Arial, sans-serif; background: #f5f7fa; color: #1e293b; display: flex; justify-content: center; padding: 48px 16px; }
+main { background: #fff; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); padding: 32px; max-width: 480px; text-align: center; }
+a.button { display: inline-block; margin-top: 16px; padding: 12px 24px; background: #2563eb; color: #fff; border-radius: 8px; text-decoration: none; font-weight: 600; }
+small { display: block; margin-top: 16px; color: #64748b; }
+</style>
+</head>
+<body>
+<main>
+<h1>🌳 ${escapeHtml(title)}</h1>
+<p>This file contains a shared family tree. It opens read-only in the GEDCOM Family Tree Editor.</p>
+<a class="button" href="${escapeHtml(link)}">Open the family tree</a>
+<small>The tree is stored in this file and sent to the editor only in the part of the address after "#", which browsers do not send to the server.</small>
+</main>
+</body>
+</html>
+`;
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+// Not URLSearchParams: it would turn the "+" of old base64 links into spaces
+function readParams(hash) {
+  const params = new Map();
+  String(hash || '').replace(/^#/, '').split('&').forEach(part => {
+    const equals = part.indexOf('=');
+    if (equals > 0) params.set(part.substring(0, equals), part.substring(equals + 1));
+  });
+  return params;
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function inflate(bytes) {
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (e) {
+    throw new Error('This shared link is incomplete or damaged');
+  }
+}
+
+function importShareKey(rawKey) {
+  return crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+// URL-safe base64 without padding, so the fragment needs no escaping
+function toBase64Url(bytes) {
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return fromBase64(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+export {
+  createShareFragment,
+  parseShareFragment,
+  readShareFragment,
+  isShareLinkTooLong,
+  createShareFile
+};
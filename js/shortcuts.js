@@ -208,8 +208,9 @@ function generateHelpContent() {
           <h4>📤 Exporting Data</h4>
           <ul class="help-list">
             <li><strong>GEDCOM File</strong> — Standard format, works with Ancestry, FamilySearch, MyHeritage, etc.</li>
+            <li><strong>GEDCOM 7.0</strong> — The newer GEDCOM version, for software that reads 7.0 files.</li>
             <li><strong>JSON File</strong> — Full data export for developers or backup.</li>
-            <li><strong>PNG Image</strong> — High-resolution image of your tree diagram.</li>
+            <li><strong>PNG Image</strong> — High-resolution image of your tree diagram, or of the pedigree/descendant chart when one is shown.</li>
             <li><strong>SVG Image</strong> — Scalable vector image for printing.</li>
             <li><strong>Print</strong> — Print the current view directly.</li>
             <li><strong>Share Link</strong> — Generate a shareable link with your tree data encoded.</li>
@@ -220,6 +221,7 @@ function generateHelpContent() {
             <li><strong>💾 Auto-save</strong> — Data persists in browser, survives closing. Most convenient.</li>
             <li><strong>🔒 Session only</strong> — Data cleared when browser closes. Better for shared computers.</li>
             <li><strong>📤 Export only</strong> — No automatic saving. Must export manually. Most secure.</li>
+            <li><strong>📄 Auto-save to the file on disk</strong> — Changes are written back to the file opened with "Open file to edit in place" (Chrome, Edge).</li>
           </ul>
           <p class="help-tip">💡 <strong>Tip:</strong> Change storage settings anytime from "More Tools" → "Storage Settings".</p>
         </div>
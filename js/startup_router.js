@@ -0,0 +1,67 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Startup Router Module - reads what the app was opened for from its address:
+ * a shared tree (#data=...), a person to select (#person=@I12@) and the
+ * launch actions of the manifest (?action=import, ?action=export, and
+ * ?action=open-file / ?action=shared-file for its file handlers and share target)
+ */
+
+import { parseShareFragment } from './share_link.js';
+
+const PERSON_PARAM = 'person';
+const ACTION_PARAM = 'action';
+const LAUNCH_ACTIONS = ['import', 'export', 'open-file', 'shared-file'];
+
+/**
+ * Read the route from an address
+ * @param {Location|URL} location - window.location
+ * @returns {Object} { share, personId, action }: share from parseShareFragment(),
+ *   the others null if they are not in the address
+ */
+function parseStartupRoute(location) {
+  const action = new URLSearchParams(location.search).get(ACTION_PARAM);
+  return {
+    share: parseShareFragment(location.hash),
+    personId: readPersonId(location.hash),
+    action: LAUNCH_ACTIONS.includes(action) ? action : null
+  };
+}
+
+/**
+ * Get the address without the launch action, so a reload does not run it again
+ * @param {Location|URL} location - window.location
+ * @returns {string} Path, query and fragment
+ */
+function withoutLaunchAction(location) {
+  const params = new URLSearchParams(location.search);
+  params.delete(ACTION_PARAM);
+  const search = params.toString();
+  return location.pathname + (search ? '?' + search : '') + location.hash;
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+// "#person=@I12@", also with the @ escaped (%40) or left out ("#person=I12")
+function readPersonId(hash) {
+  const part = String(hash || '').replace(/^#/, '').split('&')
+    .find(param => param.startsWith(PERSON_PARAM + '='));
+  if (!part) return null;
+  let id;
+  try {
+    id = decodeURIComponent(part.substring(PERSON_PARAM.length + 1)).trim();
+  } catch (e) {
+    return null;
+  }
+  if (!id) return null;
+  return id.startsWith('@') ? id : '@' + id + '@';
+}
+
+export {
+  parseStartupRoute,
+  withoutLaunchAction
+};
@@ -3,13 +3,30 @@
  * Provides persistent storage for GEDCOM data and app settings
  */
 
+import { sealText, openText, isSealed, createKeyConfig, unlockKeyConfig } from './encryption.js';
+
 const DB_NAME = 'GedcomEditorDB';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const STORE_TREES = 'trees';
 const STORE_SETTINGS = 'settings';
 const STORE_RECENT = 'recent';
+const STORE_VERSIONS = 'versions';
+// Write-ahead journal: the latest edit of each tree, written before the tree itself
+const STORE_JOURNAL = 'journal';
+// Passphrase settings (salt, KDF parameters); present = tree data is encrypted
+const ENCRYPTION_CONFIG = 'encryptionConfig';
+// Fields encrypted with the passphrase: the trees and the names and comments that
+// often hold family names. IDs, dates and person counts stay readable.
+const SEALED_FIELDS = {
+  [STORE_TREES]: ['data', 'name'],
+  [STORE_VERSIONS]: ['data', 'name', 'comment'],
+  [STORE_JOURNAL]: ['data', 'name'],
+  [STORE_RECENT]: ['name']
+};
 
 let db = null;
+// Key derived from the passphrase, null while locked
+let encryptionKey = null;
 
 /**
  * Initialize the IndexedDB database
@@ -48,6 +65,17 @@ async function initDB() {
         const recentStore = database.createObjectStore(STORE_RECENT, { keyPath: 'id' });
         recentStore.createIndex('opened', 'opened', { unique: false });
       }
+      
+      // Named versions (checkpoints) of trees
+      if (!database.objectStoreNames.contains(STORE_VERSIONS)) {
+        const versionStore = database.createObjectStore(STORE_VERSIONS, { keyPath: 'id' });
+        versionStore.createIndex('treeId', 'treeId', { unique: false });
+      }
+      
+      // Journal of edits not stored in the trees store yet
+      if (!database.objectStoreNames.contains(STORE_JOURNAL)) {
+        database.createObjectStore(STORE_JOURNAL, { keyPath: 'treeId' });
+      }
     };
   });
 }
@@ -61,22 +89,35 @@ async function initDB() {
  */
 async function saveTree(id, name, data) {
   await initDB();
+  const storedData = await sealData(data);
+  const storedName = await sealData(name || 'Untitled Tree');
   
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([STORE_TREES], 'readwrite');
     const store = transaction.objectStore(STORE_TREES);
     
+    const now = new Date().toISOString();
     const tree = {
       id: id || `tree_${Date.now()}`,
-      name: name || 'Untitled Tree',
-      data: data,
-      modified: new Date().toISOString(),
-      created: new Date().toISOString()
+      name: storedName,
+      data: storedData,
+      modified: now,
+      created: now
     };
     
-    const request = store.put(tree);
-    request.onsuccess = () => resolve(tree.id);
-    request.onerror = () => reject(request.error);
+    // Keep the creation date of a tree that is saved again
+    const existing = store.get(tree.id);
+    existing.onsuccess = () => {
+      if (existing.result && existing.result.created) {
+        tree.created = existing.result.created;
+      }
+      const request = store.put(tree);
+      request.onsuccess = () => resolve(tree.id);
+      request.onerror = () => reject(request.error);
+    };
+    existing.onerror = () => reject(existing.error);
+    // a full storage aborts the transaction (QuotaExceededError)
+    transaction.onabort = () => reject(transaction.error);
   });
 }
 
@@ -88,7 +129,7 @@ async function saveTree(id, name, data) {
 async function loadTree(id) {
   await initDB();
   
-  return new Promise((resolve, reject) => {
+  const tree = await new Promise((resolve, reject) => {
     const transaction = db.transaction([STORE_TREES], 'readonly');
     const store = transaction.objectStore(STORE_TREES);
     
@@ -96,46 +137,230 @@ async function loadTree(id) {
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
   });
+  if (tree) {
+    tree.data = await openData(tree.data);
+    tree.name = await openData(tree.name);
+  }
+  return tree;
 }
 
 /**
  * Get all saved trees
- * @returns {Promise<Array>}
+ * @returns {Promise<Array>} name is null while the storage is locked
  */
 async function getAllTrees() {
   await initDB();
   
+  const trees = [];
+  for (const t of await getAllRecords(STORE_TREES)) {
+    trees.push({
+      id: t.id,
+      name: await openName(t.name),
+      modified: t.modified,
+      created: t.created
+    });
+  }
+  // Sort by modified date (newest first)
+  trees.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+  return trees;
+}
+
+/**
+ * Delete a family tree
+ * @param {string} id - Tree ID
+ * @returns {Promise}
+ */
+async function deleteTree(id) {
+  await initDB();
+  
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_TREES], 'readonly');
+    const transaction = db.transaction([STORE_TREES], 'readwrite');
     const store = transaction.objectStore(STORE_TREES);
     
-    const request = store.getAll();
+    const request = store.delete(id);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Write the latest edit of a tree to the journal, replacing the one before
+ * @param {string} treeId - Tree ID
+ * @param {string} name - Tree name
+ * @param {string} data - GEDCOM text data
+ * @returns {Promise}
+ */
+async function writeJournal(treeId, name, data) {
+  // taken before anything is awaited: the text is at least as old as this
+  const saved = Date.now();
+  await initDB();
+  const storedData = await sealData(data);
+  const storedName = await sealData(name);
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_JOURNAL], 'readwrite');
+    transaction.objectStore(STORE_JOURNAL).put({ treeId, name: storedName, data: storedData, saved });
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get the journaled edits of all trees
+ * @returns {Promise<Array>} { treeId, name, data, saved }
+ */
+async function getJournal() {
+  await initDB();
+  const entries = await getAllRecords(STORE_JOURNAL);
+  for (const entry of entries) {
+    entry.data = await openData(entry.data);
+    entry.name = await openData(entry.name);
+  }
+  return entries;
+}
+
+/**
+ * Remove the journaled edit of a tree
+ * @param {string} treeId - Tree ID
+ * @param {number} before - Only if it was written before this time (ms), e.g. when the
+ *   tree was stored; a newer edit stays. Leave out to remove it in any case.
+ * @returns {Promise}
+ */
+async function clearJournal(treeId, before = Infinity) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_JOURNAL], 'readwrite');
+    const store = transaction.objectStore(STORE_JOURNAL);
+    
+    const request = store.get(treeId);
     request.onsuccess = () => {
-      const trees = request.result.map(t => ({
-        id: t.id,
-        name: t.name,
-        modified: t.modified,
-        created: t.created
-      }));
-      // Sort by modified date (newest first)
-      trees.sort((a, b) => new Date(b.modified) - new Date(a.modified));
-      resolve(trees);
+      if (request.result && request.result.saved < before) {
+        store.delete(treeId);
+      }
     };
     request.onerror = () => reject(request.error);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
   });
 }
 
 /**
- * Delete a family tree
- * @param {string} id - Tree ID
+ * Remove the journaled edits of all trees (readable while the storage is locked)
  * @returns {Promise}
  */
-async function deleteTree(id) {
+async function clearJournals() {
   await initDB();
   
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_TREES], 'readwrite');
-    const store = transaction.objectStore(STORE_TREES);
+    const transaction = db.transaction([STORE_JOURNAL], 'readwrite');
+    const request = transaction.objectStore(STORE_JOURNAL).clear();
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Save a named version (checkpoint) of a tree
+ * @param {string} treeId - Tree ID
+ * @param {string} name - Version name, e.g. "Before merging Uncle's file"
+ * @param {string} data - GEDCOM text data
+ * @param {Object} details - { comment, persons }
+ * @returns {Promise<string>} Version ID
+ */
+async function saveVersion(treeId, name, data, details = {}) {
+  await initDB();
+  const storedData = await sealData(data);
+  const storedName = await sealData(name || 'Untitled Version');
+  const storedComment = await sealData(details.comment || '');
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_VERSIONS], 'readwrite');
+    const store = transaction.objectStore(STORE_VERSIONS);
+    
+    const version = {
+      id: `version_${Date.now()}`,
+      treeId: treeId,
+      name: storedName,
+      comment: storedComment,
+      persons: details.persons || 0,
+      data: storedData,
+      created: new Date().toISOString()
+    };
+    
+    const request = store.put(version);
+    request.onsuccess = () => resolve(version.id);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the versions of a tree (without their data)
+ * @param {string} treeId - Tree ID
+ * @returns {Promise<Array>} Newest first
+ */
+async function getVersions(treeId) {
+  await initDB();
+  
+  const records = await new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_VERSIONS], 'readonly');
+    const store = transaction.objectStore(STORE_VERSIONS);
+    const index = store.index('treeId');
+    
+    const request = index.getAll(treeId);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  const versions = [];
+  for (const v of records) {
+    versions.push({
+      id: v.id,
+      treeId: v.treeId,
+      name: await openData(v.name),
+      comment: await openData(v.comment),
+      persons: v.persons,
+      created: v.created
+    });
+  }
+  versions.sort((a, b) => new Date(b.created) - new Date(a.created));
+  return versions;
+}
+
+/**
+ * Load a version with its data
+ * @param {string} id - Version ID
+ * @returns {Promise<Object>}
+ */
+async function loadVersion(id) {
+  await initDB();
+  
+  const version = await new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_VERSIONS], 'readonly');
+    const store = transaction.objectStore(STORE_VERSIONS);
+    
+    const request = store.get(id);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  if (version) {
+    version.data = await openData(version.data);
+    version.name = await openData(version.name);
+    version.comment = await openData(version.comment);
+  }
+  return version;
+}
+
+/**
+ * Delete a version
+ * @param {string} id - Version ID
+ * @returns {Promise}
+ */
+async function deleteVersion(id) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_VERSIONS], 'readwrite');
+    const store = transaction.objectStore(STORE_VERSIONS);
     
     const request = store.delete(id);
     request.onsuccess = () => resolve();
@@ -143,6 +368,28 @@ async function deleteTree(id) {
   });
 }
 
+/**
+ * Delete all versions of a tree
+ * @param {string} treeId - Tree ID
+ * @returns {Promise}
+ */
+async function deleteVersions(treeId) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_VERSIONS], 'readwrite');
+    const store = transaction.objectStore(STORE_VERSIONS);
+    
+    const request = store.index('treeId').getAllKeys(treeId);
+    request.onsuccess = () => {
+      request.result.forEach(key => store.delete(key));
+    };
+    request.onerror = () => reject(request.error);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
 /**
  * Save a setting
  * @param {string} key - Setting key
@@ -191,6 +438,7 @@ async function getSetting(key, defaultValue = null) {
  */
 async function addToRecent(id, name) {
   await initDB();
+  const storedName = await sealData(name);
   
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([STORE_RECENT], 'readwrite');
@@ -198,7 +446,7 @@ async function addToRecent(id, name) {
     
     const recent = {
       id: id,
-      name: name,
+      name: storedName,
       opened: new Date().toISOString()
     };
     
@@ -211,24 +459,34 @@ async function addToRecent(id, name) {
 /**
  * Get recent files
  * @param {number} limit - Max number of recent files
- * @returns {Promise<Array>}
+ * @returns {Promise<Array>} name is null while the storage is locked
  */
 async function getRecentFiles(limit = 10) {
   await initDB();
   
-  return new Promise((resolve, reject) => {
+  const files = await new Promise((resolve, reject) => {
     const transaction = db.transaction([STORE_RECENT], 'readonly');
     const store = transaction.objectStore(STORE_RECENT);
     const index = store.index('opened');
     
-    const request = index.getAll(null, limit);
+    // newest first, so the limit keeps the most recent ones
+    const files = [];
+    const request = index.openCursor(null, 'prev');
     request.onsuccess = () => {
-      const files = request.result;
-      files.sort((a, b) => new Date(b.opened) - new Date(a.opened));
-      resolve(files.slice(0, limit));
+      const cursor = request.result;
+      if (cursor && files.length < limit) {
+        files.push(cursor.value);
+        cursor.continue();
+      } else {
+        resolve(files);
+      }
     };
     request.onerror = () => reject(request.error);
   });
+  for (const file of files) {
+    file.name = await openName(file.name);
+  }
+  return files;
 }
 
 /**
@@ -248,20 +506,189 @@ async function clearRecentFiles() {
   });
 }
 
+/**
+ * Check whether an error means the browser storage is full
+ * @param {Error} error - Error from saving
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+  return !!error && (error.name === 'QuotaExceededError' ||
+    // older Firefox
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * Get how much of its storage quota the app uses
+ * @returns {Promise<Object|null>} { usage, quota } in bytes, null if the browser doesn't tell
+ */
+async function getStorageUsage() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return quota ? { usage: usage || 0, quota } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check whether tree data is encrypted with a passphrase
+ * @returns {boolean}
+ */
+function isStorageEncrypted() {
+  return localStorage.getItem(ENCRYPTION_CONFIG) !== null;
+}
+
+/**
+ * Check whether encrypted tree data can't be read or written yet
+ * @returns {boolean}
+ */
+function isStorageLocked() {
+  return isStorageEncrypted() && !encryptionKey;
+}
+
+/**
+ * Unlock encrypted tree data
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<boolean>} false if the passphrase is wrong
+ */
+async function unlockStorage(passphrase) {
+  const config = JSON.parse(localStorage.getItem(ENCRYPTION_CONFIG));
+  const key = config ? await unlockKeyConfig(passphrase, config) : null;
+  if (!key) return false;
+  encryptionKey = key;
+  try {
+    await rewriteData(key, true);
+  } catch (e) {
+    // tried again at the next unlock; the trees themselves are encrypted already
+    console.error('Could not encrypt the tree names:', e);
+  }
+  return true;
+}
+
+/**
+ * Forget the key; encrypted data can't be read until unlockStorage()
+ */
+function lockStorage() {
+  encryptionKey = null;
+}
+
+/**
+ * Encrypt all trees, versions, journaled edits and their names with a new passphrase
+ * (also used to change the passphrase, which needs the storage unlocked)
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise}
+ */
+async function enableEncryption(passphrase) {
+  const { config, key } = await createKeyConfig(passphrase);
+  await rewriteData(key);
+  localStorage.setItem(ENCRYPTION_CONFIG, JSON.stringify(config));
+}
+
+/**
+ * Store all trees, versions, journaled edits and their names unencrypted again (needs the storage unlocked)
+ * @returns {Promise}
+ */
+async function disableEncryption() {
+  await rewriteData(null);
+  localStorage.removeItem(ENCRYPTION_CONFIG);
+}
+
+/**
+ * Forget the passphrase without decrypting, after the encrypted data was deleted
+ */
+function resetEncryption() {
+  localStorage.removeItem(ENCRYPTION_CONFIG);
+  encryptionKey = null;
+}
+
 /**
  * Migrate data from localStorage (one-time)
  * @returns {Promise}
  */
 async function migrateFromLocalStorage() {
   const migrated = await getSetting('localStorageMigrated', false);
-  if (migrated) return;
-  
-  const storedData = localStorage.getItem('DataTillNow');
-  if (storedData) {
-    await saveTree('default', 'My Family Tree', storedData);
+  if (!migrated) {
+    const storedData = localStorage.getItem('DataTillNow');
+    if (storedData) {
+      await saveTree('default', 'My Family Tree', storedData);
+    }
+    await saveSetting('localStorageMigrated', true);
   }
-  
-  await saveSetting('localStorageMigrated', true);
+  // Autosave only writes to IndexedDB now; a copy left by earlier versions would go stale
+  localStorage.removeItem('DataTillNow');
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+// Encrypt data on its way into IndexedDB; never store plain text while locked
+async function sealData(data) {
+  if (encryptionKey) {
+    return sealText(encryptionKey, data);
+  }
+  if (isStorageEncrypted()) {
+    throw new Error('Storage is locked');
+  }
+  return data;
+}
+
+// Names in lists: null while locked, so the trees can still be listed (e.g. to delete them)
+async function openName(value) {
+  if (isSealed(value) && !encryptionKey) return null;
+  return openData(value);
+}
+
+async function openData(data) {
+  if (!isSealed(data)) {
+    return data;
+  }
+  if (!encryptionKey) {
+    throw new Error('Storage is locked');
+  }
+  return openText(encryptionKey, data);
+}
+
+async function getAllRecords(storeName) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readonly');
+    const request = transaction.objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Re-encrypt the SEALED_FIELDS of every record with newKey (null = plain text) in one transaction.
+// onlyPlain: just encrypt the fields that are still plain text, e.g. names stored by earlier versions
+async function rewriteData(newKey, onlyPlain = false) {
+  await initDB();
+  const stores = Object.keys(SEALED_FIELDS);
+  const records = {};
+  for (const storeName of stores) {
+    records[storeName] = [];
+    for (const record of await getAllRecords(storeName)) {
+      let changed = false;
+      for (const field of SEALED_FIELDS[storeName]) {
+        if (typeof record[field] !== 'string' || (onlyPlain && isSealed(record[field]))) continue;
+        const plain = await openData(record[field]);
+        record[field] = newKey ? await sealText(newKey, plain) : plain;
+        changed = true;
+      }
+      if (changed) records[storeName].push(record);
+    }
+  }
+
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(stores, 'readwrite');
+    stores.forEach(storeName => {
+      const store = transaction.objectStore(storeName);
+      records[storeName].forEach(record => store.put(record));
+    });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+  encryptionKey = newKey;
 }
 
 export {
@@ -270,10 +697,28 @@ export {
   loadTree,
   getAllTrees,
   deleteTree,
+  saveVersion,
+  getVersions,
+  loadVersion,
+  deleteVersion,
+  deleteVersions,
+  writeJournal,
+  getJournal,
+  clearJournal,
+  clearJournals,
   saveSetting,
   getSetting,
   addToRecent,
   getRecentFiles,
   clearRecentFiles,
+  isQuotaError,
+  getStorageUsage,
+  isStorageEncrypted,
+  isStorageLocked,
+  unlockStorage,
+  lockStorage,
+  enableEncryption,
+  disableEncryption,
+  resetEncryption,
   migrateFromLocalStorage
 };
@@ -0,0 +1,147 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Tab Sync Module - coordinates the windows of the app (browser tabs and the
+ * installed app) that share the trees in IndexedDB: a Web Lock per tree lets
+ * one window edit it, a BroadcastChannel tells the others when it was saved
+ */
+
+const CHANNEL_NAME = 'gedcom-editor-trees';
+const LOCK_PREFIX = 'gedcom-editor-tree:';
+// How long a window gets to store its edits and let go of a tree before it is taken
+const HANDOVER_TIMEOUT = 5000;
+
+let channel = null;
+let lostCallback = null;
+// Tree ID -> function that releases the lock this window holds
+const held = new Map();
+
+/**
+ * Start listening to the other windows
+ * @param {Function} onMessage - Called with { type, treeId, ... } sent by another window:
+ *   'saved' and 'renamed' (with name), 'deleted', 'handover' (let go of the tree)
+ * @param {Function} onLost - Called with the tree ID when another window took a tree
+ *   this window was editing without waiting for it
+ */
+function startTabSync(onMessage, onLost) {
+  lostCallback = onLost;
+  if (channel || typeof BroadcastChannel === 'undefined') return;
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = event => {
+    if (event.data && event.data.treeId) onMessage(event.data);
+  };
+}
+
+/**
+ * Tell the other windows about a change to a stored tree
+ * @param {string} type - 'saved', 'renamed' or 'deleted'
+ * @param {string} treeId - Tree ID
+ * @param {Object} details - e.g. { name }
+ */
+function announceTreeChange(type, treeId, details = {}) {
+  if (channel) channel.postMessage({ ...details, type, treeId });
+}
+
+/**
+ * Take a tree for editing if no other window has it
+ * @param {string} treeId - Tree ID
+ * @returns {Promise<boolean>} false if another window edits it. Always true
+ *   without Web Locks: every window edits, and finds out from 'saved' messages.
+ */
+async function claimTree(treeId) {
+  if (held.has(treeId) || !hasLocks()) return true;
+  return requestLock(treeId, { ifAvailable: true });
+}
+
+/**
+ * Take a tree another window edits: it is asked to store its edits and let go,
+ * and if it does not answer in time (e.g. frozen in the background) the tree is taken anyway
+ * @param {string} treeId - Tree ID
+ * @returns {Promise<boolean>}
+ */
+async function takeOverTree(treeId) {
+  if (held.has(treeId) || !hasLocks()) return true;
+  announceTreeChange('handover', treeId);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), HANDOVER_TIMEOUT);
+  const claimed = await requestLock(treeId, { signal: controller.signal });
+  clearTimeout(timer);
+  return claimed || requestLock(treeId, { steal: true });
+}
+
+/**
+ * Let other windows edit a tree again
+ * @param {string} treeId - Tree ID
+ */
+function releaseTree(treeId) {
+  const release = held.get(treeId);
+  if (!release) return;
+  held.delete(treeId);
+  release();
+}
+
+/**
+ * Check whether this window may edit a tree
+ * @param {string} treeId - Tree ID
+ * @returns {boolean}
+ */
+function ownsTree(treeId) {
+  return held.has(treeId) || !hasLocks();
+}
+
+/**
+ * Get the trees other windows are editing
+ * @returns {Promise<Set>} Tree IDs, empty without Web Locks
+ */
+async function getTreesEditedElsewhere() {
+  const trees = new Set();
+  if (!hasLocks()) return trees;
+  const state = await navigator.locks.query();
+  (state.held || []).forEach(lock => {
+    const treeId = lock.name.startsWith(LOCK_PREFIX) ? lock.name.substring(LOCK_PREFIX.length) : null;
+    if (treeId && !held.has(treeId)) trees.add(treeId);
+  });
+  return trees;
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+function hasLocks() {
+  return typeof navigator !== 'undefined' && !!navigator.locks;
+}
+
+// Resolves once it is known whether the lock was granted; it is then held until releaseTree()
+function requestLock(treeId, options) {
+  return new Promise(resolve => {
+    navigator.locks.request(LOCK_PREFIX + treeId, options, lock => {
+      if (!lock) {
+        resolve(false);
+        return undefined;
+      }
+      resolve(true);
+      return new Promise(release => held.set(treeId, release));
+    }).catch(e => {
+      // AbortError: gave up waiting, or another window took the lock (steal)
+      if (e.name !== 'AbortError') console.error('Could not lock the tree:', e);
+      if (held.has(treeId)) {
+        held.delete(treeId);
+        if (lostCallback) lostCallback(treeId);
+      }
+      resolve(false);
+    });
+  });
+}
+
+export {
+  startTabSync,
+  announceTreeChange,
+  claimTree,
+  takeOverTree,
+  releaseTree,
+  ownsTree,
+  getTreesEditedElsewhere
+};
@@ -6,6 +6,8 @@
  * Timeline Visualization Module
  */
 
+import { getGregorianYear, compareGedcomDates } from './gedcom_date.js';
+
 /**
  * Extract all dated events from GEDCOM data
  * @returns {Array} Array of events with date, person, type
@@ -23,7 +25,7 @@ function extractEvents() {
     if (person.BIRT?.DATE?.value) {
       events.push({
         date: person.BIRT.DATE.value,
-        year: extractYear(person.BIRT.DATE.value),
+        year: getGregorianYear(person.BIRT.DATE.value),
         type: 'Birth',
         person: name,
         personId: id,
@@ -36,7 +38,7 @@ function extractEvents() {
     if (person.DEAT?.DATE?.value) {
       events.push({
         date: person.DEAT.DATE.value,
-        year: extractYear(person.DEAT.DATE.value),
+        year: getGregorianYear(person.DEAT.DATE.value),
         type: 'Death',
         person: name,
         personId: id,
@@ -49,7 +51,7 @@ function extractEvents() {
     if (person.CHR?.DATE?.value) {
       events.push({
         date: person.CHR.DATE.value,
-        year: extractYear(person.CHR.DATE.value),
+        year: getGregorianYear(person.CHR.DATE.value),
         type: 'Christening',
         person: name,
         personId: id,
@@ -62,7 +64,7 @@ function extractEvents() {
     if (person.BURI?.DATE?.value) {
       events.push({
         date: person.BURI.DATE.value,
-        year: extractYear(person.BURI.DATE.value),
+        year: getGregorianYear(person.BURI.DATE.value),
         type: 'Burial',
         person: name,
         personId: id,
@@ -113,7 +115,7 @@ function extractEvents() {
         
         events.push({
           date: family.MARR.DATE.value,
-          year: extractYear(family.MARR.DATE.value),
+          year: getGregorianYear(family.MARR.DATE.value),
           type: 'Marriage',
           person: couple,
           personId: id,
@@ -124,21 +126,12 @@ function extractEvents() {
     });
   }
   
-  // Sort by year
-  events.sort((a, b) => (a.year || 0) - (b.year || 0));
+  // Sort chronologically (handles BEF/AFT/ranges and non-Gregorian calendars)
+  events.sort((a, b) => compareGedcomDates(a.date, b.date));
   
   return events;
 }
 
-/**
- * Extract year from GEDCOM date
- */
-function extractYear(dateStr) {
-  if (!dateStr) return null;
-  const match = dateStr.match(/\b(\d{4})\b/);
-  return match ? parseInt(match[1]) : null;
-}
-
 /**
  * Generate timeline HTML
  * @param {Array} events - Array of events
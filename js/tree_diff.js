@@ -0,0 +1,202 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Tree Diff Module - compares two versions of a tree: people and families
+ * added or removed, and field changes on records with the same ID
+ */
+
+import { parseGedcomText } from './gedcom.js';
+import { extractLabel } from './diagram.js';
+import { formatFieldLabel } from './gedcom_edit.js';
+import { escapeHtml } from './security.js';
+
+const SKIPPED_KEYS = ['id', 'tag', 'level', 'value', 'order', 'parent', 'indviduals', 'families',
+  'visited', 'rowLevel', 'CHAN'];
+// Compared as a set of IDs, so re-ordering children is not a change
+const LINK_TAGS = ['FAMS', 'FAMC', 'HUSB', 'WIFE', 'CHIL'];
+const LINK_LABELS = { FAMS: 'Spouse in', FAMC: 'Child in', HUSB: 'Husband', WIFE: 'Wife', CHIL: 'Children' };
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Compare two versions of a tree. Records are matched by ID, which is what
+ * undo snapshots, autosaves and a relative's edit of an exported file keep.
+ * @param {string} beforeText - GEDCOM text of the older version
+ * @param {string} afterText - GEDCOM text of the newer version
+ * @returns {Object} { added, removed, changed } lists of { type, id, label };
+ *   changed entries also have fields: [{ path, label, before, after }]
+ */
+function diffTrees(beforeText, afterText) {
+  const before = parseGedcomText(beforeText);
+  const after = parseGedcomText(afterText);
+  const diff = { added: [], removed: [], changed: [] };
+
+  [['INDI', 'indviduals'], ['FAM', 'families']].forEach(([type, mapName]) => {
+    after[mapName].forEach((record, id) => {
+      const old = before[mapName].get(id);
+      if (!old) {
+        diff.added.push(describeRecord(type, record, after));
+        return;
+      }
+      const fields = diffRecord(old, record);
+      if (fields.length > 0) {
+        diff.changed.push(Object.assign(describeRecord(type, record, after), { fields: fields }));
+      }
+    });
+    before[mapName].forEach((record, id) => {
+      if (!after[mapName].has(id)) {
+        diff.removed.push(describeRecord(type, record, before));
+      }
+    });
+  });
+  return diff;
+}
+
+/**
+ * IDs to highlight in the diagram, which shows the current tree
+ * @param {Object} diff - From diffTrees()
+ * @param {boolean} currentIsAfter - True if the current tree is the newer version
+ * @returns {Object} { added, changed, removed } ID lists for setDiffHighlight()
+ */
+function getDiffHighlight(diff, currentIsAfter) {
+  const ids = list => list.map(entry => entry.id);
+  return currentIsAfter
+    ? { added: ids(diff.added), changed: ids(diff.changed), removed: [] }
+    : { added: [], changed: ids(diff.changed), removed: ids(diff.removed) };
+}
+
+/**
+ * Generate the diff report
+ * @param {Object} diff - From diffTrees()
+ * @param {string} beforeName - Label of the older version
+ * @param {string} afterName - Label of the newer version
+ * @returns {string} HTML string; record headers carry the record id in data-id
+ */
+function generateDiffHTML(diff, beforeName, afterName) {
+  const total = diff.added.length + diff.removed.length + diff.changed.length;
+  if (total === 0) {
+    return '<p class="placeholder-text">No differences: both versions have the same people, families and details.</p>';
+  }
+
+  let html = `<div class="diff-summary">
+    <span class="diff-badge added">+${diff.added.length} added</span>
+    <span class="diff-badge removed">−${diff.removed.length} removed</span>
+    <span class="diff-badge changed">~${diff.changed.length} changed</span>
+    <small>${escapeHtml(beforeName)} → ${escapeHtml(afterName)}</small>
+  </div>`;
+
+  const section = (title, entries, kind) => {
+    if (entries.length === 0) return '';
+    let section = `<h4>${title} (${entries.length})</h4><div class="diff-list">`;
+    entries.forEach(entry => {
+      section += `<div class="diff-item ${kind}">
+        <div class="diff-item-header" data-id="${escapeHtml(entry.id)}">
+          <span>${entry.type === 'FAM' ? '👪' : '👤'} ${escapeHtml(entry.label)}</span>
+          <small>${escapeHtml(entry.id)}</small>
+        </div>`;
+      if (entry.fields) {
+        section += '<table class="diff-fields">';
+        entry.fields.forEach(field => {
+          section += `<tr>
+            <td class="diff-field">${escapeHtml(field.label)}</td>
+            <td class="diff-before">${field.before === null ? '<em>—</em>' : escapeHtml(field.before)}</td>
+            <td class="diff-arrow">→</td>
+            <td class="diff-after">${field.after === null ? '<em>—</em>' : escapeHtml(field.after)}</td>
+          </tr>`;
+        });
+        section += '</table>';
+      }
+      section += '</div>';
+    });
+    return section + '</div>';
+  };
+
+  html += section('🟢 Added', diff.added, 'added');
+  html += section('🔴 Removed', diff.removed, 'removed');
+  html += section('🟣 Changed', diff.changed, 'changed');
+  return html;
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isRow(value) {
+  return value && typeof value === 'object' && value.constructor.name === 'FamilyRow';
+}
+
+function describeRecord(type, record, tree) {
+  let label;
+  if (type === 'FAM') {
+    const spouses = toArray(record.HUSB).concat(toArray(record.WIFE))
+      .map(link => tree.indviduals.get(link.id))
+      .filter(person => person)
+      .map(person => extractLabel(person).replace(/\//g, '').trim());
+    label = spouses.length ? spouses.join(' & ') : 'Family';
+  } else {
+    label = extractLabel(record).replace(/\//g, '').trim() || record.id;
+  }
+  return { type: type, id: record.id, label: label };
+}
+
+function diffRecord(before, after) {
+  const oldValues = flattenRecord(before, '', new Map());
+  const newValues = flattenRecord(after, '', new Map());
+  // sorted so the parts of one event stay together
+  const paths = [...new Set([...oldValues.keys(), ...newValues.keys()])].sort();
+
+  const fields = [];
+  paths.forEach(path => {
+    const oldValue = oldValues.has(path) ? oldValues.get(path) : null;
+    const newValue = newValues.has(path) ? newValues.get(path) : null;
+    if (oldValue !== newValue) {
+      fields.push({ path: path, label: pathLabel(path), before: shortValue(oldValue), after: shortValue(newValue) });
+    }
+  });
+  return fields;
+}
+
+// "BIRT.DATE" -> value, repeated tags get an index: "NOTE[2]"
+function flattenRecord(row, prefix, values) {
+  for (const key in row) {
+    if (SKIPPED_KEYS.includes(key)) continue;
+    const rows = toArray(row[key]).filter(isRow);
+    if (rows.length === 0) continue;
+
+    if (LINK_TAGS.includes(key)) {
+      values.set(prefix + key, rows.map(link => link.id).sort().join(', '));
+      continue;
+    }
+    rows.forEach((child, index) => {
+      const path = prefix + key + (rows.length > 1 ? '[' + (index + 1) + ']' : '');
+      const hasChildren = Object.keys(child).some(childKey => !SKIPPED_KEYS.includes(childKey) && toArray(child[childKey]).some(isRow));
+      // a pointer (e.g. SOUR @S1@), a value, or just "the event is recorded"
+      const value = child.id ? child.id : (child.value !== undefined ? String(child.value) : (hasChildren ? null : 'Yes'));
+      if (value !== null) values.set(path, value);
+      flattenRecord(child, path + '.', values);
+    });
+  }
+  return values;
+}
+
+function pathLabel(path) {
+  return path.split('.').map(part => {
+    const match = part.match(/^([^[]+)(\[\d+\])?$/);
+    return match ? (LINK_LABELS[match[1]] || formatFieldLabel(match[1])) + (match[2] || '') : part;
+  }).join(' › ');
+}
+
+function shortValue(value) {
+  if (value === null) return null;
+  if (value.startsWith('data:image/')) return '(photo)';
+  const text = value.replace(/\n/g, ' ');
+  return text.length > MAX_VALUE_LENGTH ? text.substring(0, MAX_VALUE_LENGTH - 1) + '…' : text;
+}
+
+export { diffTrees, getDiffHighlight, generateDiffHTML };
@@ -0,0 +1,286 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Tree Merge Module - imports another file into the open tree: renumbers its
+ * records, matches its people against the open tree and combines the two
+ */
+
+import { parseGedcomText } from './gedcom.js';
+import { calculateSimilarity, extractLabel } from './diagram.js';
+import { deleteFam } from './gedcom_edit.js';
+import { mergePersons } from './person_merge.js';
+import { escapeHtml } from './security.js';
+
+// Same threshold as findDuplicates()
+const MATCH_THRESHOLD = 0.7;
+// Matches at least this strong are accepted unless the user unticks them
+const AUTO_ACCEPT_THRESHOLD = 0.85;
+const ID_PREFIXES = { INDI: 'I', FAM: 'F', SOUR: 'S', NOTE: 'N', OBJE: 'O', REPO: 'R' };
+// Records of the incoming file that are not copied (the open tree keeps its own)
+const SKIPPED_RECORDS = ['HEAD', 'TRLR', 'SUBM', 'SUBN'];
+const LINK_TAGS = ['HUSB', 'WIFE', 'CHIL', 'FAMC', 'FAMS'];
+
+/**
+ * Parse a file to merge, give its records IDs that are free in the open tree
+ * and find the people that are probably already in it
+ * @param {string} text - GEDCOM text of the incoming file
+ * @returns {Object|null} Merge plan { incoming, matches: [{ incomingId, existingId, score }] },
+ *   null if the file has no persons
+ */
+function prepareTreeMerge(text) {
+  const current = document.dataParsed;
+  const incoming = parseGedcomText(text);
+  if (!current || incoming.indviduals.size === 0) return null;
+
+  renumberRecords(incoming, current);
+  return {
+    incoming: incoming,
+    matches: findMatches(incoming, current)
+  };
+}
+
+/**
+ * Combine the incoming tree with the open one. Accepted matches are merged
+ * into the existing person (existing values win, missing ones are filled in),
+ * then families that now have the same spouses are merged too.
+ * The caller takes one undo snapshot for the whole import.
+ * @param {Object} plan - From prepareTreeMerge()
+ * @param {Array<number>} accepted - Indexes of the accepted plan.matches
+ * @returns {Object} { added, merged, families, familiesMerged }
+ */
+function applyTreeMerge(plan, accepted) {
+  const current = document.dataParsed;
+  const incoming = plan.incoming;
+  const incomingFamilies = [...incoming.families.keys()];
+
+  // Copy the records over, one array per record type
+  const records = {};
+  forEachRecord(incoming, (record, tag) => {
+    if (!record.id || SKIPPED_RECORDS.includes(tag)) return;
+    record.parent = current;
+    (records[tag] = records[tag] || []).push(record);
+  });
+  Object.keys(records).forEach(tag => {
+    current[tag] = toArray(current[tag]).concat(records[tag]);
+  });
+  incoming.indviduals.forEach((person, id) => current.indviduals.set(id, person));
+  incoming.families.forEach((family, id) => current.families.set(id, family));
+
+  let merged = 0;
+  accepted.forEach(index => {
+    const match = plan.matches[index];
+    if (match && mergePersons(match.existingId, match.incomingId, {})) merged++;
+  });
+
+  // e.g. both files have the parents' family: keep the existing one
+  let familiesMerged = 0;
+  incomingFamilies.forEach(familyId => {
+    const family = current.families.get(familyId);
+    if (!family) return;
+    const key = spouseKey(family);
+    if (!key) return;
+    for (const [id, other] of current.families) {
+      if (!incomingFamilies.includes(id) && spouseKey(other) === key) {
+        mergeFamilies(other, family, current);
+        familiesMerged++;
+        break;
+      }
+    }
+  });
+
+  return {
+    added: incoming.indviduals.size - merged,
+    merged: merged,
+    families: incomingFamilies.length - familiesMerged,
+    familiesMerged: familiesMerged
+  };
+}
+
+/**
+ * Generate the review screen for a merge plan
+ * @param {Object} plan - From prepareTreeMerge()
+ * @param {string} fileName - Name of the incoming file
+ * @returns {string} HTML string; checkboxes .tree-merge-accept carry the match index
+ */
+function generateTreeMergeHTML(plan, fileName) {
+  const current = document.dataParsed;
+  const incoming = plan.incoming;
+  const persons = incoming.indviduals.size;
+  const families = incoming.families.size;
+
+  let html = `<p class="tree-merge-summary">
+    <strong>${escapeHtml(fileName)}</strong>: ${persons} person${persons !== 1 ? 's' : ''},
+    ${families} famil${families !== 1 ? 'ies' : 'y'}.
+    IDs are renumbered so nothing in your tree is overwritten.</p>`;
+
+  if (plan.matches.length === 0) {
+    return html + '<p class="placeholder-text">No one in the file matches a person in your tree. Everyone will be added as new.</p>';
+  }
+
+  html += `<h4>👥 Possible matches (${plan.matches.length})</h4>
+    <p class="tree-merge-hint">Ticked people are merged with the person in your tree; unticked ones are added as new people.</p>
+    <div class="tree-merge-list">`;
+  plan.matches.forEach((match, index) => {
+    const score = Math.round(match.score * 100);
+    html += `<label class="tree-merge-item">
+      <input type="checkbox" class="tree-merge-accept" value="${index}"${match.score >= AUTO_ACCEPT_THRESHOLD ? ' checked' : ''}>
+      <div class="tree-merge-persons">
+        <div class="tree-merge-person">${describePerson(incoming.indviduals.get(match.incomingId), incoming)}<small>from file</small></div>
+        <span class="duplicate-vs">=</span>
+        <div class="tree-merge-person">${describePerson(current.indviduals.get(match.existingId), current)}<small>in your tree (${escapeHtml(match.existingId)})</small></div>
+      </div>
+      <span class="duplicate-score">${score}%</span>
+    </label>`;
+  });
+  return html + '</div>';
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Call back for every level 0 record (INDI, FAM, SOUR, ...) of a tree
+function forEachRecord(top, callback) {
+  Object.keys(top).forEach(key => {
+    if (key === 'parent' || key === 'indviduals' || key === 'families') return;
+    toArray(top[key]).forEach(record => {
+      if (record && typeof record === 'object' && record.constructor.name === 'FamilyRow' && parseInt(record.level) === 0) {
+        callback(record, key);
+      }
+    });
+  });
+}
+
+// Give every incoming record a new ID after the highest one of its kind in the open tree
+function renumberRecords(incoming, current) {
+  const used = new Set();
+  forEachRecord(current, record => { if (record.id) used.add(record.id); });
+
+  const nextNumber = {};
+  const idMap = new Map();
+  forEachRecord(incoming, (record, tag) => {
+    if (!record.id || SKIPPED_RECORDS.includes(tag)) return;
+    const prefix = ID_PREFIXES[tag] || tag.charAt(0);
+    if (!nextNumber[prefix]) {
+      nextNumber[prefix] = highestNumber(used, prefix) + 1;
+    }
+    while (used.has('@' + prefix + nextNumber[prefix] + '@')) nextNumber[prefix]++;
+    const newId = '@' + prefix + nextNumber[prefix] + '@';
+    used.add(newId);
+    idMap.set(record.id, newId);
+  });
+
+  forEachRecord(incoming, record => {
+    if (idMap.has(record.id)) record.id = idMap.get(record.id);
+    repointRows(record, idMap);
+  });
+  incoming.indviduals = new Map(toArray(incoming.INDI).map(person => [person.id, person]));
+  incoming.families = new Map(toArray(incoming.FAM).map(family => [family.id, family]));
+}
+
+function highestNumber(ids, prefix) {
+  let highest = 0;
+  const pattern = new RegExp('^@' + prefix + '(\\d+)@$');
+  ids.forEach(id => {
+    const match = id.match(pattern);
+    if (match) highest = Math.max(highest, parseInt(match[1]));
+  });
+  return highest;
+}
+
+function repointRows(row, idMap) {
+  for (const key in row) {
+    if (key === 'parent') continue;
+    toArray(row[key]).forEach(child => {
+      if (!child || typeof child !== 'object' || child.constructor.name !== 'FamilyRow') return;
+      if (child.id && idMap.has(child.id)) child.id = idMap.get(child.id);
+      repointRows(child, idMap);
+    });
+  }
+}
+
+// Best existing person for each incoming one; every person is used at most once
+function findMatches(incoming, current) {
+  const candidates = [];
+  incoming.indviduals.forEach(person => {
+    current.indviduals.forEach(existing => {
+      const score = calculateSimilarity(person, existing);
+      if (score >= MATCH_THRESHOLD) {
+        candidates.push({ incomingId: person.id, existingId: existing.id, score: Math.min(score, 1) });
+      }
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const usedIncoming = new Set();
+  const usedExisting = new Set();
+  return candidates.filter(candidate => {
+    if (usedIncoming.has(candidate.incomingId) || usedExisting.has(candidate.existingId)) return false;
+    usedIncoming.add(candidate.incomingId);
+    usedExisting.add(candidate.existingId);
+    return true;
+  });
+}
+
+function spouseKey(family) {
+  const spouses = toArray(family.HUSB).concat(toArray(family.WIFE)).map(link => link.id).sort();
+  return spouses.length > 0 ? spouses.join('+') : null;
+}
+
+// Move children and missing details of a duplicate family into the kept one
+function mergeFamilies(keep, duplicate, current) {
+  for (const key in duplicate) {
+    if (LINK_TAGS.includes(key) || keep[key] !== undefined || !toArray(duplicate[key]).some(isRow)) continue;
+    keep[key] = duplicate[key];
+    toArray(keep[key]).forEach(row => { row.parent = keep; });
+  }
+
+  const children = toArray(keep.CHIL);
+  toArray(duplicate.CHIL).forEach(link => {
+    if (children.some(child => child.id === link.id)) return;
+    link.parent = keep;
+    children.push(link);
+    const child = current.indviduals.get(link.id);
+    if (child && !toArray(child.FAMC).some(famc => famc.id === keep.id)) {
+      const famc = toArray(child.FAMC).find(famc => famc.id === duplicate.id);
+      if (famc) famc.id = keep.id;
+    }
+  });
+  if (children.length > 0) keep.CHIL = children;
+
+  // deleteFam also removes the duplicate from everyone's FAMC/FAMS
+  delete duplicate.CHIL;
+  deleteFam(duplicate, current);
+}
+
+function isRow(value) {
+  return value && typeof value === 'object' && value.constructor.name === 'FamilyRow';
+}
+
+function describePerson(person, tree) {
+  if (!person) return '';
+  const name = extractLabel(person).replace(/\//g, '').trim() || person.id;
+  const details = [];
+  const birth = [person.BIRT?.DATE?.value, person.BIRT?.PLAC?.value].filter(part => part).join(', ');
+  if (birth) details.push('b. ' + birth);
+  if (person.DEAT?.DATE?.value) details.push('d. ' + person.DEAT.DATE.value);
+
+  const family = tree.families.get(toArray(person.FAMC)[0]?.id);
+  if (family) {
+    const parents = toArray(family.HUSB).concat(toArray(family.WIFE))
+      .map(link => tree.indviduals.get(link.id))
+      .filter(parent => parent)
+      .map(parent => extractLabel(parent).replace(/\//g, '').trim());
+    if (parents.length) details.push('child of ' + parents.join(' & '));
+  }
+  return `<strong>${escapeHtml(name)}</strong>${details.length ? `<small>${escapeHtml(details.join(' · '))}</small>` : ''}`;
+}
+
+export { prepareTreeMerge, applyTreeMerge, generateTreeMergeHTML };
@@ -0,0 +1,577 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Tree Tabs Module - keeps several trees open in tabs, each with its own
+ * text, undo history and focus filter, backed by the IndexedDB trees store.
+ * Other windows of the app are told when a stored tree changes (js/tab_sync.js).
+ */
+
+import { saveTree, loadTree, getAllTrees, deleteTree, deleteVersions, getJournal, clearJournal, clearJournals, saveSetting, getSetting,
+  addToRecent, getRecentFiles, clearRecentFiles, migrateFromLocalStorage } from './storage.js';
+import { announceTreeChange } from './tab_sync.js';
+import { escapeHtml } from './security.js';
+
+const OPEN_TABS_SETTING = 'openTreeTabs';
+const LINKED_FILES_SETTING = 'linkedFiles';
+// Same tree migrateFromLocalStorage() creates from the old single autosave
+const DEFAULT_TREE_ID = 'default';
+const DEFAULT_TREE_NAME = 'My Family Tree';
+const NEW_TREE_NAME = 'Untitled Tree';
+const RECENT_TREES_LIMIT = 8;
+
+// Open tabs: { id, name, text, history, view, unsaved, lastExported, file }
+// file: the file on disk the tree is saved to (js/file_access.js); in storage mode "file"
+// its handle is kept in IndexedDB (saveLinkedFiles), so it can be opened again after a reload
+// text null = not loaded yet (read from the trees store), '' = new tree
+const tabs = [];
+let activeTabId = null;
+
+/**
+ * Restore the tabs that were open on the last visit
+ * @param {boolean} persistent - Whether trees are kept in the browser (storage mode "auto")
+ * @returns {Promise<Object>} The active tab
+ */
+async function restoreTabs(persistent) {
+  tabs.length = 0;
+  let saved = null;
+  // the names are kept (encrypted with a passphrase) with the stored trees only
+  const names = new Map();
+  if (persistent) {
+    try {
+      // the single autosave of earlier versions becomes the "default" tree
+      await migrateFromLocalStorage();
+      saved = await getSetting(OPEN_TABS_SETTING, null);
+      (await getAllTrees()).forEach(tree => names.set(tree.id, tree.name));
+    } catch (e) {
+      console.error('Could not read the open tabs:', e);
+    }
+  }
+
+  if (saved && saved.tabs && saved.tabs.length > 0) {
+    // tab.name: open tabs saved by earlier versions
+    saved.tabs.forEach(tab => tabs.push(createTab(tab.id, names.get(tab.id) || tab.name || NEW_TREE_NAME, null)));
+    activeTabId = findTab(saved.active) ? saved.active : tabs[0].id;
+  } else if (persistent) {
+    tabs.push(createTab(DEFAULT_TREE_ID, names.get(DEFAULT_TREE_ID) || DEFAULT_TREE_NAME, null));
+    activeTabId = DEFAULT_TREE_ID;
+  } else {
+    // nothing is read from the browser in the other storage modes
+    const tab = createTab(createTreeId(), DEFAULT_TREE_NAME, '');
+    tabs.push(tab);
+    activeTabId = tab.id;
+  }
+  return getActiveTab();
+}
+
+/**
+ * Get the open tabs
+ * @returns {Array} Tabs in tab bar order
+ */
+function getTabs() {
+  return tabs;
+}
+
+/**
+ * Get the tab whose tree is on screen
+ * @returns {Object|null}
+ */
+function getActiveTab() {
+  return findTab(activeTabId);
+}
+
+/**
+ * Find an open tab
+ * @param {string} id - Tree ID
+ * @returns {Object|null}
+ */
+function findTab(id) {
+  return tabs.find(tab => tab.id === id) || null;
+}
+
+/**
+ * Add a tab after the active one (it is not activated)
+ * @param {string|null} id - Tree ID of a stored tree, null for a new tree
+ * @param {string} name - Tab name
+ * @param {string|null} text - GEDCOM text, null to read it from the trees store
+ * @returns {Object} The new tab, or the open tab of that tree
+ */
+function openTab(id, name, text) {
+  const open = id ? findTab(id) : null;
+  if (open) return open;
+
+  const tab = createTab(id || createTreeId(), name || NEW_TREE_NAME, text);
+  const index = tabs.findIndex(other => other.id === activeTabId);
+  tabs.splice(index + 1, 0, tab);
+  return tab;
+}
+
+/**
+ * Mark a tab as the one on screen
+ * @param {string} id - Tree ID
+ */
+function setActiveTab(id) {
+  if (findTab(id)) activeTabId = id;
+}
+
+/**
+ * Remove a tab. The stored tree is kept.
+ * @param {string} id - Tree ID
+ * @returns {Object|null} The tab to show next if the active tab was closed, else null
+ */
+function closeTab(id) {
+  const index = tabs.findIndex(tab => tab.id === id);
+  if (index === -1) return null;
+  tabs.splice(index, 1);
+  if (id !== activeTabId) return null;
+
+  const next = tabs[Math.min(index, tabs.length - 1)] || null;
+  activeTabId = next ? next.id : null;
+  return next;
+}
+
+/**
+ * Get the text of a tab's tree, reading it from the trees store on first use
+ * @param {Object} tab - Open tab
+ * @returns {Promise<string>} GEDCOM text, '' for a new tree (or one that was never stored)
+ */
+async function loadTabText(tab) {
+  if (tab.text === null) {
+    const stored = await loadTree(tab.id);
+    tab.text = stored ? stored.data : '';
+  }
+  return tab.text;
+}
+
+/**
+ * Store a tab's tree and remember which tabs are open. Journaled edits
+ * older than the stored text are removed.
+ * @param {Object} tab - Open tab with its current text
+ * @returns {Promise}
+ */
+async function persistTab(tab) {
+  const stored = Date.now();
+  if (tab.text) {
+    await saveTree(tab.id, tab.name, tab.text);
+    await clearJournal(tab.id, stored);
+    announceTreeChange('saved', tab.id, { name: tab.name });
+  }
+  await saveOpenTabs();
+}
+
+/**
+ * Remember which tabs are open and which one is active (IDs only: the names
+ * are stored with the trees, where a passphrase encrypts them)
+ * @returns {Promise}
+ */
+async function saveOpenTabs() {
+  await saveSetting(OPEN_TABS_SETTING, {
+    tabs: tabs.map(tab => ({ id: tab.id })),
+    active: activeTabId
+  });
+}
+
+/**
+ * Find edits that are in the journal but not in the trees store, because the
+ * browser or tab was closed (or crashed) before the autosave stored them
+ * @returns {Promise<Array>} { treeId, name, data, saved }, oldest first
+ */
+async function findUnsavedEdits() {
+  const unsaved = [];
+  for (const entry of await getJournal()) {
+    const stored = await loadTree(entry.treeId);
+    if (stored && stored.data === entry.data) {
+      await clearJournal(entry.treeId);
+    } else {
+      unsaved.push(entry);
+    }
+  }
+  return unsaved.sort((a, b) => a.saved - b.saved);
+}
+
+/**
+ * Store journaled edits as their trees and open those trees in tabs
+ * @param {Array} edits - From findUnsavedEdits()
+ * @returns {Promise}
+ */
+async function recoverUnsavedEdits(edits) {
+  for (const edit of edits) {
+    await saveTree(edit.treeId, edit.name, edit.data);
+    await clearJournal(edit.treeId);
+    announceTreeChange('saved', edit.treeId, { name: edit.name });
+    const tab = findTab(edit.treeId);
+    if (tab) {
+      tab.text = null; // read again from the trees store
+    } else {
+      openTab(edit.treeId, edit.name, null);
+    }
+  }
+  await saveOpenTabs();
+}
+
+/**
+ * Forget journaled edits
+ * @param {Array} edits - From findUnsavedEdits()
+ * @returns {Promise}
+ */
+async function discardUnsavedEdits(edits) {
+  for (const edit of edits) {
+    await clearJournal(edit.treeId);
+  }
+}
+
+/**
+ * Put a tree at the top of the recent trees
+ * @param {Object} tab - Open tab
+ * @returns {Promise}
+ */
+async function rememberRecentTree(tab) {
+  await addToRecent(tab.id, tab.name);
+}
+
+/**
+ * List the recently opened trees that are still stored
+ * @returns {Promise<Array>} { id, name, opened, modified, active }, most recent first
+ */
+async function listRecentTrees() {
+  const stored = await getAllTrees();
+  const recent = [];
+  for (const file of await getRecentFiles(RECENT_TREES_LIMIT)) {
+    const tree = stored.find(other => other.id === file.id);
+    if (!tree) continue;
+    recent.push({
+      id: tree.id,
+      // renamed since it was opened
+      name: findTab(tree.id) ? findTab(tree.id).name : tree.name,
+      opened: file.opened,
+      modified: tree.modified,
+      active: tree.id === activeTabId
+    });
+  }
+  return recent;
+}
+
+/**
+ * List the stored trees together with open tabs that are not stored (yet)
+ * @returns {Promise<Array>} { id, name, modified, stored, open, active }
+ */
+async function listTrees() {
+  let stored = [];
+  try {
+    stored = await getAllTrees();
+  } catch (e) {
+    console.error('Could not read the stored trees:', e);
+  }
+  const trees = stored.map(tree => ({
+    id: tree.id,
+    name: findTab(tree.id) ? findTab(tree.id).name : tree.name,
+    modified: tree.modified,
+    stored: true
+  }));
+  tabs.forEach(tab => {
+    if (!trees.some(tree => tree.id === tab.id)) {
+      trees.push({ id: tab.id, name: tab.name, modified: null, stored: false });
+    }
+  });
+  trees.forEach(tree => {
+    tree.open = !!findTab(tree.id);
+    tree.active = tree.id === activeTabId;
+  });
+  return trees;
+}
+
+/**
+ * Rename a tree, in its tab and in the trees store
+ * @param {string} id - Tree ID
+ * @param {string} name - New name
+ * @returns {Promise<boolean>} false if the name is empty
+ */
+async function renameTree(id, name) {
+  const newName = String(name || '').trim();
+  if (!newName) return false;
+
+  const tab = findTab(id);
+  if (tab) tab.name = newName;
+  const stored = await loadTree(id);
+  if (stored) {
+    await saveTree(id, newName, stored.data);
+    announceTreeChange('renamed', id, { name: newName });
+  }
+  return true;
+}
+
+/**
+ * Copy a tree into a new tab after the active one
+ * @param {string} id - Tree ID
+ * @param {boolean} persistent - Also store the copy
+ * @returns {Promise<Object|null>} The new tab, null if the tree has no data
+ */
+async function duplicateTree(id, persistent) {
+  const tab = findTab(id);
+  const stored = tab && tab.text !== null ? null : await loadTree(id);
+  const text = stored ? stored.data : (tab ? tab.text : null);
+  if (!text) return null;
+
+  const name = (tab ? tab.name : stored.name) + ' (copy)';
+  const copy = openTab(null, name, text);
+  if (persistent) {
+    await persistTab(copy);
+  }
+  return copy;
+}
+
+/**
+ * Delete a tree and its versions from the browser and close its tab
+ * @param {string} id - Tree ID
+ * @returns {Promise<Object|null>} The tab to show next if the active tree was deleted
+ */
+async function removeTree(id) {
+  await deleteTree(id);
+  await deleteVersions(id);
+  await clearJournal(id);
+  announceTreeChange('deleted', id);
+  return closeTab(id);
+}
+
+/**
+ * Delete every stored tree with its versions, forget the open tabs and close them all
+ * @param {boolean} keepOpen - Keep the open tabs, with their trees in memory only
+ *   (when leaving the "auto" storage mode)
+ * @returns {Promise}
+ */
+async function clearStoredTrees(keepOpen = false) {
+  if (keepOpen) {
+    // read the trees of tabs that were not shown yet, before they are deleted
+    for (const tab of tabs) {
+      await loadTabText(tab);
+    }
+  }
+  const stored = await getAllTrees();
+  for (const tree of stored) {
+    await deleteTree(tree.id);
+    await deleteVersions(tree.id);
+    announceTreeChange('deleted', tree.id);
+  }
+  // versions saved for open trees that were never stored
+  for (const tab of tabs) {
+    await deleteVersions(tab.id);
+  }
+  await clearJournals();
+  await clearRecentFiles();
+  await saveSetting(OPEN_TABS_SETTING, null);
+  if (!keepOpen) {
+    closeAllTabs();
+  }
+}
+
+/**
+ * Forget the open tabs and their trees, e.g. when the storage is locked
+ */
+function closeAllTabs() {
+  tabs.length = 0;
+  activeTabId = null;
+}
+
+/**
+ * Generate the tab bar
+ * @returns {string} HTML string; tabs call switchTreeTab(id), closeTreeTab(id)
+ *   and renameStoredTree(id) on double-click, the buttons after them newTreeTab(),
+ *   showTreeManager() and showStartScreen()
+ */
+function generateTabBarHTML() {
+  let html = '';
+  tabs.forEach(tab => {
+    const id = escapeHtml(tab.id);
+    const active = tab.id === activeTabId;
+    const file = tab.file ? ` - saved to ${tab.file.name}` : '';
+    html += `<div class="tree-tab${active ? ' active' : ''}" onclick="switchTreeTab('${id}')"
+        ondblclick="renameStoredTree('${id}')" title="${escapeHtml(tab.name + file)} (double-click to rename)">
+      <span class="tree-tab-name">${tab.file ? '📄 ' : ''}${escapeHtml(tab.name)}</span>
+      ${tabs.length > 1 ? `<button class="tree-tab-close" onclick="event.stopPropagation(); closeTreeTab('${id}')" title="Close tab">&times;</button>` : ''}
+    </div>`;
+  });
+  html += `<button class="tree-tab-add" onclick="newTreeTab()" title="New tree in a new tab">+</button>
+    <button class="tree-tab-add" onclick="showTreeManager()" title="Manage stored trees">🗂️</button>
+    <button class="tree-tab-add" onclick="showStartScreen()" title="Recently opened trees">🕘</button>`;
+  return html;
+}
+
+/**
+ * Generate the tree manager list
+ * @param {Array} trees - From listTrees()
+ * @returns {string} HTML string; rows call openStoredTree, renameStoredTree,
+ *   showTreeVersions, duplicateStoredTree and deleteStoredTree with the tree ID
+ */
+function generateTreeManagerHTML(trees) {
+  if (trees.length === 0) {
+    return '<p class="placeholder-text">No trees stored in this browser yet.</p>';
+  }
+  let html = '<div class="tree-manager-list">';
+  trees.forEach(tree => {
+    const id = escapeHtml(tree.id);
+    const status = tree.active ? 'open, on screen' : (tree.open ? 'open in a tab' : 'stored');
+    const modified = tree.modified ? ' · saved ' + new Date(tree.modified).toLocaleString() : ' · not stored';
+    html += `<div class="tree-manager-row${tree.active ? ' active' : ''}">
+      <div class="tree-manager-name">
+        <span>🌳 ${escapeHtml(tree.name)}</span>
+        <small>${status}${modified}</small>
+      </div>
+      <div class="tree-manager-actions">
+        <button class="btn-primary btn-sm" onclick="openStoredTree('${id}')" title="Show this tree"${tree.active ? ' disabled' : ''}>Open</button>
+        <button class="btn-outline btn-sm" onclick="renameStoredTree('${id}')" title="Rename">✏️</button>
+        <button class="btn-outline btn-sm" onclick="showTreeVersions('${id}')" title="Named versions of this tree">🕘</button>
+        <button class="btn-outline btn-sm" onclick="duplicateStoredTree('${id}')" title="Duplicate into a new tab">⧉</button>
+        <button class="btn-outline btn-sm" onclick="deleteStoredTree('${id}')" title="Delete from this browser">🗑️</button>
+      </div>
+    </div>`;
+  });
+  return html + '</div>';
+}
+
+/**
+ * Generate the recent trees list of the start screen
+ * @param {Array} trees - From listRecentTrees()
+ * @returns {string} HTML string; rows call openRecentTree(id)
+ */
+function generateRecentTreesHTML(trees) {
+  if (trees.length === 0) {
+    return '<p class="placeholder-text">No trees opened in this browser yet.</p>';
+  }
+  let html = '<div class="tree-manager-list">';
+  trees.forEach(tree => {
+    const id = escapeHtml(tree.id);
+    html += `<div class="tree-manager-row${tree.active ? ' active' : ''}">
+      <div class="tree-manager-name">
+        <span>🌳 ${escapeHtml(tree.name)}</span>
+        <small>${tree.active ? 'open, on screen · ' : ''}saved ${escapeHtml(new Date(tree.modified).toLocaleString())}</small>
+      </div>
+      <div class="tree-manager-actions">
+        <button class="btn-primary btn-sm" onclick="openRecentTree('${id}')">${tree.active ? 'Continue' : 'Open'}</button>
+      </div>
+    </div>`;
+  });
+  return html + '</div>';
+}
+
+/**
+ * Remember the files on disk the open tabs are saved to (storage mode "file"), so they can
+ * be opened again after a reload. Only the file handles are kept, not the trees. Files of
+ * earlier visits that are not open stay in the list, up to the recent trees limit.
+ * @returns {Promise}
+ */
+async function saveLinkedFiles() {
+  const files = tabs.filter(tab => tab.file).map(tab => ({
+    id: tab.id,
+    name: tab.name,
+    fileName: tab.file.name,
+    handle: tab.file.handle
+  }));
+  for (const earlier of await getSetting(LINKED_FILES_SETTING, [])) {
+    if (files.length >= RECENT_TREES_LIMIT) break;
+    if (!findTab(earlier.id) && !(await isLinkedFileOpen(earlier.handle))) files.push(earlier);
+  }
+  await saveSetting(LINKED_FILES_SETTING, files);
+}
+
+/**
+ * List the files saved with saveLinkedFiles()
+ * @returns {Promise<Array>} { id, name, fileName, handle, open }, most recent first
+ */
+async function listLinkedFiles() {
+  const files = await getSetting(LINKED_FILES_SETTING, []);
+  return files.map(file => ({ ...file, open: !!findTab(file.id) }));
+}
+
+/**
+ * Forget the files saved with saveLinkedFiles(), e.g. when leaving storage mode "file"
+ * @returns {Promise}
+ */
+async function forgetLinkedFiles() {
+  await saveSetting(LINKED_FILES_SETTING, []);
+}
+
+/**
+ * Generate the files of listLinkedFiles() for the start screen
+ * @param {Array} files - From listLinkedFiles()
+ * @returns {string} HTML
+ */
+function generateLinkedFilesHTML(files) {
+  if (files.length === 0) {
+    return '<p class="placeholder-text">No files opened for editing in this browser yet.</p>';
+  }
+  let html = '<div class="tree-manager-list">';
+  files.forEach(file => {
+    const id = escapeHtml(file.id);
+    html += `<div class="tree-manager-row${file.open ? ' active' : ''}">
+      <div class="tree-manager-name">
+        <span>📄 ${escapeHtml(file.name)}</span>
+        <small>${file.open ? 'open · ' : ''}${escapeHtml(file.fileName)}</small>
+      </div>
+      <div class="tree-manager-actions">
+        <button class="btn-primary btn-sm" onclick="reopenFile('${id}')">${file.open ? 'Show' : 'Open'}</button>
+      </div>
+    </div>`;
+  });
+  return html + '</div>';
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+
+// Same file as an open tab, e.g. opened again with the file picker
+async function isLinkedFileOpen(handle) {
+  for (const tab of tabs) {
+    if (tab.file && await tab.file.handle.isSameEntry(handle)) return true;
+  }
+  return false;
+}
+
+function createTab(id, name, text) {
+  return {
+    id: id,
+    name: name,
+    text: text,
+    history: null,
+    view: null,
+    unsaved: false,
+    lastExported: '',
+    file: null
+  };
+}
+
+function createTreeId() {
+  return `tree_${Date.now()}_${Math.random().toString(36).substring(2, 6)}`;
+}
+
+export {
+  restoreTabs,
+  getTabs,
+  getActiveTab,
+  findTab,
+  openTab,
+  setActiveTab,
+  closeTab,
+  loadTabText,
+  persistTab,
+  saveOpenTabs,
+  findUnsavedEdits,
+  recoverUnsavedEdits,
+  discardUnsavedEdits,
+  rememberRecentTree,
+  listRecentTrees,
+  listTrees,
+  renameTree,
+  duplicateTree,
+  removeTree,
+  clearStoredTrees,
+  closeAllTabs,
+  generateTabBarHTML,
+  generateTreeManagerHTML,
+  generateRecentTreesHTML,
+  saveLinkedFiles,
+  listLinkedFiles,
+  forgetLinkedFiles,
+  generateLinkedFilesHTML
+};
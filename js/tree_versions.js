@@ -0,0 +1,107 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Tree Versions Module - named checkpoints of a stored tree, e.g.
+ * "Before merging Uncle's file", kept across sessions in IndexedDB
+ */
+
+import { saveVersion, getVersions, loadVersion, deleteVersion } from './storage.js';
+import { escapeHtml } from './security.js';
+
+/**
+ * Count the persons (level 0 INDI records) in GEDCOM text
+ * @param {string} text - GEDCOM text
+ * @returns {number}
+ */
+function countPersons(text) {
+  const matches = String(text || '').match(/^0 @[^@]+@ INDI\b/gm);
+  return matches ? matches.length : 0;
+}
+
+/**
+ * Save the given text as a named version of a tree
+ * @param {string} treeId - Tree ID
+ * @param {string} name - Version name; empty for a dated default name
+ * @param {string} text - GEDCOM text
+ * @param {string} comment - Optional comment
+ * @returns {Promise<string>} Version ID
+ */
+async function createVersion(treeId, name, text, comment = '') {
+  const versionName = String(name || '').trim() || 'Version of ' + new Date().toLocaleString();
+  return saveVersion(treeId, versionName, text, {
+    comment: String(comment || '').trim(),
+    persons: countPersons(text)
+  });
+}
+
+/**
+ * Get the versions of a tree, newest first
+ * @param {string} treeId - Tree ID
+ * @returns {Promise<Array>} { id, name, comment, persons, created }
+ */
+async function listVersions(treeId) {
+  return getVersions(treeId);
+}
+
+/**
+ * Get the GEDCOM text and name of a version
+ * @param {string} id - Version ID
+ * @returns {Promise<Object|null>} { name, text }
+ */
+async function readVersion(id) {
+  const version = await loadVersion(id);
+  return version ? { name: version.name, text: version.data } : null;
+}
+
+/**
+ * Delete a version
+ * @param {string} id - Version ID
+ * @returns {Promise}
+ */
+async function removeVersion(id) {
+  return deleteVersion(id);
+}
+
+/**
+ * Generate the version list
+ * @param {Array} versions - From listVersions()
+ * @param {number} currentPersons - Persons in the open tree, to show the difference
+ * @returns {string} HTML string; rows call previewVersion, restoreVersion,
+ *   forkVersion and deleteTreeVersion with the version ID
+ */
+function generateVersionsHTML(versions, currentPersons) {
+  if (versions.length === 0) {
+    return '<p class="placeholder-text">No versions of this tree yet. Save one before a big change, e.g. a merge.</p>';
+  }
+  let html = '<div class="tree-manager-list">';
+  versions.forEach(version => {
+    const id = escapeHtml(version.id);
+    const difference = version.persons - currentPersons;
+    const change = difference === 0 ? '' : ` (${difference > 0 ? '+' : ''}${difference} vs. now)`;
+    html += `<div class="tree-manager-row">
+      <div class="tree-manager-name">
+        <span>🕘 ${escapeHtml(version.name)}</span>
+        <small>${new Date(version.created).toLocaleString()} · ${version.persons} person${version.persons !== 1 ? 's' : ''}${change}</small>
+        ${version.comment ? `<small class="version-comment">${escapeHtml(version.comment)}</small>` : ''}
+      </div>
+      <div class="tree-manager-actions">
+        <button class="btn-outline btn-sm" onclick="previewVersion('${id}')" title="Look at this version without changing the tree">👁️</button>
+        <button class="btn-primary btn-sm" onclick="restoreVersion('${id}')" title="Replace the tree with this version">Restore</button>
+        <button class="btn-outline btn-sm" onclick="forkVersion('${id}')" title="Open this version as a new tree in a new tab">⑂</button>
+        <button class="btn-outline btn-sm" onclick="deleteTreeVersion('${id}')" title="Delete this version">🗑️</button>
+      </div>
+    </div>`;
+  });
+  return html + '</div>';
+}
+
+export {
+  countPersons,
+  createVersion,
+  listVersions,
+  readVersion,
+  removeVersion,
+  generateVersionsHTML
+};
@@ -173,6 +173,41 @@ function getRedoStack() {
   }));
 }
 
+/**
+ * Get the GEDCOM text of an undo snapshot, e.g. to compare it with the current tree
+ * @param {number} index - Index in getUndoStack() (0 = oldest)
+ * @returns {string|null}
+ */
+function getUndoSnapshotText(index) {
+  const action = undoStack[index];
+  return action ? action.text : null;
+}
+
+/**
+ * Take out the whole history, e.g. to keep it with a tree tab while another tree is open
+ * @returns {Object} { undo, redo } copies of both stacks
+ */
+function getHistoryState() {
+  return {
+    undo: undoStack.slice(),
+    redo: redoStack.slice()
+  };
+}
+
+/**
+ * Put back a history taken with getHistoryState()
+ * @param {Object|null} state - { undo, redo }, null for an empty history
+ */
+function setHistoryState(state) {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  if (state) {
+    undoStack.push(...state.undo);
+    redoStack.push(...state.redo);
+  }
+  notifyListeners();
+}
+
 /**
  * Clear all history
  */
@@ -223,6 +258,9 @@ export {
   canRedo,
   getUndoStack,
   getRedoStack,
+  getUndoSnapshotText,
+  getHistoryState,
+  setHistoryState,
   clearHistory,
   addStateListener,
   removeStateListener
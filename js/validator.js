@@ -0,0 +1,225 @@
+/**
+ * GEDCOM Family Tree Editor
+ * Copyright (c) 2024-2026 amalamalpm
+ * Licensed under MIT License - see LICENSE.txt
+ *
+ * Data Consistency Validator Module
+ */
+
+import { getDateBounds, calculateYearsBetween } from './gedcom_date.js';
+import { escapeHtml } from './security.js';
+
+const MIN_MARRIAGE_AGE = 12;
+const MAX_AGE = 120;
+const DAYS_PER_YEAR = 365.2425;
+
+/**
+ * Check the loaded tree for logical errors and broken links
+ * @returns {Array} Issues: { severity: 'error'|'warning', message, nodeId }
+ *   nodeId is the person (or family) to jump to
+ */
+function validateTree() {
+  const gedcomData = document.dataParsed;
+  if (!gedcomData || !gedcomData.indviduals) return [];
+
+  const issues = [];
+
+  gedcomData.indviduals.forEach((person, id) => {
+    checkLifeDates(person, id, issues);
+    checkFamilyLinks(person, id, 'FAMS', gedcomData, issues);
+    checkFamilyLinks(person, id, 'FAMC', gedcomData, issues);
+  });
+
+  if (gedcomData.families) {
+    gedcomData.families.forEach((family, id) => {
+      checkMemberLinks(family, id, gedcomData, issues);
+      checkParentsAndChildren(family, gedcomData, issues);
+      checkMarriageAge(family, gedcomData, issues);
+    });
+  }
+
+  // Errors first, then by person
+  issues.sort((a, b) => {
+    if (a.severity !== b.severity) return a.severity === 'error' ? -1 : 1;
+    return String(a.nodeId).localeCompare(String(b.nodeId));
+  });
+  return issues;
+}
+
+/**
+ * Death before birth, lifespans over 120 years and "living" people over 120
+ */
+function checkLifeDates(person, id, issues) {
+  const name = personName(person);
+  const birthDate = person.BIRT?.DATE?.value;
+  const deathDate = person.DEAT?.DATE?.value;
+  const birth = getDateBounds(birthDate);
+  const death = getDateBounds(deathDate);
+
+  if (birth && death && death.latest < birth.earliest) {
+    issues.push(issue('error', id, `${name} died (${deathDate}) before being born (${birthDate})`));
+  } else if (birth && death) {
+    const age = calculateYearsBetween(birthDate, deathDate);
+    if (age !== null && age > MAX_AGE) {
+      issues.push(issue('warning', id, `${name} lived ${age} years (${birthDate} – ${deathDate})`));
+    }
+  } else if (birth && !person.DEAT && birth.latest !== Infinity) {
+    const ageToday = Math.floor((todayJdn() - birth.latest) / DAYS_PER_YEAR);
+    if (ageToday > MAX_AGE) {
+      issues.push(issue('warning', id, `${name} would be ${ageToday} years old today but has no death record`));
+    }
+  }
+}
+
+/**
+ * FAMS/FAMC pointers must point to an existing family that links back
+ */
+function checkFamilyLinks(person, id, tag, gedcomData, issues) {
+  const name = personName(person);
+  asList(person[tag]).forEach(link => {
+    const family = gedcomData.families.get(link.id);
+    if (!family) {
+      issues.push(issue('error', id, `${name} has ${tag} ${link.id}, but there is no such family`));
+      return;
+    }
+    const linksBack = tag === 'FAMS'
+      ? hasLink(family.HUSB, id) || hasLink(family.WIFE, id)
+      : hasLink(family.CHIL, id);
+    if (!linksBack) {
+      const role = tag === 'FAMS' ? 'spouse (HUSB/WIFE)' : 'child (CHIL)';
+      issues.push(issue('warning', id, `${name} points to family ${link.id} (${tag}), but the family does not list them as ${role}`));
+    }
+  });
+}
+
+/**
+ * HUSB/WIFE/CHIL pointers must point to an existing person that links back
+ */
+function checkMemberLinks(family, familyId, gedcomData, issues) {
+  ['HUSB', 'WIFE', 'CHIL'].forEach(tag => {
+    asList(family[tag]).forEach(link => {
+      const person = gedcomData.indviduals.get(link.id);
+      if (!person) {
+        issues.push(issue('error', familyId, `Family ${familyId} has ${tag} ${link.id}, but there is no such person`));
+        return;
+      }
+      const backTag = tag === 'CHIL' ? 'FAMC' : 'FAMS';
+      if (!hasLink(person[backTag], familyId)) {
+        issues.push(issue('warning', link.id, `Family ${familyId} lists ${personName(person)} as ${tag}, but they have no ${backTag} link to it`));
+      }
+    });
+  });
+}
+
+/**
+ * Children born before a parent, or after their mother died
+ */
+function checkParentsAndChildren(family, gedcomData, issues) {
+  const parents = [...asList(family.HUSB), ...asList(family.WIFE)]
+    .map(link => gedcomData.indviduals.get(link.id))
+    .filter(parent => parent);
+  const mothers = asList(family.WIFE)
+    .map(link => gedcomData.indviduals.get(link.id))
+    .filter(mother => mother);
+
+  asList(family.CHIL).forEach(link => {
+    const child = gedcomData.indviduals.get(link.id);
+    const childBirthDate = child?.BIRT?.DATE?.value;
+    const childBirth = getDateBounds(childBirthDate);
+    if (!childBirth) return;
+
+    parents.forEach(parent => {
+      const parentBirthDate = parent.BIRT?.DATE?.value;
+      const parentBirth = getDateBounds(parentBirthDate);
+      if (parentBirth && childBirth.latest < parentBirth.earliest) {
+        issues.push(issue('error', link.id,
+          `${personName(child)} was born (${childBirthDate}) before their parent ${personName(parent)} (${parentBirthDate})`));
+      }
+    });
+
+    mothers.forEach(mother => {
+      const deathDate = mother.DEAT?.DATE?.value;
+      const death = getDateBounds(deathDate);
+      if (death && childBirth.earliest > death.latest) {
+        issues.push(issue('error', link.id,
+          `${personName(child)} was born (${childBirthDate}) after their mother ${personName(mother)} died (${deathDate})`));
+      }
+    });
+  });
+}
+
+/**
+ * Spouses younger than MIN_MARRIAGE_AGE at the marriage date
+ */
+function checkMarriageAge(family, gedcomData, issues) {
+  const marriageDate = family.MARR?.DATE?.value;
+  if (!marriageDate) return;
+
+  [...asList(family.HUSB), ...asList(family.WIFE)].forEach(link => {
+    const spouse = gedcomData.indviduals.get(link.id);
+    const birthDate = spouse?.BIRT?.DATE?.value;
+    if (!birthDate) return;
+    const age = calculateYearsBetween(birthDate, marriageDate);
+    if (age !== null && age < MIN_MARRIAGE_AGE) {
+      issues.push(issue('warning', link.id,
+        `${personName(spouse)} was ${age < 0 ? 'not yet born' : age + ' years old'} at their marriage (${marriageDate})`));
+    }
+  });
+}
+
+/**
+ * Generate problems panel HTML
+ * @param {Array} issues - Issues from validateTree()
+ * @returns {string} HTML string; problems carry their record id in data-id
+ */
+function generateProblemsHTML(issues) {
+  if (!issues || issues.length === 0) {
+    return '<p class="placeholder-text">No problems found in the family tree.</p>';
+  }
+
+  const errors = issues.filter(i => i.severity === 'error').length;
+  const warnings = issues.length - errors;
+
+  let html = `<div class="problems-summary">
+    <span class="problem-count error">${errors} error${errors !== 1 ? 's' : ''}</span>
+    <span class="problem-count warning">${warnings} warning${warnings !== 1 ? 's' : ''}</span>
+  </div>
+  <div class="problems-list">`;
+
+  issues.forEach(i => {
+    html += `
+      <div class="problem-item ${i.severity}" data-id="${escapeHtml(i.nodeId)}">
+        <span class="problem-icon">${i.severity === 'error' ? '⛔' : '⚠️'}</span>
+        <span class="problem-message">${escapeHtml(i.message)}</span>
+      </div>`;
+  });
+
+  return html + '</div>';
+}
+
+/*************************************
+/* Private Functions
+/*************************************/
+function issue(severity, nodeId, message) {
+  return { severity: severity, nodeId: nodeId, message: message };
+}
+
+function personName(person) {
+  return person?.NAME?.value?.replace(/\//g, ' ').replace(/\s+/g, ' ').trim() || person?.id || 'Unknown';
+}
+
+function asList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function hasLink(links, id) {
+  return asList(links).some(link => link.id === id);
+}
+
+function todayJdn() {
+  // 2440588 = Julian Day Number of 1 JAN 1970
+  return Math.floor(Date.now() / 86400000) + 2440588;
+}
+
+export { validateTree, generateProblemsHTML };
@@ -6,19 +6,49 @@
  * Service Worker - Offline capability and caching
  */
 
-const CACHE_NAME = 'gedcom-editor-v52';
+const CACHE_NAME = 'gedcom-editor-v91';
+// Files shared from other apps (manifest share_target) wait here until the app
+// takes them, see js/launch_files.js
+const SHARED_FILES_CACHE = 'gedcom-editor-shared-files';
+const SHARE_TARGET_PATH = '/share-target';
 const ASSETS = [
   '/',
   '/index.html',
   '/js/cytoscape.esm.mjs',
   '/js/diagram.js',
   '/js/gedcom.js',
+  '/js/gedcom7.js',
+  '/js/gedcom_date.js',
   '/js/gedcom_edit.js',
   '/js/gedcom_export.js',
   '/js/gedcom_import.js',
+  '/js/gedcom_encoding.js',
   '/js/shortcuts.js',
   '/js/undo_state.js',
   '/js/timeline.js',
+  '/js/pedigree_chart.js',
+  '/js/descendant_chart.js',
+  '/js/chart_toggle.js',
+  '/js/fan_chart.js',
+  '/js/map_data.js',
+  '/js/map_view.js',
+  '/js/place_manager.js',
+  '/js/person_merge.js',
+  '/js/tree_merge.js',
+  '/js/tree_diff.js',
+  '/js/tree_tabs.js',
+  '/js/tree_versions.js',
+  '/js/storage.js',
+  '/js/encryption.js',
+  '/js/export_profile.js',
+  '/js/share_link.js',
+  '/js/offline_export.js',
+  '/js/offline_viewer.js',
+  '/js/startup_router.js',
+  '/js/launch_files.js',
+  '/js/file_access.js',
+  '/js/tab_sync.js',
+  '/js/validator.js',
   '/js/csv_import.js',
   '/js/security.js',
   '/manifest.json'
@@ -42,7 +72,7 @@ self.addEventListener('activate', (event) => {
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames
-          .filter((name) => name !== CACHE_NAME)
+          .filter((name) => name !== CACHE_NAME && name !== SHARED_FILES_CACHE)
           .map((name) => caches.delete(name))
       );
     }).then(() => self.clients.claim())
@@ -56,8 +86,18 @@ self.addEventListener('fetch', (event) => {
     return;
   }
   
+  // Files shared to the installed app are posted here
+  const url = new URL(event.request.url);
+  if (event.request.method === 'POST' && url.pathname === SHARE_TARGET_PATH) {
+    event.respondWith(receiveSharedFiles(event.request));
+    return;
+  }
+  
+  // The app shortcuts open /index.html?action=..., which is the cached page too
+  const ignoreSearch = event.request.mode === 'navigate';
+  
   event.respondWith(
-    caches.match(event.request)
+    caches.match(event.request, { ignoreSearch: ignoreSearch })
       .then((cachedResponse) => {
         if (cachedResponse) {
           return cachedResponse;
@@ -82,6 +122,20 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
+// Keep the shared files and open the app, which imports them (?action=shared-file)
+async function receiveSharedFiles(request) {
+  const formData = await request.formData();
+  const files = formData.getAll('file').filter((file) => file && file.name);
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  // files of an earlier share that was never opened are replaced
+  const oldRequests = await cache.keys();
+  await Promise.all(oldRequests.map((oldRequest) => cache.delete(oldRequest)));
+  await Promise.all(files.map((file, index) => cache.put('/shared-file/' + index, new Response(file, {
+    headers: { 'X-File-Name': encodeURIComponent(file.name) }
+  }))));
+  return Response.redirect(new URL('/index.html?action=shared-file', self.location.origin).href, 303);
+}
+
 // Handle messages from the app
 self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SKIP_WAITING') {